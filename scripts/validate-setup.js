@@ -74,6 +74,18 @@ if (fs.existsSync(personasDir)) {
     warnings.push('No persona YAML files found in personas/active/. Add persona configuration files.');
   } else {
     console.log(`✓ Found ${personaFiles.length} persona file(s)`);
+
+    // Check persona files against the schema (same check as `node src/main.js personas validate`)
+    if (fs.existsSync(nodeModulesPath)) {
+      const PersonaValidator = require('../src/services/persona-validator');
+      const personaErrors = personaFiles.flatMap(file =>
+        PersonaValidator.validateFile(path.join(personasDir, file), { requireIdMatch: true }));
+      if (personaErrors.length > 0) {
+        personaErrors.forEach(error => errors.push(`Invalid persona: ${PersonaValidator.formatError(error)}`));
+      } else {
+        console.log('✓ Persona files match the schema');
+      }
+    }
   }
 } else {
   warnings.push('personas/active/ directory does not exist.');
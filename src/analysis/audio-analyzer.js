@@ -0,0 +1,177 @@
+const path = require('path');
+const { createLogger } = require('../utils/logger');
+const logger = createLogger('AudioAnalyzer');
+const defaults = require('../config/defaults');
+const Dataset = require('./dataset');
+const OutputWriter = require('./output-writer');
+const Statistics = require('./statistics');
+
+const TRACK_COLUMNS = [
+  'audio_id',
+  'title',
+  'artist',
+  'audio_type',
+  'first_seen_at',
+  'posts',
+  'impressions',
+  'personas',
+  'regions',
+  'region_list'
+];
+
+const RANKING_COLUMNS = [
+  'group',
+  'rank',
+  'audio_id',
+  'title',
+  'artist',
+  'audio_type',
+  'impressions',
+  'share',
+  'personas'
+];
+
+/**
+ * Aggregation dimensions: CLI name -> impression field
+ */
+const DIMENSIONS = {
+  persona: 'persona_id',
+  region: 'region',
+  political_spectrum: 'political_spectrum'
+};
+
+/**
+ * AudioAnalyzer - Ranks reel audio tracks per persona attribute
+ * Counts impressions (not posts) per track, so a sound pushed repeatedly into
+ * one region's feeds ranks higher there than a sound seen once everywhere.
+ */
+class AudioAnalyzer {
+  /**
+   * @param {BaseStorage} storage - Storage backend to read posts/exposures/audio from
+   * @param {string|null} outputDir - Directory for result files (default: from config)
+   */
+  constructor(storage, outputDir = null) {
+    this.storage = storage;
+    this.outputDir = outputDir || path.join(process.cwd(), defaults.analysis.outputDir);
+  }
+
+  /**
+   * Impression totals per track across all personas
+   * @param {Array<Object>} impressions - Impression records with audio_id
+   * @param {Array<Object>} tracks - Audio tracks from storage
+   * @returns {Array<Object>} Track rows sorted by impressions
+   */
+  trackTotals(impressions, tracks) {
+    const byTrack = Dataset.groupBy(impressions, 'audio_id');
+    const rows = [];
+
+    for (const track of tracks) {
+      const records = byTrack.get(track.audio_id) || [];
+      const regions = [...new Set(records.map(record => record.region || 'unknown'))].sort();
+
+      rows.push({
+        ...track,
+        posts: new Set(records.map(record => record.post_id)).size,
+        impressions: records.length,
+        personas: new Set(records.map(record => record.persona_id)).size,
+        regions: regions.length,
+        region_list: regions
+      });
+    }
+
+    return rows.sort((a, b) => b.impressions - a.impressions || a.audio_id.localeCompare(b.audio_id));
+  }
+
+  /**
+   * Rank tracks within each group by impressions
+   * @param {Array<Object>} impressions - Impression records with audio_id
+   * @param {Map<string, Object>} tracksById - Audio tracks keyed by audio_id
+   * @param {string} field - Impression field to group by
+   * @param {number} top - Tracks to keep per group
+   * @returns {Array<Object>} Ranking rows
+   */
+  rank(impressions, tracksById, field, top) {
+    const rows = [];
+
+    for (const [group, records] of Dataset.groupBy(impressions, field)) {
+      const ranked = [...Dataset.groupBy(records, 'audio_id')]
+        .map(([audioId, trackRecords]) => ({ audioId, trackRecords }))
+        .sort((a, b) => b.trackRecords.length - a.trackRecords.length || a.audioId.localeCompare(b.audioId))
+        .slice(0, top);
+
+      ranked.forEach(({ audioId, trackRecords }, index) => {
+        const track = tracksById.get(audioId) || {};
+        rows.push({
+          group,
+          rank: index + 1,
+          audio_id: audioId,
+          title: track.title || '',
+          artist: track.artist || '',
+          audio_type: track.audio_type || '',
+          impressions: trackRecords.length,
+          share: Statistics.round(trackRecords.length / records.length),
+          personas: new Set(trackRecords.map(record => record.persona_id)).size
+        });
+      });
+    }
+
+    return rows.sort((a, b) => a.group.localeCompare(b.group) || a.rank - b.rank);
+  }
+
+  /**
+   * Rank audio tracks and write per-track totals plus per-dimension rankings
+   * @param {Object} options - Run options
+   * @param {Array<string>} options.dimensions - Dimensions to rank by (default: all)
+   * @param {number} options.top - Tracks per group (default: from config)
+   * @returns {Object} Summary with output file paths and rankings
+   */
+  run({ dimensions = Object.keys(DIMENSIONS), top = defaults.analysis.topAudioTracks } = {}) {
+    const invalid = dimensions.filter(dimension => !DIMENSIONS[dimension]);
+    if (invalid.length > 0) {
+      throw new Error(`Invalid audio dimensions: ${invalid.join(', ')}. Valid dimensions are: ${Object.keys(DIMENSIONS).join(', ')}`);
+    }
+
+    const tracks = this.storage.getAllAudio();
+    const tracksById = new Map(tracks.map(track => [track.audio_id, track]));
+    const impressions = Dataset.loadImpressions(this.storage);
+    const withAudio = impressions.filter(record => record.audio_id);
+    logger.info(`${withAudio.length}/${impressions.length} impressions have audio (${tracks.length} tracks)`);
+
+    const totals = this.trackTotals(withAudio, tracks);
+    const files = {
+      tracks: OutputWriter.writeCSV(path.join(this.outputDir, 'audio_tracks.csv'), TRACK_COLUMNS, totals)
+    };
+    const rankings = {};
+
+    for (const dimension of dimensions) {
+      rankings[dimension] = this.rank(withAudio, tracksById, DIMENSIONS[dimension], top);
+      files[dimension] = OutputWriter.writeCSV(
+        path.join(this.outputDir, `audio_by_${dimension}.csv`),
+        RANKING_COLUMNS,
+        rankings[dimension]
+      );
+    }
+
+    const audioTypes = {};
+    for (const [type, records] of Dataset.groupBy(withAudio, record => tracksById.get(record.audio_id)?.audio_type)) {
+      audioTypes[type] = records.length;
+    }
+
+    const summary = {
+      generated_at: new Date().toISOString(),
+      tracks: tracks.length,
+      impressions: impressions.length,
+      impressions_with_audio: withAudio.length,
+      audio_types: audioTypes,
+      shared_tracks: totals.filter(track => track.regions > 1).length,
+      files,
+      rankings
+    };
+    OutputWriter.writeJSON(path.join(this.outputDir, 'audio_summary.json'), summary);
+
+    return summary;
+  }
+}
+
+module.exports = AudioAnalyzer;
+module.exports.DIMENSIONS = DIMENSIONS;
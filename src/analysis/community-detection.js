@@ -0,0 +1,162 @@
+/**
+ * CommunityDetection - Louvain modularity clustering for weighted undirected graphs
+ *
+ * Phase 1 moves each node into the neighbouring community with the largest
+ * modularity gain until no move improves modularity; phase 2 collapses every
+ * community into a single node and repeats. Nodes are visited in sorted order,
+ * so the same graph always yields the same communities.
+ */
+class CommunityDetection {
+  /**
+   * Detect communities with the Louvain method
+   * @param {Array<string>} nodes - Node IDs
+   * @param {Array<Object>} edges - Edges ({ source, target, weight })
+   * @returns {Object} { communities: Map<node, community number>, modularity }
+   *   Communities are numbered from 1 by descending size (ties by first member)
+   */
+  static louvain(nodes, edges) {
+    const sortedNodes = [...nodes].sort();
+    // Adjacency of the current level; a self-loop holds the (doubled) weight inside a collapsed community
+    let adjacency = sortedNodes.map(() => new Map());
+    const index = new Map(sortedNodes.map((node, i) => [node, i]));
+
+    for (const { source, target, weight } of edges) {
+      const a = index.get(source);
+      const b = index.get(target);
+      if (a === undefined || b === undefined || a === b || !(weight > 0)) {
+        continue;
+      }
+      adjacency[a].set(b, (adjacency[a].get(b) || 0) + weight);
+      adjacency[b].set(a, (adjacency[b].get(a) || 0) + weight);
+    }
+
+    // membership[i] = community of original node i at the current level
+    let membership = sortedNodes.map((_, i) => i);
+    const totalWeight = adjacency.reduce((sum, neighbours) => sum + [...neighbours.values()].reduce((s, w) => s + w, 0), 0);
+    if (totalWeight === 0) {
+      return { communities: this._number(sortedNodes, membership), modularity: 0 };
+    }
+
+    for (;;) {
+      const { assignment, moved } = this._localMoving(adjacency, totalWeight);
+      if (!moved) {
+        break;
+      }
+      membership = membership.map(level => assignment[level]);
+      adjacency = this._aggregate(adjacency, assignment);
+    }
+
+    return {
+      communities: this._number(sortedNodes, membership),
+      modularity: this._modularity(adjacency, totalWeight)
+    };
+  }
+
+  /**
+   * Phase 1: greedy node moves at one level
+   * @returns {Object} { assignment: compact community per node, moved }
+   * @private
+   */
+  static _localMoving(adjacency, totalWeight) {
+    const count = adjacency.length;
+    const community = adjacency.map((_, i) => i);
+    const degree = adjacency.map(neighbours => [...neighbours.values()].reduce((sum, w) => sum + w, 0));
+    const communityTotal = [...degree];
+    let moved = false;
+    let improved = true;
+
+    while (improved) {
+      improved = false;
+      for (let node = 0; node < count; node++) {
+        const current = community[node];
+        const linksTo = new Map();
+        for (const [neighbour, weight] of adjacency[node]) {
+          if (neighbour !== node) {
+            linksTo.set(community[neighbour], (linksTo.get(community[neighbour]) || 0) + weight);
+          }
+        }
+
+        communityTotal[current] -= degree[node];
+        let best = current;
+        let bestGain = (linksTo.get(current) || 0) - communityTotal[current] * degree[node] / totalWeight;
+        for (const [candidate, weight] of linksTo) {
+          const gain = weight - communityTotal[candidate] * degree[node] / totalWeight;
+          // Strict improvement only, so every move raises modularity and the loop terminates
+          if (gain > bestGain + 1e-12) {
+            best = candidate;
+            bestGain = gain;
+          }
+        }
+        communityTotal[best] += degree[node];
+
+        if (best !== current) {
+          community[node] = best;
+          improved = true;
+          moved = true;
+        }
+      }
+    }
+
+    // Renumber communities 0..k-1 in order of first appearance
+    const compact = new Map();
+    const assignment = community.map(c => {
+      if (!compact.has(c)) {
+        compact.set(c, compact.size);
+      }
+      return compact.get(c);
+    });
+    return { assignment, moved };
+  }
+
+  /**
+   * Phase 2: collapse communities into nodes
+   * @private
+   */
+  static _aggregate(adjacency, assignment) {
+    const size = Math.max(...assignment) + 1;
+    const aggregated = Array.from({ length: size }, () => new Map());
+    adjacency.forEach((neighbours, node) => {
+      const from = assignment[node];
+      for (const [neighbour, weight] of neighbours) {
+        const to = assignment[neighbour];
+        aggregated[from].set(to, (aggregated[from].get(to) || 0) + weight);
+      }
+    });
+    return aggregated;
+  }
+
+  /**
+   * Modularity of the final level (each node is one community)
+   * @private
+   */
+  static _modularity(adjacency, totalWeight) {
+    let modularity = 0;
+    adjacency.forEach((neighbours, node) => {
+      const inside = neighbours.get(node) || 0;
+      const degree = [...neighbours.values()].reduce((sum, w) => sum + w, 0);
+      modularity += inside / totalWeight - Math.pow(degree / totalWeight, 2);
+    });
+    return modularity;
+  }
+
+  /**
+   * Number communities from 1 by descending size
+   * @private
+   */
+  static _number(sortedNodes, membership) {
+    const members = new Map();
+    membership.forEach((community, i) => {
+      if (!members.has(community)) {
+        members.set(community, []);
+      }
+      members.get(community).push(sortedNodes[i]);
+    });
+
+    const ordered = [...members.values()].sort((a, b) => b.length - a.length || a[0].localeCompare(b[0]));
+    const communities = new Map();
+    ordered.forEach((group, i) => group.forEach(node => communities.set(node, i + 1)));
+    return communities;
+  }
+}
+
+module.exports = CommunityDetection;
@@ -0,0 +1,69 @@
+/**
+ * Dataset helpers shared by the analysis modules
+ * Turns the storage backend's posts + exposures into analysis-ready records.
+ */
+class Dataset {
+  /**
+   * Load one record per impression: exposure fields merged over post metadata
+   * Posts stored before exposures were tracked count as a single impression
+   * attributed to the persona columns of the post row.
+   * @param {BaseStorage} storage - Storage backend
+   * @returns {Array<Object>} Impression records
+   */
+  static loadImpressions(storage) {
+    const posts = storage.getAllPosts();
+    const postsById = new Map(posts.map(post => [post.post_id, post]));
+    const exposures = storage.getAllExposures();
+    const exposedIds = new Set(exposures.map(exposure => exposure.post_id));
+
+    const impressions = exposures
+      .filter(exposure => postsById.has(exposure.post_id))
+      .map(exposure => ({ ...postsById.get(exposure.post_id), ...exposure }));
+
+    posts
+      .filter(post => !exposedIds.has(post.post_id))
+      .forEach(post => impressions.push({ ...post, session_id: '', feed_position: null, source: '' }));
+
+    impressions.forEach(impression => {
+      impression.content_type = Dataset.contentType(impression);
+    });
+
+    return impressions;
+  }
+
+  /**
+   * Classify a post as organic or by its ad type
+   * @param {Object} post - Post record
+   * @returns {string} 'organic', 'ad', 'paid_partnership' (or 'sponsored' if the type is unknown)
+   */
+  static contentType(post) {
+    if (!post.is_sponsored) {
+      return 'organic';
+    }
+    return post.ad_type || 'sponsored';
+  }
+
+  /**
+   * Group records by the value of a key (or key function)
+   * @param {Array<Object>} records - Records to group
+   * @param {string|Function} key - Field name or function returning the group key
+   * @returns {Map<string, Array<Object>>} Groups keyed by value
+   */
+  static groupBy(records, key) {
+    const getKey = typeof key === 'function' ? key : record => record[key];
+    const groups = new Map();
+
+    for (const record of records) {
+      const value = getKey(record);
+      const groupKey = value === null || value === undefined || value === '' ? 'unknown' : String(value);
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, []);
+      }
+      groups.get(groupKey).push(record);
+    }
+
+    return groups;
+  }
+}
+
+module.exports = Dataset;
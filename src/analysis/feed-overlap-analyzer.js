@@ -0,0 +1,289 @@
+const path = require('path');
+const { createLogger } = require('../utils/logger');
+const logger = createLogger('FeedOverlapAnalyzer');
+const defaults = require('../config/defaults');
+const Dataset = require('./dataset');
+const OutputWriter = require('./output-writer');
+const Statistics = require('./statistics');
+
+/**
+ * Compared feed features: metric name -> values of an impression record
+ */
+const METRICS = {
+  posts: record => [record.post_id],
+  authors: record => (record.author_username ? [record.author_username.toLowerCase()] : []),
+  hashtags: record => (record.hashtags || []).map(hashtag => String(hashtag).replace(/^#/, '').toLowerCase())
+};
+
+const PAIR_COLUMNS = [
+  'period',
+  'persona_a',
+  'persona_b',
+  'impressions_a',
+  'impressions_b',
+  ...Object.keys(METRICS).flatMap(metric => [`shared_${metric}`, `jaccard_${metric}`]),
+  'session_pairs',
+  'mean_rbo'
+];
+
+const SESSION_COLUMNS = [
+  'period',
+  'persona_a',
+  'session_a',
+  'persona_b',
+  'session_b',
+  'start_a',
+  'start_b',
+  'start_offset_minutes',
+  'depth',
+  'shared_posts',
+  'rbo'
+];
+
+/**
+ * FeedOverlapAnalyzer - How similar are the feeds different personas are shown?
+ *
+ * For every persona pair, per UTC day and over the whole dataset, computes the
+ * Jaccard overlap of the posts, authors and hashtags they were shown. Sessions of
+ * two personas that started within the same-time window (e.g. a cohort run) are
+ * compared as rankings with rank-biased overlap, so agreement at the top of the
+ * feed counts more than agreement further down.
+ */
+class FeedOverlapAnalyzer {
+  /**
+   * @param {BaseStorage} storage - Storage backend to read posts/exposures from
+   * @param {string|null} outputDir - Directory for result files (default: from config)
+   */
+  constructor(storage, outputDir = null) {
+    this.storage = storage;
+    this.outputDir = outputDir || path.join(process.cwd(), defaults.analysis.outputDir);
+  }
+
+  /**
+   * UTC day of a record
+   * @param {Object} record - Impression record
+   * @returns {string} YYYY-MM-DD or 'unknown'
+   */
+  static dayOf(record) {
+    return record.timestamp ? String(record.timestamp).slice(0, 10) : 'unknown';
+  }
+
+  /**
+   * Sets of compared values per persona
+   * @param {Array<Object>} records - Impression records
+   * @returns {Map<string, Object>} persona_id -> { impressions, <metric>: Set }
+   */
+  static featureSets(records) {
+    const sets = new Map();
+    for (const [personaId, personaRecords] of Dataset.groupBy(records, 'persona_id')) {
+      const entry = { impressions: personaRecords.length };
+      for (const [metric, valuesOf] of Object.entries(METRICS)) {
+        entry[metric] = new Set(personaRecords.flatMap(valuesOf).filter(Boolean));
+      }
+      sets.set(personaId, entry);
+    }
+    return sets;
+  }
+
+  /**
+   * Sessions as rankings: post IDs in feed order (first occurrence only)
+   * @param {Array<Object>} records - Impression records
+   * @returns {Array<Object>} { session_id, persona_id, start, ranking }
+   */
+  static sessionRankings(records) {
+    const sessions = [];
+    for (const [sessionId, sessionRecords] of Dataset.groupBy(records.filter(record => record.session_id), 'session_id')) {
+      const ordered = [...sessionRecords].sort((a, b) =>
+        (a.feed_position ?? Infinity) - (b.feed_position ?? Infinity) || String(a.timestamp).localeCompare(String(b.timestamp)));
+      const start = Math.min(...ordered.map(record => Date.parse(record.timestamp)).filter(time => !Number.isNaN(time)));
+      sessions.push({
+        session_id: sessionId,
+        persona_id: ordered[0].persona_id,
+        start: Number.isFinite(start) ? start : null,
+        ranking: [...new Set(ordered.map(record => record.post_id))]
+      });
+    }
+    return sessions.sort((a, b) => (a.start ?? 0) - (b.start ?? 0) || a.session_id.localeCompare(b.session_id));
+  }
+
+  /**
+   * Compare sessions of different personas that started within the window
+   * @param {Array<Object>} sessions - Result of sessionRankings
+   * @param {number} windowMs - Maximum start offset between compared sessions
+   * @param {number} persistence - RBO persistence p
+   * @returns {Array<Object>} Session pair rows
+   */
+  compareSessions(sessions, windowMs, persistence) {
+    const rows = [];
+    const timed = sessions.filter(session => session.start !== null);
+
+    for (let i = 0; i < timed.length; i++) {
+      for (let j = i + 1; j < timed.length && timed[j].start - timed[i].start <= windowMs; j++) {
+        const [a, b] = [timed[i], timed[j]].sort((x, y) => x.persona_id.localeCompare(y.persona_id));
+        if (a.persona_id === b.persona_id) {
+          continue;
+        }
+        const depth = Math.min(a.ranking.length, b.ranking.length);
+        const rankedB = new Set(b.ranking);
+        rows.push({
+          period: new Date(Math.min(a.start, b.start)).toISOString().slice(0, 10),
+          persona_a: a.persona_id,
+          session_a: a.session_id,
+          persona_b: b.persona_id,
+          session_b: b.session_id,
+          start_a: new Date(a.start).toISOString(),
+          start_b: new Date(b.start).toISOString(),
+          start_offset_minutes: Statistics.round(Math.abs(a.start - b.start) / 60000, 2),
+          depth,
+          shared_posts: a.ranking.filter(postId => rankedB.has(postId)).length,
+          rbo: Statistics.round(Statistics.rbo(a.ranking, b.ranking, persistence))
+        });
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Pairwise Jaccard overlap between all personas of one period
+   * @param {string} period - 'all' or a UTC day
+   * @param {Array<Object>} records - Impression records of the period
+   * @param {Array<Object>} sessionPairs - Session pair rows of the period
+   * @returns {Array<Object>} Pair rows
+   */
+  comparePersonas(period, records, sessionPairs) {
+    const sets = FeedOverlapAnalyzer.featureSets(records);
+    const personaIds = [...sets.keys()].sort();
+    const rows = [];
+
+    for (let i = 0; i < personaIds.length; i++) {
+      for (let j = i + 1; j < personaIds.length; j++) {
+        const a = sets.get(personaIds[i]);
+        const b = sets.get(personaIds[j]);
+        const row = {
+          period,
+          persona_a: personaIds[i],
+          persona_b: personaIds[j],
+          impressions_a: a.impressions,
+          impressions_b: b.impressions
+        };
+        for (const metric of Object.keys(METRICS)) {
+          row[`shared_${metric}`] = [...a[metric]].filter(value => b[metric].has(value)).length;
+          row[`jaccard_${metric}`] = Statistics.round(Statistics.jaccard(a[metric], b[metric]));
+        }
+
+        const rbos = sessionPairs
+          .filter(pair => pair.persona_a === row.persona_a && pair.persona_b === row.persona_b && pair.rbo !== null)
+          .map(pair => pair.rbo);
+        row.session_pairs = rbos.length;
+        row.mean_rbo = Statistics.round(Statistics.mean(rbos));
+        rows.push(row);
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Persona × persona matrix of one metric (diagonal 1)
+   * @param {Array<string>} personaIds - Personas (rows and columns)
+   * @param {Array<Object>} pairs - Pair rows of one period
+   * @param {string} field - Pair field holding the similarity
+   * @returns {Object} persona -> persona -> similarity
+   */
+  static matrix(personaIds, pairs, field) {
+    const matrix = {};
+    for (const a of personaIds) {
+      matrix[a] = {};
+      for (const b of personaIds) {
+        matrix[a][b] = a === b ? 1 : null;
+      }
+    }
+    for (const pair of pairs) {
+      if (matrix[pair.persona_a] && matrix[pair.persona_b]) {
+        matrix[pair.persona_a][pair.persona_b] = pair[field];
+        matrix[pair.persona_b][pair.persona_a] = pair[field];
+      }
+    }
+    return matrix;
+  }
+
+  /**
+   * Compute overlap metrics and write pair, session and matrix files
+   * @param {Object} options - Run options
+   * @param {number} options.persistence - RBO persistence p (default: from config)
+   * @param {number} options.windowMinutes - Max start offset of same-time sessions (default: from config)
+   * @returns {Object} Summary with output file paths, pair rows and matrices
+   */
+  run({
+    persistence = defaults.analysis.rboPersistence,
+    windowMinutes = defaults.analysis.sameTimeWindowMinutes
+  } = {}) {
+    if (!(persistence > 0 && persistence < 1)) {
+      throw new Error(`RBO persistence must be between 0 and 1 (got ${persistence})`);
+    }
+
+    const impressions = Dataset.loadImpressions(this.storage);
+    const personaIds = [...new Set(impressions.map(record => record.persona_id))].filter(Boolean).sort();
+    logger.info(`Comparing feeds of ${personaIds.length} personas over ${impressions.length} impressions`);
+
+    const sessionPairs = this.compareSessions(FeedOverlapAnalyzer.sessionRankings(impressions), windowMinutes * 60000, persistence);
+    logger.info(`${sessionPairs.length} same-time session pairs (window: ${windowMinutes} min, p=${persistence})`);
+
+    const periods = [['all', impressions], ...[...Dataset.groupBy(impressions, FeedOverlapAnalyzer.dayOf)].sort(([a], [b]) => a.localeCompare(b))];
+    const pairs = [];
+    const matrices = {};
+
+    for (const [period, records] of periods) {
+      const periodSessions = period === 'all' ? sessionPairs : sessionPairs.filter(pair => pair.period === period);
+      const periodPairs = this.comparePersonas(period, records, periodSessions);
+      pairs.push(...periodPairs);
+
+      const periodPersonas = [...new Set(records.map(record => record.persona_id))].filter(Boolean).sort();
+      matrices[period] = {};
+      for (const field of [...Object.keys(METRICS).map(metric => `jaccard_${metric}`), 'mean_rbo']) {
+        matrices[period][field] = FeedOverlapAnalyzer.matrix(periodPersonas, periodPairs, field);
+      }
+    }
+
+    const files = {
+      pairs: OutputWriter.writeCSV(path.join(this.outputDir, 'overlap_pairs.csv'), PAIR_COLUMNS, pairs),
+      sessions: OutputWriter.writeCSV(path.join(this.outputDir, 'overlap_sessions_rbo.csv'), SESSION_COLUMNS, sessionPairs),
+      matrices: {}
+    };
+
+    // Wide matrices for figures: one row per (period, persona), one column per persona
+    for (const field of Object.keys(matrices.all || {})) {
+      const rows = [];
+      for (const [period, byField] of Object.entries(matrices)) {
+        for (const [persona, values] of Object.entries(byField[field])) {
+          rows.push({ period, persona, ...values });
+        }
+      }
+      files.matrices[field] = OutputWriter.writeCSV(
+        path.join(this.outputDir, `overlap_matrix_${field.replace(/^jaccard_/, '')}.csv`),
+        ['period', 'persona', ...personaIds],
+        rows
+      );
+    }
+
+    const summary = {
+      generated_at: new Date().toISOString(),
+      personas: personaIds,
+      impressions: impressions.length,
+      rbo_persistence: persistence,
+      same_time_window_minutes: windowMinutes,
+      session_pairs: sessionPairs.length,
+      periods: periods.map(([period]) => period),
+      files,
+      pairs,
+      matrices
+    };
+    OutputWriter.writeJSON(path.join(this.outputDir, 'overlap_summary.json'), summary);
+
+    return summary;
+  }
+}
+
+module.exports = FeedOverlapAnalyzer;
+module.exports.METRICS = METRICS;
@@ -0,0 +1,286 @@
+const path = require('path');
+const { createLogger } = require('../utils/logger');
+const logger = createLogger('HashtagNetworkAnalyzer');
+const defaults = require('../config/defaults');
+const Dataset = require('./dataset');
+const OutputWriter = require('./output-writer');
+const Statistics = require('./statistics');
+const CommunityDetection = require('./community-detection');
+
+const EDGE_COLUMNS = [
+  'group',
+  'source',
+  'target',
+  'weight',
+  'reels',
+  'personas',
+  'source_community',
+  'target_community'
+];
+
+const NODE_COLUMNS = [
+  'group',
+  'hashtag',
+  'community',
+  'impressions',
+  'reels',
+  'degree',
+  'weighted_degree'
+];
+
+const COMMUNITY_COLUMNS = [
+  'group',
+  'community',
+  'hashtags',
+  'impressions',
+  'impression_share',
+  'internal_weight',
+  'top_hashtags'
+];
+
+/**
+ * Aggregation dimensions: CLI name -> impression field ('all' builds one graph over every impression)
+ */
+const DIMENSIONS = {
+  all: () => 'all',
+  persona: 'persona_id',
+  region: 'region',
+  political_spectrum: 'political_spectrum'
+};
+
+/**
+ * HashtagNetworkAnalyzer - Hashtag co-occurrence graphs and topic communities
+ * Two hashtags are linked when they appear on the same reel. Edges are weighted
+ * by impressions (not posts), so a pairing a persona is shown repeatedly weighs
+ * more in that persona's graph. Communities are detected with Louvain and show
+ * which topic clusters each group of personas is steered into.
+ */
+class HashtagNetworkAnalyzer {
+  /**
+   * @param {BaseStorage} storage - Storage backend to read posts/exposures from
+   * @param {string|null} outputDir - Directory for result files (default: from config)
+   */
+  constructor(storage, outputDir = null) {
+    this.storage = storage;
+    this.outputDir = outputDir || path.join(process.cwd(), defaults.analysis.outputDir);
+  }
+
+  /**
+   * Normalized, de-duplicated hashtags of a record
+   * @param {Object} record - Impression record
+   * @returns {Array<string>} Sorted hashtags
+   */
+  static hashtagsOf(record) {
+    const hashtags = (record.hashtags || [])
+      .map(hashtag => String(hashtag).replace(/^#/, '').trim().toLowerCase())
+      .filter(Boolean);
+    return [...new Set(hashtags)].sort();
+  }
+
+  /**
+   * Build the weighted co-occurrence graph of one group and detect its communities
+   * @param {Array<Object>} records - Impression records of the group
+   * @param {number} minWeight - Edges below this weight are dropped
+   * @returns {Object} { nodes, edges, communities, modularity, isolated }
+   */
+  buildGraph(records, minWeight) {
+    const nodeStats = new Map();
+    const edgeStats = new Map();
+
+    for (const record of records) {
+      const hashtags = HashtagNetworkAnalyzer.hashtagsOf(record);
+      for (const hashtag of hashtags) {
+        if (!nodeStats.has(hashtag)) {
+          nodeStats.set(hashtag, { impressions: 0, reels: new Set() });
+        }
+        const stats = nodeStats.get(hashtag);
+        stats.impressions++;
+        stats.reels.add(record.post_id);
+      }
+
+      for (let i = 0; i < hashtags.length; i++) {
+        for (let j = i + 1; j < hashtags.length; j++) {
+          const key = `${hashtags[i]}\t${hashtags[j]}`;
+          if (!edgeStats.has(key)) {
+            edgeStats.set(key, { source: hashtags[i], target: hashtags[j], weight: 0, reels: new Set(), personas: new Set() });
+          }
+          const edge = edgeStats.get(key);
+          edge.weight++;
+          edge.reels.add(record.post_id);
+          edge.personas.add(record.persona_id);
+        }
+      }
+    }
+
+    const edges = [...edgeStats.values()]
+      .filter(edge => edge.weight >= minWeight)
+      .map(edge => ({ ...edge, reels: edge.reels.size, personas: edge.personas.size }));
+
+    const degree = new Map();
+    for (const edge of edges) {
+      for (const hashtag of [edge.source, edge.target]) {
+        const entry = degree.get(hashtag) || { degree: 0, weighted: 0 };
+        entry.degree++;
+        entry.weighted += edge.weight;
+        degree.set(hashtag, entry);
+      }
+    }
+
+    const { communities, modularity } = CommunityDetection.louvain([...degree.keys()], edges);
+    const nodes = [...degree.keys()].map(hashtag => ({
+      hashtag,
+      community: communities.get(hashtag),
+      impressions: nodeStats.get(hashtag).impressions,
+      reels: nodeStats.get(hashtag).reels.size,
+      degree: degree.get(hashtag).degree,
+      weighted_degree: degree.get(hashtag).weighted
+    }));
+
+    edges.forEach(edge => {
+      edge.source_community = communities.get(edge.source);
+      edge.target_community = communities.get(edge.target);
+    });
+
+    return {
+      nodes: nodes.sort((a, b) => a.community - b.community || b.impressions - a.impressions || a.hashtag.localeCompare(b.hashtag)),
+      edges: edges.sort((a, b) => b.weight - a.weight || a.source.localeCompare(b.source) || a.target.localeCompare(b.target)),
+      communities,
+      modularity,
+      isolated: nodeStats.size - nodes.length
+    };
+  }
+
+  /**
+   * Summarize the communities of one group's graph
+   * @param {Array<Object>} records - Impression records of the group
+   * @param {Object} graph - Result of buildGraph
+   * @param {number} top - Hashtags listed per community
+   * @returns {Array<Object>} Community rows (without group)
+   */
+  summarizeCommunities(records, graph, top) {
+    const rows = new Map();
+    for (const node of graph.nodes) {
+      if (!rows.has(node.community)) {
+        rows.set(node.community, { community: node.community, members: [], impressions: 0, internal_weight: 0 });
+      }
+      rows.get(node.community).members.push(node);
+    }
+    for (const edge of graph.edges) {
+      if (edge.source_community === edge.target_community) {
+        rows.get(edge.source_community).internal_weight += edge.weight;
+      }
+    }
+
+    // An impression reaches a community if its reel carries any of the community's hashtags
+    let taggedImpressions = 0;
+    for (const record of records) {
+      const hashtags = HashtagNetworkAnalyzer.hashtagsOf(record);
+      if (hashtags.length === 0) {
+        continue;
+      }
+      taggedImpressions++;
+      const reached = new Set(hashtags.map(hashtag => graph.communities.get(hashtag)).filter(Boolean));
+      reached.forEach(community => rows.get(community).impressions++);
+    }
+
+    return [...rows.values()]
+      .map(row => ({
+        community: row.community,
+        hashtags: row.members.length,
+        impressions: row.impressions,
+        impression_share: taggedImpressions > 0 ? Statistics.round(row.impressions / taggedImpressions) : null,
+        internal_weight: row.internal_weight,
+        top_hashtags: row.members
+          .sort((a, b) => b.impressions - a.impressions || a.hashtag.localeCompare(b.hashtag))
+          .slice(0, top)
+          .map(node => node.hashtag)
+      }))
+      .sort((a, b) => b.impressions - a.impressions || a.community - b.community);
+  }
+
+  /**
+   * Build co-occurrence graphs per group and write edges, nodes, communities and GraphML files
+   * @param {Object} options - Run options
+   * @param {Array<string>} options.dimensions - Dimensions to build graphs for (default: all)
+   * @param {number} options.top - Hashtags listed per community (default: from config)
+   * @param {number} options.minWeight - Minimum edge weight (default: from config)
+   * @returns {Object} Summary with output file paths and per-group graph statistics
+   */
+  run({
+    dimensions = Object.keys(DIMENSIONS),
+    top = defaults.analysis.topCommunityHashtags,
+    minWeight = defaults.analysis.hashtagMinEdgeWeight
+  } = {}) {
+    const invalid = dimensions.filter(dimension => !DIMENSIONS[dimension]);
+    if (invalid.length > 0) {
+      throw new Error(`Invalid hashtag network dimensions: ${invalid.join(', ')}. Valid dimensions are: ${Object.keys(DIMENSIONS).join(', ')}`);
+    }
+
+    const impressions = Dataset.loadImpressions(this.storage);
+    const tagged = impressions.filter(record => HashtagNetworkAnalyzer.hashtagsOf(record).length > 0);
+    logger.info(`${tagged.length}/${impressions.length} impressions carry hashtags (minimum edge weight: ${minWeight})`);
+
+    const files = {};
+    const groups = {};
+
+    for (const dimension of dimensions) {
+      const edgeRows = [];
+      const nodeRows = [];
+      const communityRows = [];
+      const graphFiles = [];
+      groups[dimension] = [];
+
+      for (const [group, records] of Dataset.groupBy(impressions, DIMENSIONS[dimension])) {
+        const graph = this.buildGraph(records, minWeight);
+        const communities = this.summarizeCommunities(records, graph, top);
+
+        edgeRows.push(...graph.edges.map(edge => ({ group, ...edge })));
+        nodeRows.push(...graph.nodes.map(node => ({ group, ...node })));
+        communityRows.push(...communities.map(community => ({ group, ...community })));
+
+        const safeGroup = group.replace(/[^\w.-]+/g, '_');
+        graphFiles.push(OutputWriter.writeGraphML(
+          path.join(this.outputDir, 'hashtag_graphs', `${dimension}_${safeGroup}.graphml`),
+          {
+            id: `${dimension}:${group}`,
+            nodes: graph.nodes.map(({ hashtag, ...node }) => ({ id: hashtag, label: `#${hashtag}`, ...node })),
+            edges: graph.edges
+          }
+        ));
+
+        groups[dimension].push({
+          group,
+          impressions: records.length,
+          hashtags: graph.nodes.length,
+          isolated_hashtags: graph.isolated,
+          edges: graph.edges.length,
+          communities: communities.length,
+          modularity: Statistics.round(graph.modularity),
+          top_communities: communities.slice(0, 5)
+        });
+      }
+
+      files[dimension] = {
+        edges: OutputWriter.writeCSV(path.join(this.outputDir, `hashtag_edges_by_${dimension}.csv`), EDGE_COLUMNS, edgeRows),
+        nodes: OutputWriter.writeCSV(path.join(this.outputDir, `hashtag_nodes_by_${dimension}.csv`), NODE_COLUMNS, nodeRows),
+        communities: OutputWriter.writeCSV(path.join(this.outputDir, `hashtag_communities_by_${dimension}.csv`), COMMUNITY_COLUMNS, communityRows),
+        graphs: graphFiles
+      };
+    }
+
+    const summary = {
+      generated_at: new Date().toISOString(),
+      impressions: impressions.length,
+      impressions_with_hashtags: tagged.length,
+      min_edge_weight: minWeight,
+      files,
+      groups
+    };
+    OutputWriter.writeJSON(path.join(this.outputDir, 'hashtag_network_summary.json'), summary);
+
+    return summary;
+  }
+}
+
+module.exports = HashtagNetworkAnalyzer;
+module.exports.DIMENSIONS = DIMENSIONS;
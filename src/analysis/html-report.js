@@ -0,0 +1,251 @@
+/**
+ * Series colors for charts (one per persona, cycled)
+ */
+const PALETTE = ['#2563eb', '#dc2626', '#16a34a', '#9333ea', '#ea580c', '#0891b2', '#ca8a04', '#db2777', '#4b5563', '#65a30d'];
+
+const STYLE = `
+body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; margin: 0; color: #111827; background: #f9fafb; }
+header { background: #111827; color: #f9fafb; padding: 24px 32px; }
+header h1 { margin: 0 0 4px; font-size: 24px; }
+header p { margin: 0; color: #d1d5db; font-size: 14px; }
+nav { padding: 8px 32px; background: #e5e7eb; font-size: 14px; }
+nav a { margin-right: 16px; color: #1f2937; }
+main { padding: 16px 32px 48px; }
+section { background: #fff; border: 1px solid #e5e7eb; border-radius: 6px; padding: 16px 20px; margin: 16px 0; }
+h2 { margin-top: 0; font-size: 20px; }
+h3 { font-size: 16px; margin: 16px 0 8px; }
+table { border-collapse: collapse; font-size: 13px; margin: 8px 0; }
+th, td { border: 1px solid #e5e7eb; padding: 4px 8px; text-align: left; vertical-align: middle; }
+th { background: #f3f4f6; }
+td.num { text-align: right; font-variant-numeric: tabular-nums; }
+.cards { display: flex; flex-wrap: wrap; gap: 12px; }
+.card { border: 1px solid #e5e7eb; border-radius: 6px; padding: 8px 16px; min-width: 120px; }
+.card .value { font-size: 22px; font-weight: 600; }
+.card .label { font-size: 12px; color: #6b7280; }
+.columns { display: flex; flex-wrap: wrap; gap: 24px; }
+.legend span { display: inline-block; margin-right: 12px; font-size: 12px; }
+.legend i { display: inline-block; width: 10px; height: 10px; margin-right: 4px; border-radius: 2px; }
+.thumbs { display: flex; flex-wrap: wrap; gap: 8px; }
+.thumbs figure { margin: 0; width: 120px; font-size: 11px; color: #4b5563; }
+.thumbs img { width: 120px; height: 213px; object-fit: cover; object-position: top; border: 1px solid #d1d5db; border-radius: 4px; }
+.thumbs figcaption { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.warning { padding: 6px 10px; margin: 4px 0; border-left: 4px solid; font-size: 14px; }
+.warning.error { border-color: #dc2626; background: #fef2f2; }
+.warning.warn { border-color: #d97706; background: #fffbeb; }
+.warning.info { border-color: #2563eb; background: #eff6ff; }
+.muted { color: #6b7280; font-size: 13px; }
+`;
+
+/**
+ * HtmlReport - Rendering helpers for the static HTML report
+ * Everything is inlined (CSS, SVG charts, images as data URIs), so a report
+ * is a single file that opens offline. All text passes through escape().
+ */
+class HtmlReport {
+  /**
+   * Escape text for HTML content and attribute values
+   * @param {*} value - Value to escape
+   * @returns {string} Escaped string ('' for null/undefined)
+   */
+  static escape(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Color of the i-th series
+   * @param {number} index - Series index
+   * @returns {string} CSS color
+   */
+  static color(index) {
+    return PALETTE[index % PALETTE.length];
+  }
+
+  /**
+   * Render a table
+   * @param {Array<Object>} columns - Columns ({ key, label, numeric, html }); html columns are not escaped
+   * @param {Array<Object>} rows - Row objects
+   * @returns {string} HTML
+   */
+  static table(columns, rows) {
+    if (rows.length === 0) {
+      return '<p class="muted">No data.</p>';
+    }
+    const head = columns.map(column => `<th>${this.escape(column.label || column.key)}</th>`).join('');
+    const body = rows.map(row => '<tr>' + columns.map(column => {
+      const value = row[column.key];
+      const content = column.html ? (value || '') : this.escape(value);
+      return `<td${column.numeric ? ' class="num"' : ''}>${content}</td>`;
+    }).join('') + '</tr>').join('\n');
+    return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+  }
+
+  /**
+   * Render a square similarity matrix as a heatmap table (values in [0, 1])
+   * @param {Array<string>} labels - Row/column labels
+   * @param {Object} matrix - label -> label -> value (null = no data)
+   * @returns {string} HTML
+   */
+  static heatmap(labels, matrix) {
+    if (labels.length === 0) {
+      return '<p class="muted">No data.</p>';
+    }
+    const head = labels.map(label => `<th>${this.escape(label)}</th>`).join('');
+    const body = labels.map(row => `<tr><th>${this.escape(row)}</th>` + labels.map(column => {
+      const value = matrix[row]?.[column];
+      if (value === null || value === undefined) {
+        return '<td class="num">–</td>';
+      }
+      const textColor = value > 0.6 ? '#fff' : '#111827';
+      return `<td class="num" style="background: rgba(37, 99, 235, ${value.toFixed(3)}); color: ${textColor}">${value.toFixed(2)}</td>`;
+    }).join('') + '</tr>').join('\n');
+    return `<table><thead><tr><th></th>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+  }
+
+  /**
+   * Render a multi-series line chart over ordered categories (e.g. days) as inline SVG
+   * @param {Array<string>} categories - X axis categories in order
+   * @param {Array<Object>} series - Series ({ label, values: category -> number })
+   * @param {Object} options - { width, height, yLabel }
+   * @returns {string} HTML (SVG plus legend)
+   */
+  static lineChart(categories, series, { width = 760, height = 260, yLabel = '' } = {}) {
+    if (categories.length === 0 || series.length === 0) {
+      return '<p class="muted">No data.</p>';
+    }
+
+    const pad = { top: 12, right: 16, bottom: 36, left: 48 };
+    const plotWidth = width - pad.left - pad.right;
+    const plotHeight = height - pad.top - pad.bottom;
+    const max = Math.max(1, ...series.flatMap(s => categories.map(category => s.values[category] || 0)));
+    const x = i => pad.left + (categories.length === 1 ? plotWidth / 2 : (i / (categories.length - 1)) * plotWidth);
+    const y = value => pad.top + plotHeight - (value / max) * plotHeight;
+
+    const parts = [];
+    for (const tick of [0, Math.round(max / 2), max]) {
+      parts.push(`<line x1="${pad.left}" x2="${width - pad.right}" y1="${y(tick)}" y2="${y(tick)}" stroke="#e5e7eb"/>`);
+      parts.push(`<text x="${pad.left - 6}" y="${y(tick) + 4}" font-size="11" text-anchor="end" fill="#6b7280">${tick}</text>`);
+    }
+    // Label at most ~8 categories so dates stay readable
+    const step = Math.max(1, Math.ceil(categories.length / 8));
+    categories.forEach((category, i) => {
+      if (i % step === 0 || i === categories.length - 1) {
+        parts.push(`<text x="${x(i)}" y="${height - pad.bottom + 16}" font-size="11" text-anchor="middle" fill="#6b7280">${this.escape(category)}</text>`);
+      }
+    });
+    if (yLabel) {
+      parts.push(`<text x="12" y="${pad.top + plotHeight / 2}" font-size="11" fill="#6b7280" transform="rotate(-90 12 ${pad.top + plotHeight / 2})" text-anchor="middle">${this.escape(yLabel)}</text>`);
+    }
+
+    series.forEach((s, index) => {
+      const color = this.color(index);
+      const points = categories.map((category, i) => `${x(i).toFixed(1)},${y(s.values[category] || 0).toFixed(1)}`);
+      parts.push(`<polyline fill="none" stroke="${color}" stroke-width="2" points="${points.join(' ')}"/>`);
+      categories.forEach((category, i) => {
+        const value = s.values[category] || 0;
+        parts.push(`<circle cx="${x(i).toFixed(1)}" cy="${y(value).toFixed(1)}" r="3" fill="${color}"><title>${this.escape(`${s.label} ${category}: ${value}`)}</title></circle>`);
+      });
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" role="img">${parts.join('')}</svg>\n${this.legend(series.map(s => s.label))}`;
+  }
+
+  /**
+   * Render a small histogram as inline SVG
+   * @param {Array<number>} counts - Count per bin
+   * @param {Object} options - { width, height, color, labels } (labels: title per bin)
+   * @returns {string} SVG
+   */
+  static histogram(counts, { width = 160, height = 36, color = PALETTE[0], labels = [] } = {}) {
+    const max = Math.max(1, ...counts);
+    const barWidth = width / Math.max(1, counts.length);
+    const bars = counts.map((count, i) => {
+      const barHeight = (count / max) * (height - 2);
+      const title = `${labels[i] || `bin ${i + 1}`}: ${count}`;
+      return `<rect x="${(i * barWidth).toFixed(1)}" y="${(height - barHeight).toFixed(1)}" width="${Math.max(1, barWidth - 1).toFixed(1)}" height="${barHeight.toFixed(1)}" fill="${color}"><title>${this.escape(title)}</title></rect>`;
+    });
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${bars.join('')}<line x1="0" x2="${width}" y1="${height}" y2="${height}" stroke="#9ca3af"/></svg>`;
+  }
+
+  /**
+   * Render a color legend
+   * @param {Array<string>} labels - Series labels (colored in order)
+   * @returns {string} HTML
+   */
+  static legend(labels) {
+    return `<div class="legend">${labels.map((label, i) => `<span><i style="background: ${this.color(i)}"></i>${this.escape(label)}</span>`).join('')}</div>`;
+  }
+
+  /**
+   * Render summary cards
+   * @param {Array<Array>} items - [label, value] pairs
+   * @returns {string} HTML
+   */
+  static cards(items) {
+    return `<div class="cards">${items.map(([label, value]) =>
+      `<div class="card"><div class="value">${this.escape(value)}</div><div class="label">${this.escape(label)}</div></div>`).join('')}</div>`;
+  }
+
+  /**
+   * Render data-quality warnings
+   * @param {Array<Object>} warnings - Warnings ({ level: 'error'|'warn'|'info', message })
+   * @returns {string} HTML
+   */
+  static warnings(warnings) {
+    if (warnings.length === 0) {
+      return '<p class="muted">No data-quality issues found.</p>';
+    }
+    return warnings.map(warning => `<div class="warning ${this.escape(warning.level)}">${this.escape(warning.message)}</div>`).join('\n');
+  }
+
+  /**
+   * Render a section with an anchor
+   * @param {string} id - Anchor ID
+   * @param {string} title - Section title
+   * @param {string} body - Section HTML
+   * @returns {string} HTML
+   */
+  static section(id, title, body) {
+    return `<section id="${this.escape(id)}">\n<h2>${this.escape(title)}</h2>\n${body}\n</section>`;
+  }
+
+  /**
+   * Render the complete document
+   * @param {Object} page - Page content
+   * @param {string} page.title - Document title
+   * @param {string} page.subtitle - Header subtitle
+   * @param {Array<Object>} page.sections - Sections ({ id, title, body })
+   * @returns {string} HTML document
+   */
+  static page({ title, subtitle, sections }) {
+    const nav = sections.map(section => `<a href="#${this.escape(section.id)}">${this.escape(section.title)}</a>`).join('');
+    return [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      '<meta charset="utf-8">',
+      '<meta name="viewport" content="width=device-width, initial-scale=1">',
+      `<title>${this.escape(title)}</title>`,
+      `<style>${STYLE}</style>`,
+      '</head>',
+      '<body>',
+      `<header><h1>${this.escape(title)}</h1><p>${this.escape(subtitle)}</p></header>`,
+      `<nav>${nav}</nav>`,
+      '<main>',
+      ...sections.map(section => this.section(section.id, section.title, section.body)),
+      '</main>',
+      '</body>',
+      '</html>',
+      ''
+    ].join('\n');
+  }
+}
+
+module.exports = HtmlReport;
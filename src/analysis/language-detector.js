@@ -0,0 +1,100 @@
+/**
+ * Function words per supported language
+ * Words shared between the languages (e.g. "a", "in", "so", "was") are left out
+ * so each hit is evidence for exactly one language.
+ */
+const STOPWORDS = {
+  en: [
+    'the', 'and', 'is', 'are', 'this', 'that', 'with', 'for', 'you', 'your',
+    'of', 'to', 'it', 'my', 'which', 'we', 'our', 'be', 'have', 'not',
+    'on', 'at', 'from', 'but', 'they', 'what', 'when', 'just', 'all', 'how',
+    'will', 'can', 'than', 'if', 'or', 'about', 'like', 'get', 'out', 'who',
+    'here', 'there', 'now', 'has', 'been', 'were', 'would', 'their', 'them', 'she'
+  ],
+  de: [
+    'der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'du', 'sie', 'wir',
+    'ihr', 'mit', 'auf', 'für', 'von', 'zu', 'den', 'dem', 'des', 'ein',
+    'eine', 'einen', 'einem', 'auch', 'noch', 'aber', 'wie', 'oder', 'sind', 'wird',
+    'nur', 'mein', 'dein', 'unser', 'euch', 'uns', 'mich', 'dich', 'sich', 'heute',
+    'jetzt', 'immer', 'schon', 'mehr', 'sehr', 'hier', 'kein', 'keine', 'bei', 'nach'
+  ],
+  pt: [
+    'o', 'os', 'as', 'e', 'é', 'do', 'da', 'dos', 'das', 'um',
+    'uma', 'que', 'não', 'com', 'para', 'por', 'em', 'no', 'na', 'nos',
+    'mais', 'muito', 'você', 'eu', 'meu', 'minha', 'seu', 'sua', 'ele', 'ela',
+    'isso', 'esse', 'essa', 'este', 'esta', 'mas', 'como', 'quando', 'hoje', 'agora',
+    'aqui', 'tudo', 'todos', 'sempre', 'também', 'já', 'ser', 'ter', 'foi', 'vai'
+  ]
+};
+
+/**
+ * Characters that only occur in one of the supported languages
+ */
+const CHARACTER_HINTS = {
+  de: /[äöüß]/,
+  pt: /[ãõçâêôà]/
+};
+
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words)])
+);
+
+/**
+ * LanguageDetector - Lightweight stopword-based language identification for captions
+ *
+ * Captions are short and full of hashtags, handles and emoji, so a function-word
+ * count is more reliable here than character n-gram models trained on prose.
+ * Only the languages we have sentiment scorers for are considered; anything
+ * without enough evidence is reported as 'unknown'.
+ */
+class LanguageDetector {
+  /**
+   * Tokenize text into lowercase words (hashtag/mention markers, URLs and digits removed)
+   * @param {string} text - Input text
+   * @returns {Array<string>} Word tokens
+   */
+  static tokenize(text) {
+    if (!text || typeof text !== 'string') {
+      return [];
+    }
+
+    return text
+      .replace(/https?:\/\/\S+/g, ' ')
+      .replace(/@[\w.]+/g, ' ')
+      .toLowerCase()
+      .match(/[\p{L}']+/gu) || [];
+  }
+
+  /**
+   * Detect the language of a caption
+   * @param {string} text - Caption text
+   * @param {number} minHits - Minimum evidence required to accept a language (default: 1)
+   * @returns {Object} { language: 'en'|'de'|'pt'|'unknown', confidence: 0..1 }
+   */
+  static detect(text, minHits = 1) {
+    const tokens = LanguageDetector.tokenize(text);
+    const lowered = (text || '').toLowerCase();
+    const scores = {};
+
+    for (const [language, words] of Object.entries(STOPWORD_SETS)) {
+      scores[language] = tokens.filter(token => words.has(token)).length;
+      if (CHARACTER_HINTS[language] && CHARACTER_HINTS[language].test(lowered)) {
+        scores[language] += 1;
+      }
+    }
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    const [best, bestScore] = ranked[0];
+    const runnerUp = ranked[1][1];
+
+    if (bestScore < minHits || bestScore === runnerUp) {
+      return { language: 'unknown', confidence: 0 };
+    }
+
+    const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+    return { language: best, confidence: Math.round((bestScore / total) * 100) / 100 };
+  }
+}
+
+module.exports = LanguageDetector;
+module.exports.SUPPORTED_LANGUAGES = Object.keys(STOPWORDS);
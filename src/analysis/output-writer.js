@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../utils/logger');
+const Redactor = require('../utils/redactor');
+const logger = createLogger('OutputWriter');
+
+/**
+ * OutputWriter - Writes analysis results as CSV, JSON and GraphML files
+ * Everything written passes through Redactor, like the log output.
+ */
+class OutputWriter {
+  /**
+   * Escape a value for CSV output (keeps newlines inside quoted fields)
+   * @param {*} value - Value to escape
+   * @returns {string} CSV-safe string
+   */
+  static escape(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    const str = Array.isArray(value) ? value.join('|') : String(value);
+    if (/[",\r\n]/.test(str)) {
+      return '"' + str.replace(/"/g, '""') + '"';
+    }
+    return str;
+  }
+
+  /**
+   * Write rows to a CSV file (overwrites existing file)
+   * @param {string} filePath - Output file path
+   * @param {Array<string>} columns - Column names (also used as row keys)
+   * @param {Array<Object>} rows - Row objects
+   * @returns {string} Written file path
+   */
+  static writeCSV(filePath, columns, rows) {
+    this.ensureDir(path.dirname(filePath));
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+      const safe = Redactor.redact(row);
+      lines.push(columns.map(column => this.escape(safe[column])).join(','));
+    }
+    fs.writeFileSync(filePath, lines.join('\n') + '\n');
+    logger.info(`Wrote ${rows.length} rows to ${filePath}`);
+    return filePath;
+  }
+
+  /**
+   * Write an object as pretty-printed JSON (overwrites existing file)
+   * @param {string} filePath - Output file path
+   * @param {Object} data - Data to serialize
+   * @returns {string} Written file path
+   */
+  static writeJSON(filePath, data) {
+    this.ensureDir(path.dirname(filePath));
+    fs.writeFileSync(filePath, JSON.stringify(Redactor.redact(data), null, 2) + '\n');
+    logger.info(`Wrote ${filePath}`);
+    return filePath;
+  }
+
+  /**
+   * Write an undirected graph as GraphML (overwrites existing file)
+   * Attribute types are taken from the first node/edge: integers become 'long', other numbers 'double',
+   * everything else 'string'.
+   * @param {string} filePath - Output file path
+   * @param {Object} graph - Graph to write
+   * @param {string} graph.id - Graph ID
+   * @param {Array<Object>} graph.nodes - Nodes ({ id, ...attributes })
+   * @param {Array<Object>} graph.edges - Edges ({ source, target, ...attributes })
+   * @returns {string} Written file path
+   */
+  static writeGraphML(filePath, { id, nodes: graphNodes, edges: graphEdges }) {
+    const nodes = graphNodes.map(node => Redactor.redact(node));
+    const edges = graphEdges.map(edge => Redactor.redact(edge));
+    const xml = value => String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+    const keysOf = (items, skip) => Object.keys(items[0] || {})
+      .filter(key => !skip.includes(key))
+      .map(key => {
+        const value = items[0][key];
+        if (typeof value !== 'number') {
+          return { key, type: 'string' };
+        }
+        return { key, type: Number.isInteger(value) ? 'long' : 'double' };
+      });
+    const data = (item, keys, prefix) => keys
+      .filter(({ key }) => item[key] !== null && item[key] !== undefined)
+      .map(({ key }) => `<data key="${prefix}_${xml(key)}">${xml(Array.isArray(item[key]) ? item[key].join('|') : item[key])}</data>`)
+      .join('');
+
+    const nodeKeys = keysOf(nodes, ['id']);
+    const edgeKeys = keysOf(edges, ['source', 'target']);
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+      ...nodeKeys.map(({ key, type }) => `  <key id="n_${xml(key)}" for="node" attr.name="${xml(key)}" attr.type="${type}"/>`),
+      ...edgeKeys.map(({ key, type }) => `  <key id="e_${xml(key)}" for="edge" attr.name="${xml(key)}" attr.type="${type}"/>`),
+      `  <graph id="${xml(id)}" edgedefault="undirected">`,
+      ...nodes.map(node => `    <node id="${xml(node.id)}">${data(node, nodeKeys, 'n')}</node>`),
+      ...edges.map(edge => `    <edge source="${xml(edge.source)}" target="${xml(edge.target)}">${data(edge, edgeKeys, 'e')}</edge>`),
+      '  </graph>',
+      '</graphml>'
+    ];
+
+    this.ensureDir(path.dirname(filePath));
+    fs.writeFileSync(filePath, lines.join('\n') + '\n');
+    logger.info(`Wrote graph with ${nodes.length} nodes and ${edges.length} edges to ${filePath}`);
+    return filePath;
+  }
+
+  /**
+   * Ensure a directory exists
+   * @param {string} dir - Directory path
+   */
+  static ensureDir(dir) {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+}
+
+module.exports = OutputWriter;
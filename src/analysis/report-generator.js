@@ -0,0 +1,461 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../utils/logger');
+const logger = createLogger('ReportGenerator');
+const defaults = require('../config/defaults');
+const Redactor = require('../utils/redactor');
+const Dataset = require('./dataset');
+const Statistics = require('./statistics');
+const HtmlReport = require('./html-report');
+const SentimentAnalyzer = require('./sentiment-analyzer');
+const FeedOverlapAnalyzer = require('./feed-overlap-analyzer');
+const HashtagNetworkAnalyzer = require('./hashtag-network-analyzer');
+
+/**
+ * Image types embedded as thumbnails: extension -> MIME type
+ */
+const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp'
+};
+
+/**
+ * Manifest statuses that mean a run did not finish normally
+ */
+const FAILED_RUN_STATUSES = ['failed', 'session_failed', 'suspended'];
+
+/**
+ * ReportGenerator - Self-contained HTML research report from the stored data
+ *
+ * Collects per-persona session counts, reels over time, sentiment
+ * distributions, top hashtags/authors, feed overlap matrices, screenshot
+ * thumbnails and data-quality warnings into a single HTML file. Charts are
+ * inline SVG and screenshots are embedded as data URIs, so the report opens
+ * without network access (only the links to the reels themselves go online).
+ */
+class ReportGenerator {
+  /**
+   * @param {BaseStorage} storage - Storage backend to read from
+   * @param {string|null} outputDir - Directory for reports (default: from config)
+   */
+  constructor(storage, outputDir = null) {
+    this.storage = storage;
+    this.outputDir = outputDir || path.join(process.cwd(), defaults.report.outputDir);
+  }
+
+  /**
+   * Count values and return the most frequent
+   * @param {Array<string>} values - Values (one per occurrence)
+   * @param {number} top - Number of entries to return
+   * @returns {Array<Object>} { value, count } sorted by count, then value
+   */
+  static topCounts(values, top) {
+    const counts = new Map();
+    for (const value of values) {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    return [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+      .slice(0, top)
+      .map(([value, count]) => ({ value, count }));
+  }
+
+  /**
+   * Read the manifests of all recorded runs
+   * @param {string} runsDir - Runs directory
+   * @returns {Array<Object>} Manifests (unreadable ones are skipped)
+   */
+  static loadManifests(runsDir = path.join(process.cwd(), defaults.runs.dir)) {
+    if (!fs.existsSync(runsDir)) {
+      return [];
+    }
+
+    const manifests = [];
+    for (const runId of fs.readdirSync(runsDir).sort()) {
+      const manifestPath = path.join(runsDir, runId, 'manifest.json');
+      if (!fs.existsSync(manifestPath)) {
+        continue;
+      }
+      try {
+        manifests.push(JSON.parse(fs.readFileSync(manifestPath, 'utf8')));
+      } catch (error) {
+        logger.debug(`Skipping unreadable manifest ${manifestPath}: ${error.message}`);
+      }
+    }
+    return manifests;
+  }
+
+  /**
+   * Read a screenshot as a data URI
+   * @param {string} screenshotPath - Path as stored on the post (relative to the working directory)
+   * @returns {Object} { dataUri } or { missing: true } / { tooLarge: true }
+   */
+  static embedImage(screenshotPath) {
+    const filePath = path.resolve(process.cwd(), screenshotPath);
+    const mimeType = IMAGE_TYPES[path.extname(filePath).toLowerCase()];
+    if (!mimeType || !fs.existsSync(filePath)) {
+      return { missing: true };
+    }
+    if (fs.statSync(filePath).size > defaults.report.maxScreenshotBytes) {
+      return { tooLarge: true };
+    }
+    return { dataUri: `data:${mimeType};base64,${fs.readFileSync(filePath).toString('base64')}` };
+  }
+
+  /**
+   * Per-persona overview rows
+   * @param {Array<Object>} impressions - Impression records
+   * @param {Array<Object>} sessions - Session summary rows
+   * @param {Map<string, Object>} scoresById - Sentiment scores keyed by post_id
+   * @returns {Array<Object>} Persona rows
+   */
+  personaRows(impressions, sessions, scoresById) {
+    const sessionsByPersona = Dataset.groupBy(sessions, 'persona_id');
+    return [...Dataset.groupBy(impressions, 'persona_id')]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([personaId, records]) => {
+        const timestamps = records.map(record => record.timestamp).filter(Boolean).sort();
+        const recorded = sessionsByPersona.get(personaId) || [];
+        return {
+          persona_id: personaId,
+          region: records[0].region,
+          political_spectrum: records[0].political_spectrum,
+          gender: records[0].gender,
+          sessions_recorded: recorded.length,
+          sessions_seen: new Set(records.map(record => record.session_id).filter(Boolean)).size,
+          impressions: records.length,
+          unique_reels: new Set(records.map(record => record.post_id)).size,
+          sponsored_share: Statistics.round(records.filter(record => record.content_type !== 'organic').length / records.length),
+          scored_captions: records.filter(record => scoresById.has(record.post_id)).length,
+          first_seen: timestamps[0] || '',
+          last_seen: timestamps[timestamps.length - 1] || ''
+        };
+      });
+  }
+
+  /**
+   * Reels over time: impressions per UTC day and persona
+   * @param {Array<Object>} impressions - Impression records
+   * @returns {string} Section HTML
+   */
+  timelineSection(impressions) {
+    const days = [...new Set(impressions.map(FeedOverlapAnalyzer.dayOf))].filter(day => day !== 'unknown').sort();
+    const series = [...Dataset.groupBy(impressions, 'persona_id')]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([personaId, records]) => {
+        const values = {};
+        for (const [day, dayRecords] of Dataset.groupBy(records, FeedOverlapAnalyzer.dayOf)) {
+          values[day] = dayRecords.length;
+        }
+        return { label: personaId, values };
+      });
+    return HtmlReport.lineChart(days, series, { yLabel: 'impressions per day' });
+  }
+
+  /**
+   * Sentiment distribution per persona, split by scorer (lexicon scales differ)
+   * @param {Array<Object>} impressions - Impression records
+   * @param {Map<string, Object>} scoresById - Sentiment scores keyed by post_id
+   * @returns {string} Section HTML
+   */
+  sentimentSection(impressions, scoresById) {
+    const bins = defaults.report.sentimentBins;
+    // Same color per persona as in the timeline
+    const personaIds = [...Dataset.groupBy(impressions, 'persona_id').keys()].sort();
+    const scored = impressions
+      .filter(record => scoresById.has(record.post_id))
+      .map(record => ({ ...record, sentiment: scoresById.get(record.post_id) }));
+    const parts = [];
+
+    for (const [scorer, scorerRecords] of [...Dataset.groupBy(scored, record => record.sentiment.scorer)].sort(([a], [b]) => a.localeCompare(b))) {
+      const values = scorerRecords.map(record => record.sentiment.score);
+      const min = values.reduce((low, value) => Math.min(low, value), Infinity);
+      const max = values.reduce((high, value) => Math.max(high, value), -Infinity);
+      const width = (max - min) / bins || 1;
+      const labels = Array.from({ length: bins }, (_, i) => `${Statistics.round(min + i * width, 2)} to ${Statistics.round(min + (i + 1) * width, 2)}`);
+
+      const rows = [...Dataset.groupBy(scorerRecords, 'persona_id')]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([personaId, records]) => {
+          const scores = records.map(record => record.sentiment.score);
+          const counts = Array(bins).fill(0);
+          scores.forEach(score => counts[Math.min(bins - 1, Math.floor((score - min) / width))]++);
+          const share = predicate => Statistics.round(scores.filter(predicate).length / scores.length);
+          return {
+            persona_id: personaId,
+            impressions: scores.length,
+            mean: Statistics.round(Statistics.mean(scores)),
+            median: Statistics.round(Statistics.median(scores)),
+            negative: share(score => score < 0),
+            neutral: share(score => score === 0),
+            positive: share(score => score > 0),
+            distribution: HtmlReport.histogram(counts, { color: HtmlReport.color(personaIds.indexOf(personaId)), labels })
+          };
+        });
+
+      parts.push(`<h3>${HtmlReport.escape(scorer)} <span class="muted">(range ${Statistics.round(min, 2)} to ${Statistics.round(max, 2)})</span></h3>`);
+      parts.push(HtmlReport.table([
+        { key: 'persona_id', label: 'Persona' },
+        { key: 'impressions', label: 'Scored impressions', numeric: true },
+        { key: 'mean', label: 'Mean', numeric: true },
+        { key: 'median', label: 'Median', numeric: true },
+        { key: 'negative', label: 'Negative', numeric: true },
+        { key: 'neutral', label: 'Neutral', numeric: true },
+        { key: 'positive', label: 'Positive', numeric: true },
+        { key: 'distribution', label: 'Distribution', html: true }
+      ], rows));
+    }
+
+    return parts.length > 0 ? parts.join('\n') : '<p class="muted">No captions to score.</p>';
+  }
+
+  /**
+   * Top hashtags and authors, overall and per persona (counted by impressions)
+   * @param {Array<Object>} impressions - Impression records
+   * @returns {string} Section HTML
+   */
+  topContentSection(impressions) {
+    const top = defaults.report.topItems;
+    const hashtagsOf = record => HashtagNetworkAnalyzer.hashtagsOf(record).map(hashtag => `#${hashtag}`);
+    const authorOf = record => (record.author_username ? [`@${record.author_username}`] : []);
+    const reach = (valuesOf, value) => new Set(impressions.filter(record => valuesOf(record).includes(value)).map(record => record.persona_id)).size;
+    const overall = valuesOf => ReportGenerator.topCounts(impressions.flatMap(valuesOf), top)
+      .map(({ value, count }) => ({ value, count, personas: reach(valuesOf, value) }));
+    const overallColumns = label => [
+      { key: 'value', label },
+      { key: 'count', label: 'Impressions', numeric: true },
+      { key: 'personas', label: 'Personas', numeric: true }
+    ];
+
+    const perPersona = [...Dataset.groupBy(impressions, 'persona_id')]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([personaId, records]) => {
+        const list = valuesOf => ReportGenerator.topCounts(records.flatMap(valuesOf), top)
+          .map(({ value, count }) => `${value} (${count})`).join(', ');
+        return { persona_id: personaId, hashtags: list(hashtagsOf), authors: list(authorOf) };
+      });
+
+    return [
+      '<div class="columns">',
+      `<div><h3>Top hashtags</h3>${HtmlReport.table(overallColumns('Hashtag'), overall(hashtagsOf))}</div>`,
+      `<div><h3>Top authors</h3>${HtmlReport.table(overallColumns('Author'), overall(authorOf))}</div>`,
+      '</div>',
+      '<h3>Per persona</h3>',
+      HtmlReport.table([
+        { key: 'persona_id', label: 'Persona' },
+        { key: 'hashtags', label: `Top ${top} hashtags` },
+        { key: 'authors', label: `Top ${top} authors` }
+      ], perPersona)
+    ].join('\n');
+  }
+
+  /**
+   * Persona × persona feed overlap heatmaps over the whole dataset
+   * @param {Array<Object>} impressions - Impression records
+   * @returns {string} Section HTML
+   */
+  overlapSection(impressions) {
+    const overlap = new FeedOverlapAnalyzer(this.storage);
+    const sessionPairs = overlap.compareSessions(
+      FeedOverlapAnalyzer.sessionRankings(impressions),
+      defaults.analysis.sameTimeWindowMinutes * 60000,
+      defaults.analysis.rboPersistence
+    );
+    const pairs = overlap.comparePersonas('all', impressions, sessionPairs);
+    const personaIds = [...new Set(impressions.map(record => record.persona_id))].filter(Boolean).sort();
+
+    const metrics = [
+      ['jaccard_posts', 'Shared reels (Jaccard)'],
+      ['jaccard_authors', 'Shared authors (Jaccard)'],
+      ['jaccard_hashtags', 'Shared hashtags (Jaccard)'],
+      ['mean_rbo', `Same-time sessions (mean RBO, p=${defaults.analysis.rboPersistence}, window ${defaults.analysis.sameTimeWindowMinutes} min)`]
+    ];
+    return [
+      '<p class="muted">Whole dataset. Per-day matrices: <code>node src/main.js analyze overlap</code>.</p>',
+      '<div class="columns">',
+      ...metrics.map(([field, title]) =>
+        `<div><h3>${HtmlReport.escape(title)}</h3>${HtmlReport.heatmap(personaIds, FeedOverlapAnalyzer.matrix(personaIds, pairs, field))}</div>`),
+      '</div>'
+    ].join('\n');
+  }
+
+  /**
+   * Screenshot thumbnails per persona (most recent first), linked to the reels
+   * @param {Array<Object>} posts - Posts from storage
+   * @returns {Object} { html, missing, tooLarge, referenced }
+   */
+  screenshotSection(posts) {
+    const withScreenshots = posts.filter(post => post.screenshot_path);
+    const stats = { missing: 0, tooLarge: 0, referenced: withScreenshots.length };
+    const parts = [];
+
+    for (const [personaId, personaPosts] of [...Dataset.groupBy(withScreenshots, 'persona_id')].sort(([a], [b]) => a.localeCompare(b))) {
+      const figures = [];
+      const newestFirst = [...personaPosts].sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+      for (const post of newestFirst) {
+        if (figures.length >= defaults.report.screenshotsPerPersona) {
+          break;
+        }
+        const image = ReportGenerator.embedImage(post.screenshot_path);
+        if (image.missing) {
+          stats.missing++;
+          continue;
+        }
+        if (image.tooLarge) {
+          stats.tooLarge++;
+          continue;
+        }
+        const url = `https://www.instagram.com/reel/${encodeURIComponent(post.post_id)}/`;
+        const title = `${post.post_id} @${post.author_username || 'unknown'}: ${String(post.caption || '').slice(0, 200)}`;
+        figures.push(`<figure><a href="${HtmlReport.escape(url)}" title="${HtmlReport.escape(title)}"><img src="${image.dataUri}" alt="${HtmlReport.escape(post.post_id)}" loading="lazy"></a><figcaption>@${HtmlReport.escape(post.author_username || 'unknown')}</figcaption></figure>`);
+      }
+      parts.push(`<h3>${HtmlReport.escape(personaId)} <span class="muted">(${figures.length} of ${personaPosts.length})</span></h3><div class="thumbs">${figures.join('')}</div>`);
+    }
+
+    return { ...stats, html: parts.length > 0 ? parts.join('\n') : '<p class="muted">No screenshots recorded.</p>' };
+  }
+
+  /**
+   * Data-quality checks over the stored data and run manifests
+   * @param {Object} data - { posts, exposures, impressions, sessions, manifests, personas, screenshots }
+   * @returns {Array<Object>} Warnings ({ level, message })
+   */
+  qualityWarnings({ posts, exposures, impressions, sessions, manifests, personas, screenshots }) {
+    const warnings = [];
+    const add = (level, count, message) => {
+      if (count > 0) {
+        warnings.push({ level, message });
+      }
+    };
+    const postIds = new Set(posts.map(post => post.post_id));
+    const exposedIds = new Set(exposures.map(exposure => exposure.post_id));
+
+    const orphaned = exposures.filter(exposure => !postIds.has(exposure.post_id)).length;
+    add('error', orphaned, `${orphaned} exposures reference posts that are not stored (excluded from all figures)`);
+    const unexposed = posts.filter(post => !exposedIds.has(post.post_id)).length;
+    add('warn', unexposed, `${unexposed} posts have no exposure rows (stored before exposures were tracked; counted as one impression each)`);
+    const sessionless = impressions.filter(record => !record.session_id).length;
+    add('warn', sessionless, `${sessionless} impressions have no session ID (excluded from session counts and RBO)`);
+    const untimed = impressions.filter(record => !record.timestamp).length;
+    add('warn', untimed, `${untimed} impressions have no timestamp (missing from reels over time)`);
+
+    const captionless = posts.filter(post => !post.caption || !String(post.caption).trim()).length;
+    add('info', captionless, `${captionless}/${posts.length} posts have no caption (no sentiment score)`);
+
+    const unknownAttributes = personas.filter(row => ['region', 'political_spectrum', 'gender'].some(field => !row[field] || row[field] === 'unknown'));
+    add('warn', unknownAttributes.length,
+      `Personas with unknown region, political spectrum or gender: ${unknownAttributes.map(row => row.persona_id).join(', ')}`);
+
+    const emptySessions = sessions.filter(session => Number(session.posts_collected) === 0).length;
+    add('warn', emptySessions, `${emptySessions} recorded sessions collected no reels`);
+
+    const summarized = new Set(sessions.map(session => session.session_id).filter(Boolean));
+    const unsummarized = new Set(impressions.map(record => record.session_id).filter(sessionId => sessionId && !summarized.has(sessionId)));
+    add('warn', unsummarized.size, `${unsummarized.size} sessions have impressions but no session summary (interrupted before the session ended)`);
+
+    let duplicatePositions = 0;
+    for (const [, records] of Dataset.groupBy(exposures.filter(exposure => exposure.session_id && exposure.feed_position !== null && exposure.feed_position !== ''), record => `${record.session_id}\t${record.feed_position}`)) {
+      duplicatePositions += records.length - 1;
+    }
+    add('warn', duplicatePositions, `${duplicatePositions} exposures share a feed position with another exposure of the same session`);
+
+    const medianImpressions = Statistics.median(personas.map(row => row.impressions));
+    const undersampled = personas.filter(row => row.impressions < medianImpressions / 2);
+    add('warn', undersampled.length,
+      `Personas with less than half the median impressions (${medianImpressions}): ${undersampled.map(row => `${row.persona_id} (${row.impressions})`).join(', ')}`);
+
+    add('warn', screenshots.missing, `${screenshots.missing} screenshot files referenced by posts are missing on disk`);
+    add('info', screenshots.tooLarge, `${screenshots.tooLarge} screenshots were not embedded because they exceed ${Math.round(defaults.report.maxScreenshotBytes / 1024)} KB`);
+
+    const failed = manifests.filter(manifest => FAILED_RUN_STATUSES.includes(manifest.status));
+    add('error', failed.length, `Runs that did not complete: ${failed.map(manifest => `${manifest.run_id} (${manifest.status}${manifest.error ? `: ${manifest.error}` : ''})`).join('; ')}`);
+    const running = manifests.filter(manifest => manifest.status === 'running');
+    add('warn', running.length, `Runs still marked running (interrupted; continue with --resume <run_id>): ${running.map(manifest => manifest.run_id).join(', ')}`);
+    const proxyMismatches = manifests.filter(manifest => manifest.proxy_check && manifest.proxy_check.matches === false);
+    add('error', proxyMismatches.length,
+      `Runs whose exit IP was outside the persona's country: ${proxyMismatches.map(manifest => `${manifest.run_id} (${manifest.proxy_check.country_code} ≠ ${manifest.proxy_check.expected_country_code})`).join('; ')}`);
+
+    const order = { error: 0, warn: 1, info: 2 };
+    return warnings.sort((a, b) => order[a.level] - order[b.level]);
+  }
+
+  /**
+   * Build the report and write it
+   * @param {Object} options - Report options
+   * @param {string|null} options.file - Output file (default: <outputDir>/report_<timestamp>.html)
+   * @param {string} options.title - Report title
+   * @returns {Object} { file, personas, impressions, warnings }
+   */
+  run({ file = null, title = 'Instagram Reels Persona Study' } = {}) {
+    const posts = this.storage.getAllPosts();
+    const exposures = this.storage.getAllExposures();
+    const sessions = this.storage.getAllSessions();
+    const impressions = Dataset.loadImpressions(this.storage);
+    const manifests = ReportGenerator.loadManifests();
+    const scores = new SentimentAnalyzer(this.storage).scorePosts(posts);
+    const scoresById = new Map(scores.map(score => [score.post_id, score]));
+    logger.info(`Building report from ${posts.length} posts, ${impressions.length} impressions, ${sessions.length} sessions, ${manifests.length} run manifests`);
+
+    const personas = this.personaRows(impressions, sessions, scoresById);
+    const screenshots = this.screenshotSection(posts);
+    const warnings = this.qualityWarnings({ posts, exposures, impressions, sessions, manifests, personas, screenshots });
+    const days = [...new Set(impressions.map(FeedOverlapAnalyzer.dayOf))].filter(day => day !== 'unknown').sort();
+
+    const overview = HtmlReport.cards([
+      ['personas', personas.length],
+      ['recorded sessions', sessions.length],
+      ['impressions', impressions.length],
+      ['unique reels', posts.length],
+      ['scored captions', scores.length],
+      ['runs', manifests.length],
+      ['days', days.length],
+      ['data-quality warnings', warnings.length]
+    ]);
+
+    const sections = [
+      { id: 'overview', title: 'Overview', body: `${overview}\n<p class="muted">Data from ${HtmlReport.escape(days[0] || '–')} to ${HtmlReport.escape(days[days.length - 1] || '–')}. Counts are impressions (one per reel shown to a persona), unless noted.</p>` },
+      { id: 'quality', title: 'Data quality', body: HtmlReport.warnings(warnings) },
+      {
+        id: 'personas',
+        title: 'Personas',
+        body: HtmlReport.table([
+          { key: 'persona_id', label: 'Persona' },
+          { key: 'region', label: 'Region' },
+          { key: 'political_spectrum', label: 'Spectrum' },
+          { key: 'gender', label: 'Gender' },
+          { key: 'sessions_recorded', label: 'Sessions', numeric: true },
+          { key: 'sessions_seen', label: 'Sessions with impressions', numeric: true },
+          { key: 'impressions', label: 'Impressions', numeric: true },
+          { key: 'unique_reels', label: 'Unique reels', numeric: true },
+          { key: 'sponsored_share', label: 'Sponsored share', numeric: true },
+          { key: 'scored_captions', label: 'Scored captions', numeric: true },
+          { key: 'first_seen', label: 'First impression' },
+          { key: 'last_seen', label: 'Last impression' }
+        ], personas)
+      },
+      { id: 'timeline', title: 'Reels over time', body: this.timelineSection(impressions) },
+      { id: 'sentiment', title: 'Sentiment', body: this.sentimentSection(impressions, scoresById) },
+      { id: 'content', title: 'Top hashtags and authors', body: this.topContentSection(impressions) },
+      { id: 'overlap', title: 'Feed overlap', body: this.overlapSection(impressions) },
+      { id: 'screenshots', title: 'Screenshots', body: screenshots.html }
+    ];
+
+    const generatedAt = new Date().toISOString();
+    const html = HtmlReport.page({
+      title,
+      subtitle: `Generated ${generatedAt} from ${this.storage.constructor.name}`,
+      sections
+    });
+
+    const outFile = file ? path.resolve(file) : path.join(this.outputDir, `report_${generatedAt.replace(/[:.]/g, '-')}.html`);
+    fs.mkdirSync(path.dirname(outFile), { recursive: true });
+    fs.writeFileSync(outFile, Redactor.redactText(html), 'utf8');
+    logger.info(`Wrote report to ${outFile} (${Math.round(html.length / 1024)} KB)`);
+
+    return { file: outFile, personas: personas.length, impressions: impressions.length, warnings };
+  }
+}
+
+module.exports = ReportGenerator;
@@ -0,0 +1,225 @@
+const path = require('path');
+const { createLogger } = require('../utils/logger');
+const logger = createLogger('SentimentAnalyzer');
+const defaults = require('../config/defaults');
+const Dataset = require('./dataset');
+const OutputWriter = require('./output-writer');
+const Statistics = require('./statistics');
+const LanguageDetector = require('./language-detector');
+const { getScorer } = require('./sentiment-scorers');
+
+const SCORE_COLUMNS = [
+  'post_id',
+  'content_type',
+  'sponsor_username',
+  'language',
+  'language_confidence',
+  'scorer',
+  'score',
+  'comparative',
+  'positive_tokens',
+  'negative_tokens',
+  'token_count',
+  'scored_at'
+];
+
+const AGGREGATE_COLUMNS = [
+  'group',
+  'scorer',
+  'impressions',
+  'scored_impressions',
+  'sponsored_share',
+  'mean_score',
+  'median_score',
+  'stddev_score',
+  'mean_comparative',
+  'positive_share',
+  'negative_share',
+  'neutral_share'
+];
+
+/**
+ * Aggregation dimensions: CLI name -> impression field
+ */
+const DIMENSIONS = {
+  persona: 'persona_id',
+  region: 'region',
+  political_spectrum: 'political_spectrum',
+  session: 'session_id',
+  content_type: 'content_type'
+};
+
+/**
+ * SentimentAnalyzer - Scores captions and aggregates sentiment per persona attribute
+ */
+class SentimentAnalyzer {
+  /**
+   * @param {BaseStorage} storage - Storage backend to read posts/exposures from
+   * @param {string|null} outputDir - Directory for result files (default: from config)
+   */
+  constructor(storage, outputDir = null) {
+    this.storage = storage;
+    this.outputDir = outputDir || path.join(process.cwd(), defaults.analysis.outputDir);
+  }
+
+  /**
+   * Score a single caption with the scorer for its detected language
+   * URLs are stripped first; hashtags keep their word so "#love" still counts.
+   * Captions in an undetected language fall back to the English scorer but keep
+   * language 'unknown', so they can be filtered out.
+   * @param {string} text - Caption text
+   * @returns {Object|null} Score object (with language and scorer), or null for empty captions
+   */
+  static scoreCaption(text) {
+    if (!text || typeof text !== 'string' || !text.trim()) {
+      return null;
+    }
+
+    const cleaned = text.replace(/https?:\/\/\S+/g, ' ');
+    const { language, confidence } = LanguageDetector.detect(cleaned);
+    const scorer = getScorer(language);
+
+    return {
+      language,
+      language_confidence: confidence,
+      scorer: scorer.id,
+      ...scorer.score(cleaned)
+    };
+  }
+
+  /**
+   * Score every captioned post
+   * @param {Array<Object>} posts - Posts from storage
+   * @returns {Array<Object>} Score rows keyed by post_id
+   */
+  scorePosts(posts) {
+    const scoredAt = new Date().toISOString();
+    const rows = [];
+
+    for (const post of posts) {
+      const result = SentimentAnalyzer.scoreCaption(post.caption);
+      if (result) {
+        rows.push({
+          post_id: post.post_id,
+          content_type: Dataset.contentType(post),
+          sponsor_username: post.sponsor_username || '',
+          ...result,
+          scored_at: scoredAt
+        });
+      }
+    }
+
+    logger.info(`Scored ${rows.length}/${posts.length} posts with captions`);
+    return rows;
+  }
+
+  /**
+   * Aggregate scores over impressions grouped by a field
+   * Each group is split by scorer: lexicons use different valence scales, so
+   * scores from different scorers are never averaged together.
+   * @param {Array<Object>} impressions - Impression records (see Dataset.loadImpressions)
+   * @param {Map<string, Object>} scoresById - Score rows keyed by post_id
+   * @param {string} field - Impression field to group by
+   * @returns {Array<Object>} Aggregate rows
+   */
+  aggregate(impressions, scoresById, field) {
+    const rows = [];
+
+    for (const [group, records] of Dataset.groupBy(impressions, field)) {
+      const byScorer = Dataset.groupBy(records, record => scoresById.get(record.post_id)?.scorer || 'none');
+
+      for (const [scorer, scorerRecords] of byScorer) {
+        const scores = scorerRecords
+          .map(record => scoresById.get(record.post_id))
+          .filter(score => score !== undefined);
+        const values = scores.map(score => score.score);
+        const share = (predicate) => values.length > 0
+          ? Statistics.round(values.filter(predicate).length / values.length)
+          : null;
+
+        rows.push({
+          group,
+          scorer,
+          impressions: scorerRecords.length,
+          scored_impressions: values.length,
+          sponsored_share: Statistics.round(
+            scorerRecords.filter(record => record.content_type !== 'organic').length / scorerRecords.length
+          ),
+          mean_score: Statistics.round(Statistics.mean(values)),
+          median_score: Statistics.round(Statistics.median(values)),
+          stddev_score: Statistics.round(Statistics.stddev(values)),
+          mean_comparative: Statistics.round(Statistics.mean(scores.map(score => score.comparative))),
+          positive_share: share(value => value > 0),
+          negative_share: share(value => value < 0),
+          neutral_share: share(value => value === 0)
+        });
+      }
+    }
+
+    return rows.sort((a, b) => a.group.localeCompare(b.group) || a.scorer.localeCompare(b.scorer));
+  }
+
+  /**
+   * Count score rows per value of a field
+   * @param {Array<Object>} rows - Score rows
+   * @param {string} field - Field to count by
+   * @returns {Object} Counts keyed by value
+   */
+  countBy(rows, field) {
+    const counts = {};
+    for (const [value, group] of Dataset.groupBy(rows, field)) {
+      counts[value] = group.length;
+    }
+    return counts;
+  }
+
+  /**
+   * Score all captions and write per-post scores plus per-dimension aggregates
+   * @param {Object} options - Run options
+   * @param {Array<string>} options.dimensions - Dimensions to aggregate (default: all)
+   * @returns {Object} Summary with output file paths and aggregates
+   */
+  run({ dimensions = Object.keys(DIMENSIONS) } = {}) {
+    const invalid = dimensions.filter(dimension => !DIMENSIONS[dimension]);
+    if (invalid.length > 0) {
+      throw new Error(`Invalid sentiment dimensions: ${invalid.join(', ')}. Valid dimensions are: ${Object.keys(DIMENSIONS).join(', ')}`);
+    }
+
+    const posts = this.storage.getAllPosts();
+    const scores = this.scorePosts(posts);
+    const scoresById = new Map(scores.map(score => [score.post_id, score]));
+    const impressions = Dataset.loadImpressions(this.storage);
+
+    const files = {
+      scores: OutputWriter.writeCSV(path.join(this.outputDir, 'sentiment_scores.csv'), SCORE_COLUMNS, scores)
+    };
+    const aggregates = {};
+
+    for (const dimension of dimensions) {
+      aggregates[dimension] = this.aggregate(impressions, scoresById, DIMENSIONS[dimension]);
+      files[dimension] = OutputWriter.writeCSV(
+        path.join(this.outputDir, `sentiment_by_${dimension}.csv`),
+        AGGREGATE_COLUMNS,
+        aggregates[dimension]
+      );
+    }
+
+    const summary = {
+      generated_at: new Date().toISOString(),
+      posts: posts.length,
+      scored_posts: scores.length,
+      languages: this.countBy(scores, 'language'),
+      scorers: this.countBy(scores, 'scorer'),
+      content_types: this.countBy(scores, 'content_type'),
+      impressions: impressions.length,
+      files,
+      aggregates
+    };
+    OutputWriter.writeJSON(path.join(this.outputDir, 'sentiment_summary.json'), summary);
+
+    return summary;
+  }
+}
+
+module.exports = SentimentAnalyzer;
+module.exports.DIMENSIONS = DIMENSIONS;
@@ -0,0 +1,140 @@
+const Sentiment = require('sentiment');
+const { SentimentAnalyzer: NaturalSentimentAnalyzer } = require('natural');
+const LanguageDetector = require('./language-detector');
+
+/**
+ * Scorer for English captions: AFINN-165 via the `sentiment` package
+ * Integer word valences in [-5, 5].
+ */
+class AfinnEnglishScorer {
+  constructor() {
+    this.id = 'afinn-en';
+    this.language = 'en';
+    this.sentiment = new Sentiment();
+  }
+
+  /**
+   * @param {string} text - Caption text (URLs already removed)
+   * @returns {Object} score, comparative, positive_tokens, negative_tokens, token_count
+   */
+  score(text) {
+    const result = this.sentiment.analyze(text);
+    return {
+      score: result.score,
+      comparative: result.comparative,
+      positive_tokens: result.positive,
+      negative_tokens: result.negative,
+      token_count: result.tokens.length
+    };
+  }
+}
+
+const NEGATION_WINDOW = 3;
+
+/**
+ * Scorer for a word-valence lexicon shipped with the `natural` package
+ * Sums word valences over the caption; a negation word flips the valence of the
+ * next scored word within NEGATION_WINDOW tokens. The output has the same shape
+ * as AfinnEnglishScorer.
+ */
+class LexiconScorer {
+  /**
+   * @param {Object} options - Scorer options
+   * @param {string} options.id - Scorer ID recorded with every score
+   * @param {string} options.language - ISO 639-1 language code
+   * @param {string} options.naturalLanguage - Language name understood by natural
+   * @param {string} options.vocabularyType - natural vocabulary type ('afinn', 'pattern', ...)
+   */
+  constructor({ id, language, naturalLanguage, vocabularyType }) {
+    this.id = id;
+    this.language = language;
+
+    const analyzer = new NaturalSentimentAnalyzer(naturalLanguage, null, vocabularyType);
+    this.vocabulary = new Map();
+    for (const [word, valence] of Object.entries(analyzer.vocabulary)) {
+      const key = word.toLowerCase();
+      if (!this.vocabulary.has(key)) {
+        this.vocabulary.set(key, Number(valence));
+      }
+    }
+    this.negations = new Set((analyzer.negations || []).map(word => word.toLowerCase()));
+  }
+
+  /**
+   * @param {string} text - Caption text (URLs already removed)
+   * @returns {Object} score, comparative, positive_tokens, negative_tokens, token_count
+   */
+  score(text) {
+    const tokens = LanguageDetector.tokenize(text);
+    const positive = [];
+    const negative = [];
+    let score = 0;
+    let negateFor = 0;
+
+    for (const token of tokens) {
+      if (this.negations.has(token)) {
+        negateFor = NEGATION_WINDOW;
+        continue;
+      }
+
+      const negate = negateFor > 0;
+      negateFor = Math.max(0, negateFor - 1);
+
+      const valence = this.vocabulary.get(token);
+      if (valence === undefined || Number.isNaN(valence) || valence === 0) {
+        continue;
+      }
+
+      const signed = negate ? -valence : valence;
+      negateFor = 0;
+      score += signed;
+      (signed > 0 ? positive : negative).push(token);
+    }
+
+    return {
+      score,
+      comparative: tokens.length > 0 ? score / tokens.length : 0,
+      positive_tokens: positive,
+      negative_tokens: negative,
+      token_count: tokens.length
+    };
+  }
+}
+
+/**
+ * Scorer IDs per language
+ * Lexicons use different valence scales (AFINN: integers in [-5, 5], pattern: [-1, 1]),
+ * so scores are only comparable between captions with the same scorer.
+ */
+const SCORER_DEFINITIONS = {
+  en: () => new AfinnEnglishScorer(),
+  de: () => new LexiconScorer({ id: 'pattern-de', language: 'de', naturalLanguage: 'German', vocabularyType: 'pattern' }),
+  pt: () => new LexiconScorer({ id: 'afinn-pt', language: 'pt', naturalLanguage: 'Portuguese', vocabularyType: 'afinn' })
+};
+
+/**
+ * Language used for captions whose language could not be detected
+ */
+const FALLBACK_LANGUAGE = 'en';
+
+const scorers = new Map();
+
+/**
+ * Get the scorer for a detected language (created once and cached)
+ * @param {string} language - Detected language code or 'unknown'
+ * @returns {Object} Scorer with id, language and score(text)
+ */
+function getScorer(language) {
+  const key = SCORER_DEFINITIONS[language] ? language : FALLBACK_LANGUAGE;
+  if (!scorers.has(key)) {
+    scorers.set(key, SCORER_DEFINITIONS[key]());
+  }
+  return scorers.get(key);
+}
+
+module.exports = {
+  AfinnEnglishScorer,
+  LexiconScorer,
+  FALLBACK_LANGUAGE,
+  getScorer
+};
@@ -0,0 +1,466 @@
+const path = require('path');
+const { createLogger } = require('../utils/logger');
+const logger = createLogger('SignificanceAnalyzer');
+const defaults = require('../config/defaults');
+const Dataset = require('./dataset');
+const OutputWriter = require('./output-writer');
+const Statistics = require('./statistics');
+const SentimentAnalyzer = require('./sentiment-analyzer');
+const HashtagNetworkAnalyzer = require('./hashtag-network-analyzer');
+
+const RESULT_COLUMNS = [
+  'family',
+  'group_a',
+  'group_b',
+  'measure',
+  'scorer',
+  'test',
+  'unit',
+  'n_a',
+  'n_b',
+  'statistic',
+  'df',
+  'p_value',
+  'p_adjusted',
+  'significant',
+  'effect_measure',
+  'effect_size',
+  'effect_ci_low',
+  'effect_ci_high',
+  'ci_method',
+  'ci_excludes_estimate',
+  'mean_a',
+  'mean_b',
+  'mean_difference',
+  'difference_ci_low',
+  'difference_ci_high',
+  'min_expected',
+  'note'
+];
+
+/**
+ * Persona attributes groups can be defined on: CLI name -> impression field
+ */
+const DIMENSIONS = {
+  political_spectrum: 'political_spectrum',
+  region: 'region',
+  gender: 'gender',
+  persona: 'persona_id'
+};
+
+/**
+ * Sampling unit of every test: a post shown to a persona, counted once however often
+ * it was shown. Impressions are not independent (the same reel shown to one persona
+ * in several sessions would count several times), so tests run on these units instead.
+ */
+const UNIT = 'persona_post';
+
+/**
+ * Note on results whose BCa interval does not contain the estimate (reported as computed, not widened)
+ */
+const CI_EXCLUDES_NOTE = 'BCa interval excludes the estimate; bootstrap distribution is degenerate or strongly skewed';
+
+/**
+ * Attributes compared when neither --by nor --groups is given
+ */
+const DEFAULT_DIMENSIONS = ['political_spectrum', 'region', 'gender'];
+
+/**
+ * SignificanceAnalyzer - Are differences between persona groups more than noise?
+ *
+ * Every pair of groups is compared on three measures:
+ * - hashtags: chi-square on hashtag occurrence counts (top hashtags + "other"), Cramér's V
+ * - topics: chi-square on each impression's dominant hashtag community (from one
+ *   co-occurrence graph over all impressions, so both groups share the topic labels), Cramér's V
+ * - sentiment: Mann–Whitney U on caption scores, per scorer, rank-biserial correlation
+ * Tests run on unique persona/post pairs (see UNIT), not on impressions. Effect sizes
+ * get BCa bootstrap confidence intervals (seeded, so reruns match), and p-values are
+ * Holm-adjusted across all tests of the run.
+ */
+class SignificanceAnalyzer {
+  /**
+   * @param {BaseStorage} storage - Storage backend to read posts/exposures from
+   * @param {string|null} outputDir - Directory for result files (default: from config)
+   */
+  constructor(storage, outputDir = null) {
+    this.storage = storage;
+    this.outputDir = outputDir || path.join(process.cwd(), defaults.analysis.outputDir);
+  }
+
+  /**
+   * Parse custom group definitions
+   * Format: "<name>=<dimension>:<value>[|<value>][,<dimension>:<value>];<name>=..."
+   * Conditions separated by ',' must all match; '|' separates alternative values.
+   * Example: "left=political_spectrum:left|center_left;right=political_spectrum:right"
+   * @param {string} spec - Group definitions
+   * @returns {Array<Object>} Groups ({ name, conditions: [{ dimension, values }] })
+   */
+  static parseGroups(spec) {
+    const groups = String(spec).split(';').map(part => part.trim()).filter(Boolean).map(part => {
+      const separator = part.indexOf('=');
+      if (separator <= 0) {
+        throw new Error(`Invalid group definition "${part}" (expected <name>=<dimension>:<value>[,...])`);
+      }
+
+      const name = part.slice(0, separator).trim();
+      const conditions = part.slice(separator + 1).split(',').map(condition => {
+        const [dimension, values] = condition.split(':').map(value => (value || '').trim());
+        if (!DIMENSIONS[dimension] || !values) {
+          throw new Error(`Invalid condition "${condition}" in group "${name}". Valid dimensions are: ${Object.keys(DIMENSIONS).join(', ')}`);
+        }
+        return { dimension, values: values.split('|').map(value => value.trim().toLowerCase()).filter(Boolean) };
+      });
+      return { name, conditions };
+    });
+
+    if (groups.length < 2) {
+      throw new Error('At least two groups are needed for a comparison');
+    }
+    const names = groups.map(group => group.name);
+    const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+    if (duplicate) {
+      throw new Error(`Duplicate group name: ${duplicate}`);
+    }
+    return groups;
+  }
+
+  /**
+   * Reduce impressions to the sampling unit: the first impression of each post per persona
+   * @param {Array<Object>} impressions - Impression records
+   * @returns {Array<Object>} One record per persona_id/post_id pair
+   */
+  static analysisUnits(impressions) {
+    const seen = new Set();
+    return impressions.filter(record => {
+      const key = `${record.persona_id}|${record.post_id}`;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Join the notes of a result row
+   * @param {Array<string|false>} notes - Notes (falsy entries are left out)
+   * @returns {string} Notes separated by '; '
+   */
+  static notes(notes) {
+    return notes.filter(Boolean).join('; ');
+  }
+
+  /**
+   * Whether an impression belongs to a custom group
+   * @param {Object} record - Impression record
+   * @param {Object} group - Group from parseGroups
+   * @returns {boolean} True if every condition matches
+   */
+  static matches(record, group) {
+    return group.conditions.every(({ dimension, values }) =>
+      values.includes(String(record[DIMENSIONS[dimension]] ?? '').toLowerCase()));
+  }
+
+  /**
+   * Group families to test: one per --by dimension (each of its values is a group),
+   * plus one 'custom' family for --groups
+   * @param {Array<Object>} impressions - Records to split (analysis units, see analysisUnits)
+   * @param {Array<string>} dimensions - Dimensions to split by
+   * @param {Array<Object>|null} customGroups - Result of parseGroups
+   * @returns {Array<Object>} Families ({ family, groups: [{ name, definition, records }] })
+   */
+  buildFamilies(impressions, dimensions, customGroups) {
+    const families = dimensions.map(dimension => ({
+      family: dimension,
+      groups: [...Dataset.groupBy(impressions, DIMENSIONS[dimension])]
+        .filter(([value]) => value !== 'unknown')
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([value, records]) => ({ name: value, definition: `${dimension}:${value}`, records }))
+    }));
+
+    if (customGroups) {
+      const groups = customGroups.map(group => ({
+        name: group.name,
+        definition: group.conditions.map(({ dimension, values }) => `${dimension}:${values.join('|')}`).join(','),
+        records: impressions.filter(record => SignificanceAnalyzer.matches(record, group))
+      }));
+
+      const memberships = groups.map(group => new Set(group.records));
+      const overlapping = impressions.filter(record => memberships.filter(members => members.has(record)).length > 1);
+      if (overlapping.length > 0) {
+        logger.warn(`${overlapping.length} persona/post pairs belong to more than one custom group; tests assume independent groups`);
+      }
+      families.push({ family: 'custom', groups });
+    }
+
+    return families;
+  }
+
+  /**
+   * Chi-square test between two groups of category lists, with a BCa bootstrap CI of Cramér's V
+   * @param {Array<Array<string>>} a - Categories per unit of group A
+   * @param {Array<Array<string>>} b - Categories per unit of group B
+   * @param {Object} settings - { top, bootstrap } (see run)
+   * @returns {Object} Result fields (see RESULT_COLUMNS) plus the contingency table
+   */
+  chiSquareTest(a, b, { top, bootstrap }) {
+    const counts = new Map();
+    for (const category of [...a, ...b].flat()) {
+      counts.set(category, (counts.get(category) || 0) + 1);
+    }
+    const kept = [...counts.entries()]
+      .sort((x, y) => y[1] - x[1] || x[0].localeCompare(y[0]))
+      .slice(0, top)
+      .map(([category]) => category);
+    const categories = kept.length < counts.size ? [...kept, 'other'] : kept;
+    const column = new Map(kept.map((category, i) => [category, i]));
+
+    const tabulate = units => {
+      const row = categories.map(() => 0);
+      for (const category of units.flat()) {
+        row[column.has(category) ? column.get(category) : categories.length - 1]++;
+      }
+      return row;
+    };
+
+    const table = [tabulate(a), tabulate(b)];
+    const result = Statistics.chiSquare(table);
+    if (!result) {
+      return { n_a: a.length, n_b: b.length, note: 'fewer than two categories or an empty group', categories, table };
+    }
+
+    const ci = Statistics.bootstrapCI(a, b, (sampleA, sampleB) => {
+      const resampled = Statistics.chiSquare([tabulate(sampleA), tabulate(sampleB)]);
+      return resampled ? resampled.cramers_v : 0;
+    }, bootstrap);
+
+    return {
+      n_a: a.length,
+      n_b: b.length,
+      statistic: Statistics.round(result.statistic),
+      df: result.df,
+      p_value: result.p_value,
+      effect_measure: 'cramers_v',
+      effect_size: Statistics.round(result.cramers_v),
+      effect_ci_low: Statistics.round(ci.low),
+      effect_ci_high: Statistics.round(ci.high),
+      ci_method: 'bca',
+      ci_excludes_estimate: ci.excludes_observed,
+      min_expected: Statistics.round(result.min_expected, 2),
+      note: SignificanceAnalyzer.notes([
+        result.min_expected < 5 && 'expected counts below 5; chi-square approximation may be poor',
+        ci.excludes_observed && CI_EXCLUDES_NOTE
+      ]),
+      categories,
+      table
+    };
+  }
+
+  /**
+   * Mann–Whitney U test between two samples, with BCa bootstrap CIs of the
+   * rank-biserial correlation and of the difference in means
+   * @param {Array<number>} a - Scores of group A
+   * @param {Array<number>} b - Scores of group B
+   * @param {Object} settings - { bootstrap } (see run)
+   * @returns {Object} Result fields (see RESULT_COLUMNS)
+   */
+  mannWhitneyTest(a, b, { bootstrap }) {
+    const result = Statistics.mannWhitney(a, b);
+    const effectCI = Statistics.bootstrapCI(a, b, (sampleA, sampleB) => Statistics.mannWhitney(sampleA, sampleB).rank_biserial, bootstrap);
+    // Fresh generator so the mean CI does not depend on how many draws the effect CI used
+    const differenceCI = Statistics.bootstrapCI(a, b, (sampleA, sampleB) => Statistics.mean(sampleA) - Statistics.mean(sampleB),
+      { ...bootstrap, random: Statistics.seededRandom(bootstrap.seed) });
+
+    return {
+      n_a: a.length,
+      n_b: b.length,
+      statistic: Statistics.round(result.u),
+      p_value: result.p_value,
+      effect_measure: 'rank_biserial',
+      effect_size: Statistics.round(result.rank_biserial),
+      effect_ci_low: Statistics.round(effectCI.low),
+      effect_ci_high: Statistics.round(effectCI.high),
+      ci_method: 'bca',
+      ci_excludes_estimate: effectCI.excludes_observed || differenceCI.excludes_observed,
+      mean_a: Statistics.round(Statistics.mean(a)),
+      mean_b: Statistics.round(Statistics.mean(b)),
+      mean_difference: Statistics.round(Statistics.mean(a) - Statistics.mean(b)),
+      difference_ci_low: Statistics.round(differenceCI.low),
+      difference_ci_high: Statistics.round(differenceCI.high),
+      note: SignificanceAnalyzer.notes([(effectCI.excludes_observed || differenceCI.excludes_observed) && CI_EXCLUDES_NOTE])
+    };
+  }
+
+  /**
+   * Run every test for one pair of groups
+   * @param {string} family - Group family
+   * @param {Object} groupA - Group ({ name, records })
+   * @param {Object} groupB - Group ({ name, records })
+   * @param {Object} context - { topicOf, scoresById, settings }
+   * @returns {Array<Object>} Result rows (without adjusted p-values)
+   */
+  compareGroups(family, groupA, groupB, { topicOf, scoresById, settings }) {
+    const base = { family, group_a: groupA.name, group_b: groupB.name, unit: UNIT };
+    const bootstrap = () => ({
+      samples: settings.bootstrapSamples,
+      confidence: settings.confidence,
+      seed: settings.seed,
+      random: Statistics.seededRandom(settings.seed)
+    });
+    const skipped = (measure, scorer, n_a, n_b) => ({
+      ...base, measure, scorer, n_a, n_b, note: `fewer than ${settings.minGroupSize} units in a group`
+    });
+    const rows = [];
+
+    const hashtagsOf = group => group.records.map(HashtagNetworkAnalyzer.hashtagsOf).filter(hashtags => hashtags.length > 0);
+    const [hashtagsA, hashtagsB] = [hashtagsOf(groupA), hashtagsOf(groupB)];
+    rows.push(Math.min(hashtagsA.length, hashtagsB.length) < settings.minGroupSize
+      ? skipped('hashtags', '', hashtagsA.length, hashtagsB.length)
+      : { ...base, measure: 'hashtags', scorer: '', test: 'chi_square', ...this.chiSquareTest(hashtagsA, hashtagsB, { top: settings.top, bootstrap: bootstrap() }) });
+
+    const topicsOf = group => group.records.map(topicOf).filter(topic => topic !== null).map(topic => [topic]);
+    const [topicsA, topicsB] = [topicsOf(groupA), topicsOf(groupB)];
+    rows.push(Math.min(topicsA.length, topicsB.length) < settings.minGroupSize
+      ? skipped('topics', '', topicsA.length, topicsB.length)
+      : { ...base, measure: 'topics', scorer: '', test: 'chi_square', ...this.chiSquareTest(topicsA, topicsB, { top: settings.top, bootstrap: bootstrap() }) });
+
+    // Lexicons use different valence scales, so sentiment is only compared within a scorer
+    const scored = group => Dataset.groupBy(
+      group.records.map(record => scoresById.get(record.post_id)).filter(Boolean),
+      'scorer'
+    );
+    const [scoredA, scoredB] = [scored(groupA), scored(groupB)];
+    const scorers = [...new Set([...scoredA.keys(), ...scoredB.keys()])].sort();
+    for (const scorer of scorers) {
+      const a = (scoredA.get(scorer) || []).map(score => score.score);
+      const b = (scoredB.get(scorer) || []).map(score => score.score);
+      rows.push(Math.min(a.length, b.length) < settings.minGroupSize
+        ? skipped('sentiment', scorer, a.length, b.length)
+        : { ...base, measure: 'sentiment', scorer, test: 'mann_whitney', ...this.mannWhitneyTest(a, b, { bootstrap: bootstrap() }) });
+    }
+
+    return rows;
+  }
+
+  /**
+   * Dominant topic of each impression: the hashtag community most of its hashtags belong to
+   * @param {Array<Object>} impressions - Impression records
+   * @returns {Function} record => community label or null (no hashtags in the graph)
+   */
+  topicAssigner(impressions) {
+    const graph = new HashtagNetworkAnalyzer(this.storage, this.outputDir)
+      .buildGraph(impressions, defaults.analysis.hashtagMinEdgeWeight);
+
+    return record => {
+      const votes = new Map();
+      for (const hashtag of HashtagNetworkAnalyzer.hashtagsOf(record)) {
+        const community = graph.communities.get(hashtag);
+        if (community) {
+          votes.set(community, (votes.get(community) || 0) + 1);
+        }
+      }
+      if (votes.size === 0) {
+        return null;
+      }
+      const [community] = [...votes.entries()].sort((x, y) => y[1] - x[1] || x[0] - y[0])[0];
+      return `community_${community}`;
+    };
+  }
+
+  /**
+   * Test all group pairs and write the results table and JSON
+   * @param {Object} options - Run options
+   * @param {Array<string>} options.dimensions - Dimensions whose values are compared pairwise (default: political_spectrum, region, gender; none if groups are given)
+   * @param {string|null} options.groups - Custom group definitions (see parseGroups)
+   * @param {number} options.top - Categories kept in chi-square tables (default: from config)
+   * @param {number} options.bootstrapSamples - Bootstrap resamples (default: from config)
+   * @param {number} options.seed - Bootstrap random seed (default: from config)
+   * @returns {Object} Summary with output file paths, groups and result rows
+   */
+  run({
+    dimensions = undefined,
+    groups = null,
+    top = defaults.analysis.chiSquareCategories,
+    bootstrapSamples = defaults.analysis.bootstrapSamples,
+    seed = defaults.analysis.bootstrapSeed
+  } = {}) {
+    const customGroups = groups ? SignificanceAnalyzer.parseGroups(groups) : null;
+    const selected = dimensions || (customGroups ? [] : DEFAULT_DIMENSIONS);
+    const invalid = selected.filter(dimension => !DIMENSIONS[dimension]);
+    if (invalid.length > 0) {
+      throw new Error(`Invalid significance dimensions: ${invalid.join(', ')}. Valid dimensions are: ${Object.keys(DIMENSIONS).join(', ')}`);
+    }
+    if (!(bootstrapSamples > 0)) {
+      throw new Error(`Bootstrap samples must be positive (got ${bootstrapSamples})`);
+    }
+
+    const settings = {
+      top,
+      bootstrapSamples,
+      seed,
+      confidence: defaults.analysis.confidenceLevel,
+      alpha: defaults.analysis.significanceAlpha,
+      minGroupSize: defaults.analysis.minGroupSize
+    };
+
+    const impressions = Dataset.loadImpressions(this.storage);
+    const units = SignificanceAnalyzer.analysisUnits(impressions);
+    const scores = new SentimentAnalyzer(this.storage, this.outputDir).scorePosts(this.storage.getAllPosts());
+    const context = {
+      topicOf: this.topicAssigner(impressions),
+      scoresById: new Map(scores.map(score => [score.post_id, score])),
+      settings
+    };
+
+    const families = this.buildFamilies(units, selected, customGroups);
+    const results = [];
+    for (const { family, groups: familyGroups } of families) {
+      logger.info(`Testing ${family}: ${familyGroups.map(group => `${group.name} (${group.records.length})`).join(', ') || 'no groups'}`);
+      for (let i = 0; i < familyGroups.length; i++) {
+        for (let j = i + 1; j < familyGroups.length; j++) {
+          results.push(...this.compareGroups(family, familyGroups[i], familyGroups[j], context));
+        }
+      }
+    }
+
+    const adjusted = Statistics.holm(results.map(row => (row.p_value === undefined ? null : row.p_value)));
+    results.forEach((row, i) => {
+      row.p_adjusted = adjusted[i];
+      row.significant = adjusted[i] === null ? null : adjusted[i] < settings.alpha;
+    });
+
+    const files = {
+      results: OutputWriter.writeCSV(path.join(this.outputDir, 'significance_results.csv'), RESULT_COLUMNS, results)
+    };
+
+    const summary = {
+      generated_at: new Date().toISOString(),
+      impressions: impressions.length,
+      unit: UNIT,
+      units: units.length,
+      alpha: settings.alpha,
+      confidence_level: settings.confidence,
+      correction: 'holm',
+      ci_method: 'bca',
+      bootstrap_samples: bootstrapSamples,
+      bootstrap_seed: seed,
+      chi_square_categories: top,
+      min_group_size: settings.minGroupSize,
+      tests: results.filter(row => row.p_value !== undefined).length,
+      ci_excluding_estimate: results.filter(row => row.ci_excludes_estimate).length,
+      significant: results.filter(row => row.significant).length,
+      groups: Object.fromEntries(families.map(({ family, groups: familyGroups }) => [
+        family,
+        familyGroups.map(group => ({ name: group.name, definition: group.definition, units: group.records.length }))
+      ])),
+      files,
+      results
+    };
+    OutputWriter.writeJSON(path.join(this.outputDir, 'significance_results.json'), summary);
+
+    return summary;
+  }
+}
+
+module.exports = SignificanceAnalyzer;
+module.exports.DIMENSIONS = DIMENSIONS;
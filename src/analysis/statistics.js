@@ -0,0 +1,430 @@
+/**
+ * Descriptive statistics, similarity and significance-test helpers for analysis modules
+ */
+class Statistics {
+  /**
+   * @param {Array<number>} values - Numeric values
+   * @returns {number|null} Arithmetic mean, or null for empty input
+   */
+  static mean(values) {
+    if (values.length === 0) {
+      return null;
+    }
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  }
+
+  /**
+   * @param {Array<number>} values - Numeric values
+   * @returns {number|null} Median, or null for empty input
+   */
+  static median(values) {
+    if (values.length === 0) {
+      return null;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  }
+
+  /**
+   * @param {Array<number>} values - Numeric values
+   * @returns {number|null} Sample standard deviation, or null with fewer than 2 values
+   */
+  static stddev(values) {
+    if (values.length < 2) {
+      return null;
+    }
+    const avg = this.mean(values);
+    const variance = values.reduce((sum, value) => sum + Math.pow(value - avg, 2), 0) / (values.length - 1);
+    return Math.sqrt(variance);
+  }
+
+  /**
+   * Jaccard similarity of two sets
+   * @param {Set} a - First set
+   * @param {Set} b - Second set
+   * @returns {number|null} |A ∩ B| / |A ∪ B|, or null if both sets are empty
+   */
+  static jaccard(a, b) {
+    let shared = 0;
+    for (const value of a) {
+      if (b.has(value)) {
+        shared++;
+      }
+    }
+    const union = a.size + b.size - shared;
+    return union === 0 ? null : shared / union;
+  }
+
+  /**
+   * Extrapolated rank-biased overlap (Webber, Moffat & Zobel 2010) of two rankings
+   * Evaluated to the depth of the shorter ranking; p sets how top-weighted the
+   * measure is (the top d ranks carry roughly 1 - p^d of the weight).
+   * @param {Array} a - First ranking (best first, no duplicates)
+   * @param {Array} b - Second ranking (best first, no duplicates)
+   * @param {number} p - Persistence in (0, 1)
+   * @returns {number|null} RBO in [0, 1], or null if either ranking is empty
+   */
+  static rbo(a, b, p = 0.9) {
+    const depth = Math.min(a.length, b.length);
+    if (depth === 0) {
+      return null;
+    }
+
+    const seenA = new Set();
+    const seenB = new Set();
+    let overlap = 0;
+    let sum = 0;
+    for (let d = 1; d <= depth; d++) {
+      const x = a[d - 1];
+      const y = b[d - 1];
+      if (x === y) {
+        overlap++;
+      } else {
+        if (seenB.has(x)) {
+          overlap++;
+        }
+        if (seenA.has(y)) {
+          overlap++;
+        }
+      }
+      seenA.add(x);
+      seenB.add(y);
+      sum += (overlap / d) * Math.pow(p, d);
+    }
+
+    return (overlap / depth) * Math.pow(p, depth) + ((1 - p) / p) * sum;
+  }
+
+  /**
+   * Standard normal cumulative distribution function
+   * Abramowitz & Stegun 7.1.26 (absolute error below 1.5e-7).
+   * @param {number} z - z score
+   * @returns {number} P(Z <= z)
+   */
+  static normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    // erfc computed directly so far tails keep their precision instead of rounding to 0
+    const erfc = (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return z >= 0 ? 1 - erfc / 2 : erfc / 2;
+  }
+
+  /**
+   * Upper tail of the chi-square distribution
+   * @param {number} statistic - Chi-square statistic
+   * @param {number} df - Degrees of freedom
+   * @returns {number} P(X >= statistic)
+   */
+  static chiSquarePValue(statistic, df) {
+    if (statistic <= 0) {
+      return 1;
+    }
+    return this._upperRegularizedGamma(df / 2, statistic / 2);
+  }
+
+  /**
+   * Pearson chi-square test of independence
+   * @param {Array<Array<number>>} table - Contingency table (rows = groups, columns = categories)
+   * @returns {Object|null} { statistic, df, p_value, cramers_v, n, min_expected }, or null if degenerate
+   */
+  static chiSquare(table) {
+    // Drop empty rows/columns: they carry no information and would give zero expected counts
+    const rows = table.filter(row => row.some(count => count > 0));
+    const keep = (rows[0] || []).map((_, column) => rows.some(row => row[column] > 0));
+    const cells = rows.map(row => row.filter((_, column) => keep[column]));
+    if (cells.length < 2 || cells[0].length < 2) {
+      return null;
+    }
+
+    const rowTotals = cells.map(row => row.reduce((sum, count) => sum + count, 0));
+    const columnTotals = cells[0].map((_, column) => cells.reduce((sum, row) => sum + row[column], 0));
+    const n = rowTotals.reduce((sum, total) => sum + total, 0);
+
+    let statistic = 0;
+    let minExpected = Infinity;
+    cells.forEach((row, i) => row.forEach((observed, j) => {
+      const expected = rowTotals[i] * columnTotals[j] / n;
+      minExpected = Math.min(minExpected, expected);
+      statistic += Math.pow(observed - expected, 2) / expected;
+    }));
+
+    const df = (cells.length - 1) * (cells[0].length - 1);
+    return {
+      statistic,
+      df,
+      p_value: this.chiSquarePValue(statistic, df),
+      cramers_v: Math.sqrt(statistic / (n * (Math.min(cells.length, cells[0].length) - 1))),
+      n,
+      min_expected: minExpected
+    };
+  }
+
+  /**
+   * Two-sided Mann–Whitney U test (normal approximation with tie correction)
+   * @param {Array<number>} a - Sample A
+   * @param {Array<number>} b - Sample B
+   * @returns {Object|null} { u, z, p_value, rank_biserial }, or null if a sample is empty
+   *   rank_biserial > 0 means values in A tend to be larger than in B
+   */
+  static mannWhitney(a, b) {
+    const n1 = a.length;
+    const n2 = b.length;
+    if (n1 === 0 || n2 === 0) {
+      return null;
+    }
+
+    const pooled = [...a.map(value => ({ value, sample: 0 })), ...b.map(value => ({ value, sample: 1 }))]
+      .sort((x, y) => x.value - y.value);
+    const n = pooled.length;
+    let rankSumA = 0;
+    let tieTerm = 0;
+    for (let i = 0; i < n;) {
+      let j = i;
+      while (j + 1 < n && pooled[j + 1].value === pooled[i].value) {
+        j++;
+      }
+      const rank = (i + j + 2) / 2;
+      const ties = j - i + 1;
+      tieTerm += Math.pow(ties, 3) - ties;
+      for (let k = i; k <= j; k++) {
+        if (pooled[k].sample === 0) {
+          rankSumA += rank;
+        }
+      }
+      i = j + 1;
+    }
+
+    const u = rankSumA - n1 * (n1 + 1) / 2;
+    const mean = n1 * n2 / 2;
+    const variance = (n1 * n2 / 12) * ((n + 1) - tieTerm / (n * (n - 1) || 1));
+    // Continuity-corrected z; all values tied means no evidence of a difference
+    const z = variance > 0 ? (Math.abs(u - mean) - 0.5) / Math.sqrt(variance) * Math.sign(u - mean) : 0;
+
+    return {
+      u,
+      z,
+      p_value: variance > 0 ? Math.min(1, 2 * this.normalCdf(-Math.abs(z))) : 1,
+      rank_biserial: 2 * u / (n1 * n2) - 1
+    };
+  }
+
+  /**
+   * Inverse of the standard normal CDF
+   * Acklam's rational approximation (relative error below 1.2e-9).
+   * @param {number} p - Probability in (0, 1)
+   * @returns {number} z with P(Z <= z) = p
+   */
+  static normalQuantile(p) {
+    if (p <= 0) {
+      return -Infinity;
+    }
+    if (p >= 1) {
+      return Infinity;
+    }
+
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const low = 0.02425;
+
+    if (p < low || p > 1 - low) {
+      const q = Math.sqrt(-2 * Math.log(p < low ? p : 1 - p));
+      const z = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+        ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+      return p < low ? z : -z;
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+      (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  }
+
+  /**
+   * Bias-corrected and accelerated (BCa) bootstrap confidence interval of a two-sample statistic
+   * The bias correction comes from where the observed value falls in the bootstrap
+   * distribution and the acceleration from a jackknife over each sample (grouped into at
+   * most jackknifeBlocks blocks for large samples). Unlike the percentile interval this
+   * follows statistics that are bounded or biased, such as Cramér's V. The interval is
+   * returned as computed; when it does not contain the observed value (a degenerate or
+   * strongly skewed bootstrap distribution, e.g. V = 0 at its bound) excludes_observed is set.
+   * @param {Array<*>} a - Sample A (units resampled with replacement)
+   * @param {Array<*>} b - Sample B
+   * @param {Function} statistic - (sampleA, sampleB) => number
+   * @param {Object} options - Bootstrap options
+   * @param {number} options.samples - Bootstrap resamples
+   * @param {number} options.confidence - Confidence level (e.g. 0.95)
+   * @param {Function} options.random - Random generator returning [0, 1)
+   * @param {number} options.jackknifeBlocks - Maximum jackknife blocks per sample (default: 200)
+   * @returns {Object|null} { low, high, observed, excludes_observed }, or null if a sample is empty
+   */
+  static bootstrapCI(a, b, statistic, { samples, confidence, random, jackknifeBlocks = 200 }) {
+    if (a.length === 0 || b.length === 0) {
+      return null;
+    }
+
+    const observed = statistic(a, b);
+    const resample = values => Array.from({ length: values.length }, () => values[Math.floor(random() * values.length)]);
+    const estimates = [];
+    for (let i = 0; i < samples; i++) {
+      estimates.push(statistic(resample(a), resample(b)));
+    }
+    estimates.sort((x, y) => x - y);
+
+    // Bias correction: ties count half, and the share is kept off 0 and 1 so z0 stays finite
+    const below = estimates.filter(value => value < observed).length;
+    const ties = estimates.filter(value => value === observed).length;
+    const share = Math.min(1 - 0.5 / samples, Math.max(0.5 / samples, (below + ties / 2) / samples));
+    const z0 = this.normalQuantile(share);
+    const acceleration = this._jackknifeAcceleration(a, b, statistic, jackknifeBlocks);
+
+    const adjusted = quantile => {
+      const z = this.normalQuantile(quantile);
+      const denominator = 1 - acceleration * (z0 + z);
+      return denominator > 0 ? this.normalCdf(z0 + (z0 + z) / denominator) : (quantile < 0.5 ? 0 : 1);
+    };
+    const tail = (1 - confidence) / 2;
+    const at = quantile => estimates[Math.min(estimates.length - 1, Math.max(0, Math.floor(quantile * estimates.length)))];
+    const low = at(adjusted(tail));
+    const high = at(adjusted(1 - tail));
+    return { low, high, observed, excludes_observed: observed < low || observed > high };
+  }
+
+  /**
+   * Holm–Bonferroni adjusted p-values (family-wise error control)
+   * @param {Array<number|null>} pValues - Raw p-values (null entries are passed through)
+   * @returns {Array<number|null>} Adjusted p-values in input order
+   */
+  static holm(pValues) {
+    const ranked = pValues
+      .map((p, index) => ({ p, index }))
+      .filter(entry => entry.p !== null && entry.p !== undefined)
+      .sort((x, y) => x.p - y.p);
+    const adjusted = pValues.map(() => null);
+    let running = 0;
+    ranked.forEach((entry, rank) => {
+      running = Math.max(running, Math.min(1, (ranked.length - rank) * entry.p));
+      adjusted[entry.index] = running;
+    });
+    return adjusted;
+  }
+
+  /**
+   * Seeded pseudo-random generator (mulberry32), so bootstrap results are reproducible
+   * @param {number} seed - Integer seed
+   * @returns {Function} Generator returning [0, 1)
+   */
+  static seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * BCa acceleration from a (grouped) jackknife, leaving out blocks of each sample in turn
+   * @private
+   */
+  static _jackknifeAcceleration(a, b, statistic, maxBlocks) {
+    const deviations = [];
+    const leaveOut = (values, other, isA) => {
+      const blocks = Math.min(values.length, maxBlocks);
+      if (blocks < 2) {
+        return;
+      }
+      const estimates = [];
+      for (let block = 0; block < blocks; block++) {
+        const start = Math.floor(block * values.length / blocks);
+        const end = Math.floor((block + 1) * values.length / blocks);
+        const rest = [...values.slice(0, start), ...values.slice(end)];
+        estimates.push(isA ? statistic(rest, other) : statistic(other, rest));
+      }
+      const mean = this.mean(estimates);
+      estimates.forEach(estimate => deviations.push(mean - estimate));
+    };
+    leaveOut(a, b, true);
+    leaveOut(b, a, false);
+
+    const squares = deviations.reduce((sum, deviation) => sum + deviation * deviation, 0);
+    const cubes = deviations.reduce((sum, deviation) => sum + deviation * deviation * deviation, 0);
+    return squares > 0 ? cubes / (6 * Math.pow(squares, 1.5)) : 0;
+  }
+
+  /**
+   * Upper regularized incomplete gamma Q(a, x) (series / continued fraction, Numerical Recipes 6.2)
+   * @private
+   */
+  static _upperRegularizedGamma(a, x) {
+    const logGammaA = this._logGamma(a);
+    if (x < a + 1) {
+      let sum = 1 / a;
+      let term = sum;
+      for (let n = 1; n < 1000; n++) {
+        term *= x / (a + n);
+        sum += term;
+        if (Math.abs(term) < Math.abs(sum) * 1e-14) {
+          break;
+        }
+      }
+      return Math.max(0, 1 - sum * Math.exp(-x + a * Math.log(x) - logGammaA));
+    }
+
+    const tiny = 1e-300;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < 1000; i++) {
+      const an = -i * (i - a);
+      b += 2;
+      d = an * d + b;
+      d = Math.abs(d) < tiny ? tiny : d;
+      c = b + an / c;
+      c = Math.abs(c) < tiny ? tiny : c;
+      d = 1 / d;
+      const delta = d * c;
+      h *= delta;
+      if (Math.abs(delta - 1) < 1e-14) {
+        break;
+      }
+    }
+    return Math.min(1, Math.exp(-x + a * Math.log(x) - logGammaA) * h);
+  }
+
+  /**
+   * Log gamma function (Lanczos approximation)
+   * @private
+   */
+  static _logGamma(x) {
+    const coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+      -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let series = 1.000000000190015;
+    for (const coefficient of coefficients) {
+      series += coefficient / ++y;
+    }
+    return -tmp + Math.log(2.5066282746310005 * series / x);
+  }
+
+  /**
+   * Round a number for output, passing null through
+   * @param {number|null} value - Value to round
+   * @param {number} digits - Decimal places
+   * @returns {number|null}
+   */
+  static round(value, digits = 4) {
+    if (value === null || value === undefined || Number.isNaN(value)) {
+      return null;
+    }
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+  }
+}
+
+module.exports = Statistics;
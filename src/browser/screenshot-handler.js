@@ -8,9 +8,17 @@ const { randomDelay } = require('../utils/random');
  * ScreenshotHandler - Handles taking screenshots of reels
  */
 class ScreenshotHandler {
-  constructor(page, persona, screenshotDir = './screenshots') {
+  /**
+   * @param {Object} page - Puppeteer page object
+   * @param {Object} persona - Persona configuration
+   * @param {string} screenshotDir - Root screenshot directory
+   * @param {string|null} sessionId - Session ID; screenshots go to <root>/<persona_id>/<session_id>/
+   */
+  constructor(page, persona, screenshotDir = './screenshots', sessionId = null) {
     this.page = page;
     this.persona = persona;
+    this.sessionId = sessionId;
+    this.screenshotsTaken = 0;
     // Resolve to absolute path to avoid issues with working directory changes
     this.screenshotDir = path.isAbsolute(screenshotDir) 
       ? screenshotDir 
@@ -53,8 +61,9 @@ class ScreenshotHandler {
         return null;
       }
 
-      // Create persona-specific screenshot directory
-      const personaScreenshotDir = path.join(this.screenshotDir, this.persona.persona_id);
+      // Create persona-specific (and session-specific) screenshot directory
+      const subPath = this.sessionId ? [this.persona.persona_id, this.sessionId] : [this.persona.persona_id];
+      const personaScreenshotDir = path.join(this.screenshotDir, ...subPath);
       try {
         if (!fs.existsSync(personaScreenshotDir)) {
           fs.mkdirSync(personaScreenshotDir, { recursive: true });
@@ -113,7 +122,8 @@ class ScreenshotHandler {
       }
 
       // Return relative path for CSV storage
-      const relativePath = `screenshots/${this.persona.persona_id}/${screenshotFilename}`;
+      const relativePath = ['screenshots', ...subPath, screenshotFilename].join('/');
+      this.screenshotsTaken++;
       logger.info(`✓ Screenshot saved successfully: ${relativePath} (${(stats.size / 1024).toFixed(1)}KB)`);
       return relativePath;
     } catch (error) {
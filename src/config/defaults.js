@@ -38,6 +38,377 @@ module.exports = {
     enabled: false
   },
 
+  /**
+   * Secret Settings
+   */
+  secrets: {
+    /**
+     * Encrypted secrets file, consulted for ${NAME} placeholders in persona files that are
+     * not set in the environment (personas/credentials/ is git-ignored).
+     * Manage it with: node src/main.js secrets set|remove|list
+     */
+    file: 'personas/credentials/secrets.json',
+
+    /**
+     * Environment variable holding the secrets file passphrase
+     */
+    keyEnv: 'PERSONA_SECRETS_KEY'
+  },
+
+  /**
+   * Persona Lifecycle Settings (see src/services/persona-state.js)
+   */
+  personaStates: {
+    /**
+     * State file: active / needs_verification / suspended / retired per persona
+     */
+    file: 'data/personas/state.json',
+
+    /**
+     * State changes kept per persona
+     */
+    historyLimit: 50
+  },
+
+  /**
+   * Redaction Settings (logs, cookie captures, packets and analysis outputs; see src/utils/redactor.js)
+   */
+  redaction: {
+    /**
+     * Keys whose values are masked. Matched case-insensitively (camelCase and '-' count as '_')
+     * against the whole key or its last '_' part, so 'password' also covers proxy_password and
+     * IPROYAL_PASSWORD. Dotted entries match a key inside a parent key (proxy.username).
+     * Sensitive environment variables and resolved persona credentials are also masked
+     * wherever their values appear in log messages.
+     */
+    sensitiveKeys: [
+      'password',
+      'passwd',
+      'passphrase',
+      'secret',
+      'secrets_key',
+      'proxy.username',
+      'iproyal_username',
+      'authorization',
+      'cookie',
+      'sessionid',
+      'csrftoken',
+      'csrf_token',
+      'ds_user_id',
+      'access_token',
+      'auth_token',
+      'verification_code',
+      'security_code'
+    ],
+
+    /**
+     * Cookies whose values are masked in data/cookies/*.csv. A short hash of the value is
+     * kept ([REDACTED:1a2b3c4d]) so changes between capture stages stay visible.
+     */
+    sessionCookies: ['sessionid', 'csrftoken', 'ds_user_id', 'rur', 'shbid', 'shbts'],
+
+    /**
+     * Replacement for masked values
+     */
+    mask: '[REDACTED]'
+  },
+
+  /**
+   * Data Minimisation Settings (see src/utils/pseudonymizer.js)
+   */
+  minimisation: {
+    /**
+     * Pseudonymize usernames and strip profile fields when posts and packets are written.
+     * The shareable export (node src/main.js export-shareable) always applies it.
+     */
+    enabled: true,
+
+    /**
+     * Environment variable holding the pseudonym salt; if unset, the salt file is used
+     * (created on first use). Keep the salt out of shared data and back it up: a new
+     * salt gives every account a new pseudonym.
+     */
+    saltEnv: 'PSEUDONYM_SALT',
+    saltFile: 'personas/credentials/pseudonym_salt',
+
+    /**
+     * Pseudonym format: prefix + first hashLength hex chars of HMAC-SHA256(salt, username)
+     */
+    pseudonymPrefix: 'u_',
+    hashLength: 16,
+
+    /**
+     * Keys in raw packets whose objects are account profiles; they are reduced to { username: <pseudonym> }
+     */
+    profileKeys: ['owner', 'user', 'sponsor', 'coauthor_producers', 'invited_coauthor_producers', 'ig_artist', 'sponsor_user'],
+
+    /**
+     * Keys removed anywhere in raw packets
+     */
+    dropKeys: ['full_name', 'profile_pic_url', 'profile_pic_id', 'hd_profile_pic_url_info', 'hd_profile_pic_versions', 'biography', 'external_url'],
+
+    /**
+     * Default output directory of the shareable export (a timestamped subdirectory is created)
+     */
+    shareableDir: 'data/shareable'
+  },
+
+  /**
+   * Data Retention Settings (node src/main.js purge; see src/storage/retention-manager.js)
+   */
+  retention: {
+    /**
+     * How long each artifact type is kept (in days); null keeps it indefinitely
+     * - rawPackets: raw intercepted packets (raw/intercepted/, raw_packets table)
+     * - mediaPackets: parsed media packets (raw/media_packets.jsonl, media_packets table)
+     * - cookies: cookie captures (data/cookies/*.csv)
+     * - screenshots: reel screenshots (screenshots/) and debug screenshots (data/*.png)
+     * - logs: lines in logs/*.log
+     * - actionLogs: per-persona action logs (data/actions/*.jsonl)
+     * - derived: posts, exposures, sessions, audio and analysis outputs; kept indefinitely
+     *   (must stay null; remove an author's records with erase-author instead)
+     */
+    days: {
+      rawPackets: 30,
+      mediaPackets: 30,
+      cookies: 30,
+      screenshots: 90,
+      logs: 30,
+      actionLogs: null,
+      derived: null
+    },
+
+    /**
+     * Locations outside the data directory that the policy covers
+     */
+    screenshotDir: 'screenshots',
+    logsDir: 'logs',
+
+    /**
+     * Directory for deletion reports (purge_<timestamp>.json, erase_<timestamp>.json)
+     */
+    reportDir: 'data/retention'
+  },
+
+  /**
+   * Engagement Settings (see src/services/engagement-guard.js)
+   */
+  engagement: {
+    /**
+     * Observation-only mode: refuse every like, comment, share and follow regardless of
+     * persona engagement settings (DATA_COLLECTION_AND_ETHICS.md). Override for a single
+     * run with --allow-engagement.
+     */
+    observationOnly: true,
+
+    /**
+     * Non-GET requests to these URLs (regular expressions) are aborted in observation-only mode
+     */
+    writeRequestPatterns: [
+      '/api/v1/web/likes/',
+      '/api/v1/media/[^/]+/(like|unlike|comment)/',
+      '/api/v1/web/comments/',
+      '/api/v1/friendships/(create|destroy)/',
+      '/api/v1/web/friendships/[^/]+/(follow|unfollow)/',
+      '/api/v1/direct_v2/'
+    ],
+
+    /**
+     * GraphQL mutations (X-FB-Friendly-Name header) aborted in observation-only mode
+     */
+    writeMutationPattern: '(Like|Comment|Follow|Share|SendMessage).*Mutation',
+
+    /**
+     * Aborted requests listed individually in the run manifest (all are counted)
+     */
+    maxRecordedRequests: 50
+  },
+
+  /**
+   * Storage Settings
+   */
+  storage: {
+    /**
+     * Default storage backend
+     * - 'sqlite': Indexed tables in data/<sqliteFile> (recommended)
+     * - 'csv': Legacy posts.csv/sessions.csv/exposures.csv files
+     * Override per run with --storage <backend>
+     */
+    backend: 'sqlite',
+
+    /**
+     * SQLite database file name (inside the data directory)
+     */
+    sqliteFile: 'reels.sqlite'
+  },
+
+  /**
+   * Raw Packet Capture Settings (intercepted fetch/XHR responses; see src/storage/packet-archive.js)
+   */
+  packetCapture: {
+    /**
+     * URL rules for persisting intercepted responses (regular expressions, case-insensitive).
+     * A response is stored if its URL matches an include pattern (any URL when the list is
+     * empty) and no exclude pattern. GraphQL reel extraction sees every response either way.
+     */
+    include: ['/graphql/query', '/api/graphql', '/api/v1/'],
+    exclude: ['/logging', '/ajax/bz', 'falco', '/api/v1/web/fxcal/', '/api/v1/qp/', '\\.(js|css|png|jpe?g|svg|woff2?)(\\?|$)'],
+
+    /**
+     * Responses whose content type contains one of these are never stored
+     */
+    excludeContentTypes: ['javascript', 'text/css', 'text/html', 'image/', 'font/'],
+
+    /**
+     * Bodies longer than this are truncated (in characters)
+     */
+    maxBodyLength: 500 * 1024,
+
+    /**
+     * Both backends write packet files to <dataDir>/raw/<dir>/, one per session
+     * (<session_id>_<part>.jsonl), listed in index.jsonl there (see PacketArchive). SQLite
+     * databases keep their raw_packets table only for packets captured before; it is read,
+     * purged and erased from, but no longer written.
+     */
+    dir: 'intercepted',
+
+    /**
+     * A session's file is closed and a new part started beyond this size (in bytes)
+     */
+    maxFileBytes: 64 * 1024 * 1024, // 64 MB
+
+    /**
+     * Gzip closed files (<session_id>_<part>.jsonl.gz)
+     */
+    compress: true,
+
+    /**
+     * Files left open by a crashed process are closed when the storage is next opened,
+     * once they have not been written to for this long (in milliseconds)
+     */
+    staleAfter: 3600000 // 1 hour
+  },
+
+  /**
+   * Replay Settings (node src/main.js replay)
+   */
+  replay: {
+    /**
+     * Gap between two packets of the same persona that starts a new session (in milliseconds)
+     * Only used for packets recorded without a session_id; the others keep their session.
+     */
+    sessionGap: 1800000, // 30 minutes
+
+    /**
+     * Directory for replay output (a fresh data directory per replay, so live data is not double counted)
+     */
+    outputDir: 'data/replay'
+  },
+
+  /**
+   * Run Manifest Settings
+   */
+  runs: {
+    /**
+     * Directory for run manifests: <dir>/<run_id>/manifest.json (and cohort.json for cohort runs)
+     */
+    dir: 'data/runs'
+  },
+
+  /**
+   * Analysis Settings
+   */
+  analysis: {
+    /**
+     * Directory for analysis outputs (relative to the working directory)
+     */
+    outputDir: 'data/analysis',
+
+    /**
+     * Tracks listed per group in audio_by_<dimension>.csv
+     */
+    topAudioTracks: 20,
+
+    /**
+     * Hashtag co-occurrence edges seen on fewer impressions than this are dropped
+     * before community detection (raise to prune one-off pairings in large datasets)
+     */
+    hashtagMinEdgeWeight: 1,
+
+    /**
+     * Hashtags listed per community in hashtag_communities_by_<dimension>.csv
+     */
+    topCommunityHashtags: 10,
+
+    /**
+     * Rank-biased overlap persistence p for feed overlap (higher = deeper ranks count more;
+     * with 0.9 the first 10 reels carry about 65% of the weight)
+     */
+    rboPersistence: 0.9,
+
+    /**
+     * Sessions of two personas starting at most this far apart are compared with RBO (in minutes)
+     */
+    sameTimeWindowMinutes: 30,
+
+    /**
+     * Significance level for group comparisons (applied to Holm-adjusted p-values)
+     */
+    significanceAlpha: 0.05,
+
+    /**
+     * Confidence level of bootstrap intervals
+     */
+    confidenceLevel: 0.95,
+
+    /**
+     * Bootstrap resamples per effect size, and the seed that makes them reproducible
+     */
+    bootstrapSamples: 1000,
+    bootstrapSeed: 42,
+
+    /**
+     * Comparisons where either group has fewer units (impressions/scores) than this are skipped
+     */
+    minGroupSize: 5,
+
+    /**
+     * Most frequent categories kept in chi-square tables; the rest are pooled as "other"
+     */
+    chiSquareCategories: 20
+  },
+
+  /**
+   * HTML Report Settings
+   */
+  report: {
+    /**
+     * Directory for generated reports (relative to the working directory)
+     */
+    outputDir: 'data/reports',
+
+    /**
+     * Write a report after scraping all personas (same as running the report command)
+     */
+    generateAfterBatch: true,
+
+    /**
+     * Hashtags/authors listed overall and per persona
+     */
+    topItems: 10,
+
+    /**
+     * Bins of the per-persona sentiment histograms
+     */
+    sentimentBins: 10,
+
+    /**
+     * Most recent screenshots embedded per persona; larger files are skipped to keep the report small
+     */
+    screenshotsPerPersona: 8,
+    maxScreenshotBytes: 2 * 1024 * 1024
+  },
+
   /**
    * Bandwidth Optimization Settings
    */
@@ -84,6 +455,65 @@ module.exports = {
     suspensionCooldown: 300000 // 5 minutes
   },
 
+  /**
+   * Cohort Settings (matched-pair runs, enabled with --cohort-by / --cohort)
+   */
+  cohort: {
+    /**
+     * How personas are grouped into cohorts
+     * - 'cohort': the `cohort` key in the persona YAML (falls back to region)
+     * - any other persona field, e.g. 'region' or 'demographics.language'
+     */
+    groupBy: 'cohort',
+
+    /**
+     * Maximum time to wait for all cohort members to finish login before
+     * starting the feeds anyway (in milliseconds)
+     */
+    readyTimeout: 600000 // 10 minutes
+  },
+
+  /**
+   * Scheduler Settings (node src/main.js schedule)
+   */
+  schedule: {
+    /**
+     * Schedule definition file (optional, see schedule.example.yaml)
+     * Values in the file override the defaults below
+     */
+    file: 'schedule.yaml',
+
+    /**
+     * Session start times in each persona's local time (demographics.timezone)
+     */
+    times: ['08:00', '19:00'],
+
+    /**
+     * Time zone for personas without a valid demographics.timezone
+     */
+    defaultTimezone: 'UTC',
+
+    /**
+     * Persistent job state (survives restarts)
+     */
+    stateFile: 'data/scheduler/state.json',
+
+    /**
+     * How often the scheduler checks for due slots (in milliseconds)
+     */
+    tickInterval: 60000, // 1 minute
+
+    /**
+     * Slots older than this when first seen are recorded as missed instead of run (in milliseconds)
+     */
+    missedGrace: 1800000, // 30 minutes
+
+    /**
+     * Jobs older than this are dropped from the state file (in days)
+     */
+    stateRetentionDays: 30
+  },
+
   /**
    * Verification Settings
    */
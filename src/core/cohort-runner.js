@@ -0,0 +1,273 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../utils/logger');
+const logger = createLogger('CohortRunner');
+const defaults = require('../config/defaults');
+
+/**
+ * StartBarrier - Releases all waiting participants at once
+ * Opens when every participant has arrived or left (failed before the feed),
+ * or when the timeout expires so one stuck login cannot hold back the cohort.
+ */
+class StartBarrier {
+  /**
+   * @param {Array<string>} participants - Participant IDs
+   * @param {number} timeoutMs - Maximum time to wait for all participants
+   */
+  constructor(participants, timeoutMs) {
+    this.pending = new Set(participants);
+    this.releasedAt = null;
+    this.timedOut = false;
+    this.promise = new Promise(resolve => {
+      this._resolve = resolve;
+    });
+    this.timer = setTimeout(() => {
+      this.timedOut = true;
+      logger.warn(`Start barrier timed out; still waiting for: ${[...this.pending].join(', ')}`);
+      this._release();
+    }, timeoutMs);
+  }
+
+  /**
+   * Mark a participant ready and wait until the barrier opens
+   * @param {string} id - Participant ID
+   * @returns {Promise<number>} Release timestamp (ms)
+   */
+  arrive(id) {
+    this.pending.delete(id);
+    this._checkRelease();
+    return this.promise;
+  }
+
+  /**
+   * Remove a participant that will never arrive
+   * @param {string} id - Participant ID
+   */
+  leave(id) {
+    this.pending.delete(id);
+    this._checkRelease();
+  }
+
+  /**
+   * @private
+   */
+  _checkRelease() {
+    if (this.pending.size === 0) {
+      this._release();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _release() {
+    if (this.releasedAt !== null) {
+      return;
+    }
+    clearTimeout(this.timer);
+    this.releasedAt = Date.now();
+    this._resolve(this.releasedAt);
+  }
+}
+
+/**
+ * CohortRunner - Runs groups of personas concurrently with aligned feed start times
+ *
+ * Personas in the same cohort (e.g. US-left and US-right) each get their own
+ * browser, log in independently and then wait at a shared barrier, so their reels
+ * feeds are sampled at the same moment instead of minutes or hours apart.
+ * Cohorts themselves run one after another. Every cohort run writes a manifest
+ * with the actual start offsets to data/runs/<run_id>/cohort.json.
+ */
+class CohortRunner {
+  /**
+   * @param {Object} options - Runner options
+   * @param {Function} options.runPersona - async (personaId, { beforeFeed }) => result
+   * @param {string} options.groupBy - 'cohort' (YAML key, falls back to region) or a persona field
+   * @param {number} options.readyTimeout - Max wait at the start barrier (ms)
+   * @param {number} options.delayBetweenCohorts - Pause between cohorts (ms)
+   * @param {string|null} options.runsDir - Directory for manifests (default: from config)
+   */
+  constructor({
+    runPersona,
+    groupBy = defaults.cohort.groupBy,
+    readyTimeout = defaults.cohort.readyTimeout,
+    delayBetweenCohorts = defaults.scraping.delayBetweenPersonas,
+    runsDir = null
+  }) {
+    this.runPersona = runPersona;
+    this.groupBy = groupBy;
+    this.readyTimeout = readyTimeout;
+    this.delayBetweenCohorts = delayBetweenCohorts;
+    this.runsDir = runsDir || path.join(process.cwd(), defaults.runs.dir);
+  }
+
+  /**
+   * Get the cohort name of a persona
+   * @param {Object} persona - Persona configuration
+   * @param {string} groupBy - Grouping key
+   * @returns {string} Cohort name
+   */
+  static cohortOf(persona, groupBy) {
+    const value = groupBy === 'cohort'
+      ? persona.cohort || persona.region
+      : groupBy.split('.').reduce((obj, key) => (obj ? obj[key] : undefined), persona);
+    return value ? String(value) : 'unknown';
+  }
+
+  /**
+   * Group personas into cohorts
+   * @param {Array<Object>} personas - Persona configurations
+   * @param {string} groupBy - Grouping key
+   * @returns {Map<string, Array<Object>>} Personas per cohort (sorted by cohort name)
+   */
+  static groupPersonas(personas, groupBy) {
+    const cohorts = new Map();
+    for (const persona of personas) {
+      const name = CohortRunner.cohortOf(persona, groupBy);
+      if (!cohorts.has(name)) {
+        cohorts.set(name, []);
+      }
+      cohorts.get(name).push(persona);
+    }
+    return new Map([...cohorts.entries()].sort((a, b) => a[0].localeCompare(b[0])));
+  }
+
+  /**
+   * Run every cohort, one after another
+   * @param {Array<Object>} personas - Persona configurations
+   * @param {string|null} onlyCohort - Run only this cohort (optional)
+   * @returns {Promise<Array<Object>>} Manifests of the cohort runs
+   */
+  async runAll(personas, onlyCohort = null) {
+    let cohorts = CohortRunner.groupPersonas(personas, this.groupBy);
+    if (onlyCohort) {
+      cohorts = new Map([...cohorts].filter(([name]) => name.toLowerCase() === onlyCohort.toLowerCase()));
+      if (cohorts.size === 0) {
+        throw new Error(`No personas found in cohort "${onlyCohort}" (grouped by ${this.groupBy})`);
+      }
+    }
+
+    logger.info(`Running ${cohorts.size} cohort(s) grouped by ${this.groupBy}: ${[...cohorts.keys()].join(', ')}`);
+
+    const manifests = [];
+    const entries = [...cohorts.entries()];
+    for (let i = 0; i < entries.length; i++) {
+      const [name, members] = entries[i];
+      manifests.push(await this.runCohort(name, members));
+
+      if (i < entries.length - 1) {
+        logger.info(`Waiting ${Math.floor(this.delayBetweenCohorts / 1000)}s before next cohort...`);
+        await new Promise(resolve => setTimeout(resolve, this.delayBetweenCohorts));
+      }
+    }
+
+    return manifests;
+  }
+
+  /**
+   * Run one cohort concurrently with an aligned feed start
+   * @param {string} name - Cohort name
+   * @param {Array<Object>} members - Personas in the cohort
+   * @returns {Promise<Object>} Cohort manifest
+   */
+  async runCohort(name, members) {
+    const runId = `cohort_${name}_${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    const personaIds = members.map(persona => persona.persona_id);
+    const barrier = new StartBarrier(personaIds, this.readyTimeout);
+    const launchedAt = Date.now();
+
+    logger.info(`========== Cohort ${name}: ${personaIds.join(', ')} ==========`);
+
+    const results = await Promise.all(members.map(async persona => {
+      const record = {
+        persona_id: persona.persona_id,
+        run_id: null,
+        session_id: null,
+        launched_at: new Date(launchedAt).toISOString(),
+        ready_at: null,
+        feed_started_at: null,
+        finished_at: null,
+        status: 'pending',
+        error: null
+      };
+
+      const beforeFeed = async () => {
+        record.ready_at = new Date().toISOString();
+        logger.info(`[${persona.persona_id}] Ready, waiting for cohort ${name} to align start...`);
+        await barrier.arrive(persona.persona_id);
+        record.feed_started_at = new Date().toISOString();
+      };
+
+      try {
+        const result = await this.runPersona(persona.persona_id, { beforeFeed, cohortId: runId });
+        record.status = (result && result.status) || 'completed';
+        record.run_id = (result && result.run_id) || null;
+        record.session_id = (result && result.session_id) || null;
+      } catch (error) {
+        record.status = 'failed';
+        record.error = error.message;
+        logger.error(`[${persona.persona_id}] Cohort member failed: ${error.message}`);
+      } finally {
+        barrier.leave(persona.persona_id);
+        record.finished_at = new Date().toISOString();
+      }
+
+      return record;
+    }));
+
+    const manifest = this._buildManifest(runId, name, barrier, results);
+    this._writeManifest(runId, manifest);
+    return manifest;
+  }
+
+  /**
+   * Build the cohort manifest with start offsets relative to the earliest feed start
+   * @private
+   */
+  _buildManifest(runId, name, barrier, results) {
+    const starts = results
+      .filter(record => record.feed_started_at)
+      .map(record => Date.parse(record.feed_started_at));
+    const reference = starts.length > 0 ? Math.min(...starts) : null;
+
+    const personas = results.map(record => ({
+      ...record,
+      start_offset_ms: reference !== null && record.feed_started_at
+        ? Date.parse(record.feed_started_at) - reference
+        : null
+    }));
+    const offsets = personas
+      .map(record => record.start_offset_ms)
+      .filter(offset => offset !== null);
+
+    return {
+      run_id: runId,
+      cohort: name,
+      group_by: this.groupBy,
+      barrier_released_at: barrier.releasedAt ? new Date(barrier.releasedAt).toISOString() : null,
+      barrier_timed_out: barrier.timedOut,
+      reference_start: reference !== null ? new Date(reference).toISOString() : null,
+      max_start_offset_ms: offsets.length > 0 ? Math.max(...offsets) : null,
+      personas
+    };
+  }
+
+  /**
+   * @private
+   */
+  _writeManifest(runId, manifest) {
+    try {
+      const runDir = path.join(this.runsDir, runId);
+      fs.mkdirSync(runDir, { recursive: true });
+      const manifestPath = path.join(runDir, 'cohort.json');
+      fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+      logger.info(`Cohort manifest written to ${manifestPath} (max start offset: ${manifest.max_start_offset_ms}ms)`);
+    } catch (error) {
+      logger.error(`Failed to write cohort manifest: ${error.message}`);
+    }
+  }
+}
+
+module.exports = CohortRunner;
+module.exports.StartBarrier = StartBarrier;
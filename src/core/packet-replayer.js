@@ -0,0 +1,271 @@
+const fs = require('fs');
+const readline = require('readline');
+const zlib = require('zlib');
+const { createLogger } = require('../utils/logger');
+const logger = createLogger('PacketReplayer');
+const defaults = require('../config/defaults');
+const GraphQLHandler = require('../network/graphql-handler');
+const GraphQLExtractor = require('../extraction/graphql-extractor');
+const ReelCollector = require('../extraction/reel-collector');
+
+/**
+ * PacketReplayer - Re-runs extraction over recorded network packets without a browser
+ *
+ * Accepts intercepted packets (session files in data/raw/intercepted/, gzipped or not,
+ * the older data/raw/intercepted_packets.jsonl, or the legacy raw_packets table) and media
+ * packets (media_packets.jsonl). Intercepted GraphQL bodies go
+ * through GraphQLHandler.processGraphQLResponse, media objects straight through
+ * GraphQLExtractor, exactly as during a live session.
+ *
+ * Packets keep the session they were captured in (session_id), and replayed rows
+ * use that ID, so they can be joined back to the original session. Packets recorded
+ * before session IDs existed are split into sessions per persona instead: a gap
+ * longer than sessionGap between two packets starts a new session. Reels are
+ * recorded in order of first capture within a session, which is the order the
+ * feed delivered them (including prefetched reels a live session may not have viewed).
+ * Packets do not show which reel was on screen, so every replayed impression is
+ * recorded with source 'replay' rather than one of the live sources. Regenerated rows
+ * keep the run ID of the packets they came from.
+ */
+class PacketReplayer {
+  /**
+   * @param {BaseStorage} storage - Storage receiving regenerated posts/exposures/sessions
+   * @param {Object} options - Replay options
+   * @param {number} options.sessionGap - Gap that splits sessions (ms, default: from config)
+   * @param {string|null} options.personaId - Only replay packets of this persona
+   */
+  constructor(storage, { sessionGap = defaults.replay.sessionGap, personaId = null } = {}) {
+    this.storage = storage;
+    this.sessionGap = sessionGap;
+    this.personaId = personaId;
+    this.sessions = new Map(); // persona_id -> open session
+    this.closedSessions = new Map(); // session_id -> { positions, postIds } of sessions already written
+    this.stats = {
+      packets: 0,
+      graphql_packets: 0,
+      media_packets: 0,
+      unparseable: 0,
+      skipped: 0,
+      sessions: 0,
+      reels: 0,
+      impressions: 0
+    };
+  }
+
+  /**
+   * Stream packets from a JSONL file
+   * @param {string} filePath - JSONL file path (.jsonl.gz files are decompressed)
+   * @returns {AsyncGenerator<Object>} Packets
+   */
+  static async *readJSONL(filePath) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Packet file not found: ${filePath}`);
+    }
+
+    const lines = readline.createInterface({
+      input: filePath.endsWith('.gz')
+        ? fs.createReadStream(filePath).pipe(zlib.createGunzip())
+        : fs.createReadStream(filePath, { encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
+
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        yield JSON.parse(line);
+      } catch (error) {
+        logger.warn(`Skipping malformed line ${lineNumber} in ${filePath}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Rebuild the persona fields stored with every packet
+   * @param {Object} packet - Raw packet
+   * @returns {Object} Minimal persona object accepted by the storage backends
+   */
+  static personaFromPacket(packet) {
+    return {
+      persona_id: packet.persona_id || 'unknown',
+      region: packet.region || 'unknown',
+      political_spectrum: packet.political_spectrum || 'unknown',
+      demographics: {
+        gender: packet.gender || 'unknown',
+        age: packet.age || 'unknown'
+      }
+    };
+  }
+
+  /**
+   * Replay a sequence of packets
+   * @param {AsyncIterable<Object>|Iterable<Object>} packets - Packets in recording order
+   * @returns {Promise<Object>} Replay statistics
+   */
+  async replay(packets) {
+    for await (const packet of packets) {
+      this.stats.packets++;
+      if (this.personaId && packet.persona_id !== this.personaId) {
+        this.stats.skipped++;
+        continue;
+      }
+      this.processPacket(packet);
+    }
+
+    for (const personaId of [...this.sessions.keys()]) {
+      this._closeSession(personaId);
+    }
+
+    logger.info(`Replay finished: ${JSON.stringify(this.stats)}`);
+    return this.stats;
+  }
+
+  /**
+   * Feed one packet through the extraction pipeline
+   * @param {Object} packet - Intercepted or media packet
+   */
+  processPacket(packet) {
+    const session = this._sessionFor(packet);
+    const capturedBefore = session.collector.getNetworkReels().length;
+
+    this._extract(packet, session);
+
+    // Keep the original capture time of every newly seen reel
+    for (const reel of session.collector.getNetworkReels().slice(capturedBefore)) {
+      session.capturedAt.set(reel.post_id, packet.timestamp);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _extract(packet, session) {
+    // Media packets carry the already-isolated media object
+    if (packet.data && typeof packet.data === 'object') {
+      this.stats.media_packets++;
+      const reelData = GraphQLExtractor.extractReelFromGraphQLItem(packet.data);
+      if (reelData && reelData.post_id) {
+        session.collector.addReel(reelData);
+      }
+      return;
+    }
+
+    const url = packet.request_url || '';
+    if (!url.includes('/graphql/query') || typeof packet.data !== 'string') {
+      this.stats.skipped++;
+      return;
+    }
+
+    this.stats.graphql_packets++;
+    try {
+      const parsedData = GraphQLHandler.parseResponseBody(packet.data);
+      if (parsedData) {
+        session.handler.processGraphQLResponse(parsedData, url, packet.request_method || 'POST');
+      }
+    } catch (error) {
+      // Bodies over 500KB were truncated at capture time and cannot be parsed
+      this.stats.unparseable++;
+      logger.debug(`Unparseable GraphQL packet at ${packet.timestamp}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get (or start) the session a packet belongs to
+   * @private
+   */
+  _sessionFor(packet) {
+    const personaId = packet.persona_id || 'unknown';
+    const time = Date.parse(packet.timestamp) || 0;
+    const sessionId = packet.session_id || null;
+    let session = this.sessions.get(personaId);
+
+    // A persona runs one session at a time, so its next session ID (or, for packets
+    // without one, a long enough gap) ends the open session
+    const ended = session && (sessionId || session.original
+      ? sessionId !== session.id
+      : time - session.lastTime > this.sessionGap);
+    if (ended) {
+      this._closeSession(personaId);
+      session = null;
+    }
+
+    if (!session) {
+      const persona = PacketReplayer.personaFromPacket(packet);
+      const collector = new ReelCollector();
+      // A resumed session continues after the reels already written for it
+      const earlier = (sessionId && this.closedSessions.get(sessionId)) || { positions: 0, postIds: new Set() };
+      session = {
+        id: sessionId || `${personaId}_replay_${time.toString(36)}`,
+        original: Boolean(sessionId),
+        earlier,
+        // Packets recorded since run manifests were introduced keep their original run
+        runId: packet.run_id || '',
+        persona,
+        collector,
+        capturedAt: new Map(),
+        // No storage: raw packets are not written again during replay
+        handler: new GraphQLHandler(null, persona, collector),
+        firstTime: time,
+        lastTime: time
+      };
+      this.sessions.set(personaId, session);
+    }
+
+    session.lastTime = Math.max(session.lastTime, time);
+    return session;
+  }
+
+  /**
+   * Write the reels of a finished session as posts + exposures and a session summary
+   * @private
+   */
+  _closeSession(personaId) {
+    const session = this.sessions.get(personaId);
+    this.sessions.delete(personaId);
+    if (!session) {
+      return;
+    }
+
+    const reels = session.collector.getNetworkReels().filter(reel => !session.earlier.postIds.has(reel.post_id));
+    reels.forEach((reel, index) => {
+      if (!reel.screenshot_path) {
+        reel.screenshot_path = '';
+      }
+      const exposure = {
+        run_id: session.runId,
+        session_id: session.id,
+        feed_position: session.earlier.positions + index,
+        source: 'replay',
+        timestamp: session.capturedAt.get(reel.post_id)
+      };
+      if (this.storage.savePost(session.persona, 'reels', reel, exposure)) {
+        this.stats.impressions++;
+      }
+    });
+
+    this.storage.saveSession(session.persona, 'reels', {
+      run_id: session.runId,
+      session_id: session.id,
+      posts_collected: reels.length,
+      likes_performed: 0,
+      duration_seconds: Math.floor((session.lastTime - session.firstTime) / 1000),
+      timestamp: new Date(session.lastTime).toISOString()
+    });
+
+    if (session.original) {
+      this.closedSessions.set(session.id, {
+        positions: session.earlier.positions + reels.length,
+        postIds: new Set([...session.earlier.postIds, ...reels.map(reel => reel.post_id)])
+      });
+    }
+
+    this.stats.sessions++;
+    this.stats.reels += reels.length;
+    logger.info(`Replayed session ${session.id}: ${reels.length} reels`);
+  }
+}
+
+module.exports = PacketReplayer;
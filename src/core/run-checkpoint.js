@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../utils/logger');
+const logger = createLogger('RunCheckpoint');
+const defaults = require('../config/defaults');
+
+/**
+ * Statuses after which a persona is not run again on resume
+ * ('skipped': not runnable in its lifecycle state when its turn came, see skip_reason)
+ */
+const DONE_STATUSES = ['completed', 'skipped'];
+
+/**
+ * RunCheckpoint - Durable progress of a run, used by --resume <run_id>
+ *
+ * Stored at <runs dir>/<run_id>/checkpoint.json and rewritten after every
+ * collected reel. A run is either a single persona session ('persona') or a
+ * sequential pass over all personas ('batch'). Per persona it records the
+ * status, the run/session IDs of its session, the reels collected so far, the
+ * next feed position and the collected post IDs, so a resumed session
+ * continues the same session without recording those reels again.
+ */
+class RunCheckpoint {
+  /**
+   * @param {Object} state - Checkpoint state (see create)
+   * @param {string|null} runsDir - Directory for run files (default: from config)
+   */
+  constructor(state, runsDir = null) {
+    this.state = state;
+    this.runsDir = runsDir || path.join(process.cwd(), defaults.runs.dir);
+    this.file = path.join(this.runsDir, state.run_id, 'checkpoint.json');
+  }
+
+  /**
+   * Start a new checkpoint and write it
+   * @param {string} runId - Run ID
+   * @param {Object} options - Run details
+   * @param {string} options.type - 'persona' or 'batch'
+   * @param {Array<string>} options.personaIds - Personas in run order
+   * @param {string} options.storageBackend - Backend the run writes to (reused on resume)
+   * @param {string|null} options.runsDir - Directory for run files (default: from config)
+   * @returns {RunCheckpoint} Checkpoint
+   */
+  static create(runId, { type, personaIds, storageBackend, runsDir = null }) {
+    const now = new Date().toISOString();
+    const personas = {};
+    for (const personaId of personaIds) {
+      personas[personaId] = RunCheckpoint.emptyEntry();
+    }
+
+    const checkpoint = new RunCheckpoint({
+      run_id: runId,
+      type,
+      storage_backend: storageBackend,
+      created_at: now,
+      updated_at: now,
+      persona_ids: personaIds,
+      personas
+    }, runsDir);
+    checkpoint.save();
+    return checkpoint;
+  }
+
+  /**
+   * Load the checkpoint of an earlier run
+   * @param {string} runId - Run ID
+   * @param {string|null} runsDir - Directory for run files (default: from config)
+   * @returns {RunCheckpoint} Checkpoint
+   */
+  static load(runId, runsDir = null) {
+    const checkpoint = new RunCheckpoint({ run_id: runId }, runsDir);
+    if (!fs.existsSync(checkpoint.file)) {
+      throw new Error(`No checkpoint found for run ${runId} (${checkpoint.file})`);
+    }
+
+    checkpoint.state = JSON.parse(fs.readFileSync(checkpoint.file, 'utf8'));
+    return checkpoint;
+  }
+
+  /**
+   * Progress record of a persona that has not started yet
+   * @returns {Object} Persona entry
+   */
+  static emptyEntry() {
+    return {
+      status: 'pending',
+      run_id: null,
+      session_id: null,
+      attempts: 0,
+      reels_collected: 0,
+      feed_position: 0,
+      last_reel_id: null,
+      post_ids: [],
+      updated_at: null
+    };
+  }
+
+  get runId() {
+    return this.state.run_id;
+  }
+
+  get type() {
+    return this.state.type;
+  }
+
+  get storageBackend() {
+    return this.state.storage_backend;
+  }
+
+  /**
+   * Personas still to run (in run order)
+   * @returns {Array<string>} Persona IDs
+   */
+  pendingPersonaIds() {
+    return this.state.persona_ids.filter(personaId => !this.isDone(personaId));
+  }
+
+  /**
+   * @param {string} personaId - Persona ID
+   * @returns {boolean} True if the persona finished or was skipped in an earlier attempt
+   */
+  isDone(personaId) {
+    const entry = this.state.personas[personaId];
+    return Boolean(entry && DONE_STATUSES.includes(entry.status));
+  }
+
+  /**
+   * Progress of a persona (added to the run if missing)
+   * @param {string} personaId - Persona ID
+   * @returns {Object} Persona entry
+   */
+  entry(personaId) {
+    if (!this.state.personas[personaId]) {
+      this.state.personas[personaId] = RunCheckpoint.emptyEntry();
+      this.state.persona_ids.push(personaId);
+    }
+    return this.state.personas[personaId];
+  }
+
+  /**
+   * Update a persona's progress and write the checkpoint
+   * @param {string} personaId - Persona ID
+   * @param {Object} fields - Entry fields to set
+   */
+  update(personaId, fields) {
+    const entry = this.entry(personaId);
+    Object.assign(entry, fields, { updated_at: new Date().toISOString() });
+    this.save();
+  }
+
+  /**
+   * Write the checkpoint (via a temp file so a crash never leaves it half-written)
+   */
+  save() {
+    try {
+      this.state.updated_at = new Date().toISOString();
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      const tmpFile = `${this.file}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(this.state, null, 2) + '\n', 'utf8');
+      fs.renameSync(tmpFile, this.file);
+    } catch (error) {
+      logger.error(`Failed to write checkpoint for run ${this.state.run_id}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = RunCheckpoint;
+module.exports.DONE_STATUSES = DONE_STATUSES;
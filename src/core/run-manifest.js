@@ -0,0 +1,253 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const { createLogger } = require('../utils/logger');
+const logger = createLogger('RunManifest');
+const defaults = require('../config/defaults');
+const Redactor = require('../utils/redactor');
+
+/**
+ * RunManifest - Provenance record for one scrapePersona invocation
+ * Written to <runs dir>/<run_id>/manifest.json. The run and session IDs it
+ * mints are stamped on every row and file the session produces, so any
+ * artifact can be traced back to the code, config and persona that made it.
+ */
+class RunManifest {
+  /**
+   * @param {Object} options - Manifest options
+   * @param {string} options.personaId - Persona being scraped
+   * @param {string|null} options.runId - Run ID (default: generated)
+   * @param {string|null} options.sessionId - Session ID (default: generated)
+   * @param {string|null} options.runsDir - Directory for manifests (default: from config)
+   */
+  constructor({ personaId, runId = null, sessionId = null, runsDir = null }) {
+    this.runId = runId || RunManifest.newRunId(personaId);
+    this.sessionId = sessionId || RunManifest.newSessionId(personaId);
+    this.runsDir = runsDir || path.join(process.cwd(), defaults.runs.dir);
+    this.manifestPath = path.join(this.runsDir, this.runId, 'manifest.json');
+    this.previousCounts = {};
+    this.manifest = {
+      run_id: this.runId,
+      session_id: this.sessionId,
+      persona_id: personaId,
+      cohort_run_id: null,
+      status: 'running',
+      error: null,
+      started_at: null,
+      resumed_at: [],
+      finished_at: null,
+      duration_seconds: null,
+      git: null,
+      config: null,
+      persona_file: null,
+      proxy_check: null,
+      engagement: null,
+      counts: {}
+    };
+  }
+
+  /**
+   * Generate a run ID: run_<persona>_<timestamp>
+   * @param {string} personaId - Persona ID
+   * @returns {string} Run ID
+   */
+  static newRunId(personaId) {
+    return `run_${personaId}_${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  }
+
+  /**
+   * Generate a session ID: <persona>_<base36 epoch ms>
+   * @param {string} personaId - Persona ID
+   * @returns {string} Session ID
+   */
+  static newSessionId(personaId) {
+    return `${personaId}_${Date.now().toString(36)}`;
+  }
+
+  /**
+   * Current git commit, branch and working tree state
+   * @param {string} cwd - Repository directory
+   * @returns {Object|null} { commit, branch, dirty } or null outside a git checkout
+   */
+  static gitInfo(cwd = process.cwd()) {
+    const git = args => execFileSync('git', args, { cwd, encoding: 'utf8', timeout: 5000, stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    try {
+      return {
+        commit: git(['rev-parse', 'HEAD']),
+        branch: git(['rev-parse', '--abbrev-ref', 'HEAD']),
+        dirty: git(['status', '--porcelain']).length > 0
+      };
+    } catch (error) {
+      logger.debug(`Git info unavailable: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * SHA-256 of a file
+   * @param {string} filePath - File to hash
+   * @returns {string|null} Hex digest, or null if the file cannot be read
+   */
+  static hashFile(filePath) {
+    try {
+      return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+    } catch (error) {
+      logger.debug(`Could not hash ${filePath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Effective configuration: defaults with CLI overrides applied
+   * @param {Object} overrides - Dotted config paths -> values (e.g. { 'browser.headless': false })
+   * @returns {Object} Config snapshot including the raw CLI arguments
+   */
+  static configSnapshot(overrides = {}) {
+    const config = JSON.parse(JSON.stringify(defaults));
+
+    for (const [key, value] of Object.entries(overrides)) {
+      if (value === undefined || value === null) {
+        continue;
+      }
+      const parts = key.split('.');
+      let target = config;
+      for (const part of parts.slice(0, -1)) {
+        target[part] = target[part] || {};
+        target = target[part];
+      }
+      target[parts[parts.length - 1]] = value;
+    }
+
+    return { ...config, cli_args: process.argv.slice(2) };
+  }
+
+  /**
+   * Summarize the IP/geo check against the persona's target country
+   * @param {Object|null} ipInfo - Result of checkIPAndLocation
+   * @param {Object|null} proxyConfig - Proxy in use, if any
+   * @param {Object} persona - Persona configuration
+   * @returns {Object} Proxy check record
+   */
+  static proxyCheck(ipInfo, proxyConfig, persona) {
+    const expected = (persona.proxy && persona.proxy.country_code) || null;
+    if (!ipInfo) {
+      return { checked: false, via_proxy: Boolean(proxyConfig), expected_country_code: expected };
+    }
+
+    return {
+      checked: true,
+      via_proxy: Boolean(proxyConfig),
+      ip: ipInfo.ip,
+      country: ipInfo.country,
+      country_code: ipInfo.countryCode,
+      city: ipInfo.city,
+      timezone: ipInfo.timezone,
+      expected_country_code: expected,
+      matches: expected ? ipInfo.countryCode.toLowerCase() === expected.toLowerCase() : null
+    };
+  }
+
+  /**
+   * Record run start and write the initial manifest
+   * @param {Object} details - Start details
+   * @param {Object} details.config - Config snapshot (see configSnapshot)
+   * @param {string|null} details.personaFile - Persona YAML path
+   * @param {string|null} details.cohortRunId - Cohort run this session belongs to
+   * @param {boolean} details.resumed - Continuing an interrupted run: keep its start time and counts
+   * @returns {string|null} Manifest path
+   */
+  start({ config, personaFile = null, cohortRunId = null, resumed = false }) {
+    const now = new Date().toISOString();
+    this.manifest.started_at = now;
+
+    const previous = resumed ? this.read() : null;
+    if (previous) {
+      this.manifest.started_at = previous.started_at || now;
+      this.manifest.resumed_at = [...(previous.resumed_at || []), now];
+      this.previousCounts = previous.counts || {};
+    }
+
+    this.manifest.cohort_run_id = cohortRunId;
+    this.manifest.git = RunManifest.gitInfo();
+    this.manifest.config = config;
+    this.manifest.persona_file = personaFile
+      ? { path: path.relative(process.cwd(), personaFile), sha256: RunManifest.hashFile(personaFile) }
+      : null;
+    return this.write();
+  }
+
+  /**
+   * Record the proxy/geo check result
+   * @param {Object} proxyCheck - See RunManifest.proxyCheck
+   */
+  setProxyCheck(proxyCheck) {
+    this.manifest.proxy_check = proxyCheck;
+  }
+
+  /**
+   * Record the write actions attempted and blocked during the session
+   * @param {Object} engagement - See EngagementGuard.summary
+   */
+  setEngagement(engagement) {
+    this.manifest.engagement = engagement;
+  }
+
+  /**
+   * Record run end and write the final manifest
+   * @param {Object} details - End details
+   * @param {string} details.status - Exit status (completed, session_failed, suspended, failed)
+   * @param {string|null} details.error - Error message for failed runs
+   * @param {Object} details.counts - Artifact counts of this attempt (added to those of earlier attempts)
+   * @returns {string|null} Manifest path
+   */
+  finish({ status, error = null, counts = {} }) {
+    const finishedAt = new Date();
+    this.manifest.status = status;
+    this.manifest.error = error;
+    this.manifest.finished_at = finishedAt.toISOString();
+    this.manifest.duration_seconds = this.manifest.started_at
+      ? Math.round((finishedAt - Date.parse(this.manifest.started_at)) / 1000)
+      : null;
+    this.manifest.counts = { ...this.previousCounts };
+    for (const [key, value] of Object.entries(counts)) {
+      this.manifest.counts[key] = (this.previousCounts[key] || 0) + value;
+    }
+    return this.write();
+  }
+
+  /**
+   * Read the manifest written by an earlier attempt of this run
+   * @returns {Object|null} Manifest, or null if none was written
+   */
+  read() {
+    try {
+      if (fs.existsSync(this.manifestPath)) {
+        return JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+      }
+    } catch (error) {
+      logger.warn(`Could not read run manifest ${this.manifestPath}: ${error.message}`);
+    }
+    return null;
+  }
+
+  /**
+   * Write the manifest (via a temp file so a crash never leaves it half-written)
+   * @returns {string|null} Manifest path, or null if writing failed
+   */
+  write() {
+    try {
+      fs.mkdirSync(path.dirname(this.manifestPath), { recursive: true });
+      const tmpPath = `${this.manifestPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(Redactor.redact(this.manifest), null, 2) + '\n', 'utf8');
+      fs.renameSync(tmpPath, this.manifestPath);
+      logger.debug(`Run manifest written to ${this.manifestPath}`);
+      return this.manifestPath;
+    } catch (error) {
+      logger.error(`Failed to write run manifest: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = RunManifest;
@@ -0,0 +1,341 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('yaml');
+const { createLogger } = require('../utils/logger');
+const logger = createLogger('Scheduler');
+const defaults = require('../config/defaults');
+const TimeZones = require('../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Scheduler - Launches persona sessions at fixed local times in each persona's time zone
+ *
+ * Slots are derived from the schedule definition (e.g. 08:00 and 19:00) and the
+ * persona's demographics.timezone. Every slot becomes a job in a persistent state
+ * file, so after a restart the scheduler knows which slots already ran, which
+ * were interrupted, and which were missed while it was down.
+ *
+ * Job statuses: pending, running, completed, session_failed, suspended, skipped (persona not
+ * runnable, see PersonaStateStore), failed, missed, interrupted
+ */
+class Scheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {Function} options.loadPersonas - () => Array of persona configurations
+   * @param {Function} options.runPersona - async (personaId) => run result ({ status })
+   * @param {Object} options.definition - Schedule definition (see Scheduler.loadDefinition)
+   * @param {string|null} options.stateFile - Path of the job state file (default: from config)
+   */
+  constructor({ loadPersonas, runPersona, definition = Scheduler.loadDefinition(), stateFile = null }) {
+    this.loadPersonas = loadPersonas;
+    this.runPersona = runPersona;
+    this.definition = definition;
+    this.stateFile = stateFile || path.join(process.cwd(), defaults.schedule.stateFile);
+    this.state = this.loadState();
+    this.stopped = false;
+    this._wake = null;
+  }
+
+  /**
+   * Load the schedule definition: defaults.schedule overridden by the YAML file if present
+   * @param {string|null} filePath - Schedule YAML (default: defaults.schedule.file)
+   * @returns {Object} { times, personas, overrides, tickInterval, missedGrace, defaultTimezone }
+   */
+  static loadDefinition(filePath = null) {
+    const definitionPath = filePath || path.join(process.cwd(), defaults.schedule.file);
+    let fromFile = {};
+
+    if (fs.existsSync(definitionPath)) {
+      fromFile = yaml.parse(fs.readFileSync(definitionPath, 'utf8')) || {};
+      logger.info(`Loaded schedule definition from ${definitionPath}`);
+    } else if (filePath) {
+      throw new Error(`Schedule file not found: ${definitionPath}`);
+    } else {
+      logger.info(`No ${defaults.schedule.file} found, using default schedule from config`);
+    }
+
+    const definition = {
+      times: fromFile.times || defaults.schedule.times,
+      personas: fromFile.personas || [],
+      overrides: fromFile.overrides || {},
+      tickInterval: fromFile.tickInterval || defaults.schedule.tickInterval,
+      missedGrace: fromFile.missedGrace || defaults.schedule.missedGrace,
+      defaultTimezone: fromFile.defaultTimezone || defaults.schedule.defaultTimezone
+    };
+
+    // Validate all times up front so a typo fails at startup, not at 08:00
+    [definition.times, ...Object.values(definition.overrides).map(o => o.times || [])]
+      .forEach(times => times.forEach(time => TimeZones.parseTime(time)));
+
+    return definition;
+  }
+
+  /**
+   * Load the persisted job state (creates an empty state if missing)
+   * @returns {Object} { last_tick, jobs }
+   */
+  loadState() {
+    try {
+      if (fs.existsSync(this.stateFile)) {
+        return JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+      }
+    } catch (error) {
+      logger.error(`Failed to read scheduler state (${this.stateFile}): ${error.message}`);
+      throw error;
+    }
+    return { last_tick: null, jobs: {} };
+  }
+
+  /**
+   * Persist the job state (write to a temp file, then rename)
+   */
+  saveState() {
+    const cutoff = Date.now() - defaults.schedule.stateRetentionDays * DAY_MS;
+    for (const [id, job] of Object.entries(this.state.jobs)) {
+      if (Date.parse(job.scheduled_at) < cutoff) {
+        delete this.state.jobs[id];
+      }
+    }
+
+    fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+    const tmpFile = `${this.stateFile}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(this.state, null, 2) + '\n', 'utf8');
+    fs.renameSync(tmpFile, this.stateFile);
+  }
+
+  /**
+   * Personas covered by the schedule
+   * @returns {Array<Object>} Persona configurations
+   */
+  getScheduledPersonas() {
+    const personas = this.loadPersonas();
+    if (!this.definition.personas || this.definition.personas.length === 0) {
+      return personas;
+    }
+    return personas.filter(persona => this.definition.personas.includes(persona.persona_id));
+  }
+
+  /**
+   * Time zone of a persona (demographics.timezone, or the configured default)
+   * @param {Object} persona - Persona configuration
+   * @returns {string} IANA time zone
+   */
+  timezoneFor(persona) {
+    const timeZone = persona?.demographics?.timezone;
+    if (timeZone && TimeZones.isValid(timeZone)) {
+      return timeZone;
+    }
+    if (timeZone) {
+      logger.warn(`Unknown timezone "${timeZone}" for ${persona.persona_id}, using ${this.definition.defaultTimezone}`);
+    }
+    return this.definition.defaultTimezone;
+  }
+
+  /**
+   * Enumerate schedule slots for a persona in (fromMs, toMs]
+   * @param {Object} persona - Persona configuration
+   * @param {number} fromMs - Exclusive start (epoch ms)
+   * @param {number} toMs - Inclusive end (epoch ms)
+   * @returns {Array<Object>} Slots sorted by time ({ id, persona_id, timezone, local, scheduled_at })
+   */
+  slotsBetween(persona, fromMs, toMs) {
+    const timeZone = this.timezoneFor(persona);
+    const override = this.definition.overrides[persona.persona_id];
+    const times = (override && override.times) || this.definition.times;
+    const slots = [];
+
+    // Walk local calendar days covering the window (one extra day on each side for offsets)
+    const [startYear, startMonth, startDay] = TimeZones.localDate(fromMs - DAY_MS, timeZone).split('-').map(Number);
+    const days = Math.ceil((toMs - fromMs) / DAY_MS) + 3;
+
+    for (let i = 0; i < days; i++) {
+      const date = new Date(Date.UTC(startYear, startMonth - 1, startDay + i));
+      const localDay = date.toISOString().slice(0, 10);
+
+      for (const time of times) {
+        const { hour, minute } = TimeZones.parseTime(time);
+        const scheduledAt = TimeZones.localToUtc({
+          year: date.getUTCFullYear(),
+          month: date.getUTCMonth() + 1,
+          day: date.getUTCDate(),
+          hour,
+          minute
+        }, timeZone).getTime();
+
+        if (scheduledAt > fromMs && scheduledAt <= toMs) {
+          const local = `${localDay}T${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+          slots.push({
+            id: `${persona.persona_id}@${local}`,
+            persona_id: persona.persona_id,
+            timezone: timeZone,
+            local,
+            scheduled_at: scheduledAt
+          });
+        }
+      }
+    }
+
+    return slots.sort((a, b) => a.scheduled_at - b.scheduled_at);
+  }
+
+  /**
+   * Mark jobs left 'running' by a previous process as interrupted
+   */
+  recoverInterruptedJobs() {
+    let recovered = 0;
+    for (const job of Object.values(this.state.jobs)) {
+      if (job.status === 'running') {
+        job.status = 'interrupted';
+        job.finished_at = null;
+        job.error = 'Scheduler stopped while the session was running';
+        recovered++;
+        logger.warn(`Job ${job.id} was interrupted by a scheduler restart`);
+      }
+    }
+    if (recovered > 0) {
+      this.saveState();
+    }
+  }
+
+  /**
+   * Check for due slots, record missed ones and run the due sessions one after another
+   * @param {number} now - Current time (epoch ms)
+   * @returns {Promise<Array<Object>>} Jobs run in this tick
+   */
+  async tick(now = Date.now()) {
+    const lastTick = this.state.last_tick ? Date.parse(this.state.last_tick) : now - this.definition.missedGrace;
+    let personas;
+    try {
+      personas = this.getScheduledPersonas();
+    } catch (error) {
+      logger.error(`Failed to load personas: ${error.message}`);
+      return [];
+    }
+
+    for (const persona of personas) {
+      for (const slot of this.slotsBetween(persona, lastTick, now)) {
+        if (!this.state.jobs[slot.id]) {
+          this.state.jobs[slot.id] = {
+            id: slot.id,
+            persona_id: slot.persona_id,
+            timezone: slot.timezone,
+            local_time: slot.local,
+            scheduled_at: new Date(slot.scheduled_at).toISOString(),
+            status: 'pending',
+            started_at: null,
+            finished_at: null,
+            error: null
+          };
+        }
+      }
+    }
+
+    // Pending jobs include ones queued by a previous process that stopped before running them
+    const due = [];
+    for (const job of Object.values(this.state.jobs)) {
+      if (job.status !== 'pending') {
+        continue;
+      }
+      if (now - Date.parse(job.scheduled_at) > this.definition.missedGrace) {
+        job.status = 'missed';
+        logger.warn(`Missed slot ${job.id} (${job.scheduled_at}); scheduler was not running`);
+      } else {
+        due.push(job);
+      }
+    }
+
+    this.state.last_tick = new Date(now).toISOString();
+    this.saveState();
+
+    due.sort((a, b) => Date.parse(a.scheduled_at) - Date.parse(b.scheduled_at));
+    for (const job of due) {
+      if (this.stopped) {
+        break;
+      }
+      await this.runJob(job);
+    }
+
+    return due;
+  }
+
+  /**
+   * Run a single job and persist its outcome
+   * @param {Object} job - Job record from the state
+   */
+  async runJob(job) {
+    logger.info(`▶ Running ${job.persona_id} for slot ${job.local_time} (${job.timezone})`);
+    job.status = 'running';
+    job.started_at = new Date().toISOString();
+    this.saveState();
+
+    try {
+      const result = await this.runPersona(job.persona_id);
+      job.status = (result && result.status) || 'completed';
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      logger.error(`Scheduled session ${job.id} failed: ${error.message}`);
+    }
+
+    job.finished_at = new Date().toISOString();
+    this.saveState();
+    logger.info(`■ Slot ${job.id} finished: ${job.status}`);
+  }
+
+  /**
+   * Upcoming slots across all scheduled personas
+   * @param {number} horizonMs - How far ahead to look (default: 1 day)
+   * @returns {Array<Object>} Slots sorted by time
+   */
+  upcoming(horizonMs = DAY_MS) {
+    const now = Date.now();
+    return this.getScheduledPersonas()
+      .flatMap(persona => this.slotsBetween(persona, now, now + horizonMs))
+      .sort((a, b) => a.scheduled_at - b.scheduled_at);
+  }
+
+  /**
+   * Run the scheduler loop until stopped (or a single tick with once=true)
+   * @param {Object} options - Loop options
+   * @param {boolean} options.once - Run one tick and return
+   * @returns {Promise<void>}
+   */
+  async start({ once = false } = {}) {
+    this.recoverInterruptedJobs();
+
+    const next = this.upcoming().slice(0, 5);
+    logger.info(`Scheduler started (times: ${this.definition.times.join(', ')} local persona time, state: ${this.stateFile})`);
+    next.forEach(slot => {
+      logger.info(`  Next: ${slot.persona_id} at ${slot.local} ${slot.timezone} (${new Date(slot.scheduled_at).toISOString()})`);
+    });
+
+    while (!this.stopped) {
+      await this.tick(Date.now());
+      if (once) {
+        break;
+      }
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, this.definition.tickInterval);
+        this._wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+    }
+
+    logger.info('Scheduler stopped');
+  }
+
+  /**
+   * Stop the loop after the current job finishes
+   */
+  stop() {
+    this.stopped = true;
+    if (this._wake) {
+      this._wake();
+    }
+  }
+}
+
+module.exports = Scheduler;
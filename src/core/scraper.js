@@ -1,6 +1,7 @@
 const { createLogger } = require('../utils/logger');
 const logger = createLogger('Scraper');
 const { randomDelay } = require('../utils/random');
+const Pseudonymizer = require('../utils/pseudonymizer');
 const BrowserFactory = require('../browser/browser-factory');
 const BrowserLifecycle = require('../browser/browser-lifecycle');
 const NetworkInterceptor = require('../network/request-interceptor');
@@ -13,6 +14,8 @@ const LoginFlow = require('../services/login-flow');
 const AppPromptHandler = require('../services/app-prompt-handler');
 const LikeHandler = require('../services/like-handler');
 const EngagementStrategy = require('../services/engagement-strategy');
+const EngagementGuard = require('../services/engagement-guard');
+const ActionLog = require('../services/action-log');
 const ScreenshotHandler = require('../browser/screenshot-handler');
 const CookieSessionCapture = require('../services/cookie-session-capture');
 const { logCurrentSite } = require('../services/auth-utils');
@@ -23,7 +26,21 @@ const { AccountSuspendedError } = require('../services/login-flow');
  * Coordinates all components to scrape Instagram Reels
  */
 class InstagramReelsScraper {
-  constructor(persona, proxyConfig = null, storage = null, headless = true, blockMediaTypes = null) {
+  /**
+   * @param {Object} persona - Persona configuration
+   * @param {Object|null} proxyConfig - Proxy configuration
+   * @param {BaseStorage|null} storage - Storage backend (see src/storage/base-storage.js)
+   * @param {boolean} headless - Whether to run in headless mode
+   * @param {Array|null} blockMediaTypes - Resource types to block, or null for default
+   * @param {Object} options - Run identification
+   * @param {string} options.runId - Run ID written with cookies (default: none)
+   * @param {string} options.sessionId - Session ID for exposures, cookies and screenshots (default: generated)
+   * @param {Object|null} options.resume - Progress of an interrupted session being continued
+   *   ({ feed_position, post_ids }); its reels are not recorded again
+   * @param {Function|null} options.onProgress - Called after every collected reel with
+   *   { reels_collected, feed_position, last_reel_id, post_ids } (used for run checkpoints)
+   */
+  constructor(persona, proxyConfig = null, storage = null, headless = true, blockMediaTypes = null, options = {}) {
     this.persona = persona;
     this.proxyConfig = proxyConfig;
     this.storage = storage;
@@ -38,6 +55,17 @@ class InstagramReelsScraper {
     this.screenshotHandler = null;
     this.cookieCapture = null;
     this.screenshotDir = './screenshots';
+    this.runId = options.runId || '';
+    this.sessionId = options.sessionId || `${persona.persona_id}_${Date.now().toString(36)}`;
+    this.feedPosition = 0;
+    this.resume = options.resume || null;
+    this.onProgress = options.onProgress || null;
+    this.actionLog = new ActionLog(persona, './data', { run_id: this.runId, session_id: this.sessionId });
+    this.engagementGuard = new EngagementGuard({
+      personaId: persona.persona_id,
+      observationOnly: options.observationOnly,
+      actionLog: this.actionLog
+    });
   }
 
   /**
@@ -67,16 +95,16 @@ class InstagramReelsScraper {
     logger.info('  ✓ ReelNavigator - Navigation handler ready');
     
     logger.info('  → LikeHandler - Initializing engagement handler...');
-    this.likeHandler = new LikeHandler(page, this.persona);
-    logger.info('  ✓ LikeHandler - Engagement handler ready');
+    this.likeHandler = new LikeHandler(page, this.persona, this.engagementGuard, this.actionLog);
+    logger.info(`  ✓ LikeHandler - Engagement handler ready (${this.engagementGuard.observationOnly ? 'observation-only, write actions blocked' : 'engagement allowed'})`);
     
     logger.info('  → ScreenshotHandler - Initializing screenshot handler...');
-    this.screenshotHandler = new ScreenshotHandler(page, this.persona, this.screenshotDir);
+    this.screenshotHandler = new ScreenshotHandler(page, this.persona, this.screenshotDir, this.sessionId);
     logger.info('  ✓ ScreenshotHandler - Screenshot handler ready');
 
     // Set up cookie capture
     logger.info('  → CookieSessionCapture - Initializing cookie tracking...');
-    this.cookieCapture = new CookieSessionCapture(this.persona);
+    this.cookieCapture = new CookieSessionCapture(this.persona, './data', { run_id: this.runId, session_id: this.sessionId });
     logger.info('  ✓ CookieSessionCapture - Cookie tracking ready');
 
     // Set up network interception
@@ -91,7 +119,7 @@ class InstagramReelsScraper {
 
     // Set up bandwidth optimization
     logger.info('  → BandwidthOptimizer - Configuring resource blocking...');
-    const bandwidthOptimizer = new BandwidthOptimizer(page, this.blockMediaTypes);
+    const bandwidthOptimizer = new BandwidthOptimizer(page, this.blockMediaTypes, this.engagementGuard);
     logger.debug(`BandwidthOptimizer initialized with blockMediaTypes: ${this.blockMediaTypes === null ? 'null (using defaults)' : JSON.stringify(this.blockMediaTypes)}`);
     bandwidthOptimizer.setup();
     logger.info('  ✓ BandwidthOptimizer - Resource blocking configured');
@@ -109,7 +137,7 @@ class InstagramReelsScraper {
       await this.cookieCapture.captureCookies(this.page, 'pre-login');
     }
     
-    const result = await LoginFlow.handleLogin(this.page, this.persona);
+    const result = await LoginFlow.handleLogin(this.page, this.persona, this.actionLog);
     
     // Capture cookies after login
     if (this.cookieCapture) {
@@ -182,6 +210,16 @@ class InstagramReelsScraper {
       
       // Reset network collection tracking
       this.reelCollector.clear();
+      this.feedPosition = 0;
+
+      // Continue an interrupted session: keep its feed positions and skip its reels
+      const resumedIds = new Set();
+      if (this.resume) {
+        this.feedPosition = this.resume.feed_position || 0;
+        (this.resume.post_ids || []).forEach(postId => resumedIds.add(postId));
+        logger.info(`Resuming session ${this.sessionId} at feed position ${this.feedPosition} (${resumedIds.size} reels already collected)`);
+      }
+      const isCollected = postId => resumedIds.has(postId) || reels.some(r => r.post_id === postId);
 
       // Scrape reels by navigating through them
       while (reelsCollected < reelsToCollect && 
@@ -197,7 +235,7 @@ class InstagramReelsScraper {
           const isOnReelPage = await this.reelNavigator.isOnReelPage();
           if (!isOnReelPage) {
             // Check for "Use the app" prompt first
-            await AppPromptHandler.handleAppPrompt(this.page);
+            await AppPromptHandler.handleAppPrompt(this.page, this.actionLog);
             
             // Check for suspension before attempting recovery
             const isSuspended = await LoginFlow.checkForSuspension(this.page);
@@ -222,7 +260,7 @@ class InstagramReelsScraper {
           
           // Check for app prompt periodically during scraping
           if (reelsCollected % 5 === 0) {
-            await AppPromptHandler.handleAppPrompt(this.page);
+            await AppPromptHandler.handleAppPrompt(this.page, this.actionLog);
           }
           
           // Check if we have new reel data from network interception
@@ -231,6 +269,7 @@ class InstagramReelsScraper {
           logger.debug(`Network cache has ${this.reelCollector.size()} reels stored`);
           
           let reelData = null;
+          let reelSource = null;
           
           // Wait for network interception to capture data
           if (currentReelId && !this.reelCollector.hasReel(currentReelId)) {
@@ -266,12 +305,14 @@ class InstagramReelsScraper {
           // Get reel data from network or DOM
           if (currentReelId && this.reelCollector.hasReel(currentReelId)) {
             reelData = this.reelCollector.getReel(currentReelId);
-            logger.debug(` Reel data from network: ${reelData.post_id} by @${reelData.author_username || 'unknown'}`);
+            reelSource = 'graphql_viewed';
+            logger.debug(` Reel data from network: ${reelData.post_id} by @${Pseudonymizer.display(reelData.author_username) || 'unknown'}`);
           } else {
             logger.debug('Network data not available for current URL, falling back to DOM extraction...');
             try {
               reelData = await DOMExtractor.extractReelData(this.page);
               if (reelData && reelData.post_id) {
+                reelSource = 'dom';
                 logger.debug(` Reel data from DOM: ${reelData.post_id}`);
                 this.reelCollector.addReel(reelData);
               }
@@ -287,80 +328,51 @@ class InstagramReelsScraper {
             reelData.screenshot_path = '';
           }
           
-          // Process any network-captured reels that haven't been saved yet
-          if (this.reelCollector.size() > 0 && reelsCollected < reelsToCollect) {
-            const unsavedReels = [];
-            for (const capturedReel of this.reelCollector.getAllReels()) {
-              if (!reels.find(r => r.post_id === capturedReel.post_id)) {
-                unsavedReels.push(capturedReel);
-              }
-            }
-            
-            const maxUnsavedToProcess = Math.min(3, reelsToCollect - reelsCollected);
-            if (unsavedReels.length > 0 && unsavedReels.length <= maxUnsavedToProcess) {
-              logger.debug(`Processing ${unsavedReels.length} unsaved network-captured reel(s)...`);
-              for (const unsavedReel of unsavedReels) {
-                if (this.storage && unsavedReel.post_id && reelsCollected < reelsToCollect) {
-                  try {
-                    if (!unsavedReel.screenshot_path) {
-                      unsavedReel.screenshot_path = '';
-                    }
-                    const saved = this.storage.savePost(this.persona, 'reels', unsavedReel);
-                    if (saved) {
-                      reels.push(unsavedReel);
-                      reelsCollected++;
-                      logger.info(` Saved network-captured reel: ${unsavedReel.post_id} by @${unsavedReel.author_username || 'unknown'}`);
-                    } else {
-                      logger.debug(` Skipped duplicate network-captured reel: ${unsavedReel.post_id}`);
-                    }
-                  } catch (saveError) {
-                    logger.debug(`Failed to save network-captured reel ${unsavedReel.post_id}: ${saveError.message}`);
-                  }
-                }
-              }
-            }
-          }
-          
+          // Reels the feed delivered ahead of the one on screen stay in the collector: they are
+          // recorded as viewed once shown, or as prefetched when the session ends (_savePrefetchedReels)
           if (reelData && reelData.post_id) {
-            // Avoid duplicates (check both in-memory and CSV)
-            if (!reels.find(r => r.post_id === reelData.post_id)) {
+            // Avoid duplicates within this session (other personas and earlier sessions still get an exposure)
+            if (!isCollected(reelData.post_id)) {
               reels.push(reelData);
-              logger.info(` Reel collected: ${reelData.post_id} by @${reelData.author_username || 'unknown'}`);
+              logger.info(` Reel collected: ${reelData.post_id} by @${Pseudonymizer.display(reelData.author_username) || 'unknown'}`);
               
-              // Save to CSV (will check for duplicates in CSV)
+              // Save to storage (post metadata once, exposure every time)
               let saved = false;
               if (this.storage) {
                 try {
-                  saved = this.storage.savePost(this.persona, 'reels', reelData);
+                  saved = this.storage.savePost(this.persona, 'reels', reelData, this._nextExposure(reelSource));
                   if (saved) {
-                    logger.debug(` CSV save completed for reel ${reelData.post_id}`);
+                    // The position is only used up by a recorded impression
+                    this.feedPosition++;
+                    logger.debug(` Storage save completed for reel ${reelData.post_id}`);
                   } else {
-                    logger.debug(` Skipped duplicate in CSV: ${reelData.post_id}`);
+                    logger.debug(` Failed to record reel in storage: ${reelData.post_id}`);
                   }
                 } catch (saveError) {
-                  logger.error(`Failed to save reel ${reelData.post_id} to CSV: ${saveError.message}`);
+                  logger.error(`Failed to save reel ${reelData.post_id} to storage: ${saveError.message}`);
                 }
               }
               
-              // Only count and process if actually saved (not a duplicate)
+              // Only count and process if the impression was recorded
               if (saved) {
                 // Maybe like the reel
                 if (this.likeHandler.shouldLikePost()) {
                   logger.debug(`Liking reel ${reelData.post_id}`);
-                  await this.likeHandler.likeReel();
+                  await this.likeHandler.likeReel(reelData.post_id);
                 }
                 
                 reelsCollected++;
                 navigationFailures = 0;
                 consecutiveNavigationFailures = 0;
+                this._reportProgress(reels);
                 
                 // Simulate watching the reel
                 const watchDuration = EngagementStrategy.getWatchDuration(this.persona);
                 logger.debug(`Watching reel (${(watchDuration / 1000).toFixed(1)}s)...`);
                 await randomDelay(watchDuration, watchDuration + 500);
               } else {
-                // Duplicate found in CSV - still count as processed but don't increment collection count
-                logger.debug(`Duplicate post ${reelData.post_id} already in CSV, skipping processing`);
+                // Storage error - still count as processed but don't increment collection count
+                logger.debug(`Could not record post ${reelData.post_id}, skipping processing`);
                 navigationFailures = 0; // Don't count as failure
               }
             } else {
@@ -426,10 +438,13 @@ class InstagramReelsScraper {
         }
       }
       
+      const prefetched = this._savePrefetchedReels(isCollected);
+      
       // Log summary
       logger.info(`📊 Collection Summary:`);
       logger.info(`   - Network interception captured: ${this.reelCollector.getNetworkReels().length} reels`);
       logger.info(`   - Total reels collected: ${reels.length}`);
+      logger.info(`   - Prefetched but not shown: ${prefetched}`);
       logger.info(`   - Network cache size: ${this.reelCollector.size()} unique reels`);
       
       if (navigationFailures >= maxFailures) {
@@ -458,6 +473,83 @@ class InstagramReelsScraper {
     }
   }
 
+  /**
+   * Record the reels the feed delivered in this session but never showed
+   * They get source 'graphql_prefetched' and the feed positions after the viewed reels,
+   * in the order they were captured, so feed_position still orders the viewed reels as seen.
+   * @param {Function} isCollected - (postId) => true for reels already recorded in this session
+   * @returns {number} Prefetched impressions recorded
+   * @private
+   */
+  _savePrefetchedReels(isCollected) {
+    if (!this.storage) {
+      return 0;
+    }
+
+    let recorded = 0;
+    for (const reel of this.reelCollector.getNetworkReels()) {
+      if (isCollected(reel.post_id)) {
+        continue;
+      }
+      try {
+        if (!reel.screenshot_path) {
+          reel.screenshot_path = '';
+        }
+        if (this.storage.savePost(this.persona, 'reels', reel, this._nextExposure('graphql_prefetched'))) {
+          this.feedPosition++;
+          recorded++;
+        }
+      } catch (saveError) {
+        logger.debug(`Failed to save prefetched reel ${reel.post_id}: ${saveError.message}`);
+      }
+    }
+    if (recorded > 0) {
+      logger.debug(`Recorded ${recorded} prefetched reel(s) after the viewed ones`);
+    }
+    return recorded;
+  }
+
+  /**
+   * Build the exposure context for the next impression in this session
+   * The caller advances feedPosition once the impression is recorded.
+   * @param {string} source - How the reel was obtained: 'graphql_viewed' (network data for the
+   *   reel on screen), 'dom' (DOM fallback for the reel on screen) or 'graphql_prefetched'
+   *   (delivered by the feed but never on screen)
+   * @returns {Object} Exposure context with session_id, zero-based feed_position and source
+   * @private
+   */
+  _nextExposure(source) {
+    return {
+      session_id: this.sessionId,
+      feed_position: this.feedPosition,
+      source
+    };
+  }
+
+  /**
+   * Report session progress after a collected reel
+   * @param {Array<Object>} reels - Reels collected in this attempt
+   * @private
+   */
+  _reportProgress(reels) {
+    if (!this.onProgress) {
+      return;
+    }
+
+    const previousIds = this.resume ? this.resume.post_ids || [] : [];
+    const postIds = [...previousIds, ...reels.map(reel => reel.post_id)];
+    try {
+      this.onProgress({
+        reels_collected: postIds.length,
+        feed_position: this.feedPosition,
+        last_reel_id: postIds[postIds.length - 1] || null,
+        post_ids: postIds
+      });
+    } catch (error) {
+      logger.warn(`Failed to record session progress: ${error.message}`);
+    }
+  }
+
   /**
    * Close browser
    */
@@ -22,7 +22,14 @@ class DOMExtractor {
           hashtags: [],
           likes_count: 0,
           comments_count: 0,
-          media_type: 'reel'
+          media_type: 'reel',
+          is_sponsored: false,
+          sponsor_username: null,
+          ad_type: null,
+          audio_id: null,
+          audio_title: null,
+          audio_artist: null,
+          audio_type: null
         };
         
         // Extract post ID from URL (supports both /reel/ and /reels/ formats)
@@ -77,6 +84,36 @@ class DOMExtractor {
           }
         }
         
+        // Sponsored label under the author name ("Sponsored" for ads, "Paid partnership with <brand>")
+        const labels = document.querySelectorAll('span, a');
+        for (const elem of labels) {
+          const text = (elem.innerText || '').trim();
+          if (text === 'Sponsored') {
+            reelData.is_sponsored = true;
+            reelData.ad_type = 'ad';
+            reelData.sponsor_username = reelData.author_username;
+            break;
+          }
+          const partnership = text.match(/^Paid partnership(?: with ([\w.]+))?$/);
+          if (partnership) {
+            reelData.is_sponsored = true;
+            reelData.ad_type = 'paid_partnership';
+            reelData.sponsor_username = partnership[1] || null;
+            break;
+          }
+        }
+        
+        // Audio link ("/reels/audio/<id>/"), labelled "Artist · Title" or "<user> · Original audio"
+        const audioLink = document.querySelector('a[href*="/reels/audio/"]');
+        if (audioLink) {
+          const audioMatch = audioLink.getAttribute('href').match(/\/reels\/audio\/(\d+)/);
+          reelData.audio_id = audioMatch ? audioMatch[1] : null;
+          const [artist, title] = (audioLink.innerText || '').split('·').map(part => part.trim());
+          reelData.audio_artist = artist || null;
+          reelData.audio_title = title || null;
+          reelData.audio_type = title && /original audio/i.test(title) ? 'original' : 'licensed';
+        }
+        
         return reelData.post_id ? reelData : null;
       });
 
@@ -57,6 +57,9 @@ class GraphQLExtractor {
       reelData.hashtags = hashtagResult.hashtags;
       reelData.hashtag_metadata = hashtagResult.metadata;
 
+      Object.assign(reelData, this.extractSponsorship(items));
+      Object.assign(reelData, this.extractAudio(items));
+
       return reelData.post_id ? reelData : null;
     } catch (error) {
       logger.debug(`Failed to extract reel from item: ${error.message}`);
@@ -64,6 +67,110 @@ class GraphQLExtractor {
     }
   }
 
+  /**
+   * Detect injected ads and branded-content partnerships on a media item
+   * Ads are injected into the feed by Instagram (ad_id / injected / ad metadata);
+   * paid partnerships are organic posts tagged with a sponsor brand.
+   * @param {Object} items - Media item object
+   * @returns {Object} { is_sponsored, sponsor_username, ad_type }
+   *   ad_type is 'ad', 'paid_partnership' or null for organic reels
+   */
+  static extractSponsorship(items) {
+    const owner = items.owner?.username || items.user?.username || null;
+
+    const isAd = Boolean(
+      items.ad_id ||
+      items.injected ||
+      items.is_ad ||
+      items.ad_action ||
+      items.ad_metadata?.length ||
+      items.dr_ad_type ||
+      items.ad_header_style
+    );
+    if (isAd) {
+      return {
+        is_sponsored: true,
+        sponsor_username: items.injected?.sponsor_username || owner,
+        ad_type: 'ad'
+      };
+    }
+
+    // Branded content: sponsor_tags (API v1) or edge_media_to_sponsor_user (GraphQL)
+    const sponsors = new Set();
+    (items.sponsor_tags || []).forEach(tag => {
+      const username = tag?.sponsor?.username || tag?.username;
+      if (username) sponsors.add(username);
+    });
+    (items.edge_media_to_sponsor_user?.edges || []).forEach(edge => {
+      const username = edge?.node?.sponsor?.username;
+      if (username) sponsors.add(username);
+    });
+
+    if (sponsors.size > 0 || items.is_paid_partnership || items.branded_content_tag_info) {
+      return {
+        is_sponsored: true,
+        sponsor_username: sponsors.size > 0 ? [...sponsors].join('|') : null,
+        ad_type: 'paid_partnership'
+      };
+    }
+
+    return { is_sponsored: false, sponsor_username: null, ad_type: null };
+  }
+
+  /**
+   * Extract the music / original audio track of a reel
+   * API v1 items carry clips_metadata (music_info for licensed tracks,
+   * original_sound_info for original audio); web GraphQL items carry
+   * clips_music_attribution_info.
+   * @param {Object} items - Media item object
+   * @returns {Object} { audio_id, audio_title, audio_artist, audio_type }
+   *   audio_type is 'licensed', 'original' or null when the item has no audio info
+   */
+  static extractAudio(items) {
+    const clips = items.clips_metadata;
+    const music = clips?.music_info?.music_asset_info;
+    const original = clips?.original_sound_info;
+
+    if (music) {
+      return {
+        audio_id: String(music.audio_cluster_id || music.audio_asset_id || music.id || clips.audio_canonical_id || '') || null,
+        audio_title: music.title || null,
+        audio_artist: music.display_artist || music.ig_username || null,
+        audio_type: 'licensed'
+      };
+    }
+
+    if (original) {
+      return {
+        audio_id: String(original.audio_asset_id || original.original_media_id || clips.audio_canonical_id || '') || null,
+        audio_title: original.original_audio_title || null,
+        audio_artist: original.ig_artist?.username || null,
+        audio_type: 'original'
+      };
+    }
+
+    const attribution = items.clips_music_attribution_info;
+    if (attribution) {
+      return {
+        audio_id: attribution.audio_id ? String(attribution.audio_id) : null,
+        audio_title: attribution.song_name || null,
+        audio_artist: attribution.artist_name || null,
+        audio_type: attribution.uses_original_audio ? 'original' : 'licensed'
+      };
+    }
+
+    if (clips?.audio_type) {
+      return {
+        audio_id: clips.audio_canonical_id ? String(clips.audio_canonical_id) : null,
+        audio_title: null,
+        audio_artist: null,
+        audio_type: clips.audio_type === 'original_sounds' ? 'original' : 'licensed'
+      };
+    }
+
+    return { audio_id: null, audio_title: null, audio_artist: null, audio_type: null };
+  }
+
   /**
    * Extract reel data from GraphQL API response
    * Based on Instagram's GraphQL structure for reels
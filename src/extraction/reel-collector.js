@@ -1,5 +1,6 @@
 const { createLogger } = require('../utils/logger');
 const logger = createLogger('ReelCollector');
+const Pseudonymizer = require('../utils/pseudonymizer');
 
 /**
  * ReelCollector - Collects and manages reel data from network interception
@@ -22,7 +23,7 @@ class ReelCollector {
     if (!this.collectedReels.has(reelData.post_id)) {
       this.collectedReels.set(reelData.post_id, reelData);
       this.networkReels.push(reelData);
-      logger.info(`  Captured reel from network: ${reelData.post_id} by @${reelData.author_username || 'unknown'}`);
+      logger.info(`  Captured reel from network: ${reelData.post_id} by @${Pseudonymizer.display(reelData.author_username) || 'unknown'}`);
     } else {
       logger.debug(` Reel ${reelData.post_id} already in cache, skipping`);
     }
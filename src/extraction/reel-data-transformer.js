@@ -26,6 +26,13 @@ class ReelDataTransformer {
       video_url: reelData.video_url || null,
       thumbnail_url: reelData.thumbnail_url || null,
       created_at: reelData.created_at || null,
+      is_sponsored: reelData.is_sponsored === true || reelData.is_sponsored === 'true' || reelData.is_sponsored === 1,
+      sponsor_username: reelData.sponsor_username || null,
+      ad_type: reelData.ad_type || null,
+      audio_id: reelData.audio_id || null,
+      audio_title: reelData.audio_title || null,
+      audio_artist: reelData.audio_artist || null,
+      audio_type: reelData.audio_type || null,
       screenshot_path: reelData.screenshot_path || '',
       source: source,
       extracted_at: new Date().toISOString()
@@ -43,6 +50,17 @@ class ReelDataTransformer {
     const merged = {
       ...domData,
       ...graphqlData,
+      // A sponsored label seen on either side marks the reel as sponsored
+      is_sponsored: Boolean(graphqlData?.is_sponsored || domData?.is_sponsored),
+      sponsor_username: graphqlData?.sponsor_username || domData?.sponsor_username || null,
+      ad_type: graphqlData?.ad_type || domData?.ad_type || null,
+      // Audio comes as one unit from whichever source identified the track
+      ...(graphqlData?.audio_id || graphqlData?.audio_type ? {} : {
+        audio_id: domData?.audio_id || null,
+        audio_title: domData?.audio_title || null,
+        audio_artist: domData?.audio_artist || null,
+        audio_type: domData?.audio_type || null
+      }),
       // Merge hashtags from both sources
       hashtags: [...new Set([
         ...(graphqlData?.hashtags || []),
@@ -1,16 +1,35 @@
 #!/usr/bin/env node
 
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
 const Persona = require('./services/persona');
 const ProxyManager = require('./services/proxy');
 const InstagramReelsScraper = require('./core/scraper');
-const CSVStorage = require('./storage/csv-storage');
+const CohortRunner = require('./core/cohort-runner');
+const RunManifest = require('./core/run-manifest');
+const RunCheckpoint = require('./core/run-checkpoint');
+const Scheduler = require('./core/scheduler');
+const PacketReplayer = require('./core/packet-replayer');
+const { BACKENDS, createStorage, copyStorage, exportToCSV, exportShareable } = require('./storage/storage-factory');
+const RetentionManager = require('./storage/retention-manager');
+const PacketArchive = require('./storage/packet-archive');
 const { createLogger } = require('./utils/logger');
 const logger = createLogger('Main');
 const { checkIPAndLocation, logIPInfo } = require('./utils/ip-checker');
 const HashtagExtractor = require('./utils/hashtag-extractor');
 const defaults = require('./config/defaults');
 const { AccountSuspendedError } = require('./services/login-flow');
+const { getFlagValue, promptSecret } = require('./utils/cli');
+const SentimentAnalyzer = require('./analysis/sentiment-analyzer');
+const AudioAnalyzer = require('./analysis/audio-analyzer');
+const HashtagNetworkAnalyzer = require('./analysis/hashtag-network-analyzer');
+const FeedOverlapAnalyzer = require('./analysis/feed-overlap-analyzer');
+const SignificanceAnalyzer = require('./analysis/significance-analyzer');
+const ReportGenerator = require('./analysis/report-generator');
+const PersonaValidator = require('./services/persona-validator');
+const SecretStore = require('./services/secret-store');
+const PersonaStateStore = require('./services/persona-state');
 
 /**
  * Parse and validate block-media CLI argument
@@ -55,9 +74,29 @@ function parseBlockMediaTypes(blockMediaArg) {
  * @param {boolean} headless - Whether to run in headless mode (default: from config)
  * @param {boolean} useProxy - Whether to use proxy (default: from config, respects persona config)
  * @param {Array|null} blockMediaTypes - Array of resource types to block, or null for default
- * @returns {Promise<void>}
+ * @param {Object} options - Additional run options
+ * @param {string} options.storageBackend - Storage backend ('sqlite' or 'csv', default: from config)
+ * @param {Function} options.beforeFeed - Awaited after login, right before the feed is scraped (cohort start alignment)
+ * @param {string} options.cohortId - Cohort run this session belongs to (recorded in the run manifest)
+ * @param {RunCheckpoint} options.checkpoint - Checkpoint of the run this session belongs to (default: a new
+ *   single-persona checkpoint); an unfinished session recorded in it is continued instead of started fresh
+ * @param {boolean} options.observationOnly - Block every write action (default: from config; --allow-engagement turns it off)
+ * @returns {Promise<Object>} Run result ({ persona_id, run_id, session_id, status, reels_collected })
  */
-async function scrapePersona(personaId, headless = defaults.browser.headless, useProxy = defaults.proxy.enabled, blockMediaTypes = null) {
+async function scrapePersona(personaId, headless = defaults.browser.headless, useProxy = defaults.proxy.enabled, blockMediaTypes = null, options = {}) {
+  // Suspended, retired or unverified accounts are not touched until their state is reset
+  const stateStore = new PersonaStateStore();
+  if (!stateStore.isRunnable(personaId)) {
+    const { state, since, reason } = stateStore.get(personaId);
+    logger.warn(`Persona ${personaId} is ${state} since ${since}${reason ? ` (${reason})` : ''}; skipping it`);
+    logger.info(`To run it again: node src/main.js personas set-state ${personaId} active`);
+    // Recorded as done, so resuming the run does not wait for this persona
+    if (options.checkpoint) {
+      options.checkpoint.update(personaId, { status: 'skipped', skip_reason: `${state}${reason ? `: ${reason}` : ''}` });
+    }
+    return { persona_id: personaId, run_id: null, session_id: null, status: 'skipped', reels_collected: 0 };
+  }
+
   // Startup banner showing configuration
   logger.info('');
   logger.info('═══════════════════════════════════════════════════════════');
@@ -75,10 +114,60 @@ async function scrapePersona(personaId, headless = defaults.browser.headless, us
   const proxyManager = new ProxyManager();
   logger.info('  ✓ ProxyManager - Proxy configuration manager');
   
-  const storage = new CSVStorage();
-  logger.info('  ✓ CSVStorage - Data persistence layer');
+  const storageBackend = options.storageBackend || defaults.storage.backend;
+  const storage = createStorage({ backend: storageBackend });
+  logger.info(`  ✓ Storage (${storageBackend}) - Data persistence layer`);
+
+  // An interrupted session of this run keeps its IDs and continues where it stopped
+  const previous = options.checkpoint ? options.checkpoint.entry(personaId) : null;
+  const resumed = Boolean(previous && previous.session_id);
+
+  // Every row and file written during this session carries these IDs
+  const runManifest = resumed
+    ? new RunManifest({ personaId, runId: previous.run_id, sessionId: previous.session_id })
+    : new RunManifest({ personaId });
+  const checkpoint = options.checkpoint ||
+    RunCheckpoint.create(runManifest.runId, { type: 'persona', personaIds: [personaId], storageBackend });
+  checkpoint.update(personaId, {
+    status: 'running',
+    run_id: runManifest.runId,
+    session_id: runManifest.sessionId,
+    attempts: checkpoint.entry(personaId).attempts + 1
+  });
+  storage.setRunContext({ run_id: runManifest.runId, session_id: runManifest.sessionId });
+  runManifest.start({
+    config: RunManifest.configSnapshot({
+      'browser.headless': headless,
+      'proxy.enabled': useProxy,
+      'bandwidth.blockMediaTypes': blockMediaTypes,
+      'storage.backend': storageBackend,
+      'engagement.observationOnly': options.observationOnly
+    }),
+    personaFile: personaLoader.getPersonaPath(personaId),
+    cohortRunId: options.cohortId || null,
+    resumed
+  });
+  logger.info(`Run ID: ${runManifest.runId} (session ${runManifest.sessionId}${resumed ? ', resumed' : ''})`);
+  if (checkpoint.runId !== runManifest.runId) {
+    logger.info(`Part of run ${checkpoint.runId}`);
+  }
+  // Snapshot: the checkpoint entry itself is updated as reels are collected
+  const resumeFrom = resumed ? { ...checkpoint.entry(personaId) } : null;
+  const previousReels = resumeFrom ? resumeFrom.reels_collected : 0;
+  const sessionProgress = previousReels > 0
+    ? { feed_position: resumeFrom.feed_position, post_ids: resumeFrom.post_ids }
+    : null;
 
   let scraper = null;
+  let runError = null;
+  let loggedIn = false;
+  const result = {
+    persona_id: personaId,
+    run_id: runManifest.runId,
+    session_id: runManifest.sessionId,
+    status: 'completed',
+    reels_collected: 0
+  };
 
   try {
     // Load persona configuration
@@ -116,12 +205,19 @@ async function scrapePersona(personaId, headless = defaults.browser.headless, us
     } else {
       logger.warn('Could not verify IP/location');
     }
+    runManifest.setProxyCheck(RunManifest.proxyCheck(ipInfo, proxyConfig, persona));
     logger.info('============================================');
 
     // Initialize scraper with headless option and blockMediaTypes
     logger.debug(`Initializing browser (headless: ${headless})...`);
     logger.info('  ✓ BrowserFactory - Creating browser instance');
-    scraper = new InstagramReelsScraper(persona, proxyConfig, storage, headless, blockMediaTypes);
+    scraper = new InstagramReelsScraper(persona, proxyConfig, storage, headless, blockMediaTypes, {
+      runId: runManifest.runId,
+      sessionId: runManifest.sessionId,
+      resume: sessionProgress,
+      observationOnly: options.observationOnly,
+      onProgress: progress => checkpoint.update(personaId, progress)
+    });
     await scraper.initialize();
     logger.info('  ✓ Scraper - Main orchestrator initialized');
     logger.info('═══════════════════════════════════════════════════════════');
@@ -131,24 +227,30 @@ async function scrapePersona(personaId, headless = defaults.browser.headless, us
     // Login to Instagram
     logger.info('Attempting Instagram login...');
     await scraper.login();
+    loggedIn = true;
     logger.info('Login successful');
 
+    if (options.beforeFeed) {
+      await options.beforeFeed(persona);
+    }
+
     // Scrape reels feed
     logger.info('========== Starting reels feed collection ==========');
     const sessionStart = Date.now();
-    let reelsCollected = 0;
-    let likesPerformed = 0;
+    let reelsCollected = previousReels;
 
     try {
       logger.debug('Navigating to reels feed...');
-      const reels = await scraper.scrapeReelsFeed(defaults.scraping.reelsPerSession);
-      reelsCollected = reels.length;
+      const reels = await scraper.scrapeReelsFeed(Math.max(0, defaults.scraping.reelsPerSession - previousReels));
+      reelsCollected = previousReels + reels.length;
+      result.reels_collected = reelsCollected;
       logger.debug(`Reels feed: collected ${reelsCollected} reels`);
 
       const duration = Math.floor((Date.now() - sessionStart) / 1000);
 
-      // Save session summary
-      logger.debug(`Saving session data to CSV...`);
+      // Save session summary (likes counted from the action log, all attempts of this session)
+      const likesPerformed = scraper.actionLog.count({ action: 'like', outcome: 'performed' });
+      logger.debug(`Saving session data to ${storageBackend} storage...`);
       storage.saveSession(persona, 'reels', {
         posts_collected: reelsCollected,
         likes_performed: likesPerformed,
@@ -157,11 +259,15 @@ async function scrapePersona(personaId, headless = defaults.browser.headless, us
 
       logger.info(`✓ Session completed: ${reelsCollected} reels collected in ${duration}s`);
 
+      // A challenge flagged during this login did not block the session
+      if (stateStore.get(personaId).state === 'needs_verification') {
+        stateStore.set(personaId, 'active', { reason: 'session completed after verification challenge', source: 'scrape' });
+      }
+
       // Generate hashtag statistics
       logger.info('========== Generating Hashtag Statistics ==========');
       try {
-        const allPosts = storage.getAllPosts();
-        const personaPosts = allPosts.filter(p => p.persona_id === personaId);
+        const personaPosts = storage.getPostsByPersona(personaId);
         
         if (personaPosts.length > 0) {
           const stats = HashtagExtractor.generateStatistics(personaPosts);
@@ -188,13 +294,22 @@ async function scrapePersona(personaId, headless = defaults.browser.headless, us
       }
       logger.info('==================================================');
     } catch (error) {
+      // Suspension ends the run (handled below), other feed errors only this session
+      if (error instanceof AccountSuspendedError || error.isSuspension) {
+        throw error;
+      }
+      result.status = 'session_failed';
+      runError = error.message;
       logger.error(`✗ Session failed: ${error.message}`);
       logger.debug(`Error stack: ${error.stack}`);
     }
 
     logger.info(`Scraping completed for ${personaId}`);
+    return result;
   } catch (error) {
       logger.error(`Failed to scrape persona ${personaId}: ${error.message}`);
+      result.status = 'failed';
+      runError = error.message;
       
       // Handle account suspension with cooldown
       if (error instanceof AccountSuspendedError || error.isSuspension) {
@@ -204,17 +319,41 @@ async function scrapePersona(personaId, headless = defaults.browser.headless, us
         logger.error('═══════════════════════════════════════════════════════════');
         logger.error(`Account for persona ${personaId} has been suspended.`);
         logger.error(`Skipping this persona and moving to the next one.`);
+        logger.error(`Later runs skip it until: node src/main.js personas set-state ${personaId} active`);
         logger.error('═══════════════════════════════════════════════════════════');
         logger.error('');
+        try {
+          stateStore.set(personaId, 'suspended', { reason: error.message, source: loggedIn ? 'scrape' : 'login' });
+        } catch (stateError) {
+          logger.warn(`Could not update persona state: ${stateError.message}`);
+        }
         // Don't rethrow - let it continue to next persona
-        return; // Exit early, skip cooldown for single persona runs
+        result.status = 'suspended';
+        return result; // Exit early, skip cooldown for single persona runs
       }
       
       throw error;
     } finally {
     if (scraper) {
       await scraper.close();
+      runManifest.setEngagement(scraper.engagementGuard.summary());
     }
+    checkpoint.update(personaId, { status: result.status });
+    const manifestPath = runManifest.finish({
+      status: result.status,
+      error: runError,
+      counts: {
+        reels_collected: checkpoint.entry(personaId).reels_collected - previousReels,
+        impressions: scraper ? Math.max(0, scraper.feedPosition - (sessionProgress ? sessionProgress.feed_position : 0)) : 0,
+        ...storage.getRunCounts(),
+        screenshots: scraper && scraper.screenshotHandler ? scraper.screenshotHandler.screenshotsTaken : 0,
+        cookies: scraper && scraper.cookieCapture ? scraper.cookieCapture.sessionCookies.length : 0
+      }
+    });
+    if (manifestPath) {
+      logger.info(`Run manifest: ${manifestPath}`);
+    }
+    storage.close();
   }
 }
 
@@ -223,25 +362,39 @@ async function scrapePersona(personaId, headless = defaults.browser.headless, us
  * @param {boolean} headless - Whether to run in headless mode (default: from config)
  * @param {boolean} useProxy - Whether to use proxy (default: from config, respects persona config)
  * @param {Array|null} blockMediaTypes - Array of resource types to block, or null for default
+ * @param {Object} options - Additional run options (see scrapePersona)
+ * @param {RunCheckpoint} options.checkpoint - Checkpoint of an interrupted batch run to continue
+ *   (default: a new batch run over all active personas)
  * @returns {Promise<void>}
  */
-async function scrapeAllPersonas(headless = defaults.browser.headless, useProxy = defaults.proxy.enabled, blockMediaTypes = null) {
-  const personaLoader = new Persona();
-  const personas = personaLoader.loadAllPersonas();
+async function scrapeAllPersonas(headless = defaults.browser.headless, useProxy = defaults.proxy.enabled, blockMediaTypes = null, options = {}) {
+  let checkpoint = options.checkpoint;
+  if (!checkpoint) {
+    const personaLoader = new Persona();
+    // Secrets are resolved per session, so a persona without them fails alone
+    const allPersonaIds = personaLoader.loadAllPersonas({ resolveSecrets: false }).map(persona => persona.persona_id);
+    checkpoint = RunCheckpoint.create(RunManifest.newRunId('all'), {
+      type: 'batch',
+      personaIds: allPersonaIds,
+      storageBackend: options.storageBackend || defaults.storage.backend
+    });
+  }
+  // Personas finished in an earlier attempt of this run are skipped
+  const personaIds = checkpoint.pendingPersonaIds();
 
   logger.info(`\n${'='.repeat(60)}`);
-  logger.info(`Found ${personas.length} personas to scrape`);
+  logger.info(`Found ${personaIds.length} personas to scrape (run ${checkpoint.runId}, resume with --resume ${checkpoint.runId})`);
   logger.info(`${'='.repeat(60)}\n`);
 
-  for (let i = 0; i < personas.length; i++) {
-    const persona = personas[i];
-    logger.info(`\n[${'='.repeat(10)} Persona ${i + 1}/${personas.length} ${'='.repeat(10)}]`);
+  for (let i = 0; i < personaIds.length; i++) {
+    const personaId = personaIds[i];
+    logger.info(`\n[${'='.repeat(10)} Persona ${i + 1}/${personaIds.length} ${'='.repeat(10)}]`);
     
     try {
-      await scrapePersona(persona.persona_id, headless, useProxy, blockMediaTypes);
+      await scrapePersona(personaId, headless, useProxy, blockMediaTypes, { ...options, checkpoint });
       
       // Delay between personas
-      if (i < personas.length - 1) {
+      if (i < personaIds.length - 1) {
         const delaySeconds = Math.floor(defaults.scraping.delayBetweenPersonas / 1000);
         logger.info(`Waiting ${delaySeconds}s before next persona...`);
         await new Promise(resolve => setTimeout(resolve, defaults.scraping.delayBetweenPersonas));
@@ -253,14 +406,14 @@ async function scrapeAllPersonas(headless = defaults.browser.headless, useProxy
         logger.error('═══════════════════════════════════════════════════════════');
         logger.error('🚫 ACCOUNT SUSPENDED');
         logger.error('═══════════════════════════════════════════════════════════');
-        logger.error(`Account for persona ${persona.persona_id} has been suspended.`);
+        logger.error(`Account for persona ${personaId} has been suspended.`);
         logger.error(`Cooldown period: ${Math.floor(defaults.scraping.suspensionCooldown / 1000)}s`);
         logger.error('Skipping this persona and moving to the next one after cooldown.');
         logger.error('═══════════════════════════════════════════════════════════');
         logger.error('');
         
         // Apply cooldown before moving to next persona
-        if (i < personas.length - 1) {
+        if (i < personaIds.length - 1) {
           const cooldownSeconds = Math.floor(defaults.scraping.suspensionCooldown / 1000);
           logger.info(`⏳ Suspension cooldown: Waiting ${cooldownSeconds}s before next persona...`);
           await new Promise(resolve => setTimeout(resolve, defaults.scraping.suspensionCooldown));
@@ -270,7 +423,7 @@ async function scrapeAllPersonas(headless = defaults.browser.headless, useProxy
         continue;
       }
       
-      logger.error(`Failed to process persona ${persona.persona_id}: ${error.message}`);
+      logger.error(`Failed to process persona ${personaId}: ${error.message}`);
       // Continue with next persona for other errors too
     }
   }
@@ -282,8 +435,9 @@ async function scrapeAllPersonas(headless = defaults.browser.headless, useProxy
   // Generate overall hashtag statistics
   logger.info('========== Overall Hashtag Statistics ==========');
   try {
-    const storage = new CSVStorage();
+    const storage = createStorage({ backend: options.storageBackend });
     const allPosts = storage.getAllPosts();
+    storage.close();
     
     if (allPosts.length > 0) {
       const stats = HashtagExtractor.generateStatistics(allPosts);
@@ -308,6 +462,684 @@ async function scrapeAllPersonas(headless = defaults.browser.headless, useProxy
     logger.warn(`Failed to generate overall hashtag statistics: ${error.message}`);
   }
   logger.info('================================================');
+
+  if (defaults.report.generateAfterBatch) {
+    const storage = createStorage({ backend: options.storageBackend });
+    try {
+      const { file, warnings } = new ReportGenerator(storage).run();
+      logger.info(`Report written to ${file} (${warnings.length} data-quality warnings)`);
+    } catch (error) {
+      logger.warn(`Failed to generate report: ${error.message}`);
+    } finally {
+      storage.close();
+    }
+  }
+}
+
+/**
+ * Scrape personas in cohorts: members of a cohort run concurrently in separate
+ * browsers and start their feeds at the same time (see CohortRunner)
+ * @param {boolean} headless - Whether to run in headless mode
+ * @param {boolean} useProxy - Whether to use proxy
+ * @param {Array|null} blockMediaTypes - Array of resource types to block, or null for default
+ * @param {Object} options - Additional run options (see scrapePersona)
+ * @param {string} options.cohortBy - Grouping key (default: from config)
+ * @param {string|null} options.cohort - Only run this cohort
+ * @returns {Promise<Array<Object>>} Cohort manifests
+ */
+async function scrapeCohorts(headless = defaults.browser.headless, useProxy = defaults.proxy.enabled, blockMediaTypes = null, options = {}) {
+  const personaLoader = new Persona();
+  // Grouping only needs demographics; each session resolves its own secrets
+  const personas = personaLoader.loadAllPersonas({ resolveSecrets: false });
+
+  const runner = new CohortRunner({
+    groupBy: options.cohortBy || defaults.cohort.groupBy,
+    runPersona: (personaId, cohortOptions) => scrapePersona(personaId, headless, useProxy, blockMediaTypes, { ...options, ...cohortOptions })
+  });
+
+  const manifests = await runner.runAll(personas, options.cohort || null);
+
+  logger.info(`\n${'='.repeat(60)}`);
+  manifests.forEach(manifest => {
+    const statuses = manifest.personas.map(p => `${p.persona_id}=${p.status} (+${p.start_offset_ms}ms)`).join(', ');
+    logger.info(`Cohort ${manifest.cohort}: ${statuses}`);
+  });
+  logger.info(`${'='.repeat(60)}\n`);
+
+  return manifests;
+}
+
+/**
+ * Continue an interrupted run (--resume <run_id>) from its checkpoint
+ * Batch runs skip personas that already completed; an unfinished persona session
+ * continues with its run/session IDs and feed position, skipping reels it already
+ * recorded. The run's original storage backend is used so nothing is double counted.
+ * @param {string} runId - Run ID (data/runs/<run_id>/checkpoint.json)
+ * @param {boolean} headless - Whether to run in headless mode
+ * @param {boolean} useProxy - Whether to use proxy
+ * @param {Array|null} blockMediaTypes - Array of resource types to block, or null for default
+ * @param {Object} options - Additional run options (see scrapePersona)
+ * @returns {Promise<void>}
+ */
+async function resumeRun(runId, headless, useProxy, blockMediaTypes, options) {
+  const checkpoint = RunCheckpoint.load(runId);
+  const pending = checkpoint.pendingPersonaIds();
+  if (pending.length === 0) {
+    logger.info(`Run ${runId} already completed, nothing to resume`);
+    return;
+  }
+
+  if (options.storageBackend !== checkpoint.storageBackend) {
+    logger.info(`Using storage backend of run ${runId}: ${checkpoint.storageBackend}`);
+  }
+  const resumeOptions = { ...options, storageBackend: checkpoint.storageBackend, checkpoint };
+  logger.info(`Resuming ${checkpoint.type} run ${runId}: ${pending.join(', ')}`);
+
+  if (checkpoint.type === 'batch') {
+    await scrapeAllPersonas(headless, useProxy, blockMediaTypes, resumeOptions);
+  } else {
+    await scrapePersona(pending[0], headless, useProxy, blockMediaTypes, resumeOptions);
+  }
+}
+
+/**
+ * Run the timezone-aware scheduler (node src/main.js schedule)
+ * - --schedule-file <path>: schedule definition (default: schedule.yaml, else config defaults)
+ * - --once: check for due slots once and exit (e.g. from cron)
+ * - --status: print upcoming slots and recent jobs, then exit
+ * @param {Array<string>} args - Command-line arguments
+ * @param {boolean} headless - Whether to run in headless mode
+ * @param {boolean} useProxy - Whether to use proxy
+ * @param {Array|null} blockMediaTypes - Array of resource types to block, or null for default
+ * @param {Object} options - Additional run options (see scrapePersona)
+ * @returns {Promise<void>}
+ */
+async function runScheduleCommand(args, headless, useProxy, blockMediaTypes, options) {
+  const personaLoader = new Persona();
+  const scheduler = new Scheduler({
+    definition: Scheduler.loadDefinition(getFlagValue(args, '--schedule-file')),
+    // Time zones only; a persona without secrets fails in its own job instead of stopping the schedule
+    loadPersonas: () => personaLoader.loadAllPersonas({ resolveSecrets: false }),
+    runPersona: personaId => scrapePersona(personaId, headless, useProxy, blockMediaTypes, options)
+  });
+
+  if (args.includes('--status')) {
+    logger.info('Upcoming slots (next 24h):');
+    scheduler.upcoming().forEach(slot => {
+      logger.info(`  ${new Date(slot.scheduled_at).toISOString()}  ${slot.persona_id}  ${slot.local} ${slot.timezone}`);
+    });
+    const recent = Object.values(scheduler.state.jobs)
+      .sort((a, b) => Date.parse(b.scheduled_at) - Date.parse(a.scheduled_at))
+      .slice(0, 20);
+    logger.info('Recent jobs:');
+    recent.forEach(job => {
+      logger.info(`  ${job.scheduled_at}  ${job.persona_id}  ${job.status}${job.error ? ` (${job.error})` : ''}`);
+    });
+    return;
+  }
+
+  // First signal: finish the running session, then stop. Second signal: exit immediately.
+  let stopping = false;
+  const onSignal = (signal) => {
+    if (stopping) {
+      process.exit(1);
+    }
+    stopping = true;
+    logger.info(`Received ${signal}, stopping scheduler after the current session...`);
+    scheduler.stop();
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+
+  await scheduler.start({ once: args.includes('--once') });
+}
+
+/**
+ * Re-extract posts/exposures from recorded packets without a browser
+ * - replay <file.jsonl>: a packet file (.jsonl or .jsonl.gz) or media_packets.jsonl
+ * - replay --session <session_id>: the session's files, looked up in data/raw/intercepted/index.jsonl
+ * - replay --from-storage <backend>: raw packets stored in a backend (e.g. sqlite)
+ * - --out <dir>: data directory for the regenerated dataset (default: data/replay/replay_<timestamp>)
+ * - --storage <backend>: backend for the regenerated dataset
+ * - --persona <id>, --session-gap <minutes> (splits packets recorded without a session ID)
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {Promise<void>}
+ */
+async function runReplayCommand(args) {
+  const file = args.length > 0 && !args[0].startsWith('--') ? args[0] : null;
+  const fromStorage = getFlagValue(args, '--from-storage');
+  const sessionId = getFlagValue(args, '--session');
+  if (!file && !fromStorage && !sessionId) {
+    logger.error('Please specify a packet file, --session <session_id> or --from-storage <backend>');
+    logger.info('Example: node src/main.js replay --session <session_id>');
+    process.exit(1);
+  }
+
+  const outDir = getFlagValue(args, '--out') ||
+    path.join(process.cwd(), defaults.replay.outputDir, `replay_${new Date().toISOString().replace(/[:.]/g, '-')}`);
+  const sessionGapMinutes = getFlagValue(args, '--session-gap');
+  // process.exit() would skip closing the storages (the CSV target may still buffer rows),
+  // so a failure exits after the finally block
+  let failed = false;
+  const target = createStorage({ backend: getFlagValue(args, '--storage') || defaults.storage.backend, dataDir: outDir });
+
+  let source = null;
+  try {
+    let packets;
+    if (file) {
+      logger.info(`Replaying packets from ${file}`);
+      packets = PacketReplayer.readJSONL(path.resolve(file));
+    } else if (sessionId) {
+      const archiveDir = path.join(process.cwd(), 'data', 'raw', defaults.packetCapture.dir);
+      const files = PacketArchive.sessions(archiveDir)[sessionId];
+      if (!files) {
+        throw new Error(`No packet files for session ${sessionId} in ${path.join(archiveDir, 'index.jsonl')}`);
+      }
+      logger.info(`Replaying ${files.length} packet file(s) of session ${sessionId}`);
+      packets = (async function* () {
+        for (const sessionFile of files) {
+          yield* PacketReplayer.readJSONL(sessionFile);
+        }
+      })();
+    } else {
+      source = createStorage({ backend: fromStorage });
+      logger.info(`Replaying raw packets from ${fromStorage} storage`);
+      packets = source.getAllRawPackets();
+    }
+
+    const replayer = new PacketReplayer(target, {
+      personaId: getFlagValue(args, '--persona'),
+      sessionGap: sessionGapMinutes ? parseFloat(sessionGapMinutes) * 60000 : defaults.replay.sessionGap
+    });
+    const stats = await replayer.replay(packets);
+
+    logger.info(`Replayed ${stats.packets} packets (${stats.graphql_packets} GraphQL, ${stats.media_packets} media, ${stats.unparseable} unparseable)`);
+    logger.info(`Regenerated ${stats.sessions} sessions, ${stats.reels} reels, ${stats.impressions} impressions in ${outDir}`);
+  } catch (error) {
+    logger.error(`Replay failed: ${error.message}`);
+    failed = true;
+  } finally {
+    if (source) {
+      source.close();
+    }
+    target.close();
+  }
+
+  if (failed) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Copy data between the CSV and SQLite backends
+ * - export-csv: SQLite -> fresh CSV files (--out <dir>, default data/export/csv_<timestamp>)
+ * - export-shareable: pseudonymized CSV files and media packets for sharing
+ *   (--out <dir>, default data/shareable/shareable_<timestamp>; --no-packets leaves out media packets)
+ * - import-csv: legacy data/*.csv -> SQLite
+ * @param {string} command - 'export-csv', 'export-shareable' or 'import-csv'
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {void}
+ */
+function runStorageCommand(command, args) {
+  // process.exit() would skip closing the storages, so failures exit after the finally blocks
+  let failed = false;
+
+  if (command === 'export-shareable') {
+    const source = createStorage({ backend: getFlagValue(args, '--storage') || defaults.storage.backend });
+    try {
+      const { outDir, counts } = exportShareable(source, {
+        outDir: getFlagValue(args, '--out'),
+        includePackets: !args.includes('--no-packets')
+      });
+      logger.info(`Exported ${counts.posts} posts, ${counts.exposures} exposures, ${counts.sessions} sessions, ${counts.media_packets} media packets (pseudonymized) to ${outDir}`);
+    } catch (error) {
+      logger.error(`Shareable export failed: ${error.message}`);
+      failed = true;
+    } finally {
+      source.close();
+    }
+  } else if (command === 'export-csv') {
+    const source = createStorage({ backend: getFlagValue(args, '--storage') || 'sqlite' });
+    try {
+      const { outDir, counts } = exportToCSV(source, getFlagValue(args, '--out'));
+      logger.info(`Exported ${counts.posts} posts, ${counts.exposures} exposures, ${counts.sessions} sessions to ${outDir}`);
+    } catch (error) {
+      logger.error(`CSV export failed: ${error.message}`);
+      failed = true;
+    } finally {
+      source.close();
+    }
+  } else {
+    const source = createStorage({ backend: 'csv' });
+    const target = createStorage({ backend: 'sqlite' });
+    try {
+      const counts = copyStorage(source, target);
+      logger.info(`Imported ${counts.posts} posts, ${counts.exposures} exposures, ${counts.sessions} sessions from CSV into SQLite (${counts.skipped} already stored)`);
+    } catch (error) {
+      logger.error(`CSV import failed: ${error.message}`);
+      failed = true;
+    } finally {
+      source.close();
+      target.close();
+    }
+  }
+
+  if (failed) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Log the results of a sentiment analysis run
+ * @param {Object} summary - SentimentAnalyzer.run() summary
+ * @returns {void}
+ */
+function logSentimentSummary(summary) {
+  logger.info(`Sentiment: scored ${summary.scored_posts}/${summary.posts} posts over ${summary.impressions} impressions`);
+  logger.info(`Languages: ${Object.entries(summary.languages).map(([lang, n]) => `${lang}=${n}`).join(', ') || 'none'}`);
+  logger.info(`Content types: ${Object.entries(summary.content_types).map(([type, n]) => `${type}=${n}`).join(', ') || 'none'}`);
+  for (const [dimension, rows] of Object.entries(summary.aggregates)) {
+    logger.info(`By ${dimension}:`);
+    rows.forEach(row => {
+      logger.info(`  ${row.group} [${row.scorer}]: n=${row.scored_impressions}/${row.impressions}, sponsored=${row.sponsored_share}, mean=${row.mean_score}, positive=${row.positive_share}, negative=${row.negative_share}`);
+    });
+  }
+}
+
+/**
+ * Log the results of an audio analysis run (top 3 tracks per group)
+ * @param {Object} summary - AudioAnalyzer.run() summary
+ * @returns {void}
+ */
+function logAudioSummary(summary) {
+  logger.info(`Audio: ${summary.tracks} tracks over ${summary.impressions_with_audio}/${summary.impressions} impressions (${summary.shared_tracks} seen in more than one region)`);
+  logger.info(`Audio types: ${Object.entries(summary.audio_types).map(([type, n]) => `${type}=${n}`).join(', ') || 'none'}`);
+  for (const [dimension, rows] of Object.entries(summary.rankings)) {
+    logger.info(`By ${dimension}:`);
+    rows.filter(row => row.rank <= 3).forEach(row => {
+      logger.info(`  ${row.group} #${row.rank}: ${row.title || row.audio_id} - ${row.artist || 'unknown'} [${row.audio_type || 'unknown'}] (${row.impressions} impressions, share=${row.share})`);
+    });
+  }
+}
+
+/**
+ * Log the results of a hashtag network run (largest communities per group)
+ * @param {Object} summary - HashtagNetworkAnalyzer.run() summary
+ * @returns {void}
+ */
+function logHashtagNetworkSummary(summary) {
+  logger.info(`Hashtag network: ${summary.impressions_with_hashtags}/${summary.impressions} impressions carry hashtags (min edge weight ${summary.min_edge_weight})`);
+  for (const [dimension, groups] of Object.entries(summary.groups)) {
+    logger.info(`By ${dimension}:`);
+    groups.forEach(group => {
+      logger.info(`  ${group.group}: ${group.hashtags} hashtags, ${group.edges} edges, ${group.communities} communities (modularity=${group.modularity})`);
+      group.top_communities.slice(0, 3).forEach(community => {
+        logger.info(`    #${community.community} share=${community.impression_share}: ${community.top_hashtags.slice(0, 5).map(tag => `#${tag}`).join(' ')}`);
+      });
+    });
+  }
+}
+
+/**
+ * Log the results of a feed overlap run (whole-dataset persona pairs)
+ * @param {Object} summary - FeedOverlapAnalyzer.run() summary
+ * @returns {void}
+ */
+function logFeedOverlapSummary(summary) {
+  logger.info(`Feed overlap: ${summary.personas.length} personas, ${summary.impressions} impressions, ${summary.periods.length - 1} days, ${summary.session_pairs} same-time session pairs`);
+  summary.pairs
+    .filter(pair => pair.period === 'all')
+    .forEach(pair => {
+      logger.info(`  ${pair.persona_a} ~ ${pair.persona_b}: posts=${pair.jaccard_posts}, authors=${pair.jaccard_authors}, hashtags=${pair.jaccard_hashtags}, rbo=${pair.mean_rbo} (${pair.session_pairs} session pairs)`);
+    });
+}
+
+/**
+ * Log the results of a significance run (significant differences only)
+ * @param {Object} summary - SignificanceAnalyzer.run() summary
+ * @returns {void}
+ */
+function logSignificanceSummary(summary) {
+  logger.info(`Significance: ${summary.tests} tests over ${summary.units} persona/post pairs (${summary.impressions} impressions), ${summary.significant} significant at alpha=${summary.alpha} (Holm-adjusted)`);
+  for (const [family, groups] of Object.entries(summary.groups)) {
+    logger.info(`  ${family}: ${groups.map(group => `${group.name} (${group.units})`).join(', ') || 'no groups'}`);
+  }
+  if (summary.ci_excluding_estimate > 0) {
+    logger.warn(`${summary.ci_excluding_estimate} result(s) have a BCa interval that excludes the estimate (see ci_excludes_estimate)`);
+  }
+  summary.results
+    .filter(row => row.significant)
+    .forEach(row => {
+      logger.info(`  ${row.family} ${row.group_a} vs ${row.group_b} ${row.measure}${row.scorer ? ` [${row.scorer}]` : ''}: p_adj=${Number(row.p_adjusted).toPrecision(3)}, ${row.effect_measure}=${row.effect_size} [${row.effect_ci_low}, ${row.effect_ci_high}]`);
+    });
+}
+
+/**
+ * Run an analysis over the collected data
+ * - sentiment: caption scores + aggregates per persona/region/spectrum/session/content type
+ * - audio: audio track rankings per persona/region/spectrum (--top <n> tracks per group)
+ * - hashtags: hashtag co-occurrence graphs and communities per persona/region/spectrum
+ *   (--min-weight <n> edge threshold, --top <n> hashtags per community)
+ * - overlap: pairwise persona feed similarity (Jaccard, RBO) overall and per day
+ *   (--rbo-p <p> persistence, --window <minutes> same-time session window)
+ * - significance: chi-square (hashtags, topics) and Mann–Whitney (sentiment) tests between
+ *   persona groups with effect sizes and bootstrap CIs (--by <dims> compares each dimension's
+ *   values, --groups "<name>=<dim>:<value>[|value][,...];..." defines custom groups,
+ *   --top <n> chi-square categories, --bootstrap <n> resamples, --seed <n>)
+ * Common flags: --by <dims> to limit dimensions, --out <dir>, --storage <backend>
+ * @param {string} analysis - Analysis name
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {void}
+ */
+function runAnalyzeCommand(analysis, args) {
+  const analyses = {
+    sentiment: { Analyzer: SentimentAnalyzer, logSummary: logSentimentSummary },
+    audio: { Analyzer: AudioAnalyzer, logSummary: logAudioSummary },
+    hashtags: { Analyzer: HashtagNetworkAnalyzer, logSummary: logHashtagNetworkSummary },
+    overlap: { Analyzer: FeedOverlapAnalyzer, logSummary: logFeedOverlapSummary },
+    significance: { Analyzer: SignificanceAnalyzer, logSummary: logSignificanceSummary }
+  };
+  if (!analyses[analysis]) {
+    logger.error(`Unknown analysis: ${analysis || '(none)'}`);
+    logger.info(`Available analyses: ${Object.keys(analyses).join(', ')}`);
+    process.exit(1);
+  }
+
+  // process.exit() would skip closing the storage, so a failure exits after the finally block
+  let failed = false;
+  const storage = createStorage({ backend: getFlagValue(args, '--storage') || defaults.storage.backend });
+  try {
+    const byArg = getFlagValue(args, '--by');
+    const topArg = getFlagValue(args, '--top');
+    const minWeightArg = getFlagValue(args, '--min-weight');
+    const persistenceArg = getFlagValue(args, '--rbo-p');
+    const windowArg = getFlagValue(args, '--window');
+    const bootstrapArg = getFlagValue(args, '--bootstrap');
+    const seedArg = getFlagValue(args, '--seed');
+    const options = {
+      dimensions: byArg ? byArg.split(',').map(d => d.trim()).filter(Boolean) : undefined,
+      top: topArg ? parseInt(topArg, 10) : undefined,
+      minWeight: minWeightArg ? parseFloat(minWeightArg) : undefined,
+      persistence: persistenceArg ? parseFloat(persistenceArg) : undefined,
+      windowMinutes: windowArg ? parseFloat(windowArg) : undefined,
+      groups: getFlagValue(args, '--groups') || undefined,
+      bootstrapSamples: bootstrapArg ? parseInt(bootstrapArg, 10) : undefined,
+      seed: seedArg ? parseInt(seedArg, 10) : undefined
+    };
+    const { Analyzer, logSummary } = analyses[analysis];
+    const analyzer = new Analyzer(storage, getFlagValue(args, '--out'));
+    logSummary(analyzer.run(options));
+    logger.info(`Results written to ${analyzer.outputDir}`);
+  } catch (error) {
+    logger.error(`${analysis} analysis failed: ${error.message}`);
+    failed = true;
+  } finally {
+    storage.close();
+  }
+
+  if (failed) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Generate the static HTML report from the stored data
+ * - --out <file> (default data/reports/report_<timestamp>.html), --title <text>, --storage <backend>
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {void}
+ */
+function runReportCommand(args) {
+  // process.exit() would skip closing the storage, so a failure exits after the finally block
+  let failed = false;
+  const storage = createStorage({ backend: getFlagValue(args, '--storage') || defaults.storage.backend });
+  try {
+    const title = getFlagValue(args, '--title');
+    const { file, personas, impressions, warnings } = new ReportGenerator(storage).run({
+      file: getFlagValue(args, '--out'),
+      ...(title ? { title } : {})
+    });
+    logger.info(`Report covers ${personas} personas and ${impressions} impressions`);
+    warnings.forEach(warning => (warning.level === 'info' ? logger.info(warning.message) : logger.warn(warning.message)));
+    logger.info(`Open ${file} in a browser`);
+  } catch (error) {
+    logger.error(`Report generation failed: ${error.message}`);
+    failed = true;
+  } finally {
+    storage.close();
+  }
+
+  if (failed) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Data retention commands (policy in defaults.retention; a deletion report is
+ * written to data/retention/ either way)
+ * - purge [--dry-run]: delete raw packets, cookies, screenshots and log lines past their retention period
+ * - erase-author <username> [--dry-run]: delete every record referencing an account, in every store
+ * @param {string} command - 'purge' or 'erase-author'
+ * @param {Array<string>} args - Command-line arguments after the command
+ * @returns {void}
+ */
+function runRetentionCommand(command, args) {
+  const manager = new RetentionManager({ dryRun: args.includes('--dry-run') });
+  const verb = manager.dryRun ? 'Would delete' : 'Deleted';
+
+  try {
+    if (command === 'purge') {
+      const report = manager.purge();
+      const totals = {};
+      report.artifacts.forEach(artifact => { totals[artifact.type] = (totals[artifact.type] || 0) + artifact.deleted; });
+      logger.info(`${verb}: ${Object.entries(totals).map(([type, count]) => `${type}=${count}`).join(', ') || 'nothing (no retention periods set)'}`);
+      logger.info(`Kept indefinitely: ${report.kept_indefinitely.join(', ') || 'none'}`);
+      warnSkippedPacketFiles(report);
+      return;
+    }
+
+    const username = args.find(arg => !arg.startsWith('--'));
+    if (!username) {
+      logger.error('Usage: node src/main.js erase-author <username|pseudonym> [--dry-run]');
+      process.exit(1);
+    }
+    const report = manager.eraseAuthor(username);
+    const totals = {};
+    report.artifacts.forEach(artifact => {
+      const counts = typeof artifact.deleted === 'number' ? { [artifact.type]: artifact.deleted } : artifact.deleted;
+      Object.entries(counts).forEach(([type, count]) => { totals[type] = (totals[type] || 0) + count; });
+    });
+    logger.info(`${verb} for ${report.author_pseudonym}: ${Object.entries(totals).map(([type, count]) => `${type}=${count}`).join(', ')}`);
+    warnSkippedPacketFiles(report);
+    if (report.outputs_to_regenerate.length > 0) {
+      logger.warn(`Still mentioned in ${report.outputs_to_regenerate.join(', ')}; rerun analyze/report and delete the old files`);
+    }
+  } catch (error) {
+    logger.error(`${command} failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Warn about packet files a retention command left alone because a session was writing them
+ * @param {Object} report - Deletion report
+ * @returns {void}
+ */
+function warnSkippedPacketFiles(report) {
+  const skipped = report.artifacts.reduce((total, artifact) => total + (artifact.skipped_open_files || 0), 0);
+  if (skipped > 0) {
+    logger.warn(`Skipped ${skipped} packet file(s) of sessions still running; run the command again after they finish`);
+  }
+}
+
+/**
+ * Persona commands
+ * - validate [files...]: check persona YAML files against the persona schema
+ *   (default: every file in personas/active and personas/templates); exits 1 on errors
+ * - list: lifecycle state of every active persona
+ * - set-state <id> <state> [--reason <text>]: change a persona's lifecycle state
+ * - history <id>: lifecycle state changes of a persona
+ * @param {string} subcommand - Subcommand name
+ * @param {Array<string>} args - Command-line arguments after the subcommand
+ * @returns {void}
+ */
+function runPersonasCommand(subcommand, args) {
+  const personaLoader = new Persona();
+
+  if (subcommand === 'validate') {
+    validatePersonaFiles(personaLoader, args);
+    return;
+  }
+  if (subcommand === 'list' || subcommand === 'set-state' || subcommand === 'history') {
+    try {
+      runPersonaStateCommand(personaLoader, subcommand, args);
+    } catch (error) {
+      logger.error(`Personas command failed: ${error.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  logger.error(`Unknown personas command: ${subcommand || '(none)'}`);
+  logger.info('Available personas commands: validate, list, set-state <id> <state> [--reason <text>], history <id>');
+  process.exit(1);
+}
+
+/**
+ * Lifecycle state commands (list, set-state, history)
+ * @param {Persona} personaLoader - Persona loader (its state store is used)
+ * @param {string} subcommand - 'list', 'set-state' or 'history'
+ * @param {Array<string>} args - Command-line arguments after the subcommand
+ * @returns {void}
+ */
+function runPersonaStateCommand(personaLoader, subcommand, args) {
+  const store = personaLoader.stateStore;
+  const reasonIndex = args.indexOf('--reason');
+  const positional = args.filter((arg, index) => !arg.startsWith('--') && (reasonIndex === -1 || index !== reasonIndex + 1));
+  const describe = record => `${record.state}${record.since ? ` since ${record.since}` : ''}` +
+    `${record.reason ? ` (${record.reason})` : ''}${record.source ? ` [${record.source}]` : ''}`;
+
+  if (subcommand === 'list') {
+    const personaIds = personaLoader.listPersonaIds();
+    // Personas whose file was removed keep their record
+    const recorded = Object.keys(store.all()).filter(personaId => !personaIds.includes(personaId));
+    for (const personaId of [...personaIds, ...recorded]) {
+      logger.info(`${personaId}: ${describe(store.get(personaId))}${recorded.includes(personaId) ? ' (no persona file)' : ''}`);
+    }
+    const runnable = personaIds.filter(personaId => store.isRunnable(personaId)).length;
+    logger.info(`${runnable}/${personaIds.length} personas runnable (states in ${store.file})`);
+    return;
+  }
+
+  const [personaId, state] = positional;
+  if (!personaId || (subcommand === 'set-state' && !state)) {
+    logger.error(subcommand === 'set-state'
+      ? `Usage: node src/main.js personas set-state <persona_id> <${PersonaStateStore.STATES.join('|')}> [--reason <text>]`
+      : 'Usage: node src/main.js personas history <persona_id>');
+    process.exit(1);
+  }
+
+  if (subcommand === 'history') {
+    const record = store.get(personaId);
+    logger.info(`${personaId}: ${describe(record)}`);
+    if (record.history.length === 0) {
+      logger.info('  No state changes recorded');
+    }
+    record.history.forEach(entry => {
+      logger.info(`  ${entry.at}  ${entry.state}${entry.reason ? ` (${entry.reason})` : ''} [${entry.source}]`);
+    });
+    return;
+  }
+
+  if (!fs.existsSync(personaLoader.getPersonaPath(personaId))) {
+    throw new Error(`Persona file not found: ${personaLoader.getPersonaPath(personaId)}`);
+  }
+  const record = store.set(personaId, state, { reason: getFlagValue(args, '--reason'), source: 'cli' });
+  logger.info(`${personaId}: ${describe(record)}`);
+}
+
+/**
+ * Validate persona files and report errors; exits 1 if any file is invalid
+ * @param {Persona} personaLoader - Persona loader
+ * @param {Array<string>} args - Files to check (default: personas/active and personas/templates)
+ * @returns {void}
+ */
+function validatePersonaFiles(personaLoader, args) {
+  const files = args.filter(arg => !arg.startsWith('--'));
+  const templatesDir = path.join(process.cwd(), 'personas', 'templates');
+  const results = files.length > 0
+    ? files.map(file => ({
+      file,
+      errors: PersonaValidator.validateFile(path.resolve(file), { template: path.dirname(path.resolve(file)) === templatesDir })
+    }))
+    : personaLoader.validateAll([personaLoader.personasDir, templatesDir], { templateDirs: [templatesDir] });
+
+  let errorCount = 0;
+  for (const { file, errors } of results) {
+    if (errors.length === 0) {
+      logger.info(`✓ ${file}`);
+      continue;
+    }
+    errorCount += errors.length;
+    logger.error(`✗ ${file} (${errors.length} error${errors.length === 1 ? '' : 's'})`);
+    errors.forEach(error => logger.error(`  ${PersonaValidator.formatError(error)}`));
+  }
+
+  const invalid = results.filter(result => result.errors.length > 0).length;
+  logger.info(`${results.length - invalid}/${results.length} persona files valid${errorCount > 0 ? `, ${errorCount} errors` : ''}`);
+  if (invalid > 0) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Manage the encrypted secrets file used for ${NAME} placeholders in persona files
+ * @param {string} subcommand - 'list', 'set' or 'remove'
+ * @param {Array<string>} args - Remaining command-line arguments (secret name)
+ * @returns {Promise<void>}
+ */
+async function runSecretsCommand(subcommand, args) {
+  const store = new SecretStore();
+  const name = args.find(arg => !arg.startsWith('--'));
+
+  try {
+    if (subcommand === 'list') {
+      const names = store.names();
+      logger.info(`${names.length} secrets in ${store.file}`);
+      names.forEach(secret => logger.info(`  ${secret}${process.env[secret] ? ' (overridden by environment)' : ''}`));
+      return;
+    }
+    if ((subcommand === 'set' || subcommand === 'remove') && !name) {
+      logger.error(`Usage: node src/main.js secrets ${subcommand} <NAME>`);
+      process.exit(1);
+    }
+    if (subcommand === 'set') {
+      // Check the passphrase before asking for the value
+      if (!store.passphrase) {
+        throw new Error(`set ${defaults.secrets.keyEnv} to the passphrase for ${store.file}`);
+      }
+      store.load();
+      const value = await promptSecret(`Value for ${name}: `);
+      if (!value) {
+        logger.error('Empty value; nothing stored');
+        process.exit(1);
+      }
+      store.set(name, value);
+      return;
+    }
+    if (subcommand === 'remove') {
+      if (!store.remove(name)) {
+        logger.warn(`No secret named ${name} in ${store.file}`);
+      }
+      return;
+    }
+  } catch (error) {
+    logger.error(`Secrets command failed: ${error.message}`);
+    process.exit(1);
+  }
+
+  logger.error(`Unknown secrets command: ${subcommand || '(none)'}`);
+  logger.info('Available secrets commands: list, set <NAME>, remove <NAME>');
+  process.exit(1);
 }
 
 /**
@@ -316,6 +1148,42 @@ async function scrapeAllPersonas(headless = defaults.browser.headless, useProxy
  */
 async function main() {
   const args = process.argv.slice(2);
+
+  // Subcommands (anything before the first --flag)
+  const command = args.length > 0 && !args[0].startsWith('--') ? args[0] : null;
+  if (command === 'export-csv' || command === 'export-shareable' || command === 'import-csv') {
+    runStorageCommand(command, args.slice(1));
+    return;
+  }
+  if (command === 'analyze') {
+    runAnalyzeCommand(args[1], args.slice(2));
+    return;
+  }
+  if (command === 'personas') {
+    runPersonasCommand(args[1], args.slice(2));
+    return;
+  }
+  if (command === 'secrets') {
+    await runSecretsCommand(args[1], args.slice(2));
+    return;
+  }
+  if (command === 'report') {
+    runReportCommand(args.slice(1));
+    return;
+  }
+  if (command === 'replay') {
+    await runReplayCommand(args.slice(1));
+    return;
+  }
+  if (command === 'purge' || command === 'erase-author') {
+    runRetentionCommand(command, args.slice(1));
+    return;
+  }
+  if (command && command !== 'schedule') {
+    logger.error(`Unknown command: ${command}`);
+    logger.info('Available commands: export-csv, export-shareable, import-csv, analyze, report, personas, secrets, replay, purge, erase-author, schedule (or no command to scrape)');
+    process.exit(1);
+  }
   
   // Parse headless/head mode flags
   let headless = defaults.browser.headless; // Default from config
@@ -353,6 +1221,49 @@ async function main() {
     }
   }
   
+  // Parse --storage flag
+  const storageBackend = getFlagValue(args, '--storage') || defaults.storage.backend;
+  if (!BACKENDS.includes(storageBackend)) {
+    logger.error(`Invalid storage backend: ${storageBackend}`);
+    logger.info(`Valid backends are: ${BACKENDS.join(', ')}`);
+    process.exit(1);
+  }
+  const options = { storageBackend };
+
+  // Parse --allow-engagement flag (observation-only mode is on by default)
+  if (args.includes('--allow-engagement')) {
+    options.observationOnly = false;
+    logger.warn('Observation-only mode disabled: personas may like, comment, share and follow');
+  }
+
+  if (args.includes('--resume')) {
+    const runId = getFlagValue(args, '--resume');
+    if (!runId) {
+      logger.error('Please specify the run to resume: --resume <run_id>');
+      process.exit(1);
+    }
+    try {
+      await resumeRun(runId, headless, useProxy, blockMediaTypes, options);
+    } catch (error) {
+      logger.error(`Failed to resume run ${runId}: ${error.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (command === 'schedule') {
+    await runScheduleCommand(args.slice(1), headless, useProxy, blockMediaTypes, options);
+    return;
+  }
+
+  // Parse cohort flags (--cohort-by <key> groups personas, --cohort <name> runs one cohort)
+  const cohortBy = getFlagValue(args, '--cohort-by');
+  const cohort = getFlagValue(args, '--cohort');
+  if (args.includes('--cohort-by') || args.includes('--cohort')) {
+    await scrapeCohorts(headless, useProxy, blockMediaTypes, { ...options, cohortBy, cohort });
+    return;
+  }
+  
   if (args.includes('--persona')) {
     const personaIndex = args.indexOf('--persona');
     const personaId = args[personaIndex + 1];
@@ -362,9 +1273,9 @@ async function main() {
       process.exit(1);
     }
 
-    await scrapePersona(personaId, headless, useProxy, blockMediaTypes);
+    await scrapePersona(personaId, headless, useProxy, blockMediaTypes, options);
   } else {
-    await scrapeAllPersonas(headless, useProxy, blockMediaTypes);
+    await scrapeAllPersonas(headless, useProxy, blockMediaTypes, options);
   }
 }
 
@@ -376,5 +1287,5 @@ if (require.main === module) {
   });
 }
 
-module.exports = { scrapePersona, scrapeAllPersonas };
+module.exports = { scrapePersona, scrapeAllPersonas, scrapeCohorts };
 
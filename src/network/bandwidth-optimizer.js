@@ -6,9 +6,15 @@ const defaults = require('../config/defaults');
  * BandwidthOptimizer - Optimizes bandwidth by blocking non-essential resources
  */
 class BandwidthOptimizer {
-  constructor(page, blockMediaTypes = null) {
+  /**
+   * @param {Object} page - Puppeteer page object
+   * @param {Array|null} blockMediaTypes - Resource types to block, or null for default
+   * @param {EngagementGuard|null} engagementGuard - Aborts write requests in observation-only mode
+   */
+  constructor(page, blockMediaTypes = null, engagementGuard = null) {
     this.page = page;
     this.blockMediaTypes = blockMediaTypes;
+    this.engagementGuard = engagementGuard;
   }
 
   /**
@@ -38,6 +44,12 @@ class BandwidthOptimizer {
     this.page.on('request', (request) => {
       const resourceType = request.resourceType();
       const url = request.url();
+
+      // Write actions (likes, comments, follows, shares) never leave the browser in observation-only mode
+      if (this.engagementGuard && this.engagementGuard.blocksRequest(request)) {
+        request.abort();
+        return;
+      }
       
       // If blocking is disabled (empty array), allow all requests
       if (blockedTypes.length === 0) {
@@ -6,12 +6,33 @@ const GraphQLExtractor = require('../extraction/graphql-extractor');
  * GraphQLHandler - Processes GraphQL responses to extract reel data
  */
 class GraphQLHandler {
+  /**
+   * @param {BaseStorage|null} storage - Storage backend (see src/storage/base-storage.js)
+   * @param {Object} persona - Persona configuration
+   * @param {ReelCollector|null} reelCollector - Collector receiving extracted reels
+   */
   constructor(storage, persona, reelCollector) {
     this.storage = storage;
     this.persona = persona;
     this.reelCollector = reelCollector;
   }
 
+  /**
+   * Parse a raw GraphQL response body as intercepted from the page
+   * Strips Instagram's "for (;;);" anti-JSON-hijacking prefix.
+   * @param {string|Object} data - Raw response body (string) or already parsed object
+   * @returns {Object|null} Parsed response with a data field, or null if not a GraphQL response
+   */
+  static parseResponseBody(data) {
+    let cleanData = typeof data === 'string' ? data : JSON.stringify(data);
+    if (cleanData.startsWith('for (;;);')) {
+      cleanData = cleanData.replace(/^for \(;;\);\s*/, '');
+    }
+
+    const parsedData = JSON.parse(cleanData);
+    return parsedData && parsedData.data ? parsedData : null;
+  }
+
   /**
    * Process a GraphQL response and extract reel data
    * @param {Object} parsedData - Parsed GraphQL response data
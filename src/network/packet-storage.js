@@ -1,6 +1,6 @@
 /**
  * PacketStorage - Handles storage of intercepted network packets
- * This is a thin wrapper around CSVStorage's packet storage methods
+ * This is a thin wrapper around the storage backend's packet storage methods
  * to provide a cleaner interface for network interception
  */
 class PacketStorage {
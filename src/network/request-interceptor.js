@@ -1,5 +1,6 @@
 const { createLogger } = require('../utils/logger');
 const logger = createLogger('RequestInterceptor');
+const GraphQLHandler = require('./graphql-handler');
 
 /**
  * NetworkInterceptor - Handles network request interception for data capture
@@ -47,15 +48,10 @@ class NetworkInterceptor {
         // Check if this is a GraphQL request with reel data
         if (url.includes('/graphql/query') && method === 'POST') {
           try {
-            // Handle responses that start with "for (;;);" prefix (common Instagram pattern)
-            let cleanData = typeof data === 'string' ? data : JSON.stringify(data);
-            if (cleanData.startsWith('for (;;);')) {
-              cleanData = cleanData.replace(/^for \(;;\);\s*/, '');
-            }
-            
-            const parsedData = typeof cleanData === 'string' ? JSON.parse(cleanData) : cleanData;
+            // Handles the "for (;;);" prefix (common Instagram pattern)
+            const parsedData = GraphQLHandler.parseResponseBody(data);
             
-            if (!parsedData || !parsedData.data) {
+            if (!parsedData) {
               return; // Not a valid GraphQL response
             }
             
@@ -0,0 +1,133 @@
+const { createLogger } = require('../utils/logger');
+const logger = createLogger('ActionLog');
+const fs = require('fs');
+const path = require('path');
+const Redactor = require('../utils/redactor');
+
+/**
+ * Platform-side actions recorded in the log
+ * - login: credentials submitted (outcome success / failed / suspended)
+ * - verification_code: challenge handled after login (resolved / unresolved)
+ * - cookie_banner: "Allow all cookies" clicked (success / still_visible)
+ * - dialog_dismiss: "Not Now" on Save Login Info / Notifications dialogs
+ * - app_prompt_dismiss: "Use the app" prompt (button / escape / backdrop / failed)
+ * - like, comment, share, follow: write actions (performed / blocked / not_found / failed)
+ */
+const ACTION_TYPES = [
+  'login',
+  'verification_code',
+  'cookie_banner',
+  'dialog_dismiss',
+  'app_prompt_dismiss',
+  'like',
+  'comment',
+  'share',
+  'follow'
+];
+
+/**
+ * ActionLog - Append-only record of everything a persona did on the platform
+ * One JSON line per action in <dataDir>/actions/<persona_id>.jsonl with the
+ * action type, target, outcome, timestamp and run/session IDs. Entries are
+ * only ever appended; likes_performed in session summaries is counted from it.
+ */
+class ActionLog {
+  /**
+   * @param {Object} persona - Persona configuration
+   * @param {string} dataDir - Data directory (logs go to <dataDir>/actions)
+   * @param {Object} runContext - { run_id, session_id } written with every entry
+   */
+  constructor(persona, dataDir = './data', runContext = {}) {
+    this.personaId = persona.persona_id;
+    this.runId = runContext.run_id || '';
+    this.sessionId = runContext.session_id || '';
+    this.file = ActionLog.fileFor(dataDir, this.personaId);
+  }
+
+  /**
+   * Action log file of a persona
+   * @param {string} dataDir - Data directory
+   * @param {string} personaId - Persona ID
+   * @returns {string} File path
+   */
+  static fileFor(dataDir, personaId) {
+    return path.join(dataDir, 'actions', `${personaId}.jsonl`);
+  }
+
+  /**
+   * Append an action
+   * @param {string} action - One of ACTION_TYPES
+   * @param {Object} details - Action details
+   * @param {string|null} details.target - Post, account, dialog or URL acted on
+   * @param {string} details.outcome - What happened (see ACTION_TYPES)
+   * @param {Object|null} details.details - Extra context (error message, strategy)
+   * @returns {Object|null} Written entry, or null if writing failed
+   */
+  record(action, { target = null, outcome, details = null }) {
+    if (!ACTION_TYPES.includes(action)) {
+      throw new Error(`Unknown action type "${action}" (expected one of: ${ACTION_TYPES.join(', ')})`);
+    }
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      persona_id: this.personaId,
+      run_id: this.runId,
+      session_id: this.sessionId,
+      action,
+      target,
+      outcome,
+      details
+    };
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.appendFileSync(this.file, JSON.stringify(Redactor.redact(entry)) + '\n', 'utf8');
+      logger.debug(`Action: ${action} ${outcome}${target ? ` (${target})` : ''}`);
+      return entry;
+    } catch (error) {
+      logger.error(`Failed to write action log ${this.file}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Read a persona's action log
+   * @param {string} file - Action log file
+   * @returns {Array<Object>} Entries in the order they were written
+   */
+  static read(file) {
+    if (!fs.existsSync(file)) {
+      return [];
+    }
+    return fs.readFileSync(file, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          logger.warn(`Skipping malformed line in ${file}`);
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Count logged actions (all attempts of this session by default, so resumed sessions add up)
+   * @param {Object} filter - Filter
+   * @param {string} filter.action - Action type
+   * @param {string|null} filter.outcome - Outcome (null: any)
+   * @param {string|null} filter.sessionId - Session (default: this session; null: all sessions)
+   * @returns {number} Matching entries
+   */
+  count({ action, outcome = null, sessionId = this.sessionId }) {
+    return ActionLog.read(this.file).filter(entry =>
+      entry.action === action &&
+      (outcome === null || entry.outcome === outcome) &&
+      (sessionId === null || entry.session_id === sessionId)
+    ).length;
+  }
+}
+
+module.exports = ActionLog;
+module.exports.ACTION_TYPES = ACTION_TYPES;
@@ -70,9 +70,16 @@ class AppPromptHandler {
   /**
    * Dismiss "Use the app" prompt by clicking dismiss button
    * @param {Object} page - Puppeteer page object
+   * @param {ActionLog|null} actionLog - Receives the dismissal and the strategy that worked
    * @returns {Promise<boolean>} True if prompt was dismissed
    */
-  static async dismissAppPrompt(page) {
+  static async dismissAppPrompt(page, actionLog = null) {
+    const record = (outcome, strategy) => actionLog?.record('app_prompt_dismiss', {
+      target: page.url(),
+      outcome,
+      details: strategy ? { strategy } : null
+    });
+
     try {
       logger.info('Attempting to dismiss "Use the app" prompt...');
       
@@ -128,6 +135,7 @@ class AppPromptHandler {
 
       if (dismissed) {
         logger.info('✓ App prompt dismissed by clicking button');
+        record('success', 'button');
         await randomDelay(1000, 2000);
         return true;
       }
@@ -141,6 +149,7 @@ class AppPromptHandler {
       const stillPresent = await this.checkForAppPrompt(page);
       if (!stillPresent) {
         logger.info('✓ App prompt dismissed with ESC key');
+        record('success', 'escape');
         return true;
       }
 
@@ -164,14 +173,17 @@ class AppPromptHandler {
         const stillPresent = await this.checkForAppPrompt(page);
         if (!stillPresent) {
           logger.info('✓ App prompt dismissed by clicking backdrop');
+          record('success', 'backdrop');
           return true;
         }
       }
 
       logger.warn('Could not dismiss app prompt - it may still be visible');
+      record('failed', null);
       return false;
     } catch (error) {
       logger.debug(`Error dismissing app prompt: ${error.message}`);
+      record('failed', null);
       return false;
     }
   }
@@ -179,13 +191,14 @@ class AppPromptHandler {
   /**
    * Handle app prompt if present (check and dismiss)
    * @param {Object} page - Puppeteer page object
+   * @param {ActionLog|null} actionLog - Receives the dismissal (see dismissAppPrompt)
    * @returns {Promise<boolean>} True if prompt was handled
    */
-  static async handleAppPrompt(page) {
+  static async handleAppPrompt(page, actionLog = null) {
     const hasPrompt = await this.checkForAppPrompt(page);
     if (hasPrompt) {
       logger.warn('⚠️  Instagram "Use the app" prompt detected');
-      const dismissed = await this.dismissAppPrompt(page);
+      const dismissed = await this.dismissAppPrompt(page, actionLog);
       if (dismissed) {
         logger.info('App prompt successfully dismissed');
         return true;
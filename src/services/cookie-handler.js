@@ -9,9 +9,10 @@ class CookieHandler {
   /**
    * Handle cookie banner if it appears
    * @param {Object} page - Puppeteer page object
+   * @param {ActionLog|null} actionLog - Receives the banner click
    * @returns {Promise<void>}
    */
-  static async handleCookieBanner(page) {
+  static async handleCookieBanner(page, actionLog = null) {
     try {
       // Wait a moment for cookie banner to appear
       await randomDelay(1000, 2000);
@@ -50,6 +51,10 @@ class CookieHandler {
         } else {
           logger.info('Cookie banner successfully dismissed');
         }
+        actionLog?.record('cookie_banner', {
+          target: 'allow_all_cookies',
+          outcome: bannerStillExists ? 'still_visible' : 'success'
+        });
       } else {
         logger.debug('No cookie banner found');
       }
@@ -2,17 +2,43 @@ const { createLogger } = require('../utils/logger');
 const logger = createLogger('CookieSessionCapture');
 const fs = require('fs');
 const path = require('path');
+const CSVFile = require('../utils/csv-file');
+const Redactor = require('../utils/redactor');
+
+const COOKIE_COLUMNS = [
+  'timestamp',
+  'persona_id',
+  'stage',
+  'cookie_name',
+  'cookie_value',
+  'domain',
+  'path',
+  'expires',
+  'httpOnly',
+  'secure',
+  'sameSite',
+  'run_id',
+  'session_id'
+];
 
 /**
  * CookieSessionCapture - Captures and logs cookies for each persona session
  * Tracks cookies at key points: login, navigation, scraping
  */
 class CookieSessionCapture {
-  constructor(persona, dataDir = './data') {
+  /**
+   * @param {Object} persona - Persona configuration
+   * @param {string} dataDir - Data directory (cookies go to <dataDir>/cookies)
+   * @param {Object} runContext - { run_id, session_id } written with every cookie row
+   */
+  constructor(persona, dataDir = './data', runContext = {}) {
     this.persona = persona;
     this.dataDir = dataDir;
+    this.runId = runContext.run_id || '';
+    this.sessionId = runContext.session_id || '';
     this.cookiesDir = path.join(dataDir, 'cookies');
     this.sessionCookies = [];
+    this._columnsChecked = false;
     this.ensureCookiesDirectory();
   }
 
@@ -42,13 +68,16 @@ class CookieSessionCapture {
         persona_id: this.persona.persona_id,
         stage,
         cookie_name: cookie.name,
-        cookie_value: cookie.value.substring(0, 100), // Truncate long values
+        // Session cookies are masked (defaults.redaction.sessionCookies); long values are truncated
+        cookie_value: Redactor.redactCookie(cookie.name, cookie.value).substring(0, 100),
         domain: cookie.domain || '',
         path: cookie.path || '/',
         expires: cookie.expires ? new Date(cookie.expires * 1000).toISOString() : 'session',
         httpOnly: cookie.httpOnly || false,
         secure: cookie.secure || false,
-        sameSite: cookie.sameSite || 'None'
+        sameSite: cookie.sameSite || 'None',
+        run_id: this.runId,
+        session_id: this.sessionId
       }));
 
       // Store in memory
@@ -72,12 +101,15 @@ class CookieSessionCapture {
    */
   async saveCookiesToCSV(cookieData) {
     const csvFile = path.join(this.cookiesDir, `cookies_${this.persona.persona_id}.csv`);
-    const headers = 'timestamp,persona_id,stage,cookie_name,cookie_value,domain,path,expires,httpOnly,secure,sameSite\n';
+    const headers = COOKIE_COLUMNS.join(',') + '\n';
     
-    // Create file with headers if it doesn't exist
+    // Create file with headers if it doesn't exist (older files get the run ID columns appended)
     if (!fs.existsSync(csvFile)) {
       fs.writeFileSync(csvFile, headers);
+    } else if (!this._columnsChecked) {
+      CSVFile.extendColumns(csvFile, COOKIE_COLUMNS);
     }
+    this._columnsChecked = true;
 
     // Append cookie data
     const csvLines = cookieData.map(cookie => {
@@ -92,7 +124,9 @@ class CookieSessionCapture {
         cookie.expires,
         cookie.httpOnly,
         cookie.secure,
-        cookie.sameSite
+        cookie.sameSite,
+        cookie.run_id,
+        cookie.session_id
       ].join(',');
     }).join('\n') + '\n';
 
@@ -0,0 +1,104 @@
+const { createLogger } = require('../utils/logger');
+const logger = createLogger('EngagementGuard');
+const defaults = require('../config/defaults');
+
+/**
+ * Write actions an account can perform on Instagram
+ */
+const ACTIONS = ['like', 'comment', 'share', 'follow'];
+
+/**
+ * EngagementGuard - Gate for every write action of a session
+ *
+ * In observation-only mode (defaults.engagement.observationOnly, on unless a run
+ * is started with --allow-engagement) every like, comment, share and follow is
+ * refused, whatever the persona's engagement settings say. Handlers ask
+ * permit() before acting; as a second line of defence the bandwidth optimizer
+ * aborts outgoing requests to write endpoints (see blocksRequest). Attempts are
+ * logged and counted, and the summary is written to the run manifest.
+ */
+class EngagementGuard {
+  /**
+   * @param {Object} options - Guard options
+   * @param {string} options.personaId - Persona of the session (for log messages)
+   * @param {boolean} options.observationOnly - Refuse all write actions (default: from config)
+   * @param {ActionLog|null} options.actionLog - Receives blocked attempts
+   */
+  constructor({ personaId = null, observationOnly = defaults.engagement.observationOnly, actionLog = null } = {}) {
+    this.personaId = personaId;
+    this.actionLog = actionLog;
+    this.observationOnly = observationOnly !== false;
+    this.attempted = Object.fromEntries(ACTIONS.map(action => [action, 0]));
+    this.blocked = Object.fromEntries(ACTIONS.map(action => [action, 0]));
+    this.blockedRequests = [];
+    this.requestPatterns = defaults.engagement.writeRequestPatterns.map(pattern => new RegExp(pattern, 'i'));
+    this.friendlyNamePattern = new RegExp(defaults.engagement.writeMutationPattern, 'i');
+  }
+
+  /**
+   * Ask to perform a write action
+   * @param {string} action - One of ACTIONS
+   * @param {string|null} target - Post or account the action targets
+   * @returns {boolean} True if the action may be performed
+   */
+  permit(action, target = null) {
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`Unknown engagement action "${action}" (expected one of: ${ACTIONS.join(', ')})`);
+    }
+
+    this.attempted[action]++;
+    if (!this.observationOnly) {
+      return true;
+    }
+
+    this.blocked[action]++;
+    logger.info(`Observation-only: blocked ${action}${target ? ` on ${target}` : ''} for ${this.personaId || 'persona'}`);
+    if (this.actionLog) {
+      this.actionLog.record(action, { target, outcome: 'blocked', details: { reason: 'observation_only' } });
+    }
+    return false;
+  }
+
+  /**
+   * Whether an outgoing browser request is a write action to abort
+   * Matches non-GET requests against defaults.engagement.writeRequestPatterns and
+   * GraphQL mutations whose X-FB-Friendly-Name matches writeMutationPattern.
+   * @param {Object} request - Puppeteer HTTPRequest
+   * @returns {boolean} True if the request must be aborted
+   */
+  blocksRequest(request) {
+    if (!this.observationOnly || request.method() === 'GET') {
+      return false;
+    }
+
+    const url = request.url();
+    const friendlyName = (request.headers() || {})['x-fb-friendly-name'] || '';
+    const matches = this.requestPatterns.some(pattern => pattern.test(url)) ||
+      (friendlyName !== '' && this.friendlyNamePattern.test(friendlyName));
+    if (!matches) {
+      return false;
+    }
+
+    const entry = { method: request.method(), url: url.split('?')[0], friendly_name: friendlyName || null, at: new Date().toISOString() };
+    this.blockedRequests.push(entry);
+    logger.warn(`Observation-only: aborted write request ${entry.method} ${entry.url}${friendlyName ? ` (${friendlyName})` : ''}`);
+    return true;
+  }
+
+  /**
+   * Summary for the run manifest
+   * @returns {Object} { observation_only, attempted, blocked, blocked_requests }
+   */
+  summary() {
+    return {
+      observation_only: this.observationOnly,
+      attempted: { ...this.attempted },
+      blocked: { ...this.blocked },
+      blocked_requests: this.blockedRequests.slice(0, defaults.engagement.maxRecordedRequests),
+      blocked_request_count: this.blockedRequests.length
+    };
+  }
+}
+
+module.exports = EngagementGuard;
+module.exports.ACTIONS = ACTIONS;
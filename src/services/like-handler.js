@@ -7,16 +7,29 @@ const EngagementStrategy = require('./engagement-strategy');
  * LikeHandler - Handles liking reels/posts
  */
 class LikeHandler {
-  constructor(page, persona) {
+  /**
+   * @param {Object} page - Puppeteer page object
+   * @param {Object} persona - Persona configuration
+   * @param {EngagementGuard} guard - Write action gate of the session
+   * @param {ActionLog|null} actionLog - Receives every like attempt that reached the page
+   */
+  constructor(page, persona, guard, actionLog = null) {
     this.page = page;
     this.persona = persona;
+    this.guard = guard;
+    this.actionLog = actionLog;
   }
 
   /**
-   * Like current reel
-   * @returns {Promise<void>}
+   * Like current reel (refused in observation-only mode)
+   * @param {string|null} postId - Post being liked
+   * @returns {Promise<boolean>} True if the like button was clicked
    */
-  async likeReel() {
+  async likeReel(postId = null) {
+    if (!this.guard.permit('like', postId)) {
+      return false;
+    }
+
     try {
       await randomDelay(500, 1000);
       
@@ -27,15 +40,20 @@ class LikeHandler {
         logger.debug('Puppeteer: Clicking like button...');
         await likeButton.click();
         logger.debug(' Liked reel');
+        this.actionLog?.record('like', { target: postId, outcome: 'performed' });
         
         // Use engagement delay if available, otherwise default to 2-5 seconds
         const delayMin = (this.persona.engagement?.likes?.delay_seconds?.min || 2) * 1000;
         const delayMax = (this.persona.engagement?.likes?.delay_seconds?.max || 5) * 1000;
         await randomDelay(delayMin, delayMax);
+        return true;
       }
+      this.actionLog?.record('like', { target: postId, outcome: 'not_found' });
     } catch (error) {
       logger.error(`Failed to like reel: ${error.message}`);
+      this.actionLog?.record('like', { target: postId, outcome: 'failed', details: { error: error.message } });
     }
+    return false;
   }
 
   /**
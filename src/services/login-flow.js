@@ -7,6 +7,7 @@ const AppPromptHandler = require('./app-prompt-handler');
 const Typing = require('../browser/typing');
 const Clicking = require('../browser/clicking');
 const { logCurrentSite } = require('./auth-utils');
+const PersonaStateStore = require('./persona-state');
 
 /**
  * Custom error class for account suspension
@@ -27,9 +28,10 @@ class LoginFlow {
    * Main login function - handles the complete Instagram login flow
    * @param {Object} page - Puppeteer page object
    * @param {Object} persona - Persona configuration with credentials
+   * @param {ActionLog|null} actionLog - Receives the login, verification and dialog actions
    * @returns {Promise<boolean>} True if login successful
    */
-  static async handleLogin(page, persona) {
+  static async handleLogin(page, persona, actionLog = null) {
     logger.info(`Logging in as ${persona.credentials.username}`);
     logger.debug('Navigating to Instagram login page...');
 
@@ -47,7 +49,7 @@ class LoginFlow {
 
       // Handle cookie banner if it appears (do this FIRST before interacting with form)
       logger.debug('Checking for cookie banner...');
-      await CookieHandler.handleCookieBanner(page);
+      await CookieHandler.handleCookieBanner(page, actionLog);
 
       // Extra wait to ensure cookie banner modal is completely gone
       await randomDelay(2000, 3000);
@@ -127,8 +129,11 @@ class LoginFlow {
         
         // If challenge is still present but URL changed, it might have navigated away
         // If challenge is gone, we're good
-        if (stillNeedsVerification && currentUrlAfterVerification === urlBeforeVerification) {
+        const resolved = !(stillNeedsVerification && currentUrlAfterVerification === urlBeforeVerification);
+        actionLog?.record('verification_code', { target: urlBeforeVerification, outcome: resolved ? 'resolved' : 'unresolved' });
+        if (!resolved) {
           logger.warn('Challenge page still present - verification may be required');
+          this.markNeedsVerification(persona, `challenge still shown after login (${currentUrlAfterVerification})`);
           // Don't throw error - let the flow continue and see what happens
         } else {
           logger.info('Verification challenge resolved - continuing with login flow');
@@ -142,7 +147,7 @@ class LoginFlow {
       }
       
       // Handle post-login dialogs
-      await this.handlePostLoginDialogs(page);
+      await this.handlePostLoginDialogs(page, actionLog);
 
       // Navigate to reels page
       logger.info('Login successful! Navigating to Instagram Reels...');
@@ -158,7 +163,7 @@ class LoginFlow {
       await randomDelay(2000, 3000);
       
       // Check for "Use the app" prompt and dismiss it
-      await AppPromptHandler.handleAppPrompt(page);
+      await AppPromptHandler.handleAppPrompt(page, actionLog);
       
       // Check for suspension after navigating to reels
       const isSuspendedAfterReels = await this.checkForSuspension(page);
@@ -187,7 +192,9 @@ class LoginFlow {
         const stillNeedsReelsVerification = await this.checkForChallenge(page);
         
         // Only re-navigate if challenge is resolved or URL changed
-        if (!stillNeedsReelsVerification || page.url() !== urlBeforeReelsVerification) {
+        const reelsResolved = !stillNeedsReelsVerification || page.url() !== urlBeforeReelsVerification;
+        actionLog?.record('verification_code', { target: urlBeforeReelsVerification, outcome: reelsResolved ? 'resolved' : 'unresolved' });
+        if (reelsResolved) {
           await page.goto('https://www.instagram.com/reels/', {
             waitUntil: 'networkidle2',
             timeout: 30000
@@ -195,17 +202,38 @@ class LoginFlow {
           logger.info('Re-navigated to Instagram Reels after verification');
         } else {
           logger.warn('Challenge still present after verification attempt - continuing anyway');
+          this.markNeedsVerification(persona, `challenge still shown on reels (${page.url()})`);
         }
       }
 
+      actionLog?.record('login', { target: page.url(), outcome: 'success' });
       return true;
     } catch (error) {
+      actionLog?.record('login', {
+        target: page.url(),
+        outcome: error instanceof AccountSuspendedError ? 'suspended' : 'failed',
+        details: { error: error.message }
+      });
       logger.error(`Login failed: ${error.message}`);
       await this.takeLoginErrorScreenshot(page);
       throw error;
     }
   }
 
+  /**
+   * Record that the account needs manual verification; the persona is skipped by
+   * later runs until its state is set back to active (or a session completes)
+   * @param {Object} persona - Persona configuration
+   * @param {string} reason - What was observed
+   */
+  static markNeedsVerification(persona, reason) {
+    try {
+      new PersonaStateStore().set(persona.persona_id, 'needs_verification', { reason, source: 'login' });
+    } catch (error) {
+      logger.warn(`Could not update persona state: ${error.message}`);
+    }
+  }
+
   /**
    * Check if account is suspended
    * @param {Object} page - Puppeteer page object
@@ -414,8 +442,10 @@ class LoginFlow {
 
   /**
    * Handle post-login dialogs (Save Login Info, Notifications)
+   * @param {Object} page - Puppeteer page object
+   * @param {ActionLog|null} actionLog - Receives each dismissed dialog
    */
-  static async handlePostLoginDialogs(page) {
+  static async handlePostLoginDialogs(page, actionLog = null) {
     // Handle "Save Your Login Info" dialog
     logger.debug('Checking for "Save Login Info" dialog...');
     await randomDelay(2000, 3000);
@@ -423,6 +453,7 @@ class LoginFlow {
       const clicked = await Clicking.clickButtonByExactText(page, 'Not Now', 5000);
       if (clicked) {
         logger.debug('Clicked "Not Now" on Save Login Info dialog');
+        actionLog?.record('dialog_dismiss', { target: 'save_login_info', outcome: 'success' });
         await randomDelay(1000, 2000);
       }
     } catch (e) {
@@ -435,6 +466,7 @@ class LoginFlow {
       const clickedNotif = await Clicking.clickButtonByExactText(page, 'Not Now', 5000);
       if (clickedNotif) {
         logger.debug('Clicked "Not Now" on Notifications dialog');
+        actionLog?.record('dialog_dismiss', { target: 'notifications', outcome: 'success' });
         await randomDelay(1000, 2000);
       }
     } catch (e) {
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../utils/logger');
+const logger = createLogger('PersonaState');
+const defaults = require('../config/defaults');
+
+/**
+ * Lifecycle states of a persona account
+ * - active: runs normally (personas without a record are active)
+ * - needs_verification: Instagram kept showing a challenge after login; someone has to verify the account
+ * - suspended: Instagram suspended the account
+ * - retired: taken out of the study on purpose
+ */
+const STATES = ['active', 'needs_verification', 'suspended', 'retired'];
+
+/**
+ * States in which a persona is scraped
+ */
+const RUNNABLE_STATES = ['active'];
+
+/**
+ * PersonaStateStore - Persistent lifecycle state per persona
+ *
+ * Stored in defaults.personaStates.file. The login and scrape flows update it
+ * (challenge still present after login -> needs_verification, AccountSuspendedError
+ * -> suspended, completed session -> active again), `node src/main.js personas
+ * set-state` changes it by hand, and Persona.loadAllPersonas skips personas
+ * that are not runnable. Every change is kept in a per-persona history.
+ */
+class PersonaStateStore {
+  /**
+   * @param {string|null} file - State file (default: from config)
+   */
+  constructor(file = null) {
+    this.file = file || path.join(process.cwd(), defaults.personaStates.file);
+  }
+
+  /**
+   * Read the state file (empty if missing); re-read on every access so separate
+   * processes (scheduler, CLI) see each other's changes
+   * @returns {Object} { personas: { id: record } }
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.file)) {
+        return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      }
+    } catch (error) {
+      logger.error(`Failed to read persona states (${this.file}): ${error.message}`);
+      throw error;
+    }
+    return { personas: {} };
+  }
+
+  /**
+   * Current state of a persona
+   * @param {string} personaId - Persona ID
+   * @returns {Object} { state, since, reason, source, history }
+   */
+  get(personaId) {
+    const record = this.load().personas[personaId];
+    return record || { state: 'active', since: null, reason: null, source: null, history: [] };
+  }
+
+  /**
+   * All recorded personas
+   * @returns {Object} persona_id -> record
+   */
+  all() {
+    return this.load().personas;
+  }
+
+  /**
+   * @param {string} personaId - Persona ID
+   * @returns {boolean} True if the persona should be scraped
+   */
+  isRunnable(personaId) {
+    return RUNNABLE_STATES.includes(this.get(personaId).state);
+  }
+
+  /**
+   * Change a persona's state and write the file
+   * @param {string} personaId - Persona ID
+   * @param {string} state - New state (see STATES)
+   * @param {Object} details - Change details
+   * @param {string|null} details.reason - Why the state changed
+   * @param {string} details.source - What changed it ('login', 'scrape', 'cli')
+   * @returns {Object} Updated record
+   */
+  set(personaId, state, { reason = null, source = 'cli' } = {}) {
+    if (!STATES.includes(state)) {
+      throw new Error(`Unknown persona state "${state}" (expected one of: ${STATES.join(', ')})`);
+    }
+
+    const data = this.load();
+    const previous = data.personas[personaId];
+    const now = new Date().toISOString();
+    const history = previous ? previous.history : [];
+    history.push({ state, at: now, reason, source });
+
+    const record = {
+      state,
+      since: previous && previous.state === state ? previous.since : now,
+      reason,
+      source,
+      history: history.slice(-defaults.personaStates.historyLimit)
+    };
+    data.personas[personaId] = record;
+    this.save(data);
+
+    const from = previous ? previous.state : 'active';
+    if (from !== state) {
+      logger.info(`Persona ${personaId}: ${from} -> ${state}${reason ? ` (${reason})` : ''}`);
+    }
+    return record;
+  }
+
+  /**
+   * Write the state file (write to a temp file, then rename)
+   * @param {Object} data - State data
+   */
+  save(data) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmpFile = `${this.file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2) + '\n', 'utf8');
+    fs.renameSync(tmpFile, this.file);
+  }
+}
+
+module.exports = PersonaStateStore;
+module.exports.STATES = STATES;
+module.exports.RUNNABLE_STATES = RUNNABLE_STATES;
@@ -0,0 +1,261 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('yaml');
+const Ajv = require('ajv');
+const SecretStore = require('./secret-store');
+const schema = require('../config/persona.schema.json');
+
+/**
+ * PersonaValidator - Checks persona YAML files against src/config/persona.schema.json
+ *
+ * Files are validated as written (before ${VAR} placeholders are replaced), so
+ * every error can point at the line and column of the offending key. Unknown
+ * keys are errors, with a suggestion when they look like a typo of a known key
+ * (e.g. `engagment` -> `engagement`), because EngagementStrategy would otherwise
+ * silently fall back to its defaults.
+ *
+ * Properties marked `"sensitive": true` in the schema (passwords, proxy
+ * credentials) must reference their value through a ${NAME} placeholder
+ * (see SecretStore); a literal value is an error and is never echoed.
+ *
+ * Templates (personas/templates) are checked in template mode, where empty
+ * strings are unfilled placeholders (`gender: ""`) rather than errors.
+ */
+class PersonaValidator {
+  /**
+   * Compiled schema (created on first use)
+   * @returns {Function} Ajv validate function
+   * @private
+   */
+  static _compiled() {
+    if (!this._validate) {
+      const ajv = new Ajv({ allErrors: true, $data: true, jsonPointers: true, verbose: true });
+      ajv.addKeyword('sensitive', {
+        type: 'string',
+        errors: false,
+        validate: (sensitive, value) => !sensitive || SecretStore.placeholders(value).length > 0
+      });
+      this._validate = ajv.compile(schema);
+    }
+    return this._validate;
+  }
+
+  /**
+   * Validate a parsed persona object
+   * @param {Object} persona - Persona configuration
+   * @param {Object} options - Validation options
+   * @param {boolean} options.resolved - Placeholders were already replaced (skips the literal-secret check)
+   * @param {boolean} options.template - Template mode: empty string values are not errors
+   * @returns {Array<Object>} Errors ({ path, segments, key, message }); empty if valid
+   */
+  static validate(persona, { resolved = false, template = false } = {}) {
+    const validate = this._compiled();
+    if (validate(persona)) {
+      return [];
+    }
+
+    // A failed oneOf also reports why each alternative failed; keep only the oneOf error itself
+    const errors = validate.errors
+      .filter(error => !/\/oneOf\/\d+\//.test(error.schemaPath))
+      .filter(error => !(resolved && error.keyword === 'sensitive'))
+      .filter(error => !(template && error.data === ''));
+    return errors.map(error => {
+      const segments = error.dataPath.split('/').slice(1)
+        .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .map(segment => (/^\d+$/.test(segment) ? Number(segment) : segment));
+      const key = error.params.additionalProperty ?? error.params.missingProperty ?? null;
+      const fullPath = error.keyword === 'additionalProperties' ? [...segments, key] : segments;
+      return {
+        path: this.formatPath(fullPath),
+        segments,
+        key: error.keyword === 'additionalProperties' ? key : null,
+        message: this._describe(error)
+      };
+    });
+  }
+
+  /**
+   * Validate persona YAML text, locating each error in the source
+   * @param {string} text - YAML source
+   * @param {Object} options - Validation options
+   * @param {string|null} options.file - File name used in error reports
+   * @param {boolean} options.requireIdMatch - persona_id must equal the file name (personas are loaded by ID)
+   * @param {boolean} options.template - Template mode (see validate)
+   * @returns {Array<Object>} Errors ({ file, line, column, path, message }); empty if valid
+   */
+  static validateText(text, { file = null, requireIdMatch = false, template = false } = {}) {
+    const lineCounter = new yaml.LineCounter();
+    const doc = yaml.parseDocument(text, { lineCounter });
+
+    if (doc.errors.length > 0) {
+      return doc.errors.map(error => ({
+        file,
+        line: error.linePos ? error.linePos[0].line : 1,
+        column: error.linePos ? error.linePos[0].col : 1,
+        path: '',
+        message: `YAML syntax error: ${error.message.split('\n')[0]}`
+      }));
+    }
+
+    const persona = doc.toJS();
+    const errors = this.validate(persona, { template }).map(error => ({
+      file,
+      ...this._locate(doc, lineCounter, error.segments, error.key),
+      path: error.path,
+      message: error.message
+    }));
+
+    if (requireIdMatch && file && persona && typeof persona.persona_id === 'string') {
+      const expected = path.basename(file, path.extname(file));
+      if (persona.persona_id !== expected) {
+        errors.push({
+          file,
+          ...this._locate(doc, lineCounter, ['persona_id']),
+          path: 'persona_id',
+          message: `must match the file name "${expected}" (personas are loaded by ID)`
+        });
+      }
+    }
+
+    return errors.sort((a, b) => a.line - b.line || a.column - b.column);
+  }
+
+  /**
+   * Validate a persona YAML file
+   * @param {string} filePath - Persona file
+   * @param {Object} options - See validateText
+   * @returns {Array<Object>} Errors; empty if valid
+   */
+  static validateFile(filePath, { requireIdMatch = false, template = false } = {}) {
+    const file = path.relative(process.cwd(), filePath) || filePath;
+    return this.validateText(fs.readFileSync(filePath, 'utf8'), { file, requireIdMatch, template });
+  }
+
+  /**
+   * Format an error as "file:line:column path: message"
+   * @param {Object} error - Error from validateText
+   * @returns {string} Error line
+   */
+  static formatError(error) {
+    const location = [error.file, error.line, error.column].filter(part => part !== null && part !== undefined).join(':');
+    return `${location}${error.path ? ` ${error.path}` : ''}: ${error.message}`;
+  }
+
+  /**
+   * Dotted path with array indices: political_figures.follows[1].username
+   * @param {Array<string|number>} segments - Path segments
+   * @returns {string} Path ('(root)' for the document itself)
+   */
+  static formatPath(segments) {
+    if (segments.length === 0) {
+      return '(root)';
+    }
+    return segments.reduce((result, segment) =>
+      (typeof segment === 'number' ? `${result}[${segment}]` : result ? `${result}.${segment}` : segment), '');
+  }
+
+  /**
+   * Human-readable message for an Ajv error
+   * @private
+   */
+  static _describe(error) {
+    const { keyword, params, parentSchema } = error;
+    // Never echo a value that may be a secret
+    const data = parentSchema && parentSchema.sensitive ? '<hidden>' : JSON.stringify(error.data);
+    switch (keyword) {
+      case 'sensitive':
+        return 'literal secret; reference it as "${NAME}" and set NAME in .env or with "node src/main.js secrets set NAME"';
+      case 'additionalProperties': {
+        const suggestion = this._suggest(params.additionalProperty, Object.keys(parentSchema.properties || {}));
+        return `unknown property${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`;
+      }
+      case 'required':
+        return `missing required property "${params.missingProperty}"`;
+      case 'type':
+        return `must be ${params.type === 'integer' ? 'an integer' : `a ${params.type}`} (got ${data})`;
+      case 'enum':
+        return `must be one of ${params.allowedValues.join(', ')} (got ${data})`;
+      case 'minimum':
+      case 'maximum':
+      case 'exclusiveMinimum':
+      case 'exclusiveMaximum': {
+        const operator = { minimum: '>=', maximum: '<=', exclusiveMinimum: '>', exclusiveMaximum: '<' }[keyword];
+        // A $data limit refers to a sibling value (max >= min)
+        const reference = error.schema && error.schema.$data ? `${error.schema.$data.replace(/^1\//, '')} ` : '';
+        return `must be ${operator} ${reference}${reference ? `(${params.limit})` : params.limit} (got ${error.data})`;
+      }
+      case 'pattern':
+        return `${data} does not match ${parentSchema.description || `pattern ${params.pattern}`}`;
+      case 'minLength':
+        return params.limit === 1 ? 'must not be empty' : `must be at least ${params.limit} characters`;
+      case 'minItems':
+        return `must list at least ${params.limit} item${params.limit === 1 ? '' : 's'}`;
+      case 'oneOf':
+        return `${data} is not valid here${parentSchema.description ? ` (${parentSchema.description})` : ''}`;
+      default:
+        return error.message;
+    }
+  }
+
+  /**
+   * Closest known key to a misspelled one (edit distance <= 2)
+   * @private
+   */
+  static _suggest(key, candidates) {
+    let best = null;
+    let bestDistance = 3;
+    for (const candidate of candidates) {
+      const distance = this._editDistance(String(key).toLowerCase(), candidate.toLowerCase());
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Levenshtein distance
+   * @private
+   */
+  static _editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Line and column of the key (or item) at a path; unknown keys point at the key itself
+   * @private
+   */
+  static _locate(doc, lineCounter, segments, key = null) {
+    const parentPath = key === null ? segments.slice(0, -1) : segments;
+    const name = key === null ? segments[segments.length - 1] : key;
+    const parent = parentPath.length > 0 ? doc.getIn(parentPath, true) : doc.contents;
+
+    let node = null;
+    if (name === undefined) {
+      node = doc.contents;
+    } else if (yaml.isMap(parent)) {
+      const pair = parent.items.find(item => (yaml.isScalar(item.key) ? item.key.value : item.key) === name);
+      node = pair ? pair.key : null;
+    } else if (yaml.isSeq(parent)) {
+      node = parent.items[name];
+    }
+
+    const offset = (node && node.range && node.range[0]) ?? (parent && parent.range && parent.range[0]);
+    if (offset === undefined || offset === null) {
+      return { line: 1, column: 1 };
+    }
+    const { line, col } = lineCounter.linePos(offset);
+    return { line, column: col };
+  }
+}
+
+module.exports = PersonaValidator;
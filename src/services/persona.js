@@ -3,19 +3,38 @@ const path = require('path');
 const yaml = require('yaml');
 const { createLogger } = require('../utils/logger');
 const logger = createLogger('PersonaLoader');
+const PersonaValidator = require('./persona-validator');
+const SecretStore = require('./secret-store');
+const Redactor = require('../utils/redactor');
+const PersonaStateStore = require('./persona-state');
 
 class Persona {
-  constructor(personasDir = path.join(process.cwd(), 'personas', 'active')) {
+  constructor(personasDir = path.join(process.cwd(), 'personas', 'active'), secretStore = new SecretStore(), stateStore = new PersonaStateStore()) {
     this.personasDir = personasDir;
+    this.secretStore = secretStore;
+    this.stateStore = stateStore;
+  }
+
+  /**
+   * Path of a persona's YAML file
+   * @param {string} personaId - The persona ID
+   * @returns {string} File path (may not exist)
+   */
+  getPersonaPath(personaId) {
+    return path.join(this.personasDir, `${personaId}.yaml`);
   }
 
   /**
    * Load a specific persona by ID
    * @param {string} personaId - The persona ID to load
+   * @param {Object} options - Load options
+   * @param {boolean} options.resolveSecrets - Replace ${NAME} placeholders (default: true); without it
+   *   placeholders are kept, for callers that only need IDs, demographics or time zones
    * @returns {Object} Parsed persona configuration
+   * @throws {Error} If the file is missing or invalid, or a placeholder cannot be resolved
    */
-  loadPersona(personaId) {
-    const personaPath = path.join(this.personasDir, `${personaId}.yaml`);
+  loadPersona(personaId, { resolveSecrets = true } = {}) {
+    const personaPath = this.getPersonaPath(personaId);
     
     if (!fs.existsSync(personaPath)) {
       throw new Error(`Persona file not found: ${personaPath}`);
@@ -23,13 +42,25 @@ class Persona {
 
     try {
       const fileContents = fs.readFileSync(personaPath, 'utf8');
+
+      // Validate against the schema before placeholders are replaced, so errors carry line numbers
+      // and literal secrets in sensitive fields are rejected
+      const errors = PersonaValidator.validateText(fileContents, {
+        file: path.relative(process.cwd(), personaPath),
+        requireIdMatch: true
+      });
+      if (errors.length > 0) {
+        throw new Error(`Invalid persona file (${errors.length} error${errors.length === 1 ? '' : 's'}):\n  ${errors.map(error => PersonaValidator.formatError(error)).join('\n  ')}`);
+      }
+
       const persona = yaml.parse(fileContents);
       
-      // Replace environment variable placeholders
-      this.replaceEnvVariables(persona);
-      
-      // Validate persona structure
-      this.validatePersona(persona);
+      if (resolveSecrets) {
+        // Replace ${NAME} placeholders (environment, then the encrypted secrets file)
+        this.replaceEnvVariables(persona);
+        // Resolved passwords and proxy credentials are masked wherever they show up in logs
+        Redactor.registerSecrets(persona);
+      }
       
       logger.info(`Loaded persona: ${personaId}`);
       return persona;
@@ -40,78 +71,104 @@ class Persona {
   }
 
   /**
-   * Load all personas from the active directory
-   * @returns {Array} Array of persona configurations
+   * IDs of all persona files in the active directory
+   * @returns {Array<string>} Persona IDs
    */
-  loadAllPersonas() {
+  listPersonaIds() {
     if (!fs.existsSync(this.personasDir)) {
       logger.warn(`Personas directory not found: ${this.personasDir}`);
       return [];
     }
 
-    const files = fs.readdirSync(this.personasDir)
-      .filter(f => f.endsWith('.yaml') || f.endsWith('.yml'));
+    return fs.readdirSync(this.personasDir)
+      .filter(f => f.endsWith('.yaml') || f.endsWith('.yml'))
+      .map(file => path.basename(file, path.extname(file)));
+  }
 
-    return files.map(file => {
-      const personaId = path.basename(file, path.extname(file));
-      return this.loadPersona(personaId);
+  /**
+   * Load all runnable personas from the active directory
+   * Personas whose lifecycle state is not runnable (needs_verification, suspended,
+   * retired; see PersonaStateStore) are skipped, and so is a persona that fails to load
+   * (e.g. its secrets are not set), so one broken persona does not stop the others.
+   * @param {Object} options - Load options (see loadPersona)
+   * @param {boolean} options.resolveSecrets - Replace ${NAME} placeholders (default: true)
+   * @returns {Array} Array of persona configurations
+   */
+  loadAllPersonas({ resolveSecrets = true } = {}) {
+    const personaIds = this.listPersonaIds().filter(personaId => {
+      if (this.stateStore.isRunnable(personaId)) {
+        return true;
+      }
+      const { state, since, reason } = this.stateStore.get(personaId);
+      logger.info(`Skipping persona ${personaId}: ${state} since ${since}${reason ? ` (${reason})` : ''}`);
+      return false;
     });
+
+    const personas = [];
+    for (const personaId of personaIds) {
+      try {
+        personas.push(this.loadPersona(personaId, { resolveSecrets }));
+      } catch (error) {
+        // loadPersona has logged why
+        logger.warn(`Skipping persona ${personaId} until it loads`);
+      }
+    }
+    return personas;
   }
 
   /**
-   * Replace environment variable placeholders in persona config
-   * @param {Object} obj - Object to process
+   * Replace ${NAME} placeholders in persona config, anywhere in a value
+   * ("${IPROYAL_PASSWORD}_country-us"). Values come from the environment first,
+   * then from the encrypted secrets file (see SecretStore).
+   * @param {Object} obj - Object to process (modified in place)
+   * @throws {Error} Listing every placeholder that could not be resolved
    */
   replaceEnvVariables(obj) {
-    for (const key in obj) {
-      if (typeof obj[key] === 'string') {
-        // Match ${VAR_NAME} pattern
-        const match = obj[key].match(/^\$\{(.+)\}$/);
-        if (match) {
-          const envVar = match[1];
-          if (!process.env[envVar]) {
-            throw new Error(`Environment variable ${envVar} not found`);
-          }
-          obj[key] = process.env[envVar];
-        }
-      } else if (typeof obj[key] === 'object' && obj[key] !== null) {
-        this.replaceEnvVariables(obj[key]);
-      }
-    }
+    this.secretStore.resolveAll(obj);
   }
 
   /**
-   * Validate persona configuration structure
-   * @param {Object} persona - Persona configuration to validate
+   * Validate a persona configuration object against the persona schema
+   * (src/config/persona.schema.json). Files are validated with line numbers in loadPersona.
+   * @param {Object} persona - Persona configuration to validate (as returned by loadPersona,
+   *   i.e. with placeholders resolved, so sensitive fields may hold their values)
+   * @throws {Error} Listing every schema violation
    */
   validatePersona(persona) {
-    const required = [
-      'persona_id',
-      'region',
-      'political_spectrum',
-      'demographics',
-      'credentials',
-      'proxy',
-      'political_figures'
-    ];
-
-    for (const field of required) {
-      if (!persona[field]) {
-        throw new Error(`Missing required field: ${field}`);
-      }
+    const errors = PersonaValidator.validate(persona, { resolved: true });
+    if (errors.length > 0) {
+      throw new Error(`Invalid persona: ${errors.map(error => `${error.path}: ${error.message}`).join('; ')}`);
     }
 
-    // Validate credentials
-    if (!persona.credentials.username || !persona.credentials.password) {
-      throw new Error('Missing username or password in credentials');
-    }
+    logger.debug(`Validated persona: ${persona.persona_id}`);
+  }
 
-    // Validate political figures
-    if (!persona.political_figures.follows || persona.political_figures.follows.length === 0) {
-      throw new Error('No political figures specified');
+  /**
+   * Validate every persona file in a set of directories
+   * @param {Array<string>} dirs - Directories to scan (*.yaml, *.yml)
+   * @param {Object} options - Validation options
+   * @param {Array<string>} options.templateDirs - Directories holding templates (validated in template mode)
+   * @returns {Array<Object>} One entry per file ({ file, errors }); persona_id must match
+   *   the file name only in this loader's own directory, since personas are loaded by ID from there
+   */
+  validateAll(dirs, { templateDirs = [] } = {}) {
+    const results = [];
+    for (const dir of dirs) {
+      if (!fs.existsSync(dir)) {
+        logger.warn(`Personas directory not found: ${dir}`);
+        continue;
+      }
+      const files = fs.readdirSync(dir).filter(f => f.endsWith('.yaml') || f.endsWith('.yml')).sort();
+      const template = templateDirs.some(templateDir => path.resolve(templateDir) === path.resolve(dir));
+      for (const file of files) {
+        const filePath = path.join(dir, file);
+        results.push({
+          file: path.relative(process.cwd(), filePath),
+          errors: PersonaValidator.validateFile(filePath, { requireIdMatch: path.resolve(dir) === path.resolve(this.personasDir), template })
+        });
+      }
     }
-
-    logger.debug(`Validated persona: ${persona.persona_id}`);
+    return results;
   }
 
   /**
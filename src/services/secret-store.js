@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const defaults = require('../config/defaults');
+const { createLogger } = require('../utils/logger');
+const logger = createLogger('SecretStore');
+
+/**
+ * ${NAME} placeholder; may appear anywhere in a value ("${IPROYAL_PASSWORD}_country-us")
+ */
+const PLACEHOLDER = /\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+const FILE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const SCRYPT_OPTIONS = { N: 16384, r: 8, p: 1 };
+
+/**
+ * SecretStore - Resolves ${NAME} placeholders in persona files
+ *
+ * Values come from the environment (.env) first, then from an optional local
+ * secrets file encrypted with AES-256-GCM under a key derived (scrypt) from the
+ * passphrase in defaults.secrets.keyEnv. The file is only decrypted when a
+ * placeholder is not set in the environment.
+ */
+class SecretStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.file - Encrypted secrets file (default: defaults.secrets.file)
+   * @param {string} options.passphrase - Passphrase (default: the defaults.secrets.keyEnv variable)
+   */
+  constructor({ file = path.resolve(defaults.secrets.file), passphrase = process.env[defaults.secrets.keyEnv] } = {}) {
+    this.file = file;
+    this.passphrase = passphrase || null;
+    this.secrets = null;
+  }
+
+  /**
+   * Placeholder names referenced by a value
+   * @param {string} text - Value
+   * @returns {Array<string>} Names in order of appearance
+   */
+  static placeholders(text) {
+    return Array.from(String(text).matchAll(PLACEHOLDER), match => match[1]);
+  }
+
+  /**
+   * Whether the secrets file exists
+   * @returns {boolean}
+   */
+  exists() {
+    return fs.existsSync(this.file);
+  }
+
+  /**
+   * Decrypt the secrets file (cached); a missing file is an empty store
+   * @returns {Object} name -> value
+   */
+  load() {
+    if (this.secrets) {
+      return this.secrets;
+    }
+    if (!this.exists()) {
+      this.secrets = {};
+      return this.secrets;
+    }
+    if (!this.passphrase) {
+      throw new Error(`Secrets file ${this.file} is encrypted; set ${defaults.secrets.keyEnv} to its passphrase`);
+    }
+
+    const payload = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    this.secrets = SecretStore.decrypt(payload, this.passphrase, this.file);
+    logger.debug(`Loaded ${Object.keys(this.secrets).length} secrets from ${this.file}`);
+    return this.secrets;
+  }
+
+  /**
+   * Look up a secret: environment first, then the secrets file
+   * @param {string} name - Secret name
+   * @returns {string|undefined} Value, or undefined if not set anywhere
+   */
+  get(name) {
+    if (process.env[name] !== undefined && process.env[name] !== '') {
+      return process.env[name];
+    }
+    return this.load()[name];
+  }
+
+  /**
+   * Replace every placeholder in a value
+   * @param {string} text - Value with ${NAME} placeholders
+   * @param {Array<string>} missing - Receives names that could not be resolved
+   * @returns {string} Interpolated value (unresolved placeholders are left as is)
+   */
+  interpolate(text, missing = []) {
+    return text.replace(PLACEHOLDER, (placeholder, name) => {
+      const value = this.get(name);
+      if (value === undefined) {
+        missing.push(name);
+        return placeholder;
+      }
+      return value;
+    });
+  }
+
+  /**
+   * Replace placeholders in every string of a configuration object (in place)
+   * @param {Object} obj - Configuration object
+   * @throws {Error} Listing every unresolved placeholder and where it is used
+   */
+  resolveAll(obj) {
+    const missing = [];
+    const visit = (node, prefix) => {
+      for (const key of Object.keys(node)) {
+        const keyPath = Array.isArray(node) ? `${prefix}[${key}]` : prefix ? `${prefix}.${key}` : key;
+        if (typeof node[key] === 'string') {
+          const names = [];
+          node[key] = this.interpolate(node[key], names);
+          names.forEach(name => missing.push(`${name} (${keyPath})`));
+        } else if (typeof node[key] === 'object' && node[key] !== null) {
+          visit(node[key], keyPath);
+        }
+      }
+    };
+    visit(obj, '');
+
+    if (missing.length > 0) {
+      throw new Error(`Secrets not found in the environment or ${this.file}: ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * Names stored in the secrets file
+   * @returns {Array<string>} Sorted names
+   */
+  names() {
+    return Object.keys(this.load()).sort();
+  }
+
+  /**
+   * Store a secret and save the file
+   * @param {string} name - Secret name (letters, digits, underscores)
+   * @param {string} value - Secret value
+   */
+  set(name, value) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+      throw new Error(`Invalid secret name "${name}" (use letters, digits and underscores)`);
+    }
+    this.load()[name] = value;
+    this.save();
+  }
+
+  /**
+   * Delete a secret and save the file
+   * @param {string} name - Secret name
+   * @returns {boolean} True if the secret existed
+   */
+  remove(name) {
+    const secrets = this.load();
+    if (!(name in secrets)) {
+      return false;
+    }
+    delete secrets[name];
+    this.save();
+    return true;
+  }
+
+  /**
+   * Encrypt and write the store (readable by the owner only)
+   */
+  save() {
+    if (!this.passphrase) {
+      throw new Error(`Set ${defaults.secrets.keyEnv} to the passphrase for ${this.file}`);
+    }
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const payload = SecretStore.encrypt(this.load(), this.passphrase);
+    const tempFile = `${this.file}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(payload, null, 2) + '\n', { mode: 0o600 });
+    fs.renameSync(tempFile, this.file);
+    logger.info(`Saved ${Object.keys(this.secrets).length} secrets to ${this.file}`);
+  }
+
+  /**
+   * Encrypt secrets with a passphrase
+   * @param {Object} secrets - name -> value
+   * @param {string} passphrase - Passphrase
+   * @returns {Object} File payload (base64 fields)
+   */
+  static encrypt(secrets, passphrase) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = crypto.scryptSync(passphrase, salt, 32, SCRYPT_OPTIONS);
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+    return {
+      version: FILE_VERSION,
+      cipher: CIPHER,
+      kdf: 'scrypt',
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  /**
+   * Decrypt a file payload
+   * @param {Object} payload - From encrypt()
+   * @param {string} passphrase - Passphrase
+   * @param {string} file - File name for error messages
+   * @returns {Object} name -> value
+   */
+  static decrypt(payload, passphrase, file = 'secrets file') {
+    if (payload.version !== FILE_VERSION || payload.cipher !== CIPHER) {
+      throw new Error(`Unsupported secrets file format in ${file}`);
+    }
+    const key = crypto.scryptSync(passphrase, Buffer.from(payload.salt, 'base64'), 32, SCRYPT_OPTIONS);
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(payload.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+    try {
+      const text = Buffer.concat([decipher.update(Buffer.from(payload.data, 'base64')), decipher.final()]).toString('utf8');
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Could not decrypt ${file} (wrong ${defaults.secrets.keyEnv}?)`);
+    }
+  }
+}
+
+module.exports = SecretStore;
@@ -0,0 +1,351 @@
+const Redactor = require('../utils/redactor');
+const Pseudonymizer = require('../utils/pseudonymizer');
+const defaults = require('../config/defaults');
+
+/**
+ * BaseStorage - Storage interface shared by all persistence backends
+ *
+ * InstagramReelsScraper, GraphQLHandler, RequestInterceptor and main.js only call
+ * the methods declared here, so a backend can be swapped without touching them.
+ * Backends: CSVStorage (legacy, also used as export format) and SQLiteStorage.
+ */
+class BaseStorage {
+  constructor() {
+    this.runContext = { run_id: '', session_id: '' };
+    this.runCounts = { posts: 0, exposures: 0, sessions: 0, raw_packets: 0, raw_packets_skipped: 0, media_packets: 0 };
+  }
+
+  /**
+   * Tag every row written from now on with a run and session ID
+   * Records that carry their own run_id/session_id (replays, imports) keep them.
+   * @param {Object} context - { run_id, session_id }
+   */
+  setRunContext({ run_id = '', session_id = '' } = {}) {
+    this.runContext = { run_id, session_id };
+  }
+
+  /**
+   * @returns {Object} Rows written since the storage was opened, per type
+   */
+  getRunCounts() {
+    return { ...this.runCounts };
+  }
+
+  /**
+   * Save a post (metadata once per post_id) and record the impression
+   * @param {Object} persona - Persona configuration object
+   * @param {string} feedType - Type of feed (e.g., 'reels')
+   * @param {Object} postData - Extracted post data
+   * @param {Object} exposure - Exposure context (session_id, feed_position, source; optional timestamp for replays; run IDs default to the run context)
+   * @returns {boolean} True if the impression was recorded
+   */
+  savePost(persona, feedType, postData, exposure = {}) {
+    throw this._notImplemented('savePost');
+  }
+
+  /**
+   * Record a single impression of a post
+   * @param {Object} persona - Persona configuration object
+   * @param {string} feedType - Type of feed
+   * @param {string} postId - Post ID that was shown
+   * @param {Object} exposure - Exposure context (session_id, feed_position, source; optional timestamp for replays; run IDs default to the run context)
+   * @returns {boolean} True if the exposure was written
+   */
+  saveExposure(persona, feedType, postId, exposure = {}) {
+    throw this._notImplemented('saveExposure');
+  }
+
+  /**
+   * Save a scraping session summary
+   * @param {Object} persona - Persona configuration object
+   * @param {string} feedType - Type of feed scraped
+   * @param {Object} stats - Session statistics (posts_collected, likes_performed, duration_seconds; optional timestamp, run_id, session_id)
+   */
+  saveSession(persona, feedType, stats) {
+    throw this._notImplemented('saveSession');
+  }
+
+  /**
+   * Save a raw intercepted network response
+   * @param {Object} persona - Persona configuration
+   * @param {string} url - Request URL
+   * @param {string} method - HTTP method
+   * @param {string} contentType - Response content type
+   * @param {string} rawData - Raw response body
+   */
+  saveRawInterceptedPacket(persona, url, method, contentType, rawData) {
+    throw this._notImplemented('saveRawInterceptedPacket');
+  }
+
+  /**
+   * Save a parsed GraphQL media object
+   * @param {Object} persona - Persona configuration
+   * @param {string} url - Request URL
+   * @param {string} method - HTTP method
+   * @param {Object} rawData - Media object
+   */
+  saveRawPacket(persona, url, method, rawData) {
+    throw this._notImplemented('saveRawPacket');
+  }
+
+  /**
+   * Check if a post is already stored
+   * @param {string} postId - Post ID to check
+   * @returns {boolean}
+   */
+  hasPost(postId) {
+    throw this._notImplemented('hasPost');
+  }
+
+  /**
+   * @returns {Array<Object>} All unique posts (with audio_title/audio_artist/audio_type joined from the audio table)
+   */
+  getAllPosts() {
+    throw this._notImplemented('getAllPosts');
+  }
+
+  /**
+   * @returns {Array<Object>} All audio tracks (one per audio_id)
+   */
+  getAllAudio() {
+    throw this._notImplemented('getAllAudio');
+  }
+
+  /**
+   * @returns {Array<Object>} All exposures (one per impression)
+   */
+  getAllExposures() {
+    throw this._notImplemented('getAllExposures');
+  }
+
+  /**
+   * @returns {Array<Object>} All session summaries
+   */
+  getAllSessions() {
+    throw this._notImplemented('getAllSessions');
+  }
+
+  /**
+   * @returns {Array<Object>} All raw intercepted packets
+   */
+  getAllRawPackets() {
+    throw this._notImplemented('getAllRawPackets');
+  }
+
+  /**
+   * @returns {Array<Object>} All raw media packets
+   */
+  getAllRawMediaPackets() {
+    throw this._notImplemented('getAllRawMediaPackets');
+  }
+
+  /**
+   * @param {string} personaId - Persona ID
+   * @returns {Array<Object>} Unique posts shown to the persona
+   */
+  getPostsByPersona(personaId) {
+    throw this._notImplemented('getPostsByPersona');
+  }
+
+  /**
+   * @param {string} region - Region code
+   * @returns {Array<Object>} Unique posts shown in the region
+   */
+  getPostsByRegion(region) {
+    throw this._notImplemented('getPostsByRegion');
+  }
+
+  /**
+   * @param {string} spectrum - Political spectrum
+   * @returns {Array<Object>} Unique posts shown to the spectrum
+   */
+  getPostsBySpectrum(spectrum) {
+    throw this._notImplemented('getPostsBySpectrum');
+  }
+
+  /**
+   * @returns {Object} Summary statistics
+   */
+  getStats() {
+    throw this._notImplemented('getStats');
+  }
+
+  /**
+   * Bulk-insert records that already carry their own timestamps (used for CSV export/import)
+   * @param {Object} records - { posts, exposures, sessions } arrays in the shape returned by the getters
+   * @returns {Object} Counts of inserted records per type
+   */
+  importRecords(records) {
+    throw this._notImplemented('importRecords');
+  }
+
+  /**
+   * Delete raw and media packets captured before a cutoff (retention purge)
+   * @param {Object} cutoffs - Cutoffs per packet type
+   * @param {string|null} cutoffs.rawBefore - ISO timestamp; older raw intercepted packets are deleted (null: keep all)
+   * @param {string|null} cutoffs.mediaBefore - ISO timestamp; older media packets are deleted (null: keep all)
+   * @param {boolean} cutoffs.dryRun - Only count what would be deleted
+   * @returns {Object} { raw_packets, media_packets } deleted counts; skipped_open_files counts
+   *   packet files left alone because a session is still writing them (file-based backends)
+   */
+  purgePackets({ rawBefore = null, mediaBefore = null, dryRun = false } = {}) {
+    throw this._notImplemented('purgePackets');
+  }
+
+  /**
+   * Delete every record referencing an author (see Pseudonymizer.authorMatcher):
+   * posts they authored, sponsored or are @mentioned in, with those posts' exposures,
+   * hashtags and media packets; audio tracks named after them; and raw packets containing them
+   * @param {Object} matcher - Author matcher
+   * @param {Object} options - Erase options
+   * @param {boolean} options.dryRun - Only count what would be deleted
+   * @returns {Object} Deleted counts per record type, plus the erased post_ids (to find their
+   *   screenshots) and skipped_open_files (see purgePackets)
+   */
+  eraseAuthor(matcher, { dryRun = false } = {}) {
+    throw this._notImplemented('eraseAuthor');
+  }
+
+  /**
+   * Whether a post references an author (author, sponsor or @mention in the caption)
+   * @protected
+   */
+  _postReferences(post, matcher) {
+    return matcher.matchesName(post.author_username) ||
+      matcher.matchesName(post.sponsor_username) ||
+      matcher.matchesText(post.caption);
+  }
+
+  /**
+   * Release any resources held by the backend
+   */
+  close() {}
+
+  /**
+   * Extract the persona columns stored alongside every row
+   * @param {Object} persona - Persona configuration object
+   * @returns {Object} persona_id, gender, age, region, political_spectrum
+   * @protected
+   */
+  _personaFields(persona) {
+    return {
+      persona_id: persona?.persona_id || 'unknown',
+      gender: persona?.demographics?.gender || persona?.gender || 'unknown',
+      age: persona?.demographics?.age || persona?.age || 'unknown',
+      region: persona?.region || 'unknown',
+      political_spectrum: persona?.political_spectrum || 'unknown'
+    };
+  }
+
+  /**
+   * Mask credentials and session tokens in a packet before it is written (see Redactor)
+   * @param {string} url - Request URL
+   * @param {string|Object} data - Raw response body or parsed media object
+   * @returns {Object} { url, data }
+   * @protected
+   */
+  _redactPacket(url, data) {
+    return {
+      url: Redactor.redactText(url || ''),
+      data: typeof data === 'string' ? Redactor.redactText(data) : Redactor.redact(data)
+    };
+  }
+
+  /**
+   * Whether an intercepted response is persisted (defaults.packetCapture include/exclude
+   * URL rules and excluded content types); skipped responses are counted
+   * @param {string} url - Request URL
+   * @param {string|null} contentType - Response content type
+   * @returns {boolean} True if the packet should be written
+   * @protected
+   */
+  _persistsPacket(url, contentType) {
+    if (!BaseStorage._packetRules) {
+      const compile = patterns => patterns.map(pattern => new RegExp(pattern, 'i'));
+      BaseStorage._packetRules = {
+        include: compile(defaults.packetCapture.include),
+        exclude: compile(defaults.packetCapture.exclude)
+      };
+    }
+
+    const { include, exclude } = BaseStorage._packetRules;
+    const type = (contentType || '').toLowerCase();
+    const persists = (include.length === 0 || include.some(pattern => pattern.test(url || ''))) &&
+      !exclude.some(pattern => pattern.test(url || '')) &&
+      !defaults.packetCapture.excludeContentTypes.some(excluded => type.includes(excluded));
+    if (!persists) {
+      this.runCounts.raw_packets_skipped++;
+    }
+    return persists;
+  }
+
+  /**
+   * Raw response body as stored: minimised, then truncated to defaults.packetCapture.maxBodyLength
+   * @param {string|Object} rawData - Raw response body
+   * @returns {string} Body to redact and write
+   * @protected
+   */
+  _packetBody(rawData) {
+    const minimised = this._minimisePacket(rawData);
+    const data = typeof minimised === 'string' ? minimised : JSON.stringify(minimised);
+    const maxLength = defaults.packetCapture.maxBodyLength;
+    return data && data.length > maxLength ? data.substring(0, maxLength) + '...[truncated]' : data;
+  }
+
+  /**
+   * Post record as stored: author, sponsors, @mentions and original-audio artists
+   * pseudonymized when defaults.minimisation.enabled is on (see Pseudonymizer)
+   * @param {Object} postData - Extracted post data
+   * @returns {Object} Post data to write
+   * @protected
+   */
+  _minimisePost(postData) {
+    return Pseudonymizer.enabled ? Pseudonymizer.post(postData) : postData;
+  }
+
+  /**
+   * Packet body as stored: profile objects reduced to pseudonyms when minimisation is enabled
+   * Applied before truncation, while the body still parses as JSON.
+   * @param {string|Object} data - Raw response body or parsed media object
+   * @returns {string|Object} Body to write
+   * @protected
+   */
+  _minimisePacket(data) {
+    return Pseudonymizer.enabled ? Pseudonymizer.packet(data) : data;
+  }
+
+  /**
+   * Run and session IDs for a row: the record's own IDs, else the run context
+   * @param {Object} record - Record that may carry run_id/session_id
+   * @returns {Object} run_id, session_id
+   * @protected
+   */
+  _runFields(record = {}) {
+    return {
+      run_id: record.run_id || this.runContext.run_id || '',
+      session_id: record.session_id || this.runContext.session_id || ''
+    };
+  }
+
+  /**
+   * Normalize created_at (unix seconds or string) to an ISO string
+   * @param {number|string|null} createdAt - Raw created_at value
+   * @returns {string} ISO timestamp or empty string
+   * @protected
+   */
+  _normalizeCreatedAt(createdAt) {
+    if (!createdAt) {
+      return '';
+    }
+    return typeof createdAt === 'number' ? new Date(createdAt * 1000).toISOString() : createdAt;
+  }
+
+  /**
+   * @private
+   */
+  _notImplemented(method) {
+    return new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+}
+
+module.exports = BaseStorage;
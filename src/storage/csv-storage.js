@@ -2,39 +2,125 @@ const fs = require('fs');
 const path = require('path');
 const { createLogger } = require('../utils/logger');
 const logger = createLogger('CSVStorage');
+const BaseStorage = require('./base-storage');
+const CSVFile = require('../utils/csv-file');
+const LineFilter = require('../utils/line-filter');
+const PacketArchive = require('./packet-archive');
+const defaults = require('../config/defaults');
+
+// Current posts.csv schema (older files are migrated in migratePostsCSV)
+const POST_COLUMNS = [
+  'timestamp',
+  'persona_id',
+  'gender',
+  'age',
+  'region',
+  'political_spectrum',
+  'feed_type',
+  'post_id',
+  'author_username',
+  'caption',
+  'likes_count',
+  'comments_count',
+  'view_count',
+  'hashtags',
+  'created_at',
+  'media_type',
+  'screenshot_path',
+  'is_sponsored',
+  'sponsor_username',
+  'ad_type',
+  'audio_id',
+  'run_id',
+  'session_id'
+];
+
+// Layout written before columns were only ever appended (migratePostsCSV targets this)
+const LEGACY_POST_COLUMN_COUNT = 17;
+
+const SESSION_COLUMNS = [
+  'timestamp',
+  'persona_id',
+  'gender',
+  'age',
+  'region',
+  'political_spectrum',
+  'feed_type',
+  'posts_collected',
+  'likes_performed',
+  'duration_seconds',
+  'run_id',
+  'session_id'
+];
+
+// One row per audio track; posts.csv references it by audio_id
+const AUDIO_COLUMNS = [
+  'audio_id',
+  'title',
+  'artist',
+  'audio_type',
+  'first_seen_at'
+];
+
+const EXPOSURE_COLUMNS = [
+  'timestamp',
+  'session_id',
+  'persona_id',
+  'gender',
+  'age',
+  'region',
+  'political_spectrum',
+  'feed_type',
+  'feed_position',
+  'post_id',
+  'source',
+  'run_id'
+];
 
 /**
  * CSV Storage class for persisting scraped Instagram Reels data
- * Handles CSV file creation, data appending, and schema migration
+ * Handles CSV file creation, data appending, and schema migration.
+ * Legacy backend; also used as the CSV export format for SQLiteStorage.
  */
-class CSVStorage {
+class CSVStorage extends BaseStorage {
   /**
    * Initialize CSV storage with data directory
    * @param {string|null} dataDir - Directory path for storing CSV files (default: ./data)
+   * @param {Object} options - Storage options
+   * @param {boolean} options.readOnly - Open existing files only: no directories or CSV files are
+   *   created or migrated (retention purges and erasures, which only filter existing files)
    */
-  constructor(dataDir = null) {
+  constructor(dataDir = null, { readOnly = false } = {}) {
+    super();
     this.dataDir = dataDir || path.join(process.cwd(), 'data');
+    this.readOnly = readOnly;
     
     // Ensure data directory exists
-    if (!fs.existsSync(this.dataDir)) {
+    if (!readOnly && !fs.existsSync(this.dataDir)) {
       fs.mkdirSync(this.dataDir, { recursive: true });
     }
 
     this.postsFile = path.join(this.dataDir, 'posts.csv');
     this.sessionsFile = path.join(this.dataDir, 'sessions.csv');
+    this.exposuresFile = path.join(this.dataDir, 'exposures.csv');
+    this.audioFile = path.join(this.dataDir, 'audio.csv');
     this.rawDataDir = path.join(this.dataDir, 'raw');
+    // Single-file capture written before packet files were rotated per session (still read and purged)
     this.rawDataFile = path.join(this.rawDataDir, 'intercepted_packets.jsonl');
+    this.packetArchive = new PacketArchive(path.join(this.rawDataDir, defaults.packetCapture.dir), { readOnly });
     
     // Ensure raw data directory exists
-    if (!fs.existsSync(this.rawDataDir)) {
-      fs.mkdirSync(this.rawDataDir, { recursive: true });
+    if (!readOnly) {
+      if (!fs.existsSync(this.rawDataDir)) {
+        fs.mkdirSync(this.rawDataDir, { recursive: true });
+      }
+      this.initializeFiles();
     }
     
-    this.initializeFiles();
-    
     // Cache existing post IDs for duplicate detection (lazy-loaded)
     this._existingPostIdsCache = null;
     this._cacheValid = false;
+    this._existingAudioIds = null;
     
     logger.info(`CSV storage initialized at ${this.dataDir}`);
   }
@@ -137,27 +223,10 @@ class CSVStorage {
         logger.info('Migrating posts.csv to new schema (removing video_url/thumbnail_url, adding gender/age if missing, normalizing newlines)...');
         this.migratePostsCSV();
       }
+      CSVFile.extendColumns(this.postsFile, POST_COLUMNS);
     } else {
       // Create new file with full schema (removed video_url and thumbnail_url, added screenshot_path)
-      const postsHeader = [
-        'timestamp',
-        'persona_id',
-        'gender',
-        'age',
-        'region',
-        'political_spectrum',
-        'feed_type',
-        'post_id',
-        'author_username',
-        'caption',
-        'likes_count',
-        'comments_count',
-        'view_count',
-        'hashtags',
-        'created_at',
-        'media_type',
-        'screenshot_path'
-      ].join(',') + '\n';
+      const postsHeader = POST_COLUMNS.join(',') + '\n';
       
       fs.writeFileSync(this.postsFile, postsHeader);
       logger.info('Created posts.csv with enhanced schema');
@@ -165,27 +234,34 @@ class CSVStorage {
 
     // Sessions CSV
     if (!fs.existsSync(this.sessionsFile)) {
-      const sessionsHeader = [
-        'timestamp',
-        'persona_id',
-        'gender',
-        'age',
-        'region',
-        'political_spectrum',
-        'feed_type',
-        'posts_collected',
-        'likes_performed',
-        'duration_seconds'
-      ].join(',') + '\n';
+      const sessionsHeader = SESSION_COLUMNS.join(',') + '\n';
       
       fs.writeFileSync(this.sessionsFile, sessionsHeader);
       logger.info('Created sessions.csv');
+    } else {
+      CSVFile.extendColumns(this.sessionsFile, SESSION_COLUMNS);
+    }
+
+    // Exposures CSV - one row per impression (post metadata lives in posts.csv)
+    if (!fs.existsSync(this.exposuresFile)) {
+      const exposuresHeader = EXPOSURE_COLUMNS.join(',') + '\n';
+
+      fs.writeFileSync(this.exposuresFile, exposuresHeader);
+      logger.info('Created exposures.csv');
+    } else {
+      CSVFile.extendColumns(this.exposuresFile, EXPOSURE_COLUMNS);
+    }
+
+    // Audio CSV - normalized audio tracks
+    if (!fs.existsSync(this.audioFile)) {
+      fs.writeFileSync(this.audioFile, AUDIO_COLUMNS.join(',') + '\n');
+      logger.info('Created audio.csv');
     }
   }
 
   /**
-   * Save raw intercepted packet (all network requests)
-   * This stores the complete raw response data for analysis
+   * Save raw intercepted packet (responses passing defaults.packetCapture rules)
+   * Written to the session's file in raw/<packetCapture.dir>/ (see PacketArchive)
    * @param {Object} persona - Persona configuration
    * @param {string} url - Request URL
    * @param {string} method - HTTP method
@@ -194,12 +270,10 @@ class CSVStorage {
    */
   saveRawInterceptedPacket(persona, url, method, contentType, rawData) {
     try {
-      // Truncate very large data to prevent memory/JSON issues
-      // Keep first 500KB of data for analysis
-      const maxDataLength = 500 * 1024;
-      const truncatedData = typeof rawData === 'string' && rawData.length > maxDataLength
-        ? rawData.substring(0, maxDataLength) + '...[truncated]'
-        : rawData;
+      if (!this._persistsPacket(url, contentType)) {
+        return;
+      }
+      const redacted = this._redactPacket(url, this._packetBody(rawData));
 
       const packet = {
         timestamp: new Date().toISOString(),
@@ -208,20 +282,16 @@ class CSVStorage {
         age: persona?.demographics?.age || persona?.age || 'unknown',
         region: persona?.region || 'unknown',
         political_spectrum: persona?.political_spectrum || 'unknown',
-        request_url: url,
+        request_url: redacted.url,
         request_method: method,
         content_type: contentType || 'unknown',
-        data: truncatedData // Store raw string data exactly as received (truncated if too large)
+        ...this._runFields(),
+        data: redacted.data // Raw string data as received (truncated if too large, credentials masked)
       };
 
-      // Use async appendFile to avoid blocking (fire and forget)
-      const packetLine = JSON.stringify(packet) + '\n';
-      fs.appendFile(this.rawDataFile, packetLine, (err) => {
-        if (err) {
-          logger.debug(`Failed to save raw intercepted packet (async): ${err.message}`);
-        }
-      });
-      
+      this.packetArchive.append(packet);
+      this.runCounts.raw_packets++;
+
       // Only log debug for important requests to reduce log noise
       if (url.includes('/graphql/query') || url.includes('/ajax/')) {
         logger.debug(`Saved raw intercepted packet: ${method} ${url.substring(0, 50)}...`);
@@ -242,19 +312,22 @@ class CSVStorage {
    */
   saveRawPacket(persona, url, method, rawData) {
     try {
+      const redacted = this._redactPacket(url, this._minimisePacket(rawData));
       const packet = {
         timestamp: new Date().toISOString(),
         persona_id: persona?.persona_id || 'unknown',
         region: persona?.region || 'unknown',
         political_spectrum: persona?.political_spectrum || 'unknown',
-        request_url: url,
+        request_url: redacted.url,
         request_method: method,
-        data: rawData // Complete media object
+        ...this._runFields(),
+        data: redacted.data // Complete media object
       };
 
       // Create separate file for parsed media objects
       const mediaPacketsFile = path.join(this.rawDataDir, 'media_packets.jsonl');
       fs.appendFileSync(mediaPacketsFile, JSON.stringify(packet) + '\n');
+      this.runCounts.media_packets++;
       logger.debug(`Saved raw media packet for reel: ${rawData.code || rawData.shortcode || 'unknown'}`);
     } catch (error) {
       logger.error(`Failed to save raw media packet: ${error.message}`);
@@ -266,7 +339,7 @@ class CSVStorage {
    * @returns {Array} Array of raw intercepted packet objects
    */
   getAllRawPackets() {
-    return this._readJSONLFile(this.rawDataFile);
+    return [...this._readJSONLFile(this.rawDataFile), ...this.packetArchive.readAll()];
   }
 
   /**
@@ -318,25 +391,7 @@ class CSVStorage {
       logger.info(`Backed up old CSV to ${backupFile}`);
       
       // Write new header (without video_url and thumbnail_url, with screenshot_path)
-      const newHeader = [
-        'timestamp',
-        'persona_id',
-        'gender',
-        'age',
-        'region',
-        'political_spectrum',
-        'feed_type',
-        'post_id',
-        'author_username',
-        'caption',
-        'likes_count',
-        'comments_count',
-        'view_count',
-        'hashtags',
-        'created_at',
-        'media_type',
-        'screenshot_path'
-      ].join(',') + '\n';
+      const newHeader = POST_COLUMNS.join(',') + '\n';
       
       // Parse all rows properly, handling multi-line CSV entries
       const lines = [];
@@ -530,7 +585,9 @@ class CSVStorage {
         return line;
       });
       
-      fs.writeFileSync(this.postsFile, newHeader + migratedRows.join('\n') + '\n');
+      // Columns appended after the legacy layout start out empty
+      const padding = ','.repeat(POST_COLUMNS.length - LEGACY_POST_COLUMN_COUNT);
+      fs.writeFileSync(this.postsFile, newHeader + migratedRows.map(row => row + padding).join('\n') + '\n');
       logger.info('Migration completed successfully - removed video_url/thumbnail_url, normalized newlines');
     } catch (error) {
       logger.error(`CSV migration failed: ${error.message}`);
@@ -566,52 +623,38 @@ class CSVStorage {
 
   /**
    * Save a scraped post/reel to CSV file
+   * Post metadata is written to posts.csv only the first time a post_id is seen,
+   * but every call records an exposure row so cross-persona overlap and repeat
+   * exposure are preserved.
    * @param {Object} persona - Persona configuration object
    * @param {string} feedType - Type of feed (e.g., 'reels', 'explore')
    * @param {Object} postData - Post data object containing post_id, author_username, caption, hashtags, etc.
-   * @param {boolean} skipDuplicateCheck - If true, skip duplicate check (default: false)
-   * @returns {boolean} True if post was saved, false if duplicate or error
+   * @param {Object} exposure - Exposure context (session_id, feed_position, source; optional timestamp for replays)
+   * @returns {boolean} True if the impression was recorded, false on error
    */
-  savePost(persona, feedType, postData, skipDuplicateCheck = false) {
+  savePost(persona, feedType, postData, exposure = {}) {
     try {
       if (!postData || !postData.post_id) {
         logger.warn(`Cannot save post: missing post_id. Data: ${JSON.stringify(postData).substring(0, 100)}`);
         return false;
       }
+      postData = this._minimisePost(postData);
 
-      // Check for duplicates unless explicitly skipped
-      if (!skipDuplicateCheck && this.hasPost(postData.post_id)) {
-        logger.debug(`⏭ Skipping duplicate post: ${postData.post_id} by @${postData.author_username || 'unknown'}`);
-        return false;
+      if (this.hasPost(postData.post_id)) {
+        logger.debug(`Post ${postData.post_id} already in posts.csv, recording exposure only`);
+      } else {
+        this._appendPostRow({
+          ...postData,
+          ...this._personaFields(persona),
+          ...this._runFields(exposure),
+          timestamp: exposure.timestamp || new Date().toISOString(),
+          feed_type: feedType
+        });
+        this.runCounts.posts++;
+        logger.info(`Saved to CSV: ${postData.post_id} by @${postData.author_username || 'unknown'}`);
       }
 
-      const row = [
-        new Date().toISOString(),
-        this.escapeCSV(persona?.persona_id || 'unknown'),
-        this.escapeCSV(persona?.demographics?.gender || persona?.gender || 'unknown'),
-        this.escapeCSV(persona?.demographics?.age || persona?.age || 'unknown'),
-        this.escapeCSV(persona?.region || 'unknown'),
-        this.escapeCSV(persona?.political_spectrum || 'unknown'),
-        this.escapeCSV(feedType),
-        this.escapeCSV(postData.post_id || ''),
-        this.escapeCSV(postData.author_username || ''),
-        this.escapeCSV(postData.caption || ''), // Newlines normalized to spaces by escapeCSV
-        postData.likes_count || 0,
-        postData.comments_count || 0,
-        postData.view_count || 0,
-        this.escapeCSV((postData.hashtags || []).join('|')),
-        postData.created_at ? (typeof postData.created_at === 'number' ? new Date(postData.created_at * 1000).toISOString() : postData.created_at) : '',
-        this.escapeCSV(postData.media_type || 'reel'),
-        this.escapeCSV(postData.screenshot_path || '')
-      ].join(',') + '\n';
-
-      fs.appendFileSync(this.postsFile, row);
-      
-      // Invalidate cache so next check includes this new post
-      this._invalidateCache();
-      
-      logger.info(`Saved to CSV: ${postData.post_id} by @${postData.author_username || 'unknown'}`);
-      return true;
+      return this.saveExposure(persona, feedType, postData.post_id, exposure);
     } catch (error) {
       logger.error(`Failed to save post to CSV: ${error.message}`);
       logger.error(`Post data: ${JSON.stringify(postData).substring(0, 200)}`);
@@ -619,28 +662,307 @@ class CSVStorage {
     }
   }
 
+  /**
+   * Append a post row built from a record object
+   * @param {Object} post - Post record (timestamp, persona columns, post fields)
+   * @private
+   */
+  _appendPostRow(post) {
+    const row = [
+      post.timestamp,
+      this.escapeCSV(post.persona_id),
+      this.escapeCSV(post.gender),
+      this.escapeCSV(post.age),
+      this.escapeCSV(post.region),
+      this.escapeCSV(post.political_spectrum),
+      this.escapeCSV(post.feed_type),
+      this.escapeCSV(post.post_id || ''),
+      this.escapeCSV(post.author_username || ''),
+      this.escapeCSV(post.caption || ''), // Newlines normalized to spaces by escapeCSV
+      post.likes_count || 0,
+      post.comments_count || 0,
+      post.view_count || 0,
+      this.escapeCSV((post.hashtags || []).join('|')),
+      this._normalizeCreatedAt(post.created_at),
+      this.escapeCSV(post.media_type || 'reel'),
+      this.escapeCSV(post.screenshot_path || ''),
+      post.is_sponsored ? 'true' : 'false',
+      this.escapeCSV(post.sponsor_username || ''),
+      this.escapeCSV(post.ad_type || ''),
+      this.escapeCSV(post.audio_id || ''),
+      this.escapeCSV(post.run_id || ''),
+      this.escapeCSV(post.session_id || '')
+    ].join(',') + '\n';
+
+    if (post.audio_id) {
+      this._saveAudio(post);
+    }
+    fs.appendFileSync(this.postsFile, row);
+
+    // Invalidate cache so next check includes this new post
+    this._invalidateCache();
+  }
+
+  /**
+   * Add a post's audio track to audio.csv the first time its audio_id is seen
+   * @param {Object} post - Post record with audio_id, audio_title, audio_artist, audio_type
+   * @private
+   */
+  _saveAudio(post) {
+    if (!this._existingAudioIds) {
+      this._existingAudioIds = new Set(this.getAllAudio().map(audio => audio.audio_id));
+    }
+    const audioId = String(post.audio_id);
+    if (this._existingAudioIds.has(audioId)) {
+      return;
+    }
+
+    const row = [
+      this.escapeCSV(audioId),
+      this.escapeCSV(post.audio_title || ''),
+      this.escapeCSV(post.audio_artist || ''),
+      this.escapeCSV(post.audio_type || ''),
+      post.timestamp
+    ].join(',') + '\n';
+
+    fs.appendFileSync(this.audioFile, row);
+    this._existingAudioIds.add(audioId);
+  }
+
+  /**
+   * Record a single impression of a post for a persona session
+   * @param {Object} persona - Persona configuration object
+   * @param {string} feedType - Type of feed (e.g., 'reels')
+   * @param {string} postId - Post ID that was shown
+   * @param {Object} exposure - Exposure context
+   * @param {string} exposure.session_id - Session the impression belongs to
+   * @param {number} exposure.feed_position - Position of the post in the session feed
+   * @param {string} exposure.source - 'graphql_viewed', 'graphql_prefetched', 'dom' or 'replay'
+   * @param {string} exposure.timestamp - Original capture time (replays only, default: now)
+   * @returns {boolean} True if the exposure was written
+   */
+  saveExposure(persona, feedType, postId, exposure = {}) {
+    try {
+      this._appendExposureRow({
+        ...this._personaFields(persona),
+        ...this._runFields(exposure),
+        timestamp: exposure.timestamp || new Date().toISOString(),
+        feed_type: feedType,
+        feed_position: exposure.feed_position,
+        post_id: postId,
+        source: exposure.source
+      });
+      this.runCounts.exposures++;
+      logger.debug(`Exposure recorded: ${postId} for ${persona?.persona_id || 'unknown'} (position ${exposure.feed_position ?? 'n/a'})`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to save exposure for ${postId}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Append an exposure row built from a record object
+   * @param {Object} exposure - Exposure record
+   * @private
+   */
+  _appendExposureRow(exposure) {
+    const row = [
+      exposure.timestamp,
+      this.escapeCSV(exposure.session_id || ''),
+      this.escapeCSV(exposure.persona_id),
+      this.escapeCSV(exposure.gender),
+      this.escapeCSV(exposure.age),
+      this.escapeCSV(exposure.region),
+      this.escapeCSV(exposure.political_spectrum),
+      this.escapeCSV(exposure.feed_type),
+      Number.isInteger(exposure.feed_position) ? exposure.feed_position : '',
+      this.escapeCSV(exposure.post_id),
+      this.escapeCSV(exposure.source || ''),
+      this.escapeCSV(exposure.run_id || '')
+    ].join(',') + '\n';
+
+    fs.appendFileSync(this.exposuresFile, row);
+  }
+
   /**
    * Save a scraping session summary to CSV
    * @param {Object} persona - Persona configuration object
    * @param {string} feedType - Type of feed scraped (e.g., 'reels')
-   * @param {Object} stats - Session statistics (posts_collected, likes_performed, duration_seconds)
+   * @param {Object} stats - Session statistics (posts_collected, likes_performed, duration_seconds; optional timestamp, run_id, session_id)
    */
   saveSession(persona, feedType, stats) {
+    this._appendSessionRow({
+      ...stats,
+      ...this._personaFields(persona),
+      ...this._runFields(stats),
+      timestamp: stats.timestamp || new Date().toISOString(),
+      feed_type: feedType
+    });
+    this.runCounts.sessions++;
+    logger.info(`Session saved: ${persona.persona_id} - ${feedType} - ${stats.posts_collected} posts`);
+  }
+
+  /**
+   * Append a session row built from a record object
+   * @param {Object} session - Session record
+   * @private
+   */
+  _appendSessionRow(session) {
     const row = [
-      new Date().toISOString(),
-      this.escapeCSV(persona.persona_id),
-      this.escapeCSV(persona?.demographics?.gender || persona?.gender || 'unknown'),
-      this.escapeCSV(persona?.demographics?.age || persona?.age || 'unknown'),
-      this.escapeCSV(persona.region),
-      this.escapeCSV(persona.political_spectrum),
-      this.escapeCSV(feedType),
-      stats.posts_collected || 0,
-      stats.likes_performed || 0,
-      stats.duration_seconds || 0
+      session.timestamp,
+      this.escapeCSV(session.persona_id),
+      this.escapeCSV(session.gender),
+      this.escapeCSV(session.age),
+      this.escapeCSV(session.region),
+      this.escapeCSV(session.political_spectrum),
+      this.escapeCSV(session.feed_type),
+      session.posts_collected || 0,
+      session.likes_performed || 0,
+      session.duration_seconds || 0,
+      this.escapeCSV(session.run_id || ''),
+      this.escapeCSV(session.session_id || '')
     ].join(',') + '\n';
 
     fs.appendFileSync(this.sessionsFile, row);
-    logger.info(`Session saved: ${persona.persona_id} - ${feedType} - ${stats.posts_collected} posts`);
+  }
+
+  /**
+   * Bulk-insert records that already carry their own timestamps
+   * Used to export another backend to CSV (posts are deduplicated by post_id)
+   * @param {Object} records - { posts, exposures, sessions }
+   * @returns {Object} Counts of inserted records per type
+   */
+  importRecords({ posts = [], exposures = [], sessions = [] } = {}) {
+    const counts = { posts: 0, exposures: 0, sessions: 0 };
+
+    for (const post of posts) {
+      if (post.post_id && !this.hasPost(post.post_id)) {
+        this._appendPostRow(post);
+        counts.posts++;
+      }
+    }
+    for (const exposure of exposures) {
+      this._appendExposureRow(exposure);
+      counts.exposures++;
+    }
+    for (const session of sessions) {
+      this._appendSessionRow(session);
+      counts.sessions++;
+    }
+
+    logger.info(`Imported ${counts.posts} posts, ${counts.exposures} exposures, ${counts.sessions} sessions into ${this.dataDir}`);
+    return counts;
+  }
+
+  /**
+   * Delete raw and media packets captured before a cutoff (retention purge)
+   * Packet files of sessions still being written are skipped.
+   * @param {Object} cutoffs - { rawBefore, mediaBefore, dryRun } (see BaseStorage)
+   * @returns {Object} { raw_packets, media_packets } deleted counts and skipped_open_files
+   */
+  purgePackets({ rawBefore = null, mediaBefore = null, dryRun = false } = {}) {
+    const purge = (file, before) => {
+      if (!before) {
+        return 0;
+      }
+      // Packets that carry no readable timestamp are kept
+      return LineFilter.filterFile(file, line => {
+        const timestamp = this._packetTimestamp(line);
+        return timestamp === null || timestamp >= before;
+      }, { dryRun }).removed;
+    };
+
+    const archived = rawBefore ? this.packetArchive.purgeBefore(rawBefore, { dryRun }) : { removed: 0, skipped_open_files: 0 };
+    return {
+      raw_packets: purge(this.rawDataFile, rawBefore) + archived.removed,
+      media_packets: purge(path.join(this.rawDataDir, 'media_packets.jsonl'), mediaBefore),
+      skipped_open_files: archived.skipped_open_files
+    };
+  }
+
+  /**
+   * Delete every record referencing an author (see BaseStorage.eraseAuthor)
+   * @param {Object} matcher - Author matcher (Pseudonymizer.authorMatcher)
+   * @param {Object} options - { dryRun }
+   * @returns {Object} Deleted counts per record type, the erased post_ids and skipped_open_files
+   */
+  eraseAuthor(matcher, { dryRun = false } = {}) {
+    const column = name => POST_COLUMNS.indexOf(name);
+    const postIds = new Set();
+
+    const posts = LineFilter.filterFile(this.postsFile, (line, index) => {
+      if (index === 0) {
+        return true;
+      }
+      const parts = this.parseCSVLine(line);
+      const post = {
+        author_username: parts[column('author_username')],
+        sponsor_username: parts[column('sponsor_username')],
+        caption: parts[column('caption')]
+      };
+      if (!this._postReferences(post, matcher)) {
+        return true;
+      }
+      postIds.add(parts[column('post_id')]);
+      return false;
+    }, { dryRun });
+
+    const exposurePostId = EXPOSURE_COLUMNS.indexOf('post_id');
+    const exposures = LineFilter.filterFile(this.exposuresFile, (line, index) =>
+      index === 0 || !postIds.has(this.parseCSVLine(line)[exposurePostId]), { dryRun });
+
+    const audioArtist = AUDIO_COLUMNS.indexOf('artist');
+    const audio = LineFilter.filterFile(this.audioFile, (line, index) =>
+      index === 0 || !matcher.matchesName(this.parseCSVLine(line)[audioArtist]), { dryRun });
+
+    const rawPackets = LineFilter.filterFile(this.rawDataFile, line => !matcher.matchesText(line), { dryRun });
+    const archivedPackets = this.packetArchive.filterPackets(line => !matcher.matchesText(line), { dryRun });
+
+    const mediaPackets = LineFilter.filterFile(path.join(this.rawDataDir, 'media_packets.jsonl'), line => {
+      if (matcher.matchesText(line)) {
+        return false;
+      }
+      try {
+        const { data } = JSON.parse(line);
+        return !postIds.has(data?.code || data?.shortcode);
+      } catch (error) {
+        return true;
+      }
+    }, { dryRun });
+
+    if (!dryRun) {
+      this._invalidateCache();
+      this._existingAudioIds = null;
+    }
+
+    return {
+      posts: posts.removed,
+      hashtags: 0, // Stored inside posts.csv rows
+      exposures: exposures.removed,
+      audio: audio.removed,
+      raw_packets: rawPackets.removed + archivedPackets.removed,
+      media_packets: mediaPackets.removed,
+      post_ids: [...postIds],
+      skipped_open_files: archivedPackets.skipped_open_files
+    };
+  }
+
+  /**
+   * Capture time of a JSONL packet line (the writers put timestamp first, so the
+   * line is only parsed when it does not start with it)
+   * @private
+   */
+  _packetTimestamp(line) {
+    const match = line.match(/^\{"timestamp":"([^"]+)"/);
+    if (match) {
+      return match[1];
+    }
+    try {
+      return JSON.parse(line).timestamp || null;
+    } catch (error) {
+      return null;
+    }
   }
 
   /**
@@ -657,6 +979,7 @@ class CSVStorage {
     
     // Skip header
     const dataLines = lines.slice(1);
+    const audioById = new Map(this.getAllAudio().map(audio => [audio.audio_id, audio]));
     
     return dataLines.map(line => {
       const parts = this.parseCSVLine(line);
@@ -665,9 +988,39 @@ class CSVStorage {
       // - 14 fields: schema without gender/age (without video_url/thumbnail_url)
       // - 16 fields: current schema with gender/age OR old schema with video_url/thumbnail_url
       // - 18 fields: old schema with video_url/thumbnail_url AND gender/age
+      // - 17 fields: schema with gender/age and screenshot_path
+      // - 23 fields: current schema with sponsorship, audio_id and run/session ID columns
+      // Rows without sponsorship columns are treated as organic (see end of map)
       
-      if (parts.length === 17) {
-        // Current schema with gender, age, and screenshot_path: timestamp, persona_id, gender, age, region, political_spectrum, feed_type, post_id, author_username, caption, likes_count, comments_count, view_count, hashtags, created_at, media_type, screenshot_path
+      if (parts.length === POST_COLUMNS.length) {
+        // Current schema: legacy 17 columns followed by is_sponsored, sponsor_username, ad_type, audio_id, run_id, session_id
+        return {
+          timestamp: parts[0],
+          persona_id: parts[1],
+          gender: parts[2],
+          age: parts[3],
+          region: parts[4],
+          political_spectrum: parts[5],
+          feed_type: parts[6],
+          post_id: parts[7],
+          author_username: parts[8],
+          caption: parts[9],
+          likes_count: parseInt(parts[10]) || 0,
+          comments_count: parseInt(parts[11]) || 0,
+          view_count: parseInt(parts[12]) || 0,
+          hashtags: parts[13] ? parts[13].split('|') : [],
+          created_at: parts[14] || '',
+          media_type: parts[15] || 'reel',
+          screenshot_path: parts[16] || '',
+          is_sponsored: parts[17] === 'true',
+          sponsor_username: parts[18] || '',
+          ad_type: parts[19] || '',
+          audio_id: parts[20] || '',
+          run_id: parts[21] || '',
+          session_id: parts[22] || ''
+        };
+      } else if (parts.length === 17) {
+        // Schema with gender, age, and screenshot_path: timestamp, persona_id, gender, age, region, political_spectrum, feed_type, post_id, author_username, caption, likes_count, comments_count, view_count, hashtags, created_at, media_type, screenshot_path
         return {
           timestamp: parts[0],
           persona_id: parts[1],
@@ -755,7 +1108,22 @@ class CSVStorage {
       // Unknown schema - return empty object
       logger.warn(`Unknown CSV schema with ${parts.length} fields, skipping row`);
       return null;
-    }).filter(post => post !== null);
+    }).filter(post => post !== null)
+      .map(post => {
+        const audio = audioById.get(post.audio_id);
+        return {
+          is_sponsored: false,
+          sponsor_username: '',
+          ad_type: '',
+          audio_id: '',
+          run_id: '',
+          session_id: '',
+          ...post,
+          audio_title: audio ? audio.title : '',
+          audio_artist: audio ? audio.artist : '',
+          audio_type: audio ? audio.audio_type : ''
+        };
+      });
   }
 
   /**
@@ -787,28 +1155,146 @@ class CSVStorage {
     return result;
   }
 
+  /**
+   * Get all audio tracks
+   * @returns {Array<Object>} Array of audio objects (audio_id, title, artist, audio_type, first_seen_at)
+   */
+  getAllAudio() {
+    if (!fs.existsSync(this.audioFile)) {
+      return [];
+    }
+
+    const content = fs.readFileSync(this.audioFile, 'utf8');
+    const lines = content.split('\n').filter(line => line.trim());
+
+    return lines.slice(1).map(line => {
+      const parts = this.parseCSVLine(line);
+      if (parts.length !== AUDIO_COLUMNS.length) {
+        logger.warn(`Unknown audio schema with ${parts.length} fields, skipping row`);
+        return null;
+      }
+      return {
+        audio_id: parts[0],
+        title: parts[1],
+        artist: parts[2],
+        audio_type: parts[3],
+        first_seen_at: parts[4]
+      };
+    }).filter(audio => audio !== null);
+  }
+
+  /**
+   * Get all exposures (one row per impression)
+   * @returns {Array<Object>} Array of exposure objects
+   */
+  getAllExposures() {
+    if (!fs.existsSync(this.exposuresFile)) {
+      return [];
+    }
+
+    const content = fs.readFileSync(this.exposuresFile, 'utf8');
+    const lines = content.split('\n').filter(line => line.trim());
+
+    return lines.slice(1).map(line => {
+      const parts = this.parseCSVLine(line);
+      if (parts.length !== EXPOSURE_COLUMNS.length) {
+        logger.warn(`Unknown exposures schema with ${parts.length} fields, skipping row`);
+        return null;
+      }
+      return {
+        timestamp: parts[0],
+        session_id: parts[1],
+        persona_id: parts[2],
+        gender: parts[3],
+        age: parts[4],
+        region: parts[5],
+        political_spectrum: parts[6],
+        feed_type: parts[7],
+        feed_position: parts[8] === '' ? null : parseInt(parts[8]),
+        post_id: parts[9],
+        source: parts[10],
+        run_id: parts[11]
+      };
+    }).filter(exposure => exposure !== null);
+  }
+
+  /**
+   * Get all session summaries
+   * @returns {Array<Object>} Array of session objects
+   */
+  getAllSessions() {
+    if (!fs.existsSync(this.sessionsFile)) {
+      return [];
+    }
+
+    const content = fs.readFileSync(this.sessionsFile, 'utf8');
+    const lines = content.split('\n').filter(line => line.trim());
+
+    return lines.slice(1).map(line => {
+      const parts = this.parseCSVLine(line);
+      if (parts.length !== SESSION_COLUMNS.length) {
+        logger.warn(`Unknown sessions schema with ${parts.length} fields, skipping row`);
+        return null;
+      }
+      return {
+        timestamp: parts[0],
+        persona_id: parts[1],
+        gender: parts[2],
+        age: parts[3],
+        region: parts[4],
+        political_spectrum: parts[5],
+        feed_type: parts[6],
+        posts_collected: parseInt(parts[7]) || 0,
+        likes_performed: parseInt(parts[8]) || 0,
+        duration_seconds: parseInt(parts[9]) || 0,
+        run_id: parts[10],
+        session_id: parts[11]
+      };
+    }).filter(session => session !== null);
+  }
+
+  /**
+   * Get unique posts shown to exposures matching a predicate
+   * Rows written before exposures were tracked fall back to the posts.csv persona columns.
+   * @param {Function} predicate - Receives an exposure (or legacy post row) and returns boolean
+   * @returns {Array<Object>} Array of post objects
+   * @private
+   */
+  _getPostsExposedTo(predicate) {
+    const allPosts = this.getAllPosts();
+    const exposedIds = new Set(
+      this.getAllExposures().filter(predicate).map(exposure => exposure.post_id)
+    );
+
+    return allPosts.filter(post => exposedIds.has(post.post_id) || predicate(post));
+  }
+
   /**
    * Get posts by persona
    */
   getPostsByPersona(personaId) {
-    const allPosts = this.getAllPosts();
-    return allPosts.filter(post => post.persona_id === personaId);
+    return this._getPostsExposedTo(item => item.persona_id === personaId);
   }
 
   /**
    * Get posts by region
    */
   getPostsByRegion(region) {
-    const allPosts = this.getAllPosts();
-    return allPosts.filter(post => post.region === region);
+    return this._getPostsExposedTo(item => item.region === region);
   }
 
   /**
    * Get posts by political spectrum
    */
   getPostsBySpectrum(spectrum) {
-    const allPosts = this.getAllPosts();
-    return allPosts.filter(post => post.political_spectrum === spectrum);
+    return this._getPostsExposedTo(item => item.political_spectrum === spectrum);
+  }
+
+  /**
+   * Close (and compress) the packet file being written
+   */
+  close() {
+    this.packetArchive.close();
   }
 
   /**
@@ -816,24 +1302,44 @@ class CSVStorage {
    */
   getStats() {
     const posts = this.getAllPosts();
-    const personas = [...new Set(posts.map(p => p.persona_id))];
-    const genders = [...new Set(posts.map(p => p.gender))];
-    const ages = [...new Set(posts.map(p => p.age))];
-    const regions = [...new Set(posts.map(p => p.region))];
-    const spectrums = [...new Set(posts.map(p => p.political_spectrum))];
+    const exposures = this.getAllExposures();
+    const observers = [...posts, ...exposures];
+    const personas = [...new Set(observers.map(p => p.persona_id))];
+    const regions = [...new Set(observers.map(p => p.region))];
+    const spectrums = [...new Set(observers.map(p => p.political_spectrum))];
+
+    // Same counts as getPostsByPersona, from the rows already read
+    const storedPostIds = new Set(posts.map(post => post.post_id));
+    const perPersona = new Map(personas.map(id => [id, { postIds: new Set(), exposures: 0 }]));
+    for (const post of posts) {
+      perPersona.get(post.persona_id).postIds.add(post.post_id);
+    }
+    for (const exposure of exposures) {
+      const entry = perPersona.get(exposure.persona_id);
+      entry.exposures++;
+      if (storedPostIds.has(exposure.post_id)) {
+        entry.postIds.add(exposure.post_id);
+      }
+    }
 
     return {
       total_posts: posts.length,
+      total_exposures: exposures.length,
       personas: personas.length,
       regions: regions.length,
       political_spectrums: spectrums.length,
       posts_by_persona: personas.map(id => ({
         persona_id: id,
-        count: posts.filter(p => p.persona_id === id).length
+        count: perPersona.get(id).postIds.size,
+        exposures: perPersona.get(id).exposures
       }))
     };
   }
 }
 
 module.exports = CSVStorage;
+module.exports.POST_COLUMNS = POST_COLUMNS;
+module.exports.SESSION_COLUMNS = SESSION_COLUMNS;
+module.exports.EXPOSURE_COLUMNS = EXPOSURE_COLUMNS;
+module.exports.AUDIO_COLUMNS = AUDIO_COLUMNS;
 
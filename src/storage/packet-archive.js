@@ -0,0 +1,406 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { createLogger } = require('../utils/logger');
+const logger = createLogger('PacketArchive');
+const defaults = require('../config/defaults');
+
+const INDEX_FILE = 'index.jsonl';
+
+/**
+ * Files are compressed in chunks of this size (the gzip members are concatenated),
+ * so compressing a closed file never holds more than one chunk in memory
+ */
+const CHUNK_SIZE = 4 * 1024 * 1024;
+
+/**
+ * PacketArchive - Raw packet files rotated per session, gzipped when closed
+ *
+ * Packets are appended to one file per session, <session_id>_<part>.jsonl. A file is
+ * closed when the session changes, the storage is closed or the file reaches
+ * defaults.packetCapture.maxFileBytes (a new part is started); closed files are
+ * gzipped. index.jsonl maps sessions to their files. It is append-only (opened,
+ * closed, rewritten and deleted events), so several persona processes can share
+ * the directory; readIndex() folds the events into one entry per file.
+ */
+class PacketArchive {
+  /**
+   * @param {string} dir - Archive directory (created on first write)
+   * @param {Object} options - Overrides of defaults.packetCapture (maxFileBytes, compress, staleAfter);
+   *   readOnly leaves files left open by other runs alone (they are closed by the next writer)
+   */
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.options = { ...defaults.packetCapture, ...options };
+    this.indexFile = path.join(dir, INDEX_FILE);
+    this.current = null;
+
+    if (!this.options.readOnly && fs.existsSync(dir)) {
+      this.closeStaleFiles();
+    }
+  }
+
+  /**
+   * Append a packet to the file of its session
+   * @param {Object} packet - Packet record (timestamp, persona_id, run_id, session_id, ...)
+   */
+  append(packet) {
+    const line = JSON.stringify(packet) + '\n';
+    const bytes = Buffer.byteLength(line);
+    const sessionId = packet.session_id || '';
+
+    if (this.current && (this.current.session_id !== sessionId ||
+        (this.current.packets > 0 && this.current.bytes + bytes > this.options.maxFileBytes))) {
+      this.close();
+    }
+    if (!this.current) {
+      this._open(packet);
+    }
+
+    fs.writeSync(this.current.fd, line);
+    this.current.packets++;
+    this.current.bytes += bytes;
+    this.current.first_timestamp = this.current.first_timestamp || packet.timestamp;
+    this.current.last_timestamp = packet.timestamp;
+  }
+
+  /**
+   * Close (and compress) the file being written
+   */
+  close() {
+    if (!this.current) {
+      return;
+    }
+    const { fd, file, packets, bytes, first_timestamp, last_timestamp } = this.current;
+    this.current = null;
+    fs.closeSync(fd);
+    this._finalize(file, { packets, bytes, first_timestamp, last_timestamp });
+  }
+
+  /**
+   * Close files left open by a process that ended without closing its storage
+   * @returns {number} Files closed
+   */
+  closeStaleFiles() {
+    let closed = 0;
+    for (const entry of this.files()) {
+      const filePath = path.join(this.dir, entry.path);
+      if (entry.status !== 'open' || !fs.existsSync(filePath) ||
+          Date.now() - fs.statSync(filePath).mtimeMs < this.options.staleAfter) {
+        continue;
+      }
+      try {
+        this._finalize(entry.file, this._stats(this._readLines(filePath)));
+        logger.info(`Closed packet file left open by an earlier run: ${entry.file}`);
+        closed++;
+      } catch (error) {
+        logger.warn(`Failed to close stale packet file ${entry.file}: ${error.message}`);
+      }
+    }
+    return closed;
+  }
+
+  /**
+   * Files listed in the index
+   * @returns {Array<Object>} { file, path, session_id, run_id, persona_id, status, packets, bytes, first_timestamp, last_timestamp }
+   */
+  files() {
+    return PacketArchive.readIndex(this.dir);
+  }
+
+  /**
+   * Fold an archive's index events into one entry per file
+   * @param {string} dir - Archive directory
+   * @returns {Array<Object>} Entries in the order the files were opened
+   */
+  static readIndex(dir) {
+    const indexFile = path.join(dir, INDEX_FILE);
+    if (!fs.existsSync(indexFile)) {
+      return [];
+    }
+
+    const entries = new Map();
+    for (const line of fs.readFileSync(indexFile, 'utf8').split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (error) {
+        logger.warn(`Skipping malformed line in ${indexFile}`);
+        continue;
+      }
+
+      const { event: type, at, ...fields } = event;
+      if (type === 'opened') {
+        entries.set(fields.file, {
+          path: fields.file,
+          ...fields,
+          status: 'open',
+          packets: null,
+          bytes: null,
+          first_timestamp: null,
+          last_timestamp: null,
+          opened_at: at
+        });
+      } else if (type === 'deleted') {
+        entries.delete(fields.file);
+      } else if (entries.has(fields.file)) {
+        Object.assign(entries.get(fields.file), fields, type === 'closed' ? { status: 'closed', closed_at: at } : {});
+      }
+    }
+    return [...entries.values()];
+  }
+
+  /**
+   * Packet files per session (the session index)
+   * @param {string} dir - Archive directory
+   * @returns {Object} session_id -> file paths in part order
+   */
+  static sessions(dir) {
+    const sessions = {};
+    for (const entry of PacketArchive.readIndex(dir)) {
+      const sessionId = entry.session_id || '';
+      (sessions[sessionId] = sessions[sessionId] || []).push(path.join(dir, entry.path));
+    }
+    return sessions;
+  }
+
+  /**
+   * Read all packets of the archive (open files included)
+   * @returns {Array<Object>} Packets in file order
+   */
+  readAll() {
+    const packets = [];
+    for (const entry of this.files()) {
+      const filePath = path.join(this.dir, entry.path);
+      if (!fs.existsSync(filePath)) {
+        continue;
+      }
+      for (const line of this._readLines(filePath)) {
+        try {
+          packets.push(JSON.parse(line));
+        } catch (error) {
+          logger.debug(`Skipping malformed packet line in ${entry.path}`);
+        }
+      }
+    }
+    return packets;
+  }
+
+  /**
+   * Remove packets from closed files
+   * Files still being written (by this or another process) are skipped.
+   * @param {Function} keep - (line) => boolean, called with each packet's JSON line
+   * @param {Object} options - { dryRun }
+   * @returns {Object} { removed, skipped_open_files }
+   */
+  filterPackets(keep, { dryRun = false } = {}) {
+    const result = { removed: 0, skipped_open_files: 0 };
+    for (const entry of this.files()) {
+      if (entry.status !== 'closed') {
+        result.skipped_open_files++;
+        continue;
+      }
+      result.removed += this._filterEntry(entry, keep, dryRun);
+    }
+    return result;
+  }
+
+  /**
+   * Remove packets captured before a cutoff from closed files
+   * Files whose last packet is older are deleted without being read.
+   * @param {string} before - ISO timestamp
+   * @param {Object} options - { dryRun }
+   * @returns {Object} { removed, skipped_open_files }
+   */
+  purgeBefore(before, { dryRun = false } = {}) {
+    const result = { removed: 0, skipped_open_files: 0 };
+    for (const entry of this.files()) {
+      if (entry.status !== 'closed') {
+        result.skipped_open_files++;
+      } else if (entry.last_timestamp && entry.last_timestamp < before) {
+        result.removed += entry.packets;
+        if (!dryRun) {
+          this._deleteEntry(entry);
+        }
+      } else if (!entry.first_timestamp || entry.first_timestamp < before) {
+        result.removed += this._filterEntry(entry, line => {
+          const timestamp = (line.match(/^\{"timestamp":"([^"]+)"/) || [])[1];
+          return !timestamp || timestamp >= before;
+        }, dryRun);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Start the next part of a session's file
+   * @private
+   */
+  _open(packet) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const prefix = (packet.session_id || 'no-session').replace(/[^A-Za-z0-9_.-]/g, '_');
+    // Resumed sessions continue with the next free part number
+    const parts = fs.readdirSync(this.dir)
+      .map(name => name.match(new RegExp(`^${prefix.replace(/\./g, '\\.')}_(\\d+)\\.jsonl`)))
+      .filter(Boolean)
+      .map(match => parseInt(match[1], 10));
+    const file = `${prefix}_${String(Math.max(0, ...parts) + 1).padStart(3, '0')}.jsonl`;
+
+    this.current = {
+      file,
+      fd: fs.openSync(path.join(this.dir, file), 'a'),
+      session_id: packet.session_id || '',
+      packets: 0,
+      bytes: 0,
+      first_timestamp: null,
+      last_timestamp: null
+    };
+    this._appendIndex({
+      event: 'opened',
+      file,
+      session_id: packet.session_id || '',
+      run_id: packet.run_id || '',
+      persona_id: packet.persona_id || ''
+    });
+    logger.debug(`Writing raw packets to ${file}`);
+  }
+
+  /**
+   * Compress a closed file and record it in the index
+   * @private
+   */
+  _finalize(file, stats) {
+    let stored = file;
+    if (this.options.compress) {
+      try {
+        this._gzipFile(path.join(this.dir, file));
+        stored = `${file}.gz`;
+      } catch (error) {
+        logger.warn(`Failed to compress ${file}, keeping it uncompressed: ${error.message}`);
+      }
+    }
+    this._appendIndex({ event: 'closed', file, path: stored, ...stats });
+  }
+
+  /**
+   * Rewrite a closed file without the lines keep() rejects
+   * @returns {number} Removed (or, in a dry run, matching) packets
+   * @private
+   */
+  _filterEntry(entry, keep, dryRun) {
+    const filePath = path.join(this.dir, entry.path);
+    if (!fs.existsSync(filePath)) {
+      return 0;
+    }
+
+    // Closed files are at most maxFileBytes uncompressed, so they are filtered in memory
+    const lines = this._readLines(filePath);
+    const kept = lines.filter(line => keep(line));
+    const removed = lines.length - kept.length;
+    if (dryRun || removed === 0) {
+      return removed;
+    }
+
+    if (kept.length === 0) {
+      this._deleteEntry(entry);
+      return removed;
+    }
+    const content = Buffer.from(kept.join('\n') + '\n');
+    const tmpPath = `${filePath}.tmp`;
+    if (entry.path.endsWith('.gz')) {
+      this._writeGzip(tmpPath, content);
+    } else {
+      fs.writeFileSync(tmpPath, content);
+    }
+    fs.renameSync(tmpPath, filePath);
+    this._appendIndex({ event: 'rewritten', file: entry.file, ...this._stats(kept) });
+    return removed;
+  }
+
+  /**
+   * @private
+   */
+  _deleteEntry(entry) {
+    const filePath = path.join(this.dir, entry.path);
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+    this._appendIndex({ event: 'deleted', file: entry.file });
+  }
+
+  /**
+   * Non-empty lines of a packet file (gzipped or not)
+   * @private
+   */
+  _readLines(filePath) {
+    const content = fs.readFileSync(filePath);
+    const text = filePath.endsWith('.gz') ? zlib.gunzipSync(content).toString('utf8') : content.toString('utf8');
+    return text.split('\n').filter(line => line.trim());
+  }
+
+  /**
+   * Packet count, size and time range of packet lines
+   * @private
+   */
+  _stats(lines) {
+    const timestamps = lines
+      .map(line => (line.match(/^\{"timestamp":"([^"]+)"/) || [])[1])
+      .filter(Boolean);
+    return {
+      packets: lines.length,
+      bytes: lines.reduce((total, line) => total + Buffer.byteLength(line) + 1, 0),
+      first_timestamp: timestamps.length > 0 ? timestamps[0] : null,
+      last_timestamp: timestamps.length > 0 ? timestamps[timestamps.length - 1] : null
+    };
+  }
+
+  /**
+   * Replace a file with <file>.gz, compressing chunk by chunk
+   * @private
+   */
+  _gzipFile(filePath) {
+    const tmpPath = `${filePath}.gz.tmp`;
+    const input = fs.openSync(filePath, 'r');
+    const output = fs.openSync(tmpPath, 'w');
+    const buffer = Buffer.alloc(CHUNK_SIZE);
+    try {
+      let bytesRead;
+      while ((bytesRead = fs.readSync(input, buffer, 0, buffer.length, null)) > 0) {
+        fs.writeSync(output, zlib.gzipSync(buffer.subarray(0, bytesRead)));
+      }
+    } finally {
+      fs.closeSync(input);
+      fs.closeSync(output);
+    }
+    fs.renameSync(tmpPath, `${filePath}.gz`);
+    fs.unlinkSync(filePath);
+  }
+
+  /**
+   * @private
+   */
+  _writeGzip(filePath, content) {
+    const output = fs.openSync(filePath, 'w');
+    try {
+      for (let offset = 0; offset < content.length; offset += CHUNK_SIZE) {
+        fs.writeSync(output, zlib.gzipSync(content.subarray(offset, offset + CHUNK_SIZE)));
+      }
+    } finally {
+      fs.closeSync(output);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _appendIndex(event) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.appendFileSync(this.indexFile, JSON.stringify({ event: event.event, at: new Date().toISOString(), ...event }) + '\n', 'utf8');
+  }
+}
+
+module.exports = PacketArchive;
+module.exports.INDEX_FILE = INDEX_FILE;
@@ -0,0 +1,367 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../utils/logger');
+const logger = createLogger('RetentionManager');
+const defaults = require('../config/defaults');
+const { createStorage } = require('./storage-factory');
+const PacketArchive = require('./packet-archive');
+const LineFilter = require('../utils/line-filter');
+const Pseudonymizer = require('../utils/pseudonymizer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Artifact types of defaults.retention.days
+ */
+const ARTIFACT_TYPES = ['rawPackets', 'mediaPackets', 'cookies', 'screenshots', 'logs', 'actionLogs', 'derived'];
+
+/**
+ * Directories under the data directory that hold other artifacts, not storage backends
+ */
+const NON_STORE_DIRS = ['raw', 'cookies', 'actions', 'personas', 'runs', 'scheduler', 'retention', 'analysis', 'reports'];
+
+/**
+ * How deep stores are searched for below the data directory (data/replay/<id>, data/export/csv_<ts>)
+ */
+const MAX_STORE_DEPTH = 3;
+
+/**
+ * RetentionManager - Enforces defaults.retention and erases authors
+ *
+ * purge() deletes what has outlived its retention period: raw and media packets
+ * in every store under the data directory (live data, exports, replays and
+ * shareable copies), cookie captures, screenshots, log lines and, if configured,
+ * action logs. Derived tables (posts, exposures, sessions, audio) are kept.
+ *
+ * eraseAuthor() removes every record referencing an account from the same
+ * stores, plus its screenshots, action log entries and log lines, and lists the
+ * analysis outputs and reports that still mention it (regenerate them).
+ *
+ * Both write a JSON deletion report to defaults.retention.reportDir. With
+ * dryRun nothing is deleted and the report lists what would be.
+ */
+class RetentionManager {
+  /**
+   * @param {Object} options - Manager options
+   * @param {string|null} options.dataDir - Data directory (default: ./data)
+   * @param {Object} options.policy - Retention days per artifact type (default: defaults.retention.days)
+   * @param {boolean} options.dryRun - Only report what would be deleted
+   * @param {Date} options.now - Reference time for cutoffs
+   */
+  constructor({ dataDir = null, policy = defaults.retention.days, dryRun = false, now = new Date() } = {}) {
+    this.dataDir = dataDir || path.join(process.cwd(), 'data');
+    this.screenshotDir = path.resolve(defaults.retention.screenshotDir);
+    this.logsDir = path.resolve(defaults.retention.logsDir);
+    this.policy = policy;
+    this.dryRun = dryRun;
+    this.now = now;
+  }
+
+  /**
+   * Check a retention policy
+   * @param {Object} policy - Retention days per artifact type
+   * @throws {Error} If a type is unknown, a period is not a positive number, or derived data has one
+   */
+  static validatePolicy(policy) {
+    for (const [type, days] of Object.entries(policy)) {
+      if (!ARTIFACT_TYPES.includes(type)) {
+        throw new Error(`Unknown retention artifact type "${type}" (expected one of: ${ARTIFACT_TYPES.join(', ')})`);
+      }
+      if (days !== null && !(typeof days === 'number' && days > 0)) {
+        throw new Error(`Retention period of ${type} must be a positive number of days or null, got ${days}`);
+      }
+    }
+    if (policy.derived != null) {
+      throw new Error('Derived tables are kept indefinitely (retention.days.derived must be null); use erase-author to remove records');
+    }
+  }
+
+  /**
+   * Cutoff of an artifact type
+   * @param {string} type - Artifact type
+   * @returns {Date|null} Artifacts older than this are deleted (null: kept indefinitely)
+   */
+  cutoff(type) {
+    const days = this.policy[type];
+    return days == null ? null : new Date(this.now.getTime() - days * DAY_MS);
+  }
+
+  /**
+   * Storage backends under the data directory: a SQLite database file, or CSV files
+   * (posts.csv or a packet archive index)
+   * @returns {Array<Object>} { backend, dataDir } per store
+   */
+  findStores() {
+    const stores = [];
+    const visit = (dir, depth) => {
+      const sqlite = fs.existsSync(path.join(dir, defaults.storage.sqliteFile));
+      if (sqlite) {
+        stores.push({ backend: 'sqlite', dataDir: dir });
+      }
+      // The packet archive is written by both backends, so it only marks a CSV store on its own
+      if (fs.existsSync(path.join(dir, 'posts.csv')) ||
+          (!sqlite && fs.existsSync(path.join(dir, 'raw', defaults.packetCapture.dir, PacketArchive.INDEX_FILE)))) {
+        stores.push({ backend: 'csv', dataDir: dir });
+      }
+      if (depth >= MAX_STORE_DEPTH) {
+        return;
+      }
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (entry.isDirectory() && !NON_STORE_DIRS.includes(entry.name)) {
+          visit(path.join(dir, entry.name), depth + 1);
+        }
+      }
+    };
+
+    if (fs.existsSync(this.dataDir)) {
+      visit(this.dataDir, 0);
+    }
+    return stores;
+  }
+
+  /**
+   * Delete everything older than its retention period
+   * @returns {Object} Deletion report (also written to the report directory)
+   */
+  purge() {
+    RetentionManager.validatePolicy(this.policy);
+    const artifacts = [];
+    const cutoffOf = type => this.cutoff(type)?.toISOString() || null;
+
+    const rawBefore = cutoffOf('rawPackets');
+    const mediaBefore = cutoffOf('mediaPackets');
+    if (rawBefore || mediaBefore) {
+      this._forEachStore(storage => {
+        const counts = storage.purgePackets({ rawBefore, mediaBefore, dryRun: this.dryRun });
+        const location = this._relative(storage.dataDir);
+        artifacts.push({
+          type: 'rawPackets',
+          location,
+          backend: this._backendOf(storage),
+          cutoff: rawBefore,
+          deleted: counts.raw_packets,
+          ...(counts.skipped_open_files ? { skipped_open_files: counts.skipped_open_files } : {})
+        });
+        artifacts.push({ type: 'mediaPackets', location, backend: this._backendOf(storage), cutoff: mediaBefore, deleted: counts.media_packets });
+      });
+    }
+
+    const cookiesBefore = cutoffOf('cookies');
+    if (cookiesBefore) {
+      // Cookie rows start with their ISO capture time; row 0 is the header
+      for (const file of this._listFiles(path.join(this.dataDir, 'cookies'), '.csv')) {
+        const result = LineFilter.filterFile(file, (line, index) => index === 0 || !(line.split(',')[0] < cookiesBefore), { dryRun: this.dryRun });
+        artifacts.push({ type: 'cookies', location: this._relative(file), cutoff: cookiesBefore, deleted: result.removed });
+      }
+    }
+
+    const actionLogsBefore = cutoffOf('actionLogs');
+    if (actionLogsBefore) {
+      for (const file of this._listFiles(path.join(this.dataDir, 'actions'), '.jsonl')) {
+        const result = LineFilter.filterFile(file, line => !(this._jsonField(line, 'timestamp') < actionLogsBefore), { dryRun: this.dryRun });
+        artifacts.push({ type: 'actionLogs', location: this._relative(file), cutoff: actionLogsBefore, deleted: result.removed });
+      }
+    }
+
+    const screenshotsBefore = this.cutoff('screenshots');
+    if (screenshotsBefore) {
+      const isOld = file => fs.statSync(file).mtime < screenshotsBefore;
+      artifacts.push({
+        type: 'screenshots',
+        location: this._relative(this.screenshotDir),
+        cutoff: screenshotsBefore.toISOString(),
+        deleted: this._deleteFiles(this.screenshotDir, isOld)
+      });
+      // Debug screenshots (login errors, verification pages) are written to the top of the data directory
+      artifacts.push({
+        type: 'screenshots',
+        location: this._relative(path.join(this.dataDir, '*.png')),
+        cutoff: screenshotsBefore.toISOString(),
+        deleted: this._deleteFiles(this.dataDir, file => file.endsWith('.png') && isOld(file), { recursive: false })
+      });
+    }
+
+    const logsBefore = this.cutoff('logs');
+    if (logsBefore) {
+      for (const file of this._listFiles(this.logsDir, '.log')) {
+        // Log lines are JSON with a local 'YYYY-MM-DD HH:mm:ss' timestamp; lines without one are kept
+        const result = LineFilter.filterFile(file, line => {
+          const timestamp = this._jsonField(line, 'timestamp');
+          return !timestamp || new Date(timestamp.replace(' ', 'T')) >= logsBefore;
+        }, { dryRun: this.dryRun, inPlace: true });
+        artifacts.push({ type: 'logs', location: this._relative(file), cutoff: logsBefore.toISOString(), deleted: result.removed });
+      }
+    }
+
+    return this._finish('purge', {
+      policy: { ...this.policy },
+      kept_indefinitely: Object.keys(this.policy).filter(type => this.policy[type] == null),
+      artifacts
+    });
+  }
+
+  /**
+   * Delete every record referencing an author (see Pseudonymizer.authorMatcher)
+   * @param {string} username - Username or pseudonym
+   * @returns {Object} Deletion report (identifies the author by pseudonym only)
+   */
+  eraseAuthor(username) {
+    const matcher = Pseudonymizer.authorMatcher(username);
+    const artifacts = [];
+    const postIds = new Set();
+
+    this._forEachStore(storage => {
+      const { post_ids: erasedPostIds, skipped_open_files: skipped, ...deleted } = storage.eraseAuthor(matcher, { dryRun: this.dryRun });
+      erasedPostIds.forEach(postId => postIds.add(postId));
+      artifacts.push({
+        type: 'store',
+        location: this._relative(storage.dataDir),
+        backend: this._backendOf(storage),
+        deleted,
+        ...(skipped ? { skipped_open_files: skipped } : {})
+      });
+    });
+
+    // Screenshots are named <post_id>.png
+    artifacts.push({
+      type: 'screenshots',
+      location: this._relative(this.screenshotDir),
+      deleted: this._deleteFiles(this.screenshotDir, file => postIds.has(path.basename(file, '.png')))
+    });
+
+    for (const file of this._listFiles(path.join(this.dataDir, 'actions'), '.jsonl')) {
+      const result = LineFilter.filterFile(file, line =>
+        !matcher.matchesText(line) && !postIds.has(this._jsonField(line, 'target')), { dryRun: this.dryRun });
+      artifacts.push({ type: 'actionLogs', location: this._relative(file), deleted: result.removed });
+    }
+
+    // Only @mentions and quoted values: a bare word match would also hit unrelated lines for short or common names
+    for (const file of this._listFiles(this.logsDir, '.log')) {
+      const result = LineFilter.filterFile(file, line => !matcher.matchesText(line), { dryRun: this.dryRun, inPlace: true });
+      artifacts.push({ type: 'logs', location: this._relative(file), deleted: result.removed });
+    }
+
+    // Aggregates are not edited in place; they are listed so they can be regenerated (CSV cells
+    // hold names unquoted, so whole words are matched: a false positive only costs a rerun)
+    const outputs = [defaults.analysis.outputDir, defaults.report.outputDir]
+      .flatMap(dir => this._listFiles(path.resolve(dir), null))
+      .filter(file => LineFilter.filterFile(file, line => !matcher.matchesWord(line), { dryRun: true }).removed > 0)
+      .map(file => this._relative(file));
+
+    return this._finish('erase', {
+      // The username itself is not written: the report would otherwise reference the author
+      author_pseudonym: matcher.names[matcher.names.length - 1],
+      erased_posts: postIds.size,
+      artifacts,
+      outputs_to_regenerate: outputs
+    });
+  }
+
+  /**
+   * Open each store, run a callback and close it again
+   * @private
+   */
+  _forEachStore(callback) {
+    for (const store of this.findStores()) {
+      // Read-only: a CSV store is never created where only its packets or nothing exist
+      const storage = createStorage({ ...store, readOnly: true });
+      try {
+        callback(storage);
+      } finally {
+        storage.close();
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _backendOf(storage) {
+    return storage.dbFile ? 'sqlite' : 'csv';
+  }
+
+  /**
+   * Top-level string field of a JSON line without parsing the whole (possibly large) line
+   * @private
+   */
+  _jsonField(line, field) {
+    const match = line.match(new RegExp(`"${field}":"((?:[^"\\\\]|\\\\.)*)"`));
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Files in a directory (not recursive), optionally filtered by extension
+   * @private
+   */
+  _listFiles(dir, extension) {
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isFile() && (extension === null || entry.name.endsWith(extension)))
+      .map(entry => path.join(dir, entry.name));
+  }
+
+  /**
+   * Delete matching files below a directory and remove directories left empty
+   * @returns {number} Deleted (or, in a dry run, matching) files
+   * @private
+   */
+  _deleteFiles(dir, predicate, { recursive = true } = {}) {
+    if (!fs.existsSync(dir)) {
+      return 0;
+    }
+
+    let deleted = 0;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory() && recursive) {
+        deleted += this._deleteFiles(entryPath, predicate);
+        if (!this.dryRun && fs.readdirSync(entryPath).length === 0) {
+          fs.rmdirSync(entryPath);
+        }
+      } else if (entry.isFile() && predicate(entryPath)) {
+        if (!this.dryRun) {
+          fs.unlinkSync(entryPath);
+        }
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  /**
+   * @private
+   */
+  _relative(target) {
+    return path.relative(process.cwd(), target) || '.';
+  }
+
+  /**
+   * Complete, write and log a deletion report
+   * @private
+   */
+  _finish(kind, details) {
+    const report = {
+      kind,
+      generated_at: this.now.toISOString(),
+      dry_run: this.dryRun,
+      ...details
+    };
+
+    const reportDir = path.resolve(defaults.retention.reportDir);
+    const file = path.join(reportDir, `${kind}_${this.now.toISOString().replace(/[:.]/g, '-')}${this.dryRun ? '_dry-run' : ''}.json`);
+    try {
+      fs.mkdirSync(reportDir, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(report, null, 2) + '\n', 'utf8');
+      report.file = file;
+      logger.info(`Deletion report written to ${this._relative(file)}`);
+    } catch (error) {
+      logger.error(`Failed to write deletion report ${file}: ${error.message}`);
+    }
+    return report;
+  }
+}
+
+module.exports = RetentionManager;
+module.exports.ARTIFACT_TYPES = ARTIFACT_TYPES;
@@ -0,0 +1,810 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { createLogger } = require('../utils/logger');
+const logger = createLogger('SQLiteStorage');
+const BaseStorage = require('./base-storage');
+const PacketArchive = require('./packet-archive');
+const defaults = require('../config/defaults');
+
+/**
+ * Schema migrations, applied in order and tracked with PRAGMA user_version.
+ * Append new entries instead of editing existing ones.
+ */
+const MIGRATIONS = [
+  `
+  CREATE TABLE posts (
+    post_id TEXT PRIMARY KEY,
+    timestamp TEXT NOT NULL,
+    persona_id TEXT,
+    gender TEXT,
+    age TEXT,
+    region TEXT,
+    political_spectrum TEXT,
+    feed_type TEXT,
+    author_username TEXT,
+    caption TEXT,
+    likes_count INTEGER DEFAULT 0,
+    comments_count INTEGER DEFAULT 0,
+    view_count INTEGER DEFAULT 0,
+    created_at TEXT,
+    media_type TEXT,
+    screenshot_path TEXT
+  );
+  CREATE INDEX idx_posts_author ON posts(author_username);
+
+  CREATE TABLE hashtags (
+    post_id TEXT NOT NULL REFERENCES posts(post_id) ON DELETE CASCADE,
+    hashtag TEXT NOT NULL,
+    position INTEGER,
+    PRIMARY KEY (post_id, hashtag)
+  );
+  CREATE INDEX idx_hashtags_hashtag ON hashtags(hashtag);
+
+  CREATE TABLE exposures (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp TEXT NOT NULL,
+    session_id TEXT,
+    persona_id TEXT NOT NULL,
+    gender TEXT,
+    age TEXT,
+    region TEXT,
+    political_spectrum TEXT,
+    feed_type TEXT,
+    feed_position INTEGER,
+    post_id TEXT NOT NULL
+  );
+  CREATE INDEX idx_exposures_persona ON exposures(persona_id);
+  CREATE INDEX idx_exposures_session ON exposures(session_id, feed_position);
+  CREATE INDEX idx_exposures_post ON exposures(post_id);
+
+  CREATE TABLE sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp TEXT NOT NULL,
+    persona_id TEXT NOT NULL,
+    gender TEXT,
+    age TEXT,
+    region TEXT,
+    political_spectrum TEXT,
+    feed_type TEXT,
+    posts_collected INTEGER DEFAULT 0,
+    likes_performed INTEGER DEFAULT 0,
+    duration_seconds INTEGER DEFAULT 0
+  );
+  CREATE INDEX idx_sessions_persona ON sessions(persona_id);
+
+  CREATE TABLE raw_packets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp TEXT NOT NULL,
+    persona_id TEXT,
+    gender TEXT,
+    age TEXT,
+    region TEXT,
+    political_spectrum TEXT,
+    request_url TEXT,
+    request_method TEXT,
+    content_type TEXT,
+    data TEXT
+  );
+  CREATE INDEX idx_raw_packets_persona ON raw_packets(persona_id, timestamp);
+
+  CREATE TABLE media_packets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp TEXT NOT NULL,
+    persona_id TEXT,
+    region TEXT,
+    political_spectrum TEXT,
+    request_url TEXT,
+    request_method TEXT,
+    post_id TEXT,
+    data TEXT
+  );
+  CREATE INDEX idx_media_packets_post ON media_packets(post_id);
+  `,
+  // v2: sponsored/ad reels
+  `
+  ALTER TABLE posts ADD COLUMN is_sponsored INTEGER DEFAULT 0;
+  ALTER TABLE posts ADD COLUMN sponsor_username TEXT;
+  ALTER TABLE posts ADD COLUMN ad_type TEXT;
+  CREATE INDEX idx_posts_sponsored ON posts(is_sponsored);
+  `,
+  // v3: audio tracks (one row per audio_id, referenced from posts)
+  `
+  CREATE TABLE audio (
+    audio_id TEXT PRIMARY KEY,
+    title TEXT,
+    artist TEXT,
+    audio_type TEXT,
+    first_seen_at TEXT NOT NULL
+  );
+  ALTER TABLE posts ADD COLUMN audio_id TEXT REFERENCES audio(audio_id);
+  CREATE INDEX idx_posts_audio ON posts(audio_id);
+  `,
+  // v4: how each impression was obtained (graphql_viewed, graphql_prefetched, dom; replay for replayed datasets)
+  `
+  ALTER TABLE exposures ADD COLUMN source TEXT;
+  `,
+  // v5: run and session IDs on every row (see src/core/run-manifest.js)
+  `
+  ALTER TABLE posts ADD COLUMN run_id TEXT;
+  ALTER TABLE posts ADD COLUMN session_id TEXT;
+  ALTER TABLE exposures ADD COLUMN run_id TEXT;
+  ALTER TABLE sessions ADD COLUMN run_id TEXT;
+  ALTER TABLE sessions ADD COLUMN session_id TEXT;
+  ALTER TABLE raw_packets ADD COLUMN run_id TEXT;
+  ALTER TABLE raw_packets ADD COLUMN session_id TEXT;
+  ALTER TABLE media_packets ADD COLUMN run_id TEXT;
+  ALTER TABLE media_packets ADD COLUMN session_id TEXT;
+  CREATE INDEX idx_exposures_run ON exposures(run_id);
+  CREATE INDEX idx_sessions_session ON sessions(session_id);
+  `,
+  // v6: one row per impression and per session summary, so repeated imports insert nothing
+  // (rows duplicated by earlier imports are dropped, keeping the first copy)
+  `
+  DELETE FROM exposures WHERE id NOT IN (
+    SELECT MIN(id) FROM exposures
+    GROUP BY persona_id, IFNULL(session_id, ''), post_id, IFNULL(feed_position, -1), timestamp
+  );
+  CREATE UNIQUE INDEX idx_exposures_unique
+    ON exposures(persona_id, IFNULL(session_id, ''), post_id, IFNULL(feed_position, -1), timestamp);
+  DELETE FROM sessions WHERE id NOT IN (
+    SELECT MIN(id) FROM sessions GROUP BY IFNULL(session_id, ''), persona_id, timestamp
+  );
+  CREATE UNIQUE INDEX idx_sessions_unique ON sessions(IFNULL(session_id, ''), persona_id, timestamp);
+  `
+];
+
+/**
+ * SQLite Storage - file-based relational backend for scraped data
+ * Posts, sessions, exposures, hashtags and media packets live in indexed tables
+ * instead of being re-parsed from CSV on every read. Raw intercepted packets go to
+ * the same per-session packet archive as with the CSV backend.
+ */
+class SQLiteStorage extends BaseStorage {
+  /**
+   * Open (or create) the SQLite database
+   * @param {string|null} dataDir - Directory holding the database (default: ./data)
+   * @param {string} fileName - Database file name
+   * @param {Object} options - readOnly leaves packet files left open by other runs alone
+   */
+  constructor(dataDir = null, fileName = 'reels.sqlite', { readOnly = false } = {}) {
+    super();
+    this.dataDir = dataDir || path.join(process.cwd(), 'data');
+
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+
+    this.dbFile = path.join(this.dataDir, fileName);
+    this.db = new Database(this.dbFile);
+    // WAL lets concurrent persona processes read while another one writes
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+
+    this.migrate();
+    this.prepareStatements();
+
+    // Raw intercepted packets go to per-session gzipped files, not the database (see defaults.packetCapture)
+    this.packetArchive = new PacketArchive(path.join(this.dataDir, 'raw', defaults.packetCapture.dir), { readOnly });
+
+    logger.info(`SQLite storage initialized at ${this.dbFile}`);
+  }
+
+  /**
+   * Apply pending schema migrations
+   */
+  migrate() {
+    const currentVersion = this.db.pragma('user_version', { simple: true });
+    if (currentVersion >= MIGRATIONS.length) {
+      return;
+    }
+
+    const applyPending = this.db.transaction(() => {
+      for (let version = currentVersion; version < MIGRATIONS.length; version++) {
+        this.db.exec(MIGRATIONS[version]);
+        this.db.pragma(`user_version = ${version + 1}`);
+      }
+    });
+    applyPending();
+    logger.info(`Migrated SQLite schema from version ${currentVersion} to ${MIGRATIONS.length}`);
+  }
+
+  /**
+   * Prepare frequently used statements once
+   */
+  prepareStatements() {
+    this.statements = {
+      hasPost: this.db.prepare('SELECT 1 FROM posts WHERE post_id = ?'),
+      insertPost: this.db.prepare(`
+        INSERT OR IGNORE INTO posts (
+          post_id, timestamp, persona_id, gender, age, region, political_spectrum, feed_type,
+          author_username, caption, likes_count, comments_count, view_count, created_at, media_type, screenshot_path,
+          is_sponsored, sponsor_username, ad_type, audio_id, run_id, session_id
+        ) VALUES (
+          @post_id, @timestamp, @persona_id, @gender, @age, @region, @political_spectrum, @feed_type,
+          @author_username, @caption, @likes_count, @comments_count, @view_count, @created_at, @media_type, @screenshot_path,
+          @is_sponsored, @sponsor_username, @ad_type, @audio_id, @run_id, @session_id
+        )`),
+      // Titles seen later fill in tracks first stored without one (e.g. from the DOM)
+      upsertAudio: this.db.prepare(`
+        INSERT INTO audio (audio_id, title, artist, audio_type, first_seen_at)
+        VALUES (@audio_id, @title, @artist, @audio_type, @first_seen_at)
+        ON CONFLICT(audio_id) DO UPDATE SET
+          title = COALESCE(audio.title, excluded.title),
+          artist = COALESCE(audio.artist, excluded.artist),
+          audio_type = COALESCE(audio.audio_type, excluded.audio_type)`),
+      insertHashtag: this.db.prepare('INSERT OR IGNORE INTO hashtags (post_id, hashtag, position) VALUES (?, ?, ?)'),
+      // OR IGNORE: see migration v6
+      insertExposure: this.db.prepare(`
+        INSERT OR IGNORE INTO exposures (
+          timestamp, session_id, persona_id, gender, age, region, political_spectrum, feed_type, feed_position, post_id, source, run_id
+        ) VALUES (
+          @timestamp, @session_id, @persona_id, @gender, @age, @region, @political_spectrum, @feed_type, @feed_position, @post_id, @source, @run_id
+        )`),
+      insertSession: this.db.prepare(`
+        INSERT OR IGNORE INTO sessions (
+          timestamp, persona_id, gender, age, region, political_spectrum, feed_type, posts_collected, likes_performed, duration_seconds,
+          run_id, session_id
+        ) VALUES (
+          @timestamp, @persona_id, @gender, @age, @region, @political_spectrum, @feed_type, @posts_collected, @likes_performed, @duration_seconds,
+          @run_id, @session_id
+        )`),
+      insertMediaPacket: this.db.prepare(`
+        INSERT INTO media_packets (
+          timestamp, persona_id, region, political_spectrum, request_url, request_method, post_id, data, run_id, session_id
+        ) VALUES (
+          @timestamp, @persona_id, @region, @political_spectrum, @request_url, @request_method, @post_id, @data, @run_id, @session_id
+        )`)
+    };
+
+    this._insertPostWithHashtags = this.db.transaction((post) => {
+      if (post.audio_id) {
+        this.statements.upsertAudio.run({
+          audio_id: String(post.audio_id),
+          title: post.audio_title || null,
+          artist: post.audio_artist || null,
+          audio_type: post.audio_type || null,
+          first_seen_at: post.timestamp
+        });
+      }
+      const result = this.statements.insertPost.run(this._postParams(post));
+      if (result.changes > 0) {
+        (post.hashtags || []).forEach((hashtag, index) => {
+          this.statements.insertHashtag.run(post.post_id, hashtag, index + 1);
+        });
+      }
+      return result.changes > 0;
+    });
+  }
+
+  /**
+   * Map a post record onto insertPost parameters
+   * @private
+   */
+  _postParams(post) {
+    return {
+      post_id: post.post_id,
+      timestamp: post.timestamp,
+      persona_id: post.persona_id,
+      gender: String(post.gender),
+      age: String(post.age),
+      region: post.region,
+      political_spectrum: post.political_spectrum,
+      feed_type: post.feed_type,
+      author_username: post.author_username || '',
+      caption: post.caption || '',
+      likes_count: post.likes_count || 0,
+      comments_count: post.comments_count || 0,
+      view_count: post.view_count || 0,
+      created_at: this._normalizeCreatedAt(post.created_at),
+      media_type: post.media_type || 'reel',
+      screenshot_path: post.screenshot_path || '',
+      is_sponsored: post.is_sponsored ? 1 : 0,
+      sponsor_username: post.sponsor_username || '',
+      ad_type: post.ad_type || '',
+      audio_id: post.audio_id ? String(post.audio_id) : null,
+      ...this._runFields(post)
+    };
+  }
+
+  /**
+   * Check if a post already exists
+   * @param {string} postId - Post ID to check
+   * @returns {boolean} True if post exists
+   */
+  hasPost(postId) {
+    if (!postId) {
+      return false;
+    }
+    return !!this.statements.hasPost.get(postId.trim());
+  }
+
+  /**
+   * Save a post (metadata once per post_id) and record the impression
+   * @param {Object} persona - Persona configuration object
+   * @param {string} feedType - Type of feed (e.g., 'reels')
+   * @param {Object} postData - Extracted post data
+   * @param {Object} exposure - Exposure context (session_id, feed_position, source; optional timestamp for replays)
+   * @returns {boolean} True if the impression was recorded, false on error
+   */
+  savePost(persona, feedType, postData, exposure = {}) {
+    try {
+      if (!postData || !postData.post_id) {
+        logger.warn(`Cannot save post: missing post_id. Data: ${JSON.stringify(postData).substring(0, 100)}`);
+        return false;
+      }
+      postData = this._minimisePost(postData);
+
+      const inserted = this._insertPostWithHashtags({
+        ...postData,
+        ...this._personaFields(persona),
+        ...this._runFields(exposure),
+        timestamp: exposure.timestamp || new Date().toISOString(),
+        feed_type: feedType
+      });
+
+      if (inserted) {
+        this.runCounts.posts++;
+        logger.info(`Saved to SQLite: ${postData.post_id} by @${postData.author_username || 'unknown'}`);
+      } else {
+        logger.debug(`Post ${postData.post_id} already stored, recording exposure only`);
+      }
+
+      return this.saveExposure(persona, feedType, postData.post_id, exposure);
+    } catch (error) {
+      logger.error(`Failed to save post to SQLite: ${error.message}`);
+      logger.error(`Post data: ${JSON.stringify(postData).substring(0, 200)}`);
+      return false;
+    }
+  }
+
+  /**
+   * Record a single impression of a post for a persona session
+   * @param {Object} persona - Persona configuration object
+   * @param {string} feedType - Type of feed
+   * @param {string} postId - Post ID that was shown
+   * @param {Object} exposure - Exposure context (session_id, feed_position, source; optional timestamp for replays)
+   * @returns {boolean} True if the exposure was written (false if the same impression is already stored)
+   */
+  saveExposure(persona, feedType, postId, exposure = {}) {
+    try {
+      const fields = this._personaFields(persona);
+      const result = this.statements.insertExposure.run({
+        ...fields,
+        gender: String(fields.gender),
+        age: String(fields.age),
+        ...this._runFields(exposure),
+        timestamp: exposure.timestamp || new Date().toISOString(),
+        feed_type: feedType,
+        feed_position: Number.isInteger(exposure.feed_position) ? exposure.feed_position : null,
+        post_id: postId,
+        source: exposure.source || ''
+      });
+      if (result.changes === 0) {
+        logger.debug(`Exposure of ${postId} for ${fields.persona_id} already recorded`);
+        return false;
+      }
+      this.runCounts.exposures++;
+      logger.debug(`Exposure recorded: ${postId} for ${fields.persona_id} (position ${exposure.feed_position ?? 'n/a'})`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to save exposure for ${postId}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Save a scraping session summary
+   * @param {Object} persona - Persona configuration object
+   * @param {string} feedType - Type of feed scraped (e.g., 'reels')
+   * @param {Object} stats - Session statistics (posts_collected, likes_performed, duration_seconds; optional timestamp, run_id, session_id)
+   */
+  saveSession(persona, feedType, stats) {
+    const fields = this._personaFields(persona);
+    this.statements.insertSession.run({
+      ...fields,
+      gender: String(fields.gender),
+      age: String(fields.age),
+      ...this._runFields(stats),
+      timestamp: stats.timestamp || new Date().toISOString(),
+      feed_type: feedType,
+      posts_collected: stats.posts_collected || 0,
+      likes_performed: stats.likes_performed || 0,
+      duration_seconds: stats.duration_seconds || 0
+    });
+    this.runCounts.sessions++;
+    logger.info(`Session saved: ${persona.persona_id} - ${feedType} - ${stats.posts_collected} posts`);
+  }
+
+  /**
+   * Save raw intercepted packet (responses passing defaults.packetCapture rules)
+   * Written to the session's file in raw/<packetCapture.dir>/ (see PacketArchive)
+   * @param {Object} persona - Persona configuration
+   * @param {string} url - Request URL
+   * @param {string} method - HTTP method
+   * @param {string} contentType - Response content type
+   * @param {string} rawData - Raw response data as string
+   */
+  saveRawInterceptedPacket(persona, url, method, contentType, rawData) {
+    try {
+      if (!this._persistsPacket(url, contentType)) {
+        return;
+      }
+      const redacted = this._redactPacket(url, this._packetBody(rawData));
+
+      const fields = this._personaFields(persona);
+      this.packetArchive.append({
+        timestamp: new Date().toISOString(),
+        ...fields,
+        gender: String(fields.gender),
+        age: String(fields.age),
+        request_url: redacted.url,
+        request_method: method,
+        content_type: contentType || 'unknown',
+        ...this._runFields(),
+        data: redacted.data
+      });
+      this.runCounts.raw_packets++;
+
+      if (url.includes('/graphql/query') || url.includes('/ajax/')) {
+        logger.debug(`Saved raw intercepted packet: ${method} ${url.substring(0, 50)}...`);
+      }
+    } catch (error) {
+      // Don't throw - just log and continue
+      logger.debug(`Failed to save raw intercepted packet: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save raw media data packet (extracted from GraphQL)
+   * @param {Object} persona - Persona configuration
+   * @param {string} url - Request URL
+   * @param {string} method - HTTP method
+   * @param {Object} rawData - Complete raw data packet (media object)
+   */
+  saveRawPacket(persona, url, method, rawData) {
+    try {
+      const redacted = this._redactPacket(url, this._minimisePacket(rawData));
+      const fields = this._personaFields(persona);
+      this.statements.insertMediaPacket.run({
+        timestamp: new Date().toISOString(),
+        persona_id: fields.persona_id,
+        region: fields.region,
+        political_spectrum: fields.political_spectrum,
+        request_url: redacted.url,
+        request_method: method,
+        post_id: rawData.code || rawData.shortcode || null,
+        data: JSON.stringify(redacted.data),
+        ...this._runFields()
+      });
+      this.runCounts.media_packets++;
+      logger.debug(`Saved raw media packet for reel: ${rawData.code || rawData.shortcode || 'unknown'}`);
+    } catch (error) {
+      logger.error(`Failed to save raw media packet: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get all posts with their hashtags
+   * @returns {Array<Object>} Array of post objects (same shape as CSVStorage.getAllPosts)
+   */
+  getAllPosts() {
+    return this._selectPosts('SELECT * FROM posts ORDER BY timestamp');
+  }
+
+  /**
+   * Run a posts query and attach hashtags
+   * @param {string} sql - SELECT returning posts rows
+   * @param {Array} params - Statement parameters
+   * @returns {Array<Object>} Post objects
+   * @private
+   */
+  _selectPosts(sql, params = []) {
+    const rows = this.db.prepare(sql).all(...params);
+    const hashtagsByPost = new Map();
+    for (const row of this.db.prepare('SELECT post_id, hashtag FROM hashtags ORDER BY post_id, position').all()) {
+      if (!hashtagsByPost.has(row.post_id)) {
+        hashtagsByPost.set(row.post_id, []);
+      }
+      hashtagsByPost.get(row.post_id).push(row.hashtag);
+    }
+
+    const audioById = new Map(this.getAllAudio().map(audio => [audio.audio_id, audio]));
+
+    return rows.map(row => ({
+      ...row,
+      is_sponsored: row.is_sponsored === 1,
+      audio_title: audioById.get(row.audio_id)?.title || null,
+      audio_artist: audioById.get(row.audio_id)?.artist || null,
+      audio_type: audioById.get(row.audio_id)?.audio_type || null,
+      hashtags: hashtagsByPost.get(row.post_id) || []
+    }));
+  }
+
+  /**
+   * @returns {Array<Object>} All audio tracks ordered by first appearance
+   */
+  getAllAudio() {
+    return this.db.prepare('SELECT audio_id, title, artist, audio_type, first_seen_at FROM audio ORDER BY first_seen_at').all();
+  }
+
+  /**
+   * @returns {Array<Object>} All exposures ordered by time
+   */
+  getAllExposures() {
+    return this.db.prepare('SELECT timestamp, session_id, persona_id, gender, age, region, political_spectrum, feed_type, feed_position, post_id, source, run_id FROM exposures ORDER BY id').all();
+  }
+
+  /**
+   * @returns {Array<Object>} All session summaries
+   */
+  getAllSessions() {
+    return this.db.prepare('SELECT timestamp, persona_id, gender, age, region, political_spectrum, feed_type, posts_collected, likes_performed, duration_seconds, run_id, session_id FROM sessions ORDER BY id').all();
+  }
+
+  /**
+   * @returns {Array<Object>} All raw intercepted packets (legacy raw_packets rows, then the archive)
+   */
+  getAllRawPackets() {
+    const legacy = this.db.prepare('SELECT timestamp, persona_id, gender, age, region, political_spectrum, request_url, request_method, content_type, data, run_id, session_id FROM raw_packets ORDER BY id').all();
+    return [...legacy, ...this.packetArchive.readAll()];
+  }
+
+  /**
+   * @returns {Array<Object>} All raw media packets with parsed media objects
+   */
+  getAllRawMediaPackets() {
+    return this.db.prepare('SELECT timestamp, persona_id, region, political_spectrum, request_url, request_method, data, run_id, session_id FROM media_packets ORDER BY id').all()
+      .map(row => {
+        try {
+          return { ...row, data: JSON.parse(row.data) };
+        } catch (error) {
+          logger.debug(`Failed to parse media packet: ${error.message}`);
+          return null;
+        }
+      })
+      .filter(packet => packet !== null);
+  }
+
+  /**
+   * Get unique posts shown to exposures matching a column value
+   * Posts without exposures (imported legacy rows) fall back to their own persona columns.
+   * @private
+   */
+  _getPostsExposedTo(column, value) {
+    return this._selectPosts(`
+      SELECT * FROM posts
+      WHERE post_id IN (SELECT post_id FROM exposures WHERE ${column} = ?)
+         OR ${column} = ?
+      ORDER BY timestamp`, [value, value]);
+  }
+
+  /**
+   * Get posts by persona
+   */
+  getPostsByPersona(personaId) {
+    return this._getPostsExposedTo('persona_id', personaId);
+  }
+
+  /**
+   * Get posts by region
+   */
+  getPostsByRegion(region) {
+    return this._getPostsExposedTo('region', region);
+  }
+
+  /**
+   * Get posts by political spectrum
+   */
+  getPostsBySpectrum(spectrum) {
+    return this._getPostsExposedTo('political_spectrum', spectrum);
+  }
+
+  /**
+   * Get statistics
+   */
+  getStats() {
+    const count = (sql) => this.db.prepare(sql).get().count;
+    const observers = `SELECT persona_id, region, political_spectrum FROM exposures
+                       UNION SELECT persona_id, region, political_spectrum FROM posts`;
+
+    const postsByPersona = this.db.prepare(`
+      SELECT persona_id,
+             COUNT(DISTINCT post_id) AS count,
+             SUM(is_exposure) AS exposures
+      FROM (
+        SELECT persona_id, post_id, 1 AS is_exposure FROM exposures
+        UNION ALL
+        SELECT persona_id, post_id, 0 AS is_exposure FROM posts
+      )
+      GROUP BY persona_id`).all();
+
+    return {
+      total_posts: count('SELECT COUNT(*) AS count FROM posts'),
+      total_exposures: count('SELECT COUNT(*) AS count FROM exposures'),
+      personas: count(`SELECT COUNT(DISTINCT persona_id) AS count FROM (${observers})`),
+      regions: count(`SELECT COUNT(DISTINCT region) AS count FROM (${observers})`),
+      political_spectrums: count(`SELECT COUNT(DISTINCT political_spectrum) AS count FROM (${observers})`),
+      posts_by_persona: postsByPersona
+    };
+  }
+
+  /**
+   * Delete raw and media packets captured before a cutoff (retention purge)
+   * @param {Object} cutoffs - { rawBefore, mediaBefore, dryRun } (see BaseStorage)
+   * @returns {Object} { raw_packets, media_packets } deleted counts and skipped_open_files
+   */
+  purgePackets({ rawBefore = null, mediaBefore = null, dryRun = false } = {}) {
+    const purge = (table, before) => {
+      if (!before) {
+        return 0;
+      }
+      const sql = dryRun ? `SELECT COUNT(*) AS count FROM ${table} WHERE timestamp < ?` : `DELETE FROM ${table} WHERE timestamp < ?`;
+      return dryRun ? this.db.prepare(sql).get(before).count : this.db.prepare(sql).run(before).changes;
+    };
+
+    const counts = this.db.transaction(() => ({
+      raw_packets: purge('raw_packets', rawBefore),
+      media_packets: purge('media_packets', mediaBefore)
+    }))();
+
+    if (!dryRun) {
+      this._compactAfter(counts);
+    }
+    const archived = rawBefore ? this.packetArchive.purgeBefore(rawBefore, { dryRun }) : { removed: 0, skipped_open_files: 0 };
+    return {
+      ...counts,
+      raw_packets: counts.raw_packets + archived.removed,
+      skipped_open_files: archived.skipped_open_files
+    };
+  }
+
+  /**
+   * Delete every record referencing an author (see BaseStorage.eraseAuthor)
+   * @param {Object} matcher - Author matcher (Pseudonymizer.authorMatcher)
+   * @param {Object} options - { dryRun }
+   * @returns {Object} Deleted counts per record type, the erased post_ids and skipped_open_files
+   */
+  eraseAuthor(matcher, { dryRun = false } = {}) {
+    const posts = this.db.prepare('SELECT post_id, author_username, sponsor_username, caption FROM posts').all()
+      .filter(post => this._postReferences(post, matcher));
+    const audioIds = this.db.prepare('SELECT audio_id, artist FROM audio').all()
+      .filter(audio => matcher.matchesName(audio.artist))
+      .map(audio => audio.audio_id);
+
+    // Packet bodies can be large, so they are scanned row by row
+    const matchingPackets = table => {
+      const ids = [];
+      for (const row of this.db.prepare(`SELECT id, data FROM ${table}`).iterate()) {
+        if (matcher.matchesText(row.data)) {
+          ids.push(row.id);
+        }
+      }
+      return ids;
+    };
+    const rawPacketIds = matchingPackets('raw_packets');
+    const mediaPacketIds = matchingPackets('media_packets');
+
+    const countWhere = (table, column, values) => values.reduce((total, value) =>
+      total + this.db.prepare(`SELECT COUNT(*) AS count FROM ${table} WHERE ${column} = ?`).get(value).count, 0);
+    const postIds = posts.map(post => post.post_id);
+
+    const counts = {
+      posts: posts.length,
+      hashtags: countWhere('hashtags', 'post_id', postIds),
+      exposures: countWhere('exposures', 'post_id', postIds),
+      audio: audioIds.length,
+      raw_packets: rawPacketIds.length,
+      // Media packets of erased posts that do not name the author themselves (e.g. @mention only)
+      media_packets: new Set([
+        ...mediaPacketIds,
+        ...postIds.flatMap(postId => this.db.prepare('SELECT id FROM media_packets WHERE post_id = ?').all(postId).map(row => row.id))
+      ]).size,
+      post_ids: postIds
+    };
+
+    if (!dryRun) {
+      this.db.transaction(() => {
+        const deleteById = (table, column, values) => {
+          const statement = this.db.prepare(`DELETE FROM ${table} WHERE ${column} = ?`);
+          values.forEach(value => statement.run(value));
+        };
+        deleteById('exposures', 'post_id', postIds);
+        deleteById('media_packets', 'post_id', postIds);
+        deleteById('media_packets', 'id', mediaPacketIds);
+        deleteById('raw_packets', 'id', rawPacketIds);
+        // Hashtags are removed with their posts (ON DELETE CASCADE)
+        deleteById('posts', 'post_id', postIds);
+        // Remaining posts that used the author's original audio keep the post but lose the reference
+        const unlinkAudio = this.db.prepare('UPDATE posts SET audio_id = NULL WHERE audio_id = ?');
+        audioIds.forEach(audioId => unlinkAudio.run(audioId));
+        deleteById('audio', 'audio_id', audioIds);
+      })();
+      this._compactAfter(counts);
+    }
+
+    const archivedPackets = this.packetArchive.filterPackets(line => !matcher.matchesText(line), { dryRun });
+    return {
+      ...counts,
+      raw_packets: counts.raw_packets + archivedPackets.removed,
+      skipped_open_files: archivedPackets.skipped_open_files
+    };
+  }
+
+  /**
+   * Rebuild the database file after deletions, so deleted rows do not linger in free pages
+   * @param {Object} counts - Deleted counts per record type
+   * @private
+   */
+  _compactAfter(counts) {
+    const deleted = Object.values(counts).some(count => typeof count === 'number' && count > 0);
+    if (!deleted) {
+      return;
+    }
+    try {
+      this.db.exec('VACUUM');
+    } catch (error) {
+      logger.warn(`Failed to compact ${this.dbFile}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Bulk-insert records that already carry their own timestamps (e.g. imported from CSV)
+   * Idempotent: posts already stored, and exposures and sessions with the same key
+   * (see migration v6), are skipped, so importing the same data twice adds nothing.
+   * @param {Object} records - { posts, exposures, sessions }
+   * @returns {Object} Counts of inserted records per type, plus skipped duplicates
+   */
+  importRecords({ posts = [], exposures = [], sessions = [] } = {}) {
+    const counts = { posts: 0, exposures: 0, sessions: 0, skipped: 0 };
+
+    const importAll = this.db.transaction(() => {
+      for (const post of posts) {
+        if (post.post_id && this._insertPostWithHashtags(post)) {
+          counts.posts++;
+        } else {
+          counts.skipped++;
+        }
+      }
+      for (const exposure of exposures) {
+        const result = this.statements.insertExposure.run({
+          ...exposure,
+          gender: String(exposure.gender),
+          age: String(exposure.age),
+          session_id: exposure.session_id || '',
+          run_id: exposure.run_id || '',
+          feed_position: Number.isInteger(exposure.feed_position) ? exposure.feed_position : null,
+          source: exposure.source || ''
+        });
+        counts[result.changes > 0 ? 'exposures' : 'skipped']++;
+      }
+      for (const session of sessions) {
+        const result = this.statements.insertSession.run({
+          ...session,
+          gender: String(session.gender),
+          age: String(session.age),
+          run_id: session.run_id || '',
+          session_id: session.session_id || ''
+        });
+        counts[result.changes > 0 ? 'sessions' : 'skipped']++;
+      }
+    });
+    importAll();
+
+    logger.info(`Imported ${counts.posts} posts, ${counts.exposures} exposures, ${counts.sessions} sessions into ${this.dbFile} (${counts.skipped} already stored)`);
+    return counts;
+  }
+
+  /**
+   * Close the database handle
+   */
+  close() {
+    this.packetArchive.close();
+    if (this.db && this.db.open) {
+      this.db.close();
+      logger.debug('SQLite storage closed');
+    }
+  }
+}
+
+module.exports = SQLiteStorage;
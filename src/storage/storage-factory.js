@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../utils/logger');
+const logger = createLogger('StorageFactory');
+const defaults = require('../config/defaults');
+const Pseudonymizer = require('../utils/pseudonymizer');
+const Redactor = require('../utils/redactor');
+
+const BACKENDS = ['sqlite', 'csv'];
+
+/**
+ * Create a storage backend implementing the BaseStorage interface
+ * @param {Object} options - Storage options
+ * @param {string} options.backend - 'sqlite' or 'csv' (default: from config)
+ * @param {string|null} options.dataDir - Data directory (default: ./data)
+ * @returns {BaseStorage} Storage instance
+ */
+function createStorage({ backend = defaults.storage.backend, dataDir = null, readOnly = false } = {}) {
+  const normalized = (backend || '').toLowerCase();
+
+  if (normalized === 'sqlite') {
+    // Required lazily so the CSV backend keeps working where the native module is unavailable
+    const SQLiteStorage = require('./sqlite-storage');
+    return new SQLiteStorage(dataDir, defaults.storage.sqliteFile, { readOnly });
+  }
+
+  if (normalized === 'csv') {
+    const CSVStorage = require('./csv-storage');
+    return new CSVStorage(dataDir, { readOnly });
+  }
+
+  throw new Error(`Unknown storage backend: ${backend}. Valid backends are: ${BACKENDS.join(', ')}`);
+}
+
+/**
+ * Copy posts, exposures and sessions from one backend into another
+ * @param {BaseStorage} source - Storage to read from
+ * @param {BaseStorage} target - Storage to write into
+ * @returns {Object} Counts of copied records per type
+ */
+function copyStorage(source, target) {
+  return target.importRecords({
+    posts: source.getAllPosts(),
+    exposures: source.getAllExposures(),
+    sessions: source.getAllSessions()
+  });
+}
+
+/**
+ * Export a storage backend to a fresh set of CSV files
+ * @param {BaseStorage} source - Storage to export
+ * @param {string|null} outDir - Output directory (default: data/export/csv_<timestamp>)
+ * @returns {Object} Output directory and counts
+ */
+function exportToCSV(source, outDir = null) {
+  const CSVStorage = require('./csv-storage');
+  const targetDir = outDir || path.join(process.cwd(), 'data', 'export', `csv_${new Date().toISOString().replace(/[:.]/g, '-')}`);
+  const target = new CSVStorage(targetDir);
+
+  if (target.getAllPosts().length > 0) {
+    throw new Error(`Export directory already contains posts.csv data: ${targetDir}`);
+  }
+
+  const counts = copyStorage(source, target);
+  logger.info(`Exported storage to CSV at ${targetDir}`);
+  return { outDir: targetDir, counts };
+}
+
+/**
+ * Export a data-minimised copy of a storage backend that can be shared outside the project
+ * Always pseudonymized (see Pseudonymizer), whatever defaults.minimisation.enabled says:
+ * - posts.csv/audio.csv: author, sponsors, @mentions in captions and original-audio
+ *   artists replaced by stable pseudonyms; screenshot paths removed
+ * - exposures.csv, sessions.csv: copied (they hold no account identities)
+ * - raw/media_packets.jsonl: profile objects reduced to pseudonyms (only with includePackets)
+ * - minimisation.json: what was done, the salt fingerprint and the counts
+ * Raw intercepted packets, screenshots, cookies and action logs are never exported.
+ * @param {BaseStorage} source - Storage to export
+ * @param {Object} options - Export options
+ * @param {string|null} options.outDir - Output directory (default: <shareableDir>/shareable_<timestamp>)
+ * @param {boolean} options.includePackets - Also export minimised media packets (default: true)
+ * @returns {Object} Output directory and counts
+ */
+function exportShareable(source, { outDir = null, includePackets = true } = {}) {
+  const CSVStorage = require('./csv-storage');
+  const targetDir = outDir ||
+    path.join(process.cwd(), defaults.minimisation.shareableDir, `shareable_${new Date().toISOString().replace(/[:.]/g, '-')}`);
+  const target = new CSVStorage(targetDir);
+
+  if (target.getAllPosts().length > 0) {
+    throw new Error(`Export directory already contains posts.csv data: ${targetDir}`);
+  }
+
+  const counts = target.importRecords({
+    posts: source.getAllPosts().map(post => ({ ...Pseudonymizer.post(post), screenshot_path: '' })),
+    exposures: source.getAllExposures(),
+    sessions: source.getAllSessions()
+  });
+
+  counts.media_packets = 0;
+  if (includePackets) {
+    const lines = source.getAllRawMediaPackets().map(packet => JSON.stringify(Redactor.redact({
+      ...packet,
+      data: Pseudonymizer.packet(packet.data)
+    })));
+    if (lines.length > 0) {
+      fs.writeFileSync(path.join(target.rawDataDir, 'media_packets.jsonl'), lines.join('\n') + '\n', 'utf8');
+    }
+    counts.media_packets = lines.length;
+  }
+  // Created empty by CSVStorage; raw intercepted packets are not part of the export
+  if (fs.existsSync(target.rawDataFile) && fs.statSync(target.rawDataFile).size === 0) {
+    fs.unlinkSync(target.rawDataFile);
+  }
+  target.close();
+
+  const manifest = {
+    created_at: new Date().toISOString(),
+    pseudonym_format: `${defaults.minimisation.pseudonymPrefix}<first ${defaults.minimisation.hashLength} hex chars of HMAC-SHA256(salt, lowercase username)>`,
+    salt_fingerprint: Pseudonymizer.saltFingerprint(),
+    pseudonymized: ['posts.author_username', 'posts.sponsor_username', 'posts.caption (@mentions)', 'audio.artist (original audio)'],
+    removed: ['posts.screenshot_path', ...(includePackets ? ['media packet profile fields'] : [])],
+    not_exported: ['raw intercepted packets', 'screenshots', 'cookies', 'action logs', 'run manifests'],
+    counts
+  };
+  fs.writeFileSync(path.join(targetDir, 'minimisation.json'), JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+
+  logger.info(`Exported shareable dataset to ${targetDir}`);
+  return { outDir: targetDir, counts };
+}
+
+module.exports = {
+  BACKENDS,
+  createStorage,
+  copyStorage,
+  exportToCSV,
+  exportShareable
+};
@@ -1,6 +1,8 @@
 const readline = require('readline');
 const fs = require('fs');
+const { Writable } = require('stream');
 const { createLogger } = require('./logger');
+const Redactor = require('./redactor');
 const logger = createLogger('CLI');
 
 /**
@@ -35,6 +37,44 @@ function promptUser(query) {
   }));
 }
 
+/**
+ * Prompts for a secret without echoing it. When stdin is not a terminal the
+ * value is read from it instead (e.g. `printf %s "$VALUE" | ...`).
+ * @param {string} query The prompt to show.
+ * @returns {Promise<string>} The entered value (one trailing newline removed when piped).
+ */
+function promptSecret(query) {
+  if (!process.stdin.isTTY) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      process.stdin.on('data', chunk => chunks.push(chunk));
+      process.stdin.on('end', () => resolve(Buffer.concat(chunks).toString('utf8').replace(/\r?\n$/, '')));
+      process.stdin.on('error', reject);
+    });
+  }
+
+  // Forward the prompt, then swallow the echoed keystrokes
+  let muted = false;
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (!muted) {
+        process.stdout.write(chunk, encoding);
+      }
+      callback();
+    }
+  });
+  const rl = readline.createInterface({ input: process.stdin, output, terminal: true });
+
+  return new Promise(resolve => {
+    rl.question(query, ans => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(ans);
+    });
+    muted = true;
+  });
+}
+
 /**
  * Prompts the user for a 2FA/MFA code.
  * In Docker environments, checks for environment variable or auto-skips after timeout.
@@ -75,6 +115,7 @@ async function promptForCode(options = {}) {
     // Check for environment variable first
     if (process.env.VERIFICATION_CODE) {
       const envCode = process.env.VERIFICATION_CODE.trim();
+      Redactor.registerSecret(envCode);
       logger.info(`Using verification code from VERIFICATION_CODE environment variable`);
       return envCode;
     }
@@ -97,7 +138,8 @@ async function promptForCode(options = {}) {
       console.log('📧 To check your email for the verification code:');
       console.log(`   Please navigate to https://${domain} and login with:`);
       console.log(`   User: ${username}`);
-      console.log(`   Password: ${password}`);
+      // Never print the password itself; it is the persona's credentials.password
+      console.log(`   Password: ${password ? Redactor.mask : '(not set)'} (the persona's credentials.password)`);
       console.log('');
     }
   }
@@ -113,12 +155,35 @@ async function promptForCode(options = {}) {
     console.log('⏭️  Skipping verification (false positive detected)');
     return null;
   }
+
+  // Keep the code out of any later log line
+  Redactor.registerSecret(trimmedCode);
   
   return trimmedCode;
 }
 
+/**
+ * Get the value following a command-line flag
+ * @param {Array<string>} args - Command-line arguments
+ * @param {string} flag - Flag name (e.g., '--storage')
+ * @returns {string|null} Flag value, or null if the flag is absent or has no value
+ */
+function getFlagValue(args, flag) {
+  const index = args.indexOf(flag);
+  if (index === -1) {
+    return null;
+  }
+  const value = args[index + 1];
+  if (!value || value.startsWith('--')) {
+    return null;
+  }
+  return value;
+}
+
 module.exports = {
+  getFlagValue,
   promptUser,
+  promptSecret,
   promptForCode,
   isDockerEnvironment,
 };
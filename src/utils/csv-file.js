@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+const logger = createLogger('CSVFile');
+
+/**
+ * CSV file helpers shared by the CSV writers (storage backend, cookie capture)
+ */
+class CSVFile {
+  /**
+   * Append columns added to a schema since a CSV file was created
+   * New columns are only ever appended, so a file whose header is a prefix of the
+   * current columns is upgraded by rewriting the header and padding every row.
+   * Rows must be single-line (the writers normalize newlines inside fields).
+   * @param {string} filePath - CSV file
+   * @param {Array<string>} columns - Current columns
+   * @returns {boolean} True if the file was upgraded
+   */
+  static extendColumns(filePath, columns) {
+    if (!fs.existsSync(filePath)) {
+      return false;
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    const lines = content.split('\n').filter(line => line.trim());
+    // Headers are plain column names, so a comma split is enough
+    const header = lines.length > 0 ? lines[0].split(',').map(column => column.trim()) : [];
+
+    const isPrefix = header.length < columns.length && header.every((column, i) => column === columns[i]);
+    if (!isPrefix) {
+      return false;
+    }
+
+    const padding = ','.repeat(columns.length - header.length);
+    const rows = lines.slice(1).map(line => line + padding);
+    fs.writeFileSync(filePath, [columns.join(','), ...rows].join('\n') + '\n');
+    logger.info(`Added columns ${columns.slice(header.length).join(', ')} to ${path.basename(filePath)}`);
+    return true;
+  }
+}
+
+module.exports = CSVFile;
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Read size per chunk; raw packet files can be gigabytes, so they are never read whole
+ */
+const CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * LineFilter - Remove lines from line-oriented files (JSONL, single-line CSV, logs)
+ * Files are streamed chunk by chunk into a temporary file that replaces the
+ * original, so memory use does not depend on the file size.
+ */
+class LineFilter {
+  /**
+   * Keep only the lines a predicate accepts
+   * Empty lines are dropped without being counted.
+   * @param {string} filePath - File to filter
+   * @param {Function} keep - (line, index) => boolean; index counts non-empty lines (0 is a CSV header)
+   * @param {Object} options - Filter options
+   * @param {boolean} options.dryRun - Only count, leave the file untouched
+   * @param {boolean} options.inPlace - Copy the result over the original instead of renaming,
+   *   so writers holding the file open (winston log transports) keep appending to it
+   * @returns {Object} { kept, removed } line counts
+   */
+  static filterFile(filePath, keep, { dryRun = false, inPlace = false } = {}) {
+    const result = { kept: 0, removed: 0 };
+    if (!fs.existsSync(filePath)) {
+      return result;
+    }
+
+    const tmpPath = `${filePath}.tmp`;
+    const input = fs.openSync(filePath, 'r');
+    const output = dryRun ? null : fs.openSync(tmpPath, 'w');
+    const decoder = new StringDecoder('utf8');
+    const buffer = Buffer.alloc(CHUNK_SIZE);
+    let pending = '';
+
+    const handle = line => {
+      if (line.trim() === '') {
+        return;
+      }
+      if (keep(line, result.kept + result.removed)) {
+        result.kept++;
+        if (output !== null) {
+          fs.writeSync(output, line + '\n');
+        }
+      } else {
+        result.removed++;
+      }
+    };
+
+    try {
+      let bytesRead;
+      while ((bytesRead = fs.readSync(input, buffer, 0, buffer.length, null)) > 0) {
+        pending += decoder.write(buffer.subarray(0, bytesRead));
+        const lines = pending.split('\n');
+        pending = lines.pop();
+        lines.forEach(handle);
+      }
+      handle(pending + decoder.end());
+    } finally {
+      fs.closeSync(input);
+      if (output !== null) {
+        fs.closeSync(output);
+      }
+    }
+
+    if (dryRun) {
+      return result;
+    }
+    if (result.removed === 0) {
+      fs.unlinkSync(tmpPath);
+    } else if (inPlace) {
+      fs.copyFileSync(tmpPath, filePath);
+      fs.unlinkSync(tmpPath);
+    } else {
+      fs.renameSync(tmpPath, filePath);
+    }
+    return result;
+  }
+}
+
+module.exports = LineFilter;
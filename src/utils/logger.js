@@ -1,6 +1,7 @@
 const winston = require('winston');
 const path = require('path');
 const fs = require('fs');
+const Redactor = require('./redactor');
 
 // Ensure logs directory exists
 const logsDir = path.join(process.cwd(), 'logs');
@@ -24,6 +25,13 @@ const logger = winston.createLogger({
     winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
     winston.format.errors({ stack: true }),
     winston.format.splat(),
+    // Mask passwords, session tokens, proxy credentials and verification codes in every transport
+    winston.format((info) => {
+      for (const key of Object.keys(info)) {
+        info[key] = Redactor.isSensitiveKey(key) ? Redactor.mask : Redactor.redact(info[key], key);
+      }
+      return info;
+    })(),
     // Custom format to ensure child logger service name overrides parent
     winston.format((info) => {
       // If component is set, always use it as service name (override parent defaultMeta)
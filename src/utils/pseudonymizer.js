@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const defaults = require('../config/defaults');
+
+/**
+ * @username in free text (captions, comments). Not preceded by a word character,
+ * so e-mail addresses are left alone; Instagram usernames do not end with a dot.
+ */
+const MENTION = /(^|[^\w@])@([A-Za-z0-9_](?:[A-Za-z0-9._]{0,28}[A-Za-z0-9_])?)/g;
+
+/**
+ * Pseudonymizer - Data-minimisation layer for account identities
+ *
+ * Replaces Instagram usernames with salted, stable pseudonyms
+ * (<prefix><first hashLength hex chars of HMAC-SHA256(salt, lowercase username)>), so
+ * the same account gets the same pseudonym across personas, sessions and exports
+ * and analyses that group by author keep working. Applied to posts (author,
+ * sponsors, @mentions in captions, original-audio artists) and raw packets
+ * (profile objects such as `owner` and `user` are reduced to a pseudonymous
+ * username) when defaults.minimisation.enabled is on, and always by the
+ * shareable export. Pseudonyms are left unchanged, so data can be minimised twice.
+ *
+ * The salt comes from the defaults.minimisation.saltEnv variable, else from
+ * defaults.minimisation.saltFile (created on first use). Keep it out of shared
+ * data: with the salt, pseudonyms of known usernames can be recomputed.
+ */
+class Pseudonymizer {
+  /**
+   * Whether minimisation is applied when data is written
+   * @returns {boolean}
+   */
+  static get enabled() {
+    return defaults.minimisation.enabled;
+  }
+
+  /**
+   * Salt used for all pseudonyms (environment first, then the salt file)
+   * @returns {string} Salt
+   */
+  static salt() {
+    if (!this._salt) {
+      this._salt = process.env[defaults.minimisation.saltEnv] || this._saltFromFile();
+    }
+    return this._salt;
+  }
+
+  /**
+   * Short fingerprint of the salt, recorded with exports so two datasets can be
+   * checked for comparable pseudonyms without revealing the salt
+   * @returns {string} First 8 hex chars of SHA-256(salt)
+   */
+  static saltFingerprint() {
+    return crypto.createHash('sha256').update(this.salt()).digest('hex').slice(0, 8);
+  }
+
+  /**
+   * Whether a value already is a pseudonym
+   * @param {string} value - Value
+   * @returns {boolean}
+   */
+  static isPseudonym(value) {
+    const { pseudonymPrefix, hashLength } = defaults.minimisation;
+    return typeof value === 'string' &&
+      value.length === pseudonymPrefix.length + hashLength &&
+      value.startsWith(pseudonymPrefix) &&
+      /^[0-9a-f]+$/.test(value.slice(pseudonymPrefix.length));
+  }
+
+  /**
+   * Stable pseudonym of a username
+   * @param {string|null} username - Username (with or without leading @)
+   * @returns {string|null} Pseudonym; empty values and pseudonyms are returned as is
+   */
+  static pseudonym(username) {
+    if (typeof username !== 'string' || username.trim() === '' || this.isPseudonym(username)) {
+      return username;
+    }
+    const normalized = username.trim().replace(/^@/, '').toLowerCase();
+    const hash = crypto.createHmac('sha256', this.salt()).update(normalized).digest('hex');
+    return `${defaults.minimisation.pseudonymPrefix}${hash.slice(0, defaults.minimisation.hashLength)}`;
+  }
+
+  /**
+   * Pseudonym when minimisation is enabled, else the username (for log messages)
+   * @param {string|null} username - Username
+   * @returns {string|null}
+   */
+  static display(username) {
+    return this.enabled ? this.pseudonym(username) : username;
+  }
+
+  /**
+   * Replace @mentions in free text
+   * @param {string} text - Caption or other text
+   * @returns {string} Text with @<pseudonym> mentions
+   */
+  static text(text) {
+    if (typeof text !== 'string' || !text.includes('@')) {
+      return text;
+    }
+    MENTION.lastIndex = 0;
+    return text.replace(MENTION, (match, before, username) => `${before}@${this.pseudonym(username)}`);
+  }
+
+  /**
+   * Matcher for every form an account can take in stored data (erase-by-author)
+   * A username matches itself (case-insensitively) and its pseudonym; a pseudonym
+   * only matches itself, since the username cannot be recovered from it.
+   * - matchesName: exact match of a username field (several names joined with | allowed)
+   * - matchesText: @mention or quoted JSON value ("name" or \"name\" inside raw bodies)
+   * - matchesWord: the name as a whole word anywhere (only to find outputs that mention it; too broad to delete by)
+   * @param {string} username - Username or pseudonym (leading @ allowed)
+   * @returns {Object} { names, matchesName(value), matchesText(text), matchesWord(text) }
+   */
+  static authorMatcher(username) {
+    const name = String(username || '').trim().replace(/^@/, '');
+    if (name === '') {
+      throw new Error('Username is required');
+    }
+
+    const names = this.isPseudonym(name) ? [name] : [name.toLowerCase(), this.pseudonym(name)];
+    const alternatives = names.map(value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+    const pattern = new RegExp(`@(?:${alternatives})(?![A-Za-z0-9_]|\\.[A-Za-z0-9_])|\\\\?"(?:${alternatives})\\\\?"`, 'i');
+    const wordPattern = new RegExp(`(?<![A-Za-z0-9._])(?:${alternatives})(?![A-Za-z0-9_]|\\.[A-Za-z0-9_])`, 'i');
+
+    return {
+      names,
+      matchesName: value => typeof value === 'string' && value !== '' &&
+        value.split('|').some(part => names.includes(part.trim().replace(/^@/, '').toLowerCase())),
+      matchesText: text => typeof text === 'string' && text !== '' && pattern.test(text),
+      matchesWord: text => typeof text === 'string' && text !== '' && wordPattern.test(text)
+    };
+  }
+
+  /**
+   * Minimised copy of a post record
+   * @param {Object} post - Post with author_username, sponsor_username, caption, audio_* fields
+   * @returns {Object} Copy with pseudonymous identities
+   */
+  static post(post) {
+    if (!post) {
+      return post;
+    }
+    const result = { ...post };
+    if (result.author_username) {
+      result.author_username = this.pseudonym(result.author_username);
+    }
+    if (result.sponsor_username) {
+      // Several sponsors are joined with |
+      result.sponsor_username = String(result.sponsor_username).split('|').map(name => this.pseudonym(name)).join('|');
+    }
+    if (result.caption) {
+      result.caption = this.text(result.caption);
+    }
+    if (result.audio_artist && result.audio_type === 'original') {
+      // Original audio is named after the account that posted it; licensed music artists are kept
+      result.audio_artist = this.pseudonym(result.audio_artist);
+    }
+    return result;
+  }
+
+  /**
+   * Minimised copy of a raw packet body
+   * Parsed objects: profile objects under defaults.minimisation.profileKeys are
+   * reduced to { username: <pseudonym> }, other `username` values are
+   * pseudonymized, defaults.minimisation.dropKeys are removed, and @mentions in
+   * strings are replaced. Raw strings are parsed as JSON (one document per line,
+   * Instagram's `for (;;);` prefix allowed) and re-serialized; text that does not
+   * parse gets the same treatment by pattern.
+   * @param {string|Object} data - Raw response body or parsed media object
+   * @returns {string|Object} Minimised copy
+   */
+  static packet(data) {
+    if (typeof data !== 'string') {
+      return this._minimiseValue(data, null);
+    }
+
+    const lines = data.split('\n');
+    try {
+      return lines.map(line => {
+        const prefix = (line.match(/^\s*for\s*\(;;\);/) || [''])[0];
+        const body = line.slice(prefix.length);
+        return body.trim() === '' ? line : prefix + JSON.stringify(this._minimiseValue(JSON.parse(body), null));
+      }).join('\n');
+    } catch (error) {
+      return this._minimiseText(data);
+    }
+  }
+
+  /**
+   * @private
+   */
+  static _minimiseValue(value, key) {
+    if (typeof value === 'string') {
+      return key === 'username' ? this.pseudonym(value) : this.text(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this._minimiseValue(item, key));
+    }
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    if (key !== null && defaults.minimisation.profileKeys.includes(key)) {
+      return typeof value.username === 'string' ? { username: this.pseudonym(value.username) } : {};
+    }
+
+    const result = {};
+    for (const [childKey, child] of Object.entries(value)) {
+      if (!defaults.minimisation.dropKeys.includes(childKey)) {
+        result[childKey] = this._minimiseValue(child, childKey);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Pattern-based fallback for bodies that are not JSON (e.g. truncated packets)
+   * @private
+   */
+  static _minimiseText(text) {
+    const dropped = defaults.minimisation.dropKeys.map(key => key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+    return this.text(text
+      .replace(/("username"\s*:\s*")([^"\\]*)(")/g, (match, before, username, after) => `${before}${this.pseudonym(username)}${after}`)
+      .replace(new RegExp(`("(?:${dropped})"\\s*:\\s*)"(?:[^"\\\\]|\\\\.)*"`, 'g'), '$1null'));
+  }
+
+  /**
+   * Read the salt file, creating it (readable by the owner only) on first use
+   * @private
+   */
+  static _saltFromFile() {
+    const file = path.resolve(defaults.minimisation.saltFile);
+    if (!fs.existsSync(file)) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, crypto.randomBytes(32).toString('hex') + '\n', { mode: 0o600 });
+    }
+    return fs.readFileSync(file, 'utf8').trim();
+  }
+}
+
+module.exports = Pseudonymizer;
@@ -86,7 +86,7 @@ function parseProxiesCSV(csvPath) {
     console.error('   Please create proxies.csv with the following format:');
     console.error('   name,username,password,host,port,country_code');
     console.error('   Example:');
-    console.error('   BR Proxy,Jk798w814bQGpNtA,tHDiBLhCwNXTYikm_country-br_session-xyz_lifetime-59m,geo.iproyal.com,12321,BR');
+    console.error('   BR Proxy,your_proxy_username,your_proxy_password_country-br_session-xyz_lifetime-59m,geo.iproyal.com,12321,BR');
     process.exit(1);
   }
 
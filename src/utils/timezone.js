@@ -0,0 +1,109 @@
+/**
+ * Time zone utilities based on Intl (no external tz database needed)
+ */
+class TimeZones {
+  /**
+   * Check whether a time zone name is known to the runtime
+   * @param {string} timeZone - IANA time zone (e.g. 'America/Los_Angeles')
+   * @returns {boolean}
+   */
+  static isValid(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get the wall-clock date/time parts of an instant in a time zone
+   * @param {Date|number} instant - Date or epoch milliseconds
+   * @param {string} timeZone - IANA time zone
+   * @returns {Object} { year, month, day, hour, minute, second } (month is 1-based)
+   */
+  static getParts(instant, timeZone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+
+    const parts = {};
+    for (const { type, value } of formatter.formatToParts(new Date(instant))) {
+      if (type !== 'literal') {
+        parts[type] = parseInt(value, 10);
+      }
+    }
+    return parts;
+  }
+
+  /**
+   * Offset of a time zone from UTC at an instant (in milliseconds, positive east of UTC)
+   * @param {Date|number} instant - Date or epoch milliseconds
+   * @param {string} timeZone - IANA time zone
+   * @returns {number} Offset in milliseconds
+   */
+  static getOffset(instant, timeZone) {
+    const ms = new Date(instant).getTime();
+    const p = TimeZones.getParts(ms, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - (ms - (ms % 1000));
+  }
+
+  /**
+   * Convert a local wall-clock time in a time zone to a UTC instant
+   * Ambiguous local times (DST fall-back) resolve to the first occurrence;
+   * non-existent ones (spring-forward gap) are shifted forward by the gap.
+   * @param {Object} local - { year, month, day, hour, minute } (month is 1-based)
+   * @param {string} timeZone - IANA time zone
+   * @returns {Date} UTC instant
+   */
+  static localToUtc({ year, month, day, hour, minute }, timeZone) {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    // Try the offsets in effect half a day before and after, which covers any DST transition
+    const halfDay = 12 * 60 * 60 * 1000;
+    const candidates = [...new Set([
+      guess - TimeZones.getOffset(guess - halfDay, timeZone),
+      guess - TimeZones.getOffset(guess + halfDay, timeZone)
+    ])].sort((a, b) => a - b);
+
+    const exact = candidates.find(candidate => {
+      const p = TimeZones.getParts(candidate, timeZone);
+      return p.year === year && p.month === month && p.day === day && p.hour === hour && p.minute === minute;
+    });
+
+    return new Date(exact !== undefined ? exact : candidates[candidates.length - 1]);
+  }
+
+  /**
+   * Format an instant as local 'YYYY-MM-DD' in a time zone
+   * @param {Date|number} instant - Date or epoch milliseconds
+   * @param {string} timeZone - IANA time zone
+   * @returns {string} Local date
+   */
+  static localDate(instant, timeZone) {
+    const p = TimeZones.getParts(instant, timeZone);
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+  }
+
+  /**
+   * Parse 'HH:MM' into hour and minute
+   * @param {string} time - Time of day
+   * @returns {Object} { hour, minute }
+   */
+  static parseTime(time) {
+    const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(time).trim());
+    if (!match) {
+      throw new Error(`Invalid time of day "${time}" (expected HH:MM)`);
+    }
+    return { hour: parseInt(match[1], 10), minute: parseInt(match[2], 10) };
+  }
+}
+
+module.exports = TimeZones;
@@ -0,0 +1,50 @@
+const CommunityDetection = require('../../src/analysis/community-detection');
+
+function edges(pairs, weight = 1) {
+  return pairs.map(([source, target]) => ({ source, target, weight }));
+}
+
+describe('CommunityDetection.louvain', () => {
+  // Two triangles joined by a single edge
+  const triangles = edges([['a', 'b'], ['b', 'c'], ['a', 'c'], ['x', 'y'], ['y', 'z'], ['x', 'z'], ['c', 'x']]);
+
+  test('separates two triangles joined by one edge', () => {
+    const { communities, modularity } = CommunityDetection.louvain(['a', 'b', 'c', 'x', 'y', 'z'], triangles);
+
+    expect(communities.get('a')).toBe(communities.get('b'));
+    expect(communities.get('b')).toBe(communities.get('c'));
+    expect(communities.get('x')).toBe(communities.get('z'));
+    expect(communities.get('a')).not.toBe(communities.get('x'));
+    // 2 * (3/7 - (7/14)^2)
+    expect(modularity).toBeCloseTo(5 / 14, 10);
+  });
+
+  test('gives the same numbering whatever the node and edge order', () => {
+    const forward = CommunityDetection.louvain(['a', 'b', 'c', 'x', 'y', 'z'], triangles);
+    const reversed = CommunityDetection.louvain(['z', 'y', 'x', 'c', 'b', 'a'], [...triangles].reverse());
+
+    expect([...reversed.communities].sort()).toEqual([...forward.communities].sort());
+  });
+
+  test('numbers communities by descending size and keeps isolated nodes apart', () => {
+    const { communities } = CommunityDetection.louvain(
+      ['lonely', 'a', 'b', 'c', 'x', 'y'],
+      edges([['a', 'b'], ['b', 'c'], ['a', 'c'], ['x', 'y']])
+    );
+
+    expect(communities.get('a')).toBe(1);
+    expect(communities.get('x')).toBe(2);
+    expect(communities.get('lonely')).toBe(3);
+  });
+
+  test('ignores self-loops, unknown nodes and non-positive weights', () => {
+    const { communities, modularity } = CommunityDetection.louvain(['a', 'b'], [
+      { source: 'a', target: 'a', weight: 5 },
+      { source: 'a', target: 'missing', weight: 1 },
+      { source: 'a', target: 'b', weight: 0 }
+    ]);
+
+    expect(modularity).toBe(0);
+    expect(communities.get('a')).not.toBe(communities.get('b'));
+  });
+});
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FeedOverlapAnalyzer = require('../../src/analysis/feed-overlap-analyzer');
+
+function exposure(personaId, sessionId, postId, position, timestamp) {
+  return { persona_id: personaId, session_id: sessionId, post_id: postId, feed_position: position, timestamp };
+}
+
+const posts = [
+  { post_id: 'POST1', author_username: 'u_a', hashtags: ['news'] },
+  { post_id: 'POST2', author_username: 'u_b', hashtags: ['#News', 'sport'] },
+  { post_id: 'POST3', author_username: 'u_a', hashtags: [] },
+  { post_id: 'POST4', author_username: 'u_c', hashtags: ['food'] }
+];
+
+const exposures = [
+  exposure('PERSONA_A', 'a_1', 'POST1', 0, '2026-01-01T10:00:00.000Z'),
+  exposure('PERSONA_A', 'a_1', 'POST2', 1, '2026-01-01T10:00:10.000Z'),
+  exposure('PERSONA_A', 'a_1', 'POST3', 2, '2026-01-01T10:00:20.000Z'),
+  exposure('PERSONA_B', 'b_1', 'POST2', 0, '2026-01-01T10:05:00.000Z'),
+  exposure('PERSONA_B', 'b_1', 'POST1', 1, '2026-01-01T10:05:10.000Z'),
+  exposure('PERSONA_B', 'b_1', 'POST4', 2, '2026-01-01T10:05:20.000Z'),
+  // Next day, long after PERSONA_A's session: not a same-time pair
+  exposure('PERSONA_B', 'b_2', 'POST4', 0, '2026-01-02T18:00:00.000Z')
+];
+
+describe('FeedOverlapAnalyzer', () => {
+  let outputDir;
+  let summary;
+
+  beforeAll(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feed-overlap-'));
+    const storage = { getAllPosts: () => posts, getAllExposures: () => exposures };
+    summary = new FeedOverlapAnalyzer(storage, outputDir).run({ persistence: 0.9, windowMinutes: 30 });
+  });
+
+  afterAll(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  test('compares persona pairs over the whole dataset and per day', () => {
+    expect(summary.periods).toEqual(['all', '2026-01-01', '2026-01-02']);
+    const all = summary.pairs.find(pair => pair.period === 'all');
+
+    expect(all).toMatchObject({
+      persona_a: 'PERSONA_A',
+      persona_b: 'PERSONA_B',
+      impressions_a: 3,
+      impressions_b: 4,
+      shared_posts: 2,
+      jaccard_posts: 0.5,
+      jaccard_authors: 0.6667,
+      jaccard_hashtags: 0.6667
+    });
+  });
+
+  test('ranks same-time sessions by feed position and compares them with RBO', () => {
+    expect(summary.session_pairs).toBe(1);
+    const pair = summary.pairs.find(row => row.period === 'all');
+
+    expect(pair.session_pairs).toBe(1);
+    // Rankings POST1, POST2, POST3 vs POST2, POST1, POST4: overlaps 0, 2, 2
+    expect(pair.mean_rbo).toBeCloseTo(0.729 * 2 / 3 + (0.1 / 0.9) * (0.81 + 0.729 * 2 / 3), 4);
+  });
+
+  test('writes symmetric matrices with a unit diagonal', () => {
+    const matrix = summary.matrices.all.jaccard_posts;
+
+    expect(matrix.PERSONA_A.PERSONA_A).toBe(1);
+    expect(matrix.PERSONA_A.PERSONA_B).toBe(matrix.PERSONA_B.PERSONA_A);
+    expect(fs.existsSync(path.join(outputDir, 'overlap_matrix_posts.csv'))).toBe(true);
+  });
+});
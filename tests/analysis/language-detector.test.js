@@ -0,0 +1,25 @@
+const LanguageDetector = require('../../src/analysis/language-detector');
+
+describe('LanguageDetector', () => {
+  test('tokenize drops URLs, mentions and digits but keeps hashtag words', () => {
+    expect(LanguageDetector.tokenize('Schön! @some.user #Sommer 2026 https://example.com/x'))
+      .toEqual(['schön', 'sommer']);
+  });
+
+  test('detects the supported languages from function words', () => {
+    expect(LanguageDetector.detect('This is the best day and we are here').language).toBe('en');
+    expect(LanguageDetector.detect('Das ist nicht mein Tag, aber ich bin hier').language).toBe('de');
+    expect(LanguageDetector.detect('Hoje é um dia muito bom para você').language).toBe('pt');
+  });
+
+  test('counts language-specific characters as evidence', () => {
+    expect(LanguageDetector.detect('Grüße')).toEqual({ language: 'de', confidence: 1 });
+    expect(LanguageDetector.detect('Coração')).toEqual({ language: 'pt', confidence: 1 });
+  });
+
+  test('reports unknown without evidence or on a tie', () => {
+    expect(LanguageDetector.detect('#fyp #reels')).toEqual({ language: 'unknown', confidence: 0 });
+    expect(LanguageDetector.detect('the und')).toEqual({ language: 'unknown', confidence: 0 });
+    expect(LanguageDetector.detect('the best', 2)).toEqual({ language: 'unknown', confidence: 0 });
+  });
+});
@@ -0,0 +1,61 @@
+const SentimentAnalyzer = require('../../src/analysis/sentiment-analyzer');
+
+describe('SentimentAnalyzer.scoreCaption', () => {
+  test('returns null for empty captions', () => {
+    expect(SentimentAnalyzer.scoreCaption('')).toBeNull();
+    expect(SentimentAnalyzer.scoreCaption('   ')).toBeNull();
+    expect(SentimentAnalyzer.scoreCaption(null)).toBeNull();
+  });
+
+  test('scores English captions with AFINN', () => {
+    const positive = SentimentAnalyzer.scoreCaption('I love this beautiful sunny day with my friends');
+    const negative = SentimentAnalyzer.scoreCaption('This is terrible, I hate it so much and I am sad');
+
+    expect(positive).toMatchObject({ language: 'en', scorer: 'afinn-en' });
+    expect(positive.score).toBeGreaterThan(0);
+    expect(positive.positive_tokens).toEqual(expect.arrayContaining(['love', 'beautiful']));
+    expect(negative.score).toBeLessThan(0);
+  });
+
+  test('ignores words inside URLs', () => {
+    const result = SentimentAnalyzer.scoreCaption('details at https://love.example.com/great');
+
+    expect(result.score).toBe(0);
+    expect(result.positive_tokens).toEqual([]);
+  });
+
+  test('falls back to the English scorer but keeps the language unknown', () => {
+    expect(SentimentAnalyzer.scoreCaption('xyz')).toMatchObject({ language: 'unknown', scorer: 'afinn-en', score: 0 });
+  });
+});
+
+describe('SentimentAnalyzer.aggregate', () => {
+  const analyzer = new SentimentAnalyzer(null, '/tmp/unused');
+  const scoresById = new Map([
+    ['POST_EN_POS', { post_id: 'POST_EN_POS', scorer: 'afinn-en', score: 4, comparative: 0.5 }],
+    ['POST_EN_NEG', { post_id: 'POST_EN_NEG', scorer: 'afinn-en', score: -2, comparative: -0.25 }],
+    ['POST_DE', { post_id: 'POST_DE', scorer: 'pattern-de', score: 0.5, comparative: 0.1 }]
+  ]);
+
+  function impression(personaId, postId, contentType = 'organic') {
+    return { persona_id: personaId, post_id: postId, content_type: contentType };
+  }
+
+  test('weights scores by impressions and never mixes scorers', () => {
+    const rows = analyzer.aggregate([
+      impression('PERSONA_A', 'POST_EN_POS'),
+      impression('PERSONA_A', 'POST_EN_POS', 'sponsored'),
+      impression('PERSONA_A', 'POST_EN_NEG'),
+      impression('PERSONA_A', 'POST_DE'),
+      impression('PERSONA_A', 'POST_UNCAPTIONED')
+    ], scoresById, 'persona_id');
+
+    expect(rows.map(row => [row.group, row.scorer, row.impressions, row.scored_impressions])).toEqual([
+      ['PERSONA_A', 'afinn-en', 3, 3],
+      ['PERSONA_A', 'none', 1, 0],
+      ['PERSONA_A', 'pattern-de', 1, 1]
+    ]);
+    expect(rows[0]).toMatchObject({ mean_score: 2, median_score: 4, positive_share: 0.6667, negative_share: 0.3333, sponsored_share: 0.3333 });
+    expect(rows[1]).toMatchObject({ mean_score: null, positive_share: null });
+  });
+});
@@ -0,0 +1,24 @@
+const { LexiconScorer, getScorer } = require('../../src/analysis/sentiment-scorers');
+
+describe('sentiment scorers', () => {
+  test('picks the lexicon of the detected language and falls back to English', () => {
+    expect(getScorer('de').id).toBe('pattern-de');
+    expect(getScorer('pt').id).toBe('afinn-pt');
+    expect(getScorer('unknown').id).toBe('afinn-en');
+    expect(getScorer('de')).toBe(getScorer('de'));
+  });
+
+  test('scores German and Portuguese words with their own lexicons', () => {
+    expect(getScorer('de').score('das ist wunderbar').score).toBeGreaterThan(0);
+    expect(getScorer('pt').score('um dia lindo').score).toBeGreaterThan(0);
+  });
+
+  test('a negation flips the next scored word within the window', () => {
+    const scorer = new LexiconScorer({ id: 'pattern-de', language: 'de', naturalLanguage: 'German', vocabularyType: 'pattern' });
+    const plain = scorer.score('das ist wunderbar');
+    const negated = scorer.score('das ist nicht wunderbar');
+
+    expect(negated.score).toBeCloseTo(-plain.score);
+    expect(negated.negative_tokens).toEqual(['wunderbar']);
+  });
+});
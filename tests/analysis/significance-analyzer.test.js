@@ -0,0 +1,131 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SignificanceAnalyzer = require('../../src/analysis/significance-analyzer');
+
+function post(postId, hashtags, caption) {
+  return { post_id: postId, author_username: 'u_author', hashtags, caption, is_sponsored: false };
+}
+
+function exposure(personaId, politicalSpectrum, postId, sessionId = `${personaId}_1`) {
+  return {
+    persona_id: personaId,
+    session_id: sessionId,
+    post_id: postId,
+    feed_position: 0,
+    source: 'dom',
+    timestamp: '2026-01-01T10:00:00.000Z',
+    political_spectrum: politicalSpectrum,
+    region: 'unknown',
+    gender: 'unknown'
+  };
+}
+
+describe('SignificanceAnalyzer.parseGroups', () => {
+  test('parses conditions and alternative values', () => {
+    expect(SignificanceAnalyzer.parseGroups('left=political_spectrum:Left|center_left,region:de; right=political_spectrum:right')).toEqual([
+      {
+        name: 'left',
+        conditions: [
+          { dimension: 'political_spectrum', values: ['left', 'center_left'] },
+          { dimension: 'region', values: ['de'] }
+        ]
+      },
+      { name: 'right', conditions: [{ dimension: 'political_spectrum', values: ['right'] }] }
+    ]);
+  });
+
+  test('rejects unknown dimensions, single groups and duplicate names', () => {
+    expect(() => SignificanceAnalyzer.parseGroups('a=age:30;b=region:de')).toThrow(/Invalid condition "age:30"/);
+    expect(() => SignificanceAnalyzer.parseGroups('a=region:de')).toThrow(/At least two groups/);
+    expect(() => SignificanceAnalyzer.parseGroups('a=region:de;a=region:at')).toThrow(/Duplicate group name: a/);
+    expect(() => SignificanceAnalyzer.parseGroups('region:de;b=region:at')).toThrow(/Invalid group definition/);
+  });
+});
+
+describe('SignificanceAnalyzer.analysisUnits', () => {
+  test('keeps the first impression of each post per persona', () => {
+    const impressions = [
+      exposure('PERSONA_A', 'left', 'POST1', 'a_1'),
+      exposure('PERSONA_A', 'left', 'POST1', 'a_2'),
+      exposure('PERSONA_B', 'right', 'POST1', 'b_1'),
+      exposure('PERSONA_A', 'left', 'POST2', 'a_2')
+    ];
+
+    expect(SignificanceAnalyzer.analysisUnits(impressions).map(unit => [unit.persona_id, unit.post_id, unit.session_id])).toEqual([
+      ['PERSONA_A', 'POST1', 'a_1'],
+      ['PERSONA_B', 'POST1', 'b_1'],
+      ['PERSONA_A', 'POST2', 'a_2']
+    ]);
+  });
+});
+
+describe('SignificanceAnalyzer.run', () => {
+  let outputDir;
+  let summary;
+
+  beforeAll(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'significance-'));
+    const posts = [];
+    const exposures = [];
+    for (let i = 0; i < 6; i++) {
+      posts.push(post(`LEFT${i}`, ['news', 'politics'], 'I love this wonderful happy news'));
+      posts.push(post(`RIGHT${i}`, ['sport', 'football'], 'terrible awful sad loss, I hate it'));
+      exposures.push(exposure('PERSONA_L', 'left', `LEFT${i}`));
+      exposures.push(exposure('PERSONA_R', 'right', `RIGHT${i}`));
+      // Shown again in a later session: the same unit, not a new observation
+      exposures.push(exposure('PERSONA_L', 'left', `LEFT${i}`, 'PERSONA_L_2'));
+    }
+    const storage = { getAllPosts: () => posts, getAllExposures: () => exposures };
+    summary = new SignificanceAnalyzer(storage, outputDir).run({ dimensions: ['political_spectrum'], bootstrapSamples: 200 });
+  });
+
+  afterAll(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  test('counts persona/post units rather than impressions', () => {
+    expect(summary).toMatchObject({ impressions: 18, unit: 'persona_post', units: 12, correction: 'holm', ci_method: 'bca' });
+    expect(summary.groups.political_spectrum).toEqual([
+      { name: 'left', definition: 'political_spectrum:left', units: 6 },
+      { name: 'right', definition: 'political_spectrum:right', units: 6 }
+    ]);
+    summary.results.forEach(row => {
+      expect(row).toMatchObject({ family: 'political_spectrum', group_a: 'left', group_b: 'right', unit: 'persona_post', n_a: 6, n_b: 6 });
+    });
+  });
+
+  test('finds the separated hashtags and sentiment significant after Holm adjustment', () => {
+    const byMeasure = Object.fromEntries(summary.results.map(row => [row.measure, row]));
+
+    expect(byMeasure.hashtags).toMatchObject({ test: 'chi_square', df: 3, significant: true, effect_measure: 'cramers_v' });
+    expect(byMeasure.hashtags.effect_size).toBeCloseTo(1, 10);
+    expect(byMeasure.sentiment).toMatchObject({ test: 'mann_whitney', scorer: 'afinn-en', significant: true });
+    expect(byMeasure.sentiment.mean_difference).toBeGreaterThan(0);
+    summary.results.forEach(row => {
+      expect(row.p_adjusted).toBeGreaterThanOrEqual(row.p_value);
+    });
+  });
+
+  test('flags rather than widens intervals that exclude the estimate', () => {
+    // Perfectly separated groups give V = 1 in every resample: the interval collapses onto the estimate
+    const hashtags = summary.results.find(row => row.measure === 'hashtags');
+    expect(hashtags.ci_excludes_estimate).toBe(false);
+    expect(summary.ci_excluding_estimate).toBe(summary.results.filter(row => row.ci_excludes_estimate).length);
+    summary.results.filter(row => row.ci_excludes_estimate).forEach(row => {
+      expect(row.note).toMatch(/BCa interval excludes the estimate/);
+    });
+  });
+
+  test('writes the results table and summary', () => {
+    const header = fs.readFileSync(path.join(outputDir, 'significance_results.csv'), 'utf8').split('\n')[0];
+
+    expect(header).toContain('unit');
+    expect(header).toContain('ci_excludes_estimate');
+    expect(JSON.parse(fs.readFileSync(path.join(outputDir, 'significance_results.json'), 'utf8')).tests).toBe(summary.tests);
+  });
+
+  test('rejects unknown dimensions', () => {
+    expect(() => new SignificanceAnalyzer({}, outputDir).run({ dimensions: ['age'] })).toThrow(/Invalid significance dimensions: age/);
+  });
+});
@@ -0,0 +1,135 @@
+const Statistics = require('../../src/analysis/statistics');
+
+describe('Statistics.jaccard', () => {
+  test('is the shared share of the union', () => {
+    expect(Statistics.jaccard(new Set(['a', 'b', 'c']), new Set(['b', 'c', 'd']))).toBe(0.5);
+    expect(Statistics.jaccard(new Set(['a']), new Set(['b']))).toBe(0);
+  });
+
+  test('is undefined for two empty sets', () => {
+    expect(Statistics.jaccard(new Set(), new Set())).toBeNull();
+  });
+});
+
+describe('Statistics.rbo', () => {
+  test('is 1 for identical and 0 for disjoint rankings', () => {
+    expect(Statistics.rbo(['a', 'b', 'c', 'd'], ['a', 'b', 'c', 'd'])).toBeCloseTo(1, 12);
+    expect(Statistics.rbo(['a', 'b'], ['c', 'd'])).toBe(0);
+  });
+
+  test('matches the extrapolated RBO of a swapped top pair', () => {
+    // overlaps 0, 2, 3 at depths 1-3: 0.9^3 + (0.1 / 0.9) * (0.81 + 0.729) = 0.9
+    expect(Statistics.rbo(['a', 'b', 'c'], ['b', 'a', 'c'], 0.9)).toBeCloseTo(0.9, 12);
+  });
+
+  test('weights agreement at the top more than further down', () => {
+    const topSwapped = Statistics.rbo(['b', 'a', 'c', 'd'], ['a', 'b', 'c', 'd']);
+    const bottomSwapped = Statistics.rbo(['a', 'b', 'd', 'c'], ['a', 'b', 'c', 'd']);
+
+    expect(bottomSwapped).toBeGreaterThan(topSwapped);
+  });
+
+  test('is evaluated to the depth of the shorter ranking', () => {
+    expect(Statistics.rbo(['a', 'b'], ['a', 'b', 'x', 'y'])).toBeCloseTo(1, 12);
+    expect(Statistics.rbo([], ['a'])).toBeNull();
+  });
+});
+
+describe('Statistics.chiSquare', () => {
+  test('tests independence of a 2x2 table with Cramér\'s V', () => {
+    const result = Statistics.chiSquare([[10, 20], [20, 10]]);
+
+    expect(result.statistic).toBeCloseTo(20 / 3, 10);
+    expect(result.df).toBe(1);
+    expect(result.p_value).toBeCloseTo(0.009823, 5);
+    expect(result.cramers_v).toBeCloseTo(1 / 3, 10);
+    expect(result.min_expected).toBe(15);
+  });
+
+  test('drops empty rows and columns and rejects degenerate tables', () => {
+    expect(Statistics.chiSquare([[10, 0, 20], [20, 0, 10]]).df).toBe(1);
+    expect(Statistics.chiSquare([[5, 5], [0, 0]])).toBeNull();
+    expect(Statistics.chiSquare([[5, 0], [7, 0]])).toBeNull();
+  });
+});
+
+describe('Statistics.mannWhitney', () => {
+  test('averages tied ranks and corrects the variance for ties', () => {
+    // Ranks: 1 | 2 2 2 -> 3 | 3 3 -> 5.5 | 4 4 -> 7.5; rank sum of A = 12.5, U = 2.5
+    // variance = 16/12 * (9 - 36/56); z = -(5.5 - 0.5) / sqrt(variance)
+    const result = Statistics.mannWhitney([1, 2, 2, 3], [2, 3, 4, 4]);
+
+    expect(result.u).toBe(2.5);
+    expect(result.z).toBeCloseTo(-5 / Math.sqrt((16 / 12) * (9 - 36 / 56)), 10);
+    expect(result.p_value).toBeCloseTo(2 * Statistics.normalCdf(result.z), 10);
+    expect(result.rank_biserial).toBeCloseTo(-0.6875, 10);
+  });
+
+  test('all values tied is no evidence of a difference', () => {
+    expect(Statistics.mannWhitney([1, 1, 1], [1, 1])).toMatchObject({ z: 0, p_value: 1, rank_biserial: 0 });
+    expect(Statistics.mannWhitney([], [1])).toBeNull();
+  });
+});
+
+describe('Statistics.holm', () => {
+  test('adjusts step-down, keeps monotonicity and passes nulls through', () => {
+    const adjusted = Statistics.holm([0.01, 0.04, 0.03, null]);
+
+    expect(adjusted[0]).toBeCloseTo(0.03, 12);
+    expect(adjusted[1]).toBeCloseTo(0.06, 12);
+    expect(adjusted[2]).toBeCloseTo(0.06, 12);
+    expect(adjusted[3]).toBeNull();
+    expect(Statistics.holm([0.6, 0.5])).toEqual([1, 1]);
+  });
+});
+
+describe('Statistics.normalQuantile', () => {
+  test('inverts the normal CDF', () => {
+    expect(Statistics.normalQuantile(0.975)).toBeCloseTo(1.959964, 5);
+    expect(Statistics.normalQuantile(0.5)).toBeCloseTo(0, 10);
+    expect(Statistics.normalCdf(Statistics.normalQuantile(0.001))).toBeCloseTo(0.001, 6);
+  });
+});
+
+describe('Statistics.bootstrapCI', () => {
+  const a = [3, 5, 4, 6, 5, 7, 4, 5, 6, 5, 8, 4];
+  const b = [2, 3, 3, 4, 2, 5, 3, 1, 4, 3, 2, 3];
+  const meanDifference = (x, y) => Statistics.mean(x) - Statistics.mean(y);
+  const options = seed => ({ samples: 2000, confidence: 0.95, random: Statistics.seededRandom(seed) });
+
+  test('brackets the observed mean difference and is reproducible with a seed', () => {
+    const ci = Statistics.bootstrapCI(a, b, meanDifference, options(7));
+
+    expect(ci.observed).toBeCloseTo(2.25, 10);
+    expect(ci.low).toBeLessThan(ci.observed);
+    expect(ci.high).toBeGreaterThan(ci.observed);
+    expect(ci.excludes_observed).toBe(false);
+    expect(Statistics.bootstrapCI(a, b, meanDifference, options(7))).toEqual(ci);
+  });
+
+  test('shifts the interval with the bias of a skewed statistic', () => {
+    // max(A) is biased downwards under resampling, so BCa moves the interval up
+    const maxA = x => Math.max(...x);
+    const ci = Statistics.bootstrapCI(a, b, x => maxA(x), options(3));
+    const estimates = [];
+    const random = Statistics.seededRandom(3);
+    for (let i = 0; i < 2000; i++) {
+      estimates.push(maxA(Array.from({ length: a.length }, () => a[Math.floor(random() * a.length)])));
+    }
+
+    expect(ci.high).toBe(8);
+    expect(ci.low).toBeGreaterThanOrEqual(Math.min(...estimates));
+  });
+
+  test('reports an interval that excludes the estimate instead of widening it', () => {
+    // Every resample differs from the observed value, as when Cramér's V sits at its bound
+    const statistic = (x, y) => (x === a && y === b ? 0 : 1);
+    const ci = Statistics.bootstrapCI(a, b, statistic, options(1));
+
+    expect(ci).toEqual({ low: 1, high: 1, observed: 0, excludes_observed: true });
+  });
+
+  test('is undefined for an empty sample', () => {
+    expect(Statistics.bootstrapCI([], b, meanDifference, options(1))).toBeNull();
+  });
+});
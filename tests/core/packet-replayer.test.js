@@ -0,0 +1,93 @@
+const PacketReplayer = require('../../src/core/packet-replayer');
+
+/**
+ * Storage double recording what the replayer writes
+ */
+function recordingStorage() {
+  return {
+    exposures: [],
+    sessions: [],
+    savePost(persona, feedType, reel, exposure) {
+      this.exposures.push({ persona_id: persona.persona_id, post_id: reel.post_id, ...exposure });
+      return true;
+    },
+    saveSession(persona, feedType, stats) {
+      this.sessions.push({ persona_id: persona.persona_id, ...stats });
+    }
+  };
+}
+
+function mediaPacket(code, timestamp, extra = {}) {
+  return {
+    timestamp,
+    persona_id: 'PERSONA_TEST_001',
+    region: 'US',
+    political_spectrum: 'left',
+    request_url: 'https://www.instagram.com/graphql/query',
+    data: { code, user: { username: 'u_author' }, caption: { text: '' } },
+    ...extra
+  };
+}
+
+describe('PacketReplayer', () => {
+  test('records replayed impressions in capture order with their own source', async () => {
+    const storage = recordingStorage();
+    await new PacketReplayer(storage).replay([
+      mediaPacket('REEL1', '2026-01-01T10:00:00.000Z'),
+      mediaPacket('REEL2', '2026-01-01T10:00:05.000Z'),
+      mediaPacket('REEL1', '2026-01-01T10:00:09.000Z')
+    ]);
+
+    expect(storage.exposures.map(exposure => [exposure.post_id, exposure.feed_position, exposure.source, exposure.timestamp])).toEqual([
+      ['REEL1', 0, 'replay', '2026-01-01T10:00:00.000Z'],
+      ['REEL2', 1, 'replay', '2026-01-01T10:00:05.000Z']
+    ]);
+  });
+});
+
+describe('PacketReplayer sessions', () => {
+  test('keeps the session IDs recorded with the packets', async () => {
+    const storage = recordingStorage();
+    await new PacketReplayer(storage).replay([
+      mediaPacket('REEL1', '2026-01-01T10:00:00.000Z', { session_id: 'session_a', run_id: 'run_1' }),
+      // Interleaved packets of another persona do not end the session
+      mediaPacket('REEL9', '2026-01-01T10:00:01.000Z', { persona_id: 'PERSONA_TEST_002', session_id: 'session_z' }),
+      // Long gaps within a session do not split it either
+      mediaPacket('REEL2', '2026-01-01T12:00:00.000Z', { session_id: 'session_a', run_id: 'run_1' }),
+      mediaPacket('REEL3', '2026-01-01T12:00:05.000Z', { session_id: 'session_b', run_id: 'run_1' })
+    ]);
+
+    expect(storage.sessions.map(session => [session.session_id, session.run_id, session.posts_collected]).sort()).toEqual([
+      ['session_a', 'run_1', 2],
+      ['session_b', 'run_1', 1],
+      ['session_z', '', 1]
+    ]);
+    expect(storage.exposures.filter(exposure => exposure.session_id === 'session_a').map(exposure => exposure.feed_position))
+      .toEqual([0, 1]);
+  });
+
+  test('a resumed session continues its feed positions without repeating reels', async () => {
+    const storage = recordingStorage();
+    await new PacketReplayer(storage).replay([
+      mediaPacket('REEL1', '2026-01-01T10:00:00.000Z', { session_id: 'session_a' }),
+      mediaPacket('REEL2', '2026-01-01T10:00:05.000Z', { session_id: 'session_b' }),
+      mediaPacket('REEL1', '2026-01-01T11:00:00.000Z', { session_id: 'session_a' }),
+      mediaPacket('REEL3', '2026-01-01T11:00:05.000Z', { session_id: 'session_a' })
+    ]);
+
+    expect(storage.exposures.filter(exposure => exposure.session_id === 'session_a').map(exposure => [exposure.post_id, exposure.feed_position]))
+      .toEqual([['REEL1', 0], ['REEL3', 1]]);
+  });
+
+  test('splits packets without a session ID by time gaps', async () => {
+    const storage = recordingStorage();
+    await new PacketReplayer(storage, { sessionGap: 60000 }).replay([
+      mediaPacket('REEL1', '2026-01-01T10:00:00.000Z'),
+      mediaPacket('REEL2', '2026-01-01T10:00:30.000Z'),
+      mediaPacket('REEL3', '2026-01-01T10:05:00.000Z')
+    ]);
+
+    expect(storage.sessions.map(session => session.posts_collected)).toEqual([2, 1]);
+    expect(storage.sessions.every(session => session.session_id.startsWith('PERSONA_TEST_001_replay_'))).toBe(true);
+  });
+});
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RunCheckpoint = require('../../src/core/run-checkpoint');
+
+describe('RunCheckpoint', () => {
+  let runsDir;
+
+  beforeEach(() => {
+    runsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-checkpoint-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(runsDir, { recursive: true, force: true });
+  });
+
+  function createBatch() {
+    return RunCheckpoint.create('run_1', {
+      type: 'batch',
+      personaIds: ['PERSONA_A', 'PERSONA_B', 'PERSONA_C'],
+      storageBackend: 'sqlite',
+      runsDir
+    });
+  }
+
+  test('a loaded checkpoint resumes an interrupted session where it stopped', () => {
+    const checkpoint = createBatch();
+    checkpoint.update('PERSONA_A', { status: 'completed', reels_collected: 10 });
+    checkpoint.update('PERSONA_B', {
+      status: 'running',
+      session_id: 'session_b',
+      reels_collected: 2,
+      feed_position: 2,
+      post_ids: ['POST1', 'POST2']
+    });
+
+    const resumed = RunCheckpoint.load('run_1', runsDir);
+
+    expect(resumed.type).toBe('batch');
+    expect(resumed.storageBackend).toBe('sqlite');
+    expect(resumed.pendingPersonaIds()).toEqual(['PERSONA_B', 'PERSONA_C']);
+    expect(resumed.entry('PERSONA_B')).toMatchObject({ session_id: 'session_b', feed_position: 2, post_ids: ['POST1', 'POST2'] });
+    expect(resumed.entry('PERSONA_C')).toMatchObject({ status: 'pending', feed_position: 0, post_ids: [] });
+  });
+
+  test('skipped personas are not run again on resume', () => {
+    const checkpoint = createBatch();
+    checkpoint.update('PERSONA_C', { status: 'skipped', skip_reason: 'quarantined' });
+
+    const resumed = RunCheckpoint.load('run_1', runsDir);
+
+    expect(resumed.isDone('PERSONA_C')).toBe(true);
+    expect(resumed.pendingPersonaIds()).toEqual(['PERSONA_A', 'PERSONA_B']);
+  });
+
+  test('failed personas are retried', () => {
+    const checkpoint = createBatch();
+    checkpoint.update('PERSONA_A', { status: 'failed', attempts: 1 });
+
+    expect(RunCheckpoint.load('run_1', runsDir).pendingPersonaIds()).toContain('PERSONA_A');
+  });
+
+  test('writes atomically and leaves no temp file', () => {
+    createBatch().update('PERSONA_A', { status: 'running' });
+
+    expect(fs.readdirSync(path.join(runsDir, 'run_1'))).toEqual(['checkpoint.json']);
+  });
+
+  test('loading an unknown run fails', () => {
+    expect(() => RunCheckpoint.load('run_missing', runsDir)).toThrow('No checkpoint found for run run_missing');
+  });
+});
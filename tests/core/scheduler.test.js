@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Scheduler = require('../../src/core/scheduler');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function persona(timezone) {
+  return { persona_id: 'PERSONA_TEST_001', demographics: { timezone } };
+}
+
+function utc(iso) {
+  return Date.parse(iso);
+}
+
+describe('Scheduler.slotsBetween across DST transitions', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function scheduler(times) {
+    return new Scheduler({
+      loadPersonas: () => [],
+      runPersona: async () => ({ status: 'completed' }),
+      definition: { times, personas: [], overrides: {}, tickInterval: 60000, missedGrace: HOUR_MS, defaultTimezone: 'UTC' },
+      stateFile: path.join(dir, 'state.json')
+    });
+  }
+
+  function slots(times, timezone, from, to) {
+    return scheduler(times).slotsBetween(persona(timezone), utc(from), utc(to))
+      .map(slot => [slot.local, new Date(slot.scheduled_at).toISOString()]);
+  }
+
+  test('keeps local times when Europe/Berlin springs forward', () => {
+    expect(slots(['08:00', '19:00'], 'Europe/Berlin', '2026-03-28T00:00:00Z', '2026-03-30T00:00:00Z')).toEqual([
+      ['2026-03-28T08:00', '2026-03-28T07:00:00.000Z'],
+      ['2026-03-28T19:00', '2026-03-28T18:00:00.000Z'],
+      ['2026-03-29T08:00', '2026-03-29T06:00:00.000Z'],
+      ['2026-03-29T19:00', '2026-03-29T17:00:00.000Z']
+    ]);
+  });
+
+  test('keeps local times when America/Los_Angeles falls back', () => {
+    expect(slots(['08:00'], 'America/Los_Angeles', '2026-10-31T12:00:00Z', '2026-11-02T12:00:00Z')).toEqual([
+      ['2026-10-31T08:00', '2026-10-31T15:00:00.000Z'],
+      ['2026-11-01T08:00', '2026-11-01T16:00:00.000Z']
+    ]);
+  });
+
+  test('shifts a slot in the spring-forward gap forward by the gap', () => {
+    expect(slots(['02:30'], 'Europe/Berlin', '2026-03-29T00:00:00Z', '2026-03-29T12:00:00Z')).toEqual([
+      ['2026-03-29T02:30', '2026-03-29T01:30:00.000Z']
+    ]);
+    expect(slots(['02:30'], 'America/Los_Angeles', '2026-03-08T00:00:00Z', '2026-03-09T00:00:00Z')).toEqual([
+      ['2026-03-08T02:30', '2026-03-08T10:30:00.000Z']
+    ]);
+  });
+
+  test('runs a slot in the repeated fall-back hour once, at its first occurrence', () => {
+    expect(slots(['02:30'], 'Europe/Berlin', '2026-10-24T12:00:00Z', '2026-10-25T12:00:00Z')).toEqual([
+      ['2026-10-25T02:30', '2026-10-25T00:30:00.000Z']
+    ]);
+  });
+
+  test('consecutive ticks across a transition see every slot exactly once', () => {
+    const schedule = scheduler(['01:30', '02:30', '08:00']);
+    const ids = [];
+    // Local midnight on 24 October (CEST) to local midnight on 27 October (CET)
+    for (let tick = utc('2026-10-23T22:00:00Z'); tick < utc('2026-10-26T23:00:00Z'); tick += HOUR_MS / 4) {
+      ids.push(...schedule.slotsBetween(persona('Europe/Berlin'), tick, tick + HOUR_MS / 4).map(slot => slot.id));
+    }
+
+    expect(ids).toHaveLength(9);
+    expect(new Set(ids).size).toBe(9);
+  });
+
+  test('window bounds are exclusive at the start and inclusive at the end', () => {
+    const schedule = scheduler(['08:00']);
+    const slot = utc('2026-03-29T06:00:00Z');
+
+    expect(schedule.slotsBetween(persona('Europe/Berlin'), slot, slot + HOUR_MS)).toHaveLength(0);
+    expect(schedule.slotsBetween(persona('Europe/Berlin'), slot - HOUR_MS, slot)).toHaveLength(1);
+  });
+});
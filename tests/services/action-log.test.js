@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ActionLog = require('../../src/services/action-log');
+
+const PERSONA = { persona_id: 'PERSONA_TEST_001' };
+
+describe('ActionLog', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'action-log-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('appends one JSON line per action with the run and session IDs', () => {
+    const log = new ActionLog(PERSONA, dir, { run_id: 'run_1', session_id: 'session_1' });
+    const entry = log.record('like', { target: 'POST1', outcome: 'performed' });
+    log.record('cookie_banner', { outcome: 'success', details: { strategy: 'button' } });
+
+    expect(log.file).toBe(path.join(dir, 'actions', 'PERSONA_TEST_001.jsonl'));
+    expect(fs.readFileSync(log.file, 'utf8').trim().split('\n')).toHaveLength(2);
+    expect(ActionLog.read(log.file)).toEqual([
+      entry,
+      expect.objectContaining({ action: 'cookie_banner', target: null, outcome: 'success', details: { strategy: 'button' } })
+    ]);
+    expect(entry).toMatchObject({ persona_id: 'PERSONA_TEST_001', run_id: 'run_1', session_id: 'session_1', action: 'like', target: 'POST1', details: null });
+  });
+
+  test('keeps earlier entries when a new session appends', () => {
+    new ActionLog(PERSONA, dir, { session_id: 'session_1' }).record('login', { outcome: 'success' });
+    const log = new ActionLog(PERSONA, dir, { session_id: 'session_2' });
+    log.record('login', { outcome: 'failed' });
+
+    expect(ActionLog.read(log.file).map(entry => [entry.session_id, entry.outcome])).toEqual([
+      ['session_1', 'success'],
+      ['session_2', 'failed']
+    ]);
+  });
+
+  test('counts actions of this session by default', () => {
+    new ActionLog(PERSONA, dir, { session_id: 'session_1' }).record('like', { target: 'POST1', outcome: 'performed' });
+    const log = new ActionLog(PERSONA, dir, { session_id: 'session_2' });
+    log.record('like', { target: 'POST2', outcome: 'performed' });
+    log.record('like', { target: 'POST3', outcome: 'blocked' });
+    log.record('follow', { target: 'u_author', outcome: 'performed' });
+
+    expect(log.count({ action: 'like' })).toBe(2);
+    expect(log.count({ action: 'like', outcome: 'performed' })).toBe(1);
+    expect(log.count({ action: 'like', sessionId: null })).toBe(3);
+    expect(log.count({ action: 'like', sessionId: 'session_1' })).toBe(1);
+  });
+
+  test('redacts secrets in entries before writing them', () => {
+    const log = new ActionLog(PERSONA, dir);
+    log.record('login', { outcome: 'failed', details: { password: 'hunter22', error: 'rejected password=hunter22' } });
+
+    expect(fs.readFileSync(log.file, 'utf8')).not.toContain('hunter22');
+    expect(ActionLog.read(log.file)[0].details).toEqual({ password: '[REDACTED]', error: 'rejected password=[REDACTED]' });
+  });
+
+  test('rejects unknown action types', () => {
+    expect(() => new ActionLog(PERSONA, dir).record('repost', { outcome: 'performed' })).toThrow(/Unknown action type "repost"/);
+  });
+
+  test('skips malformed lines and reads a missing log as empty', () => {
+    const log = new ActionLog(PERSONA, dir);
+    log.record('like', { target: 'POST1', outcome: 'performed' });
+    fs.appendFileSync(log.file, '{"truncated\n');
+    log.record('like', { target: 'POST2', outcome: 'performed' });
+
+    expect(ActionLog.read(log.file).map(entry => entry.target)).toEqual(['POST1', 'POST2']);
+    expect(ActionLog.read(path.join(dir, 'missing.jsonl'))).toEqual([]);
+  });
+});
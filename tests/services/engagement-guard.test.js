@@ -0,0 +1,89 @@
+const EngagementGuard = require('../../src/services/engagement-guard');
+
+function request(method, url, headers = {}) {
+  return { method: () => method, url: () => url, headers: () => headers };
+}
+
+describe('EngagementGuard.blocksRequest', () => {
+  const blocked = [
+    ['POST', 'https://www.instagram.com/api/v1/web/likes/3141592653/like/'],
+    ['POST', 'https://www.instagram.com/api/v1/media/3141592653_42/like/'],
+    ['POST', 'https://www.instagram.com/api/v1/media/3141592653_42/unlike/'],
+    ['POST', 'https://www.instagram.com/api/v1/web/comments/3141592653/add/'],
+    ['POST', 'https://i.instagram.com/api/v1/friendships/create/42/?hl=en'],
+    ['POST', 'https://www.instagram.com/api/v1/web/friendships/42/follow/'],
+    ['POST', 'https://www.instagram.com/api/v1/direct_v2/threads/broadcast/text/'],
+    ['DELETE', 'https://www.instagram.com/api/v1/friendships/destroy/42/']
+  ];
+  const allowed = [
+    ['GET', 'https://www.instagram.com/api/v1/web/likes/3141592653/like/'],
+    ['POST', 'https://www.instagram.com/api/v1/media/3141592653_42/seen/'],
+    ['POST', 'https://www.instagram.com/api/v1/clips/discover/'],
+    ['POST', 'https://www.instagram.com/ajax/bz?__a=1'],
+    ['POST', 'https://www.instagram.com/api/v1/friendships/show/42/']
+  ];
+
+  test.each(blocked)('aborts %s %s', (method, url) => {
+    expect(new EngagementGuard().blocksRequest(request(method, url))).toBe(true);
+  });
+
+  test.each(allowed)('lets %s %s through', (method, url) => {
+    expect(new EngagementGuard().blocksRequest(request(method, url))).toBe(false);
+  });
+
+  test('aborts GraphQL write mutations by their friendly name only', () => {
+    const guard = new EngagementGuard();
+    const graphql = friendlyName => request('POST', 'https://www.instagram.com/graphql/query', { 'x-fb-friendly-name': friendlyName });
+
+    expect(guard.blocksRequest(graphql('usePolarisLikeMediaLikeMutation'))).toBe(true);
+    expect(guard.blocksRequest(graphql('PolarisFollowMutation'))).toBe(true);
+    expect(guard.blocksRequest(graphql('PolarisClipsTabDesktopPaginationQuery'))).toBe(false);
+    expect(guard.blocksRequest(request('POST', 'https://www.instagram.com/graphql/query'))).toBe(false);
+  });
+
+  test('lets every request through when engagement is allowed', () => {
+    const guard = new EngagementGuard({ observationOnly: false });
+
+    expect(guard.blocksRequest(request(...blocked[0]))).toBe(false);
+    expect(guard.summary().blocked_request_count).toBe(0);
+  });
+
+  test('records aborted requests without their query strings', () => {
+    const guard = new EngagementGuard();
+    guard.blocksRequest(request('POST', 'https://i.instagram.com/api/v1/friendships/create/42/?hl=en'));
+
+    expect(guard.summary().blocked_requests).toEqual([
+      expect.objectContaining({ method: 'POST', url: 'https://i.instagram.com/api/v1/friendships/create/42/', friendly_name: null })
+    ]);
+  });
+});
+
+describe('EngagementGuard.permit', () => {
+  test('refuses and counts every write action in observation-only mode', () => {
+    const records = [];
+    const guard = new EngagementGuard({ personaId: 'PERSONA_TEST_001', actionLog: { record: (action, entry) => records.push({ action, ...entry }) } });
+
+    expect(guard.permit('like', 'POST1')).toBe(false);
+    expect(guard.permit('follow')).toBe(false);
+    expect(guard.summary()).toMatchObject({
+      observation_only: true,
+      attempted: { like: 1, comment: 0, share: 0, follow: 1 },
+      blocked: { like: 1, comment: 0, share: 0, follow: 1 }
+    });
+    expect(records).toEqual([
+      { action: 'like', target: 'POST1', outcome: 'blocked', details: { reason: 'observation_only' } },
+      { action: 'follow', target: null, outcome: 'blocked', details: { reason: 'observation_only' } }
+    ]);
+  });
+
+  test('permits actions when engagement is allowed', () => {
+    const guard = new EngagementGuard({ observationOnly: false });
+
+    expect(guard.permit('comment', 'POST1')).toBe(true);
+    expect(guard.summary()).toMatchObject({ attempted: { comment: 1 }, blocked: { comment: 0 } });
+  });
+
+  test('rejects unknown actions', () => {
+    expect(() => new EngagementGuard().permit('repost')).toThrow(/Unknown engagement action "repost"/);
+  });
+});
@@ -0,0 +1,104 @@
+const PersonaValidator = require('../../src/services/persona-validator');
+
+const FILE = 'personas/active/PERSONA_TEST_001.yaml';
+
+const PERSONA = `persona_id: "PERSONA_TEST_001"
+region: "de"
+political_spectrum: "left"
+demographics:
+  age: 15
+  gender: "female"
+  language: "de"
+  timezone: "Europe/Berlin"
+credentials:
+  username: "\${PERSONA_TEST_001_USERNAME}"
+  password: "\${PERSONA_TEST_001_PASSWORD}"
+proxy:
+  provider: "iproyal"
+  host: "proxy.example.com"
+  port: "\${PROXY_PORT}"
+  username: "\${PROXY_USERNAME}"
+  password: "\${PROXY_PASSWORD}_country-de"
+political_figures:
+  follows:
+    - username: "example.account"
+      name: "Example"
+engagement:
+  likes:
+    enabled: false
+    delay_seconds:
+      min: 2
+      max: 5
+`;
+
+function validate(text, options = {}) {
+  return PersonaValidator.validateText(text, { file: FILE, requireIdMatch: true, ...options });
+}
+
+describe('PersonaValidator.validateText', () => {
+  test('accepts a persona that references its secrets through placeholders', () => {
+    expect(validate(PERSONA)).toEqual([]);
+  });
+
+  test('locates errors at the line and column of the offending key', () => {
+    const errors = validate(PERSONA.replace('age: 15', 'age: "15"').replace('max: 5', 'max: 1'));
+
+    expect(errors.map(PersonaValidator.formatError)).toEqual([
+      `${FILE}:5:3 demographics.age: must be an integer (got "15")`,
+      `${FILE}:27:7 engagement.likes.delay_seconds.max: must be >= min (2) (got 1)`
+    ]);
+  });
+
+  test('points at array items by index', () => {
+    const [error] = validate(PERSONA.replace('username: "example.account"', 'username: "not a handle"'));
+
+    expect(error).toMatchObject({ line: 20, column: 7, path: 'political_figures.follows[0].username' });
+  });
+
+  test('suggests the known key for a misspelled one', () => {
+    const [error] = validate(PERSONA.replace('engagement:', 'engagment:'));
+
+    expect(error).toMatchObject({ line: 22, column: 1, path: 'engagment', message: 'unknown property (did you mean "engagement"?)' });
+    expect(validate(PERSONA.replace('engagement:', 'behaviour:'))[0].message).toBe('unknown property');
+  });
+
+  test('rejects literal secrets without echoing them', () => {
+    const errors = validate(PERSONA
+      .replace('password: "${PERSONA_TEST_001_PASSWORD}"', 'password: "hunter22"')
+      .replace('password: "${PROXY_PASSWORD}_country-de"', 'password: "pw_country-de"'));
+
+    expect(errors.map(error => [error.line, error.path])).toEqual([[11, 'credentials.password'], [17, 'proxy.password']]);
+    errors.forEach(error => {
+      expect(error.message).toMatch(/^literal secret; reference it as "\$\{NAME\}"/);
+    });
+    expect(JSON.stringify(errors)).not.toMatch(/hunter22|pw_country/);
+  });
+
+  test('skips the literal-secret check on resolved personas', () => {
+    const persona = { credentials: { username: 'user', password: 'hunter22' } };
+
+    expect(PersonaValidator.validate(persona).map(error => error.path)).toContain('credentials.password');
+    expect(PersonaValidator.validate(persona, { resolved: true }).map(error => error.path)).not.toContain('credentials.password');
+  });
+
+  test('requires persona_id to match the file name', () => {
+    const [error] = validate(PERSONA, { file: 'personas/active/PERSONA_OTHER_001.yaml' });
+
+    expect(error).toMatchObject({ line: 1, column: 1, path: 'persona_id' });
+    expect(error.message).toMatch(/must match the file name "PERSONA_OTHER_001"/);
+  });
+
+  test('treats empty strings as unfilled placeholders in template mode', () => {
+    const template = PERSONA.replace('gender: "female"', 'gender: ""');
+
+    expect(validate(template).map(error => error.path)).toEqual(['demographics.gender']);
+    expect(validate(template, { template: true })).toEqual([]);
+  });
+
+  test('reports YAML syntax errors with their position', () => {
+    const [error] = validate(PERSONA.replace('region: "de"', 'region: "de"\nregion: "at"'));
+
+    expect(error).toMatchObject({ file: FILE, line: 3, column: 1, path: '' });
+    expect(error.message).toMatch(/^YAML syntax error: Map keys must be unique/);
+  });
+});
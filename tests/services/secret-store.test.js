@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SecretStore = require('../../src/services/secret-store');
+
+describe('SecretStore.encrypt / decrypt', () => {
+  test('round-trips secrets with the passphrase', () => {
+    const secrets = { IPROYAL_USERNAME: 'proxy_user', IPROYAL_PASSWORD: 'p@ss:wörd' };
+    const payload = SecretStore.encrypt(secrets, 'correct horse');
+
+    expect(payload).toMatchObject({ version: 1, cipher: 'aes-256-gcm', kdf: 'scrypt' });
+    expect(JSON.stringify(payload)).not.toContain('proxy_user');
+    expect(SecretStore.decrypt(payload, 'correct horse')).toEqual(secrets);
+  });
+
+  test('uses a fresh salt and IV for every encryption', () => {
+    const first = SecretStore.encrypt({ A: '1' }, 'passphrase');
+    const second = SecretStore.encrypt({ A: '1' }, 'passphrase');
+
+    expect(second.salt).not.toBe(first.salt);
+    expect(second.data).not.toBe(first.data);
+  });
+
+  test('rejects a wrong passphrase, tampered data and unknown formats', () => {
+    const payload = SecretStore.encrypt({ A: '1' }, 'passphrase');
+    const tampered = { ...payload, data: Buffer.from('{"A":"2"}').toString('base64') };
+
+    expect(() => SecretStore.decrypt(payload, 'wrong', 'secrets.json')).toThrow(/Could not decrypt secrets.json/);
+    expect(() => SecretStore.decrypt(tampered, 'passphrase')).toThrow(/Could not decrypt/);
+    expect(() => SecretStore.decrypt({ ...payload, version: 2 }, 'passphrase')).toThrow(/Unsupported secrets file format/);
+  });
+});
+
+describe('SecretStore', () => {
+  const NAMES = ['SECRET_STORE_TEST_USER', 'SECRET_STORE_TEST_PASSWORD', 'SECRET_STORE_TEST_MISSING'];
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'secret-store-'));
+    file = path.join(dir, 'credentials', 'secrets.json');
+  });
+
+  afterEach(() => {
+    NAMES.forEach(name => delete process.env[name]);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('finds the placeholders of a value, including inline ones', () => {
+    expect(SecretStore.placeholders('${SECRET_STORE_TEST_PASSWORD}_country-us_${REGION}')).toEqual(['SECRET_STORE_TEST_PASSWORD', 'REGION']);
+    expect(SecretStore.placeholders('plain value')).toEqual([]);
+    expect(SecretStore.placeholders('$SECRET ${1ABC}')).toEqual([]);
+  });
+
+  test('saves an encrypted file readable by the owner only and loads it back', () => {
+    const store = new SecretStore({ file, passphrase: 'passphrase' });
+    store.set('SECRET_STORE_TEST_PASSWORD', 'from-file');
+    store.set('SECRET_STORE_TEST_USER', 'file-user');
+    expect(store.remove('SECRET_STORE_TEST_USER')).toBe(true);
+    expect(store.remove('SECRET_STORE_TEST_USER')).toBe(false);
+
+    expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+    expect(fs.readFileSync(file, 'utf8')).not.toContain('from-file');
+    const reopened = new SecretStore({ file, passphrase: 'passphrase' });
+    expect(reopened.names()).toEqual(['SECRET_STORE_TEST_PASSWORD']);
+    expect(reopened.get('SECRET_STORE_TEST_PASSWORD')).toBe('from-file');
+  });
+
+  test('needs the passphrase only when the file has to be read', () => {
+    new SecretStore({ file, passphrase: 'passphrase' }).set('SECRET_STORE_TEST_PASSWORD', 'from-file');
+    process.env.SECRET_STORE_TEST_USER = 'env-user';
+    const locked = new SecretStore({ file, passphrase: '' });
+
+    expect(locked.get('SECRET_STORE_TEST_USER')).toBe('env-user');
+    expect(() => locked.get('SECRET_STORE_TEST_PASSWORD')).toThrow(/is encrypted; set /);
+    expect(() => locked.set('SECRET_STORE_TEST_USER', 'x')).toThrow();
+    expect(new SecretStore({ file: path.join(dir, 'missing.json'), passphrase: '' }).get('SECRET_STORE_TEST_PASSWORD')).toBeUndefined();
+  });
+
+  test('prefers the environment over the secrets file', () => {
+    new SecretStore({ file, passphrase: 'passphrase' }).set('SECRET_STORE_TEST_PASSWORD', 'from-file');
+    process.env.SECRET_STORE_TEST_PASSWORD = 'from-env';
+
+    expect(new SecretStore({ file, passphrase: 'passphrase' }).get('SECRET_STORE_TEST_PASSWORD')).toBe('from-env');
+    process.env.SECRET_STORE_TEST_PASSWORD = '';
+    expect(new SecretStore({ file, passphrase: 'passphrase' }).get('SECRET_STORE_TEST_PASSWORD')).toBe('from-file');
+  });
+
+  test('rejects invalid secret names', () => {
+    expect(() => new SecretStore({ file, passphrase: 'passphrase' }).set('PROXY-PASSWORD', 'x')).toThrow(/Invalid secret name "PROXY-PASSWORD"/);
+  });
+
+  test('replaces inline placeholders in every string of a persona', () => {
+    process.env.SECRET_STORE_TEST_USER = 'proxy_user';
+    new SecretStore({ file, passphrase: 'passphrase' }).set('SECRET_STORE_TEST_PASSWORD', 'secret');
+    const persona = {
+      proxy: {
+        username: '${SECRET_STORE_TEST_USER}',
+        password: '${SECRET_STORE_TEST_PASSWORD}_country-us_session-${SECRET_STORE_TEST_USER}',
+        port: 12321
+      },
+      political_figures: { follows: [{ username: 'example.account' }] }
+    };
+
+    new SecretStore({ file, passphrase: 'passphrase' }).resolveAll(persona);
+
+    expect(persona).toEqual({
+      proxy: { username: 'proxy_user', password: 'secret_country-us_session-proxy_user', port: 12321 },
+      political_figures: { follows: [{ username: 'example.account' }] }
+    });
+  });
+
+  test('lists every unresolved placeholder with where it is used', () => {
+    const persona = {
+      credentials: { password: '${SECRET_STORE_TEST_MISSING}' },
+      proxy: { hosts: ['${SECRET_STORE_TEST_MISSING}.example.com'] }
+    };
+
+    expect(() => new SecretStore({ file, passphrase: 'passphrase' }).resolveAll(persona)).toThrow(
+      'SECRET_STORE_TEST_MISSING (credentials.password), SECRET_STORE_TEST_MISSING (proxy.hosts[0])'
+    );
+    expect(new SecretStore({ file, passphrase: 'passphrase' }).interpolate('${SECRET_STORE_TEST_MISSING}_x')).toBe('${SECRET_STORE_TEST_MISSING}_x');
+  });
+});
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CSVStorage = require('../../src/storage/csv-storage');
+
+function persona(personaId, politicalSpectrum) {
+  return {
+    persona_id: personaId,
+    demographics: { gender: 'female', age: 30 },
+    region: 'US',
+    political_spectrum: politicalSpectrum
+  };
+}
+
+describe('CSVStorage exposures', () => {
+  let dataDir;
+  let storage;
+  const left = persona('PERSONA_TEST_LEFT', 'left');
+  const right = persona('PERSONA_TEST_RIGHT', 'right');
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-storage-'));
+    storage = new CSVStorage(dataDir);
+  });
+
+  afterEach(() => {
+    storage.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('stores a post once but records every persona that saw it', () => {
+    storage.savePost(left, 'reels', { post_id: 'POST1', author_username: 'u_a', caption: '' }, { session_id: 'left_1', feed_position: 0 });
+    storage.savePost(right, 'reels', { post_id: 'POST1', author_username: 'u_a', caption: '' }, { session_id: 'right_1', feed_position: 3 });
+
+    expect(storage.getAllPosts()).toHaveLength(1);
+    expect(storage.getAllExposures().map(exposure => [exposure.persona_id, exposure.feed_position])).toEqual([
+      ['PERSONA_TEST_LEFT', 0],
+      ['PERSONA_TEST_RIGHT', 3]
+    ]);
+    expect(storage.getPostsByPersona('PERSONA_TEST_RIGHT').map(post => post.post_id)).toEqual(['POST1']);
+  });
+
+  test('getStats counts distinct posts and impressions per persona', () => {
+    storage.savePost(left, 'reels', { post_id: 'POST1', caption: '' }, { session_id: 'left_1', feed_position: 0 });
+    storage.savePost(left, 'reels', { post_id: 'POST2', caption: '' }, { session_id: 'left_1', feed_position: 1 });
+    storage.savePost(left, 'reels', { post_id: 'POST1', caption: '' }, { session_id: 'left_2', feed_position: 0 });
+    storage.savePost(right, 'reels', { post_id: 'POST1', caption: '' }, { session_id: 'right_1', feed_position: 0 });
+
+    const stats = storage.getStats();
+
+    expect(stats).toMatchObject({ total_posts: 2, total_exposures: 4, personas: 2, political_spectrums: 2 });
+    expect(stats.posts_by_persona).toEqual([
+      { persona_id: 'PERSONA_TEST_LEFT', count: 2, exposures: 3 },
+      { persona_id: 'PERSONA_TEST_RIGHT', count: 1, exposures: 1 }
+    ]);
+    for (const entry of stats.posts_by_persona) {
+      expect(entry.count).toBe(storage.getPostsByPersona(entry.persona_id).length);
+    }
+  });
+});
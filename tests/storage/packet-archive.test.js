@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PacketArchive = require('../../src/storage/packet-archive');
+
+function packet(sessionId, timestamp, data = '{"data":{}}') {
+  return { timestamp, persona_id: 'PERSONA_TEST_001', run_id: 'run_1', session_id: sessionId, data };
+}
+
+describe('PacketArchive', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'packet-archive-')), 'intercepted');
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(dir), { recursive: true, force: true });
+  });
+
+  test('writes one gzipped file per session and indexes it', () => {
+    const archive = new PacketArchive(dir);
+    archive.append(packet('session_1', '2026-01-01T10:00:00.000Z'));
+    archive.append(packet('session_1', '2026-01-01T10:00:01.000Z'));
+    archive.append(packet('session_2', '2026-01-01T11:00:00.000Z'));
+    archive.close();
+
+    expect(fs.readdirSync(dir).sort()).toEqual(['index.jsonl', 'session_1_001.jsonl.gz', 'session_2_001.jsonl.gz']);
+    const entries = archive.files();
+    expect(entries.map(entry => [entry.path, entry.status, entry.packets])).toEqual([
+      ['session_1_001.jsonl.gz', 'closed', 2],
+      ['session_2_001.jsonl.gz', 'closed', 1]
+    ]);
+    expect(entries[0].first_timestamp).toBe('2026-01-01T10:00:00.000Z');
+    expect(entries[0].last_timestamp).toBe('2026-01-01T10:00:01.000Z');
+    expect(PacketArchive.sessions(dir)).toEqual({
+      session_1: [path.join(dir, 'session_1_001.jsonl.gz')],
+      session_2: [path.join(dir, 'session_2_001.jsonl.gz')]
+    });
+    expect(archive.readAll().map(item => item.timestamp)).toEqual([
+      '2026-01-01T10:00:00.000Z', '2026-01-01T10:00:01.000Z', '2026-01-01T11:00:00.000Z'
+    ]);
+  });
+
+  test('starts a new part when a file reaches maxFileBytes', () => {
+    const archive = new PacketArchive(dir, { maxFileBytes: 200 });
+    for (let second = 0; second < 3; second++) {
+      archive.append(packet('session_1', `2026-01-01T10:00:0${second}.000Z`, 'x'.repeat(100)));
+    }
+    archive.close();
+
+    expect(PacketArchive.sessions(dir).session_1.map(file => path.basename(file))).toEqual([
+      'session_1_001.jsonl.gz', 'session_1_002.jsonl.gz', 'session_1_003.jsonl.gz'
+    ]);
+    expect(archive.readAll()).toHaveLength(3);
+  });
+
+  test('keeps closed files uncompressed when compress is off', () => {
+    const archive = new PacketArchive(dir, { compress: false });
+    archive.append(packet('session_1', '2026-01-01T10:00:00.000Z'));
+    archive.close();
+
+    expect(archive.files()[0].path).toBe('session_1_001.jsonl');
+    expect(archive.readAll()).toHaveLength(1);
+  });
+
+  test('purgeBefore deletes old packets and leaves open files alone', () => {
+    const archive = new PacketArchive(dir);
+    archive.append(packet('session_1', '2026-01-01T10:00:00.000Z'));
+    archive.append(packet('session_2', '2026-01-02T10:00:00.000Z'));
+    archive.append(packet('session_2', '2026-01-04T10:00:00.000Z'));
+    archive.append(packet('session_3', '2026-01-01T12:00:00.000Z'));
+
+    expect(archive.purgeBefore('2026-01-03T00:00:00.000Z', { dryRun: true })).toEqual({ removed: 2, skipped_open_files: 1 });
+    expect(archive.purgeBefore('2026-01-03T00:00:00.000Z')).toEqual({ removed: 2, skipped_open_files: 1 });
+    expect(archive.files().map(entry => entry.file)).toEqual(['session_2_001.jsonl', 'session_3_001.jsonl']);
+    archive.close();
+    expect(archive.readAll().map(item => item.timestamp)).toEqual([
+      '2026-01-04T10:00:00.000Z', '2026-01-01T12:00:00.000Z'
+    ]);
+  });
+
+  test('filterPackets rewrites closed files without the rejected packets', () => {
+    const archive = new PacketArchive(dir);
+    archive.append(packet('session_1', '2026-01-01T10:00:00.000Z', 'by u_author'));
+    archive.append(packet('session_1', '2026-01-01T10:00:01.000Z', 'unrelated'));
+    archive.close();
+
+    expect(archive.filterPackets(line => !line.includes('u_author'))).toEqual({ removed: 1, skipped_open_files: 0 });
+    expect(archive.readAll().map(item => item.data)).toEqual(['unrelated']);
+    expect(archive.files()[0].packets).toBe(1);
+  });
+
+  test('closes files left open by an earlier process once they are stale', () => {
+    const crashed = new PacketArchive(dir);
+    crashed.append(packet('session_1', '2026-01-01T10:00:00.000Z'));
+    fs.closeSync(crashed.current.fd);
+
+    new PacketArchive(dir, { readOnly: true });
+    expect(PacketArchive.readIndex(dir)[0].status).toBe('open');
+
+    new PacketArchive(dir, { staleAfter: 60000 });
+    expect(PacketArchive.readIndex(dir)[0].status).toBe('open');
+
+    const past = new Date(Date.now() - 120000);
+    fs.utimesSync(path.join(dir, 'session_1_001.jsonl'), past, past);
+    const reopened = new PacketArchive(dir, { staleAfter: 60000 });
+    expect(reopened.files()[0]).toMatchObject({ status: 'closed', path: 'session_1_001.jsonl.gz', packets: 1 });
+  });
+});
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SQLiteStorage = require('../../src/storage/sqlite-storage');
+
+const persona = {
+  persona_id: 'PERSONA_TEST_001',
+  demographics: { gender: 'female', age: 30 },
+  region: 'US',
+  political_spectrum: 'left'
+};
+
+function record(extra) {
+  return {
+    persona_id: persona.persona_id,
+    gender: 'female',
+    age: '30',
+    region: 'US',
+    political_spectrum: 'left',
+    feed_type: 'reels',
+    run_id: 'run_1',
+    session_id: 'session_1',
+    ...extra
+  };
+}
+
+const records = {
+  posts: [
+    record({ post_id: 'POST1', timestamp: '2026-01-01T10:00:00.000Z', author_username: 'u_a', caption: '#one', hashtags: ['one'] }),
+    record({ post_id: 'POST2', timestamp: '2026-01-01T10:00:05.000Z', author_username: 'u_b', caption: '' })
+  ],
+  exposures: [
+    record({ post_id: 'POST1', timestamp: '2026-01-01T10:00:00.000Z', feed_position: 0, source: 'graphql_viewed' }),
+    record({ post_id: 'POST2', timestamp: '2026-01-01T10:00:05.000Z', feed_position: 1, source: 'graphql_viewed' }),
+    record({ post_id: 'POST1', timestamp: '2026-01-01T10:00:09.000Z', feed_position: null, source: 'dom' })
+  ],
+  sessions: [
+    record({ timestamp: '2026-01-01T10:01:00.000Z', posts_collected: 2, likes_performed: 0, duration_seconds: 60 })
+  ]
+};
+
+describe('SQLiteStorage.importRecords', () => {
+  let dataDir;
+  let storage;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-storage-'));
+    storage = new SQLiteStorage(dataDir);
+  });
+
+  afterEach(() => {
+    storage.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('imports posts, exposures and sessions with their own timestamps', () => {
+    const counts = storage.importRecords(records);
+
+    expect(counts).toEqual({ posts: 2, exposures: 3, sessions: 1, skipped: 0 });
+    expect(storage.getAllExposures().map(exposure => exposure.timestamp)).toEqual(
+      records.exposures.map(exposure => exposure.timestamp)
+    );
+    expect(storage.getAllSessions()[0].session_id).toBe('session_1');
+  });
+
+  test('importing the same records twice adds nothing', () => {
+    storage.importRecords(records);
+    const counts = storage.importRecords(records);
+
+    expect(counts).toEqual({ posts: 0, exposures: 0, sessions: 0, skipped: 6 });
+    expect(storage.getAllPosts()).toHaveLength(2);
+    expect(storage.getAllExposures()).toHaveLength(3);
+    expect(storage.getAllSessions()).toHaveLength(1);
+  });
+
+  test('keeps repeated impressions of a post at different positions', () => {
+    storage.importRecords(records);
+    const counts = storage.importRecords({
+      exposures: [record({ post_id: 'POST1', timestamp: '2026-01-01T10:00:00.000Z', feed_position: 7, source: 'graphql_viewed' })]
+    });
+
+    expect(counts.exposures).toBe(1);
+    expect(storage.getAllExposures()).toHaveLength(4);
+  });
+
+  test('migration drops rows duplicated by earlier imports', () => {
+    storage.importRecords(records);
+    storage.db.exec('DROP INDEX idx_exposures_unique; DROP INDEX idx_sessions_unique');
+    storage.db.pragma('user_version = 5');
+    storage.db.exec(`
+      INSERT INTO exposures (timestamp, session_id, persona_id, feed_type, feed_position, post_id, source, run_id)
+        SELECT timestamp, session_id, persona_id, feed_type, feed_position, post_id, source, run_id FROM exposures;
+      INSERT INTO sessions (timestamp, persona_id, feed_type, posts_collected, run_id, session_id)
+        SELECT timestamp, persona_id, feed_type, posts_collected, run_id, session_id FROM sessions;
+    `);
+    expect(storage.getAllExposures()).toHaveLength(6);
+    storage.close();
+
+    storage = new SQLiteStorage(dataDir);
+
+    expect(storage.getAllExposures()).toHaveLength(3);
+    expect(storage.getAllSessions()).toHaveLength(1);
+    expect(storage.importRecords(records).skipped).toBe(6);
+  });
+
+  test('saveExposure reports an impression that is already stored', () => {
+    const exposure = { session_id: 'session_2', feed_position: 0, source: 'graphql_viewed', timestamp: '2026-01-02T09:00:00.000Z' };
+
+    expect(storage.saveExposure(persona, 'reels', 'POST1', exposure)).toBe(true);
+    expect(storage.saveExposure(persona, 'reels', 'POST1', exposure)).toBe(false);
+    expect(storage.getRunCounts().exposures).toBe(1);
+  });
+});
+
+describe('SQLiteStorage raw packets', () => {
+  let dataDir;
+  let storage;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-storage-'));
+    storage = new SQLiteStorage(dataDir);
+  });
+
+  afterEach(() => {
+    storage.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('writes intercepted packets to the packet archive, not the database', () => {
+    storage.setRunContext({ run_id: 'run_1', session_id: 'session_1' });
+    storage.saveRawInterceptedPacket(persona, 'https://www.instagram.com/graphql/query', 'POST', 'application/json', '{"data":{}}');
+    storage.close();
+
+    storage = new SQLiteStorage(dataDir);
+    expect(storage.db.prepare('SELECT COUNT(*) AS count FROM raw_packets').get().count).toBe(0);
+    expect(fs.readdirSync(path.join(dataDir, 'raw', 'intercepted'))).toContain('session_1_001.jsonl.gz');
+    expect(storage.getAllRawPackets()).toMatchObject([{ persona_id: persona.persona_id, session_id: 'session_1', data: '{"data":{}}' }]);
+  });
+
+  test('purges legacy raw_packets rows together with archived packets', () => {
+    storage.db.prepare('INSERT INTO raw_packets (timestamp, persona_id, data) VALUES (?, ?, ?)')
+      .run('2026-01-01T10:00:00.000Z', persona.persona_id, '{}');
+    storage.packetArchive.append({ timestamp: '2026-01-01T11:00:00.000Z', persona_id: persona.persona_id, session_id: 'session_1', data: '{}' });
+    storage.packetArchive.close();
+
+    expect(storage.getAllRawPackets()).toHaveLength(2);
+    expect(storage.purgePackets({ rawBefore: '2026-01-02T00:00:00.000Z' })).toEqual({ raw_packets: 2, media_packets: 0, skipped_open_files: 0 });
+    expect(storage.getAllRawPackets()).toHaveLength(0);
+  });
+});
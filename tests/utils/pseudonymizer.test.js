@@ -0,0 +1,60 @@
+const defaults = require('../../src/config/defaults');
+
+process.env[defaults.minimisation.saltEnv] = 'test-salt';
+const Pseudonymizer = require('../../src/utils/pseudonymizer');
+
+describe('Pseudonymizer.authorMatcher', () => {
+  const matcher = Pseudonymizer.authorMatcher('@News.Daily');
+  const pseudonym = Pseudonymizer.pseudonym('news.daily');
+
+  test('matches the username case-insensitively and its pseudonym', () => {
+    expect(matcher.names).toEqual(['news.daily', pseudonym]);
+    expect(matcher.matchesName('NEWS.DAILY')).toBe(true);
+    expect(matcher.matchesName('@news.daily')).toBe(true);
+    expect(matcher.matchesName(pseudonym)).toBe(true);
+    expect(matcher.matchesName('other|news.daily')).toBe(true);
+    expect(matcher.matchesName('news.daily2')).toBe(false);
+    expect(matcher.matchesName('')).toBe(false);
+    expect(matcher.matchesName(null)).toBe(false);
+  });
+
+  test('a pseudonym only matches itself', () => {
+    const byPseudonym = Pseudonymizer.authorMatcher(pseudonym);
+
+    expect(byPseudonym.names).toEqual([pseudonym]);
+    expect(byPseudonym.matchesName('news.daily')).toBe(false);
+  });
+
+  test('matches @mentions and quoted values in text', () => {
+    expect(matcher.matchesText('great clip @news.daily!')).toBe(true);
+    expect(matcher.matchesText('ends with @News.Daily.')).toBe(true);
+    expect(matcher.matchesText('{"username":"news.daily"}')).toBe(true);
+    expect(matcher.matchesText('"{\\"username\\":\\"news.daily\\"}"')).toBe(true);
+    expect(matcher.matchesText(`by @${pseudonym}`)).toBe(true);
+  });
+
+  test('does not match longer names, e-mail addresses or bare words', () => {
+    expect(matcher.matchesText('@news.daily_backup')).toBe(false);
+    expect(matcher.matchesText('@news.daily.extra')).toBe(false);
+    expect(matcher.matchesText('mail me at me@news.dailyx.com')).toBe(false);
+    expect(matcher.matchesText('read news.daily every morning')).toBe(false);
+    expect(matcher.matchesText('"news.daily2"')).toBe(false);
+  });
+
+  test('matchesWord finds the name as a whole word only', () => {
+    expect(matcher.matchesWord('top authors: news.daily, other')).toBe(true);
+    expect(matcher.matchesWord('top authors: news.daily2')).toBe(false);
+    expect(matcher.matchesWord('top authors: mynews.daily')).toBe(false);
+  });
+
+  test('a short common name does not match ordinary log text', () => {
+    const short = Pseudonymizer.authorMatcher('news');
+
+    expect(short.matchesText('Fetched news feed in 120ms')).toBe(false);
+    expect(short.matchesText('Saved reel by @news')).toBe(true);
+  });
+
+  test('rejects an empty username', () => {
+    expect(() => Pseudonymizer.authorMatcher(' @ ')).toThrow('Username is required');
+  });
+});
@@ -0,0 +1,97 @@
+const Redactor = require('../../src/utils/redactor');
+
+const MASK = '[REDACTED]';
+
+describe('Redactor.isSensitiveKey', () => {
+  test('matches whole keys and their last part in any case style', () => {
+    expect(Redactor.isSensitiveKey('password')).toBe(true);
+    expect(Redactor.isSensitiveKey('IPROYAL_PASSWORD')).toBe(true);
+    expect(Redactor.isSensitiveKey('proxyPassword')).toBe(true);
+    expect(Redactor.isSensitiveKey('csrf-token')).toBe(true);
+    expect(Redactor.isSensitiveKey('password_hint_shown')).toBe(false);
+    expect(Redactor.isSensitiveKey('username')).toBe(false);
+  });
+
+  test('matches dotted entries only inside their parent key', () => {
+    expect(Redactor.isSensitiveKey('username', 'proxy')).toBe(true);
+    expect(Redactor.isSensitiveKey('username', 'credentials')).toBe(false);
+    expect(Redactor.isSensitiveKey('username')).toBe(false);
+  });
+});
+
+describe('Redactor.redact', () => {
+  test('masks values under sensitive keys in a copy', () => {
+    const persona = {
+      persona_id: 'PERSONA_TEST_001',
+      credentials: { username: 'test.account', password: 'account-password' },
+      proxy: { host: 'proxy.example.com', username: 'proxy-user', password: '' },
+      cookies: [{ name: 'sessionid', sessionid: 'abc123' }],
+      created: new Date(0)
+    };
+
+    expect(Redactor.redact(persona)).toEqual({
+      persona_id: 'PERSONA_TEST_001',
+      credentials: { username: 'test.account', password: MASK },
+      proxy: { host: 'proxy.example.com', username: MASK, password: '' },
+      cookies: [{ name: 'sessionid', sessionid: MASK }],
+      created: persona.created
+    });
+    expect(persona.credentials.password).toBe('account-password');
+  });
+
+  test('redacts strings inside structured data', () => {
+    expect(Redactor.redact({ url: 'https://example.com/?access_token=abc123&page=2' }))
+      .toEqual({ url: `https://example.com/?access_token=${MASK}&page=2` });
+  });
+});
+
+describe('Redactor.redactText', () => {
+  test('masks key=value, key: value and JSON pairs', () => {
+    expect(Redactor.redactText('login with password=hunter22 for test.account'))
+      .toBe(`login with password=${MASK} for test.account`);
+    expect(Redactor.redactText('IPROYAL_PASSWORD: abcd1234; next')).toBe(`IPROYAL_PASSWORD: ${MASK}; next`);
+    expect(Redactor.redactText('Cookie: sessionid=abc; csrftoken=def'))
+      .toBe(`Cookie: ${MASK}; csrftoken=${MASK}`);
+  });
+
+  test('keeps JSON valid and leaves null, booleans and nested values alone', () => {
+    const text = Redactor.redactText('{"sessionid":"abc 123","ds_user_id":123,"password":null,"secret":{"a":1}}');
+
+    expect(JSON.parse(text)).toEqual({ sessionid: MASK, ds_user_id: MASK, password: null, secret: { a: 1 } });
+  });
+
+  test('masks credentials in URLs', () => {
+    expect(Redactor.redactText('connecting via http://proxy-user:pw@proxy.example.com:12321'))
+      .toBe(`connecting via http://${MASK}@proxy.example.com:12321`);
+  });
+
+  test('does not touch words that merely contain a sensitive key', () => {
+    expect(Redactor.redactText('passwordless login, cookie banner dismissed')).toBe('passwordless login, cookie banner dismissed');
+  });
+
+  test('masks registered secret values wherever they appear, longest first', () => {
+    Redactor.registerSecret('redactor-test-pass');
+    Redactor.registerSecret('redactor-test-pass_country-us');
+    Redactor.registerSecret('abc');
+
+    expect(Redactor.redactText('auth failed for redactor-test-pass_country-us (redactor-test-pass)'))
+      .toBe(`auth failed for ${MASK} (${MASK})`);
+    expect(Redactor.redactText('abc is too short to register')).toBe('abc is too short to register');
+  });
+
+  test('registers every value under a sensitive key of a resolved persona', () => {
+    Redactor.registerSecrets({ credentials: { username: 'redactor.user', password: 'redactor-account-pw' }, proxy: { username: 'redactor-proxy-user' } });
+
+    expect(Redactor.redactText('redactor.user / redactor-account-pw / redactor-proxy-user'))
+      .toBe(`redactor.user / ${MASK} / ${MASK}`);
+  });
+});
+
+describe('Redactor.redactCookie', () => {
+  test('masks session cookies but keeps a fingerprint of the value', () => {
+    expect(Redactor.redactCookie('sessionid', 'abc123')).toBe(`[REDACTED:${Redactor.fingerprint('abc123')}]`);
+    expect(Redactor.redactCookie('SessionID', 'abc123')).toMatch(/^\[REDACTED:[0-9a-f]{8}\]$/);
+    expect(Redactor.redactCookie('ig_nrcb', '1')).toBe('1');
+    expect(Redactor.redactCookie('sessionid', '')).toBe('');
+  });
+});